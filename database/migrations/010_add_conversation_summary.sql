@@ -0,0 +1,10 @@
+-- Migration 010: Conversation Memory
+-- Stores a rolling summary of older chat turns so the counsellor keeps context
+-- without sending the full message history on every request
+
+ALTER TABLE chat_conversations
+ADD COLUMN IF NOT EXISTS summary TEXT,
+ADD COLUMN IF NOT EXISTS summarized_until TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN chat_conversations.summary IS 'Rolling AI summary of messages created up to summarized_until';
+COMMENT ON COLUMN chat_conversations.summarized_until IS 'created_at of the newest message folded into summary (NULL = nothing summarised yet)';
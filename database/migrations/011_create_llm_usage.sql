@@ -0,0 +1,31 @@
+-- Migration 011: LLM Usage Metering
+-- One row per successful LLM call, used for per-user quotas and cost reporting
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for system calls (e.g. search enrichment)
+  feature VARCHAR(100) NOT NULL, -- 'COUNSELLOR', 'DISCOVERY_BATCH', 'ENRICHMENT', ...
+  provider VARCHAR(50) NOT NULL, -- 'GEMINI', 'LLAMA', 'MOCK'
+  model VARCHAR(100),
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  cost_usd DECIMAL(12, 6) DEFAULT 0,
+  estimated BOOLEAN DEFAULT FALSE, -- TRUE when the provider did not report token counts
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created ON llm_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_feature ON llm_usage(feature);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at);
+
+ALTER TABLE llm_usage ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own llm usage" ON llm_usage;
+CREATE POLICY "Users can read own llm usage"
+  ON llm_usage FOR SELECT
+  USING (user_id IN (SELECT id FROM users WHERE supabase_user_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Service can insert llm usage" ON llm_usage;
+CREATE POLICY "Service can insert llm usage"
+  ON llm_usage FOR INSERT
+  WITH CHECK (true);
@@ -0,0 +1,7 @@
+-- Migration 012: Prompt Versions
+-- Records which prompt template version produced each LLM call, for A/B comparison
+
+ALTER TABLE llm_usage ADD COLUMN IF NOT EXISTS prompt_id VARCHAR(100);
+ALTER TABLE llm_usage ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_prompt ON llm_usage(prompt_id, prompt_version);
@@ -0,0 +1,39 @@
+-- Migration 013: AI Action Inbox
+-- Actions suggested by the counsellor are stored as proposals the student accepts or rejects
+
+CREATE TABLE IF NOT EXISTS ai_action_proposals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  conversation_id UUID REFERENCES chat_conversations(id) ON DELETE CASCADE,
+  message_id UUID REFERENCES chat_messages(id) ON DELETE CASCADE, -- assistant message that proposed it
+  action_type VARCHAR(100) NOT NULL, -- 'SUGGEST_SHORTLIST', 'CREATE_TASK', ...
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(50) CHECK (status IN ('PENDING', 'PROCESSING', 'ACCEPTED', 'REJECTED', 'UNDONE')) DEFAULT 'PENDING',
+  result JSONB, -- execution result returned to the client
+  undo_data JSONB, -- what to revert (e.g. shortlist/task id)
+  last_error TEXT, -- why the last accept attempt failed
+  decided_at TIMESTAMP WITH TIME ZONE,
+  undo_expires_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_action_proposals_user_status ON ai_action_proposals(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_ai_action_proposals_message ON ai_action_proposals(message_id);
+
+DROP TRIGGER IF EXISTS update_ai_action_proposals_updated_at ON ai_action_proposals;
+CREATE TRIGGER update_ai_action_proposals_updated_at
+BEFORE UPDATE ON ai_action_proposals
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE ai_action_proposals ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own action proposals" ON ai_action_proposals;
+CREATE POLICY "Users can read own action proposals"
+  ON ai_action_proposals FOR SELECT
+  USING (user_id IN (SELECT id FROM users WHERE supabase_user_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Service can manage action proposals" ON ai_action_proposals;
+CREATE POLICY "Service can manage action proposals"
+  ON ai_action_proposals FOR ALL
+  USING (true);
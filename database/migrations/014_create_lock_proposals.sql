@@ -0,0 +1,29 @@
+-- Migration 014: Lock Proposals
+-- RECOMMEND_LOCK actions from the counsellor become proposals the student confirms into a lock
+
+CREATE TABLE IF NOT EXISTS lock_proposals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  university_id UUID REFERENCES universities(id) ON DELETE CASCADE NOT NULL,
+  reason TEXT, -- AI's reason, prefilled as lock_reason_text on confirm
+  source VARCHAR(50) CHECK (source IN ('AI', 'HUMAN')) DEFAULT 'AI',
+  status VARCHAR(50) CHECK (status IN ('PENDING', 'CONFIRMED', 'DISMISSED', 'EXPIRED')) DEFAULT 'PENDING',
+  lock_id UUID REFERENCES university_locks(id) ON DELETE SET NULL, -- set once confirmed
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  decided_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lock_proposals_user_status ON lock_proposals(user_id, status);
+
+ALTER TABLE lock_proposals ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own lock proposals" ON lock_proposals;
+CREATE POLICY "Users can read own lock proposals"
+  ON lock_proposals FOR SELECT
+  USING (user_id IN (SELECT id FROM users WHERE supabase_user_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Service can manage lock proposals" ON lock_proposals;
+CREATE POLICY "Service can manage lock proposals"
+  ON lock_proposals FOR ALL
+  USING (true);
@@ -0,0 +1,31 @@
+-- Migration 015: Profile Drafts
+-- Partial onboarding answers are saved here until they form a complete profile
+
+CREATE TABLE IF NOT EXISTS profile_drafts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}', -- profile fields answered so far (each validated on save)
+  confirmed_fields JSONB NOT NULL DEFAULT '[]', -- onboarding questions skipped or confirmed without a value
+  promoted_at TIMESTAMP WITH TIME ZONE, -- when the draft was copied into profiles
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id)
+);
+
+DROP TRIGGER IF EXISTS update_profile_drafts_updated_at ON profile_drafts;
+CREATE TRIGGER update_profile_drafts_updated_at
+BEFORE UPDATE ON profile_drafts
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE profile_drafts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own profile draft" ON profile_drafts;
+CREATE POLICY "Users can read own profile draft"
+  ON profile_drafts FOR SELECT
+  USING (user_id IN (SELECT id FROM users WHERE supabase_user_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Service can manage profile drafts" ON profile_drafts;
+CREATE POLICY "Service can manage profile drafts"
+  ON profile_drafts FOR ALL
+  USING (true);
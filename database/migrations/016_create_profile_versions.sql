@@ -0,0 +1,31 @@
+-- Migration 016: Profile Change History
+-- Every profile write is stored as a versioned change set (who, which fields, old/new values)
+
+CREATE TABLE IF NOT EXISTS profile_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  version INTEGER NOT NULL, -- 1, 2, 3... per user
+  changed_by VARCHAR(20) CHECK (changed_by IN ('HUMAN', 'AI')) NOT NULL,
+  reason VARCHAR(50), -- 'PROFILE_SAVE', 'PROFILE_UPDATE', 'AI_ACTION', 'AI_ACTION_UNDO', 'DRAFT_PROMOTE', 'REVERT'
+  fields JSONB NOT NULL DEFAULT '[]', -- names of the changed fields
+  changes JSONB NOT NULL DEFAULT '{}', -- { field: { old, new } }
+  snapshot JSONB NOT NULL DEFAULT '{}', -- profile fields after this change
+  reverted_to_version INTEGER, -- set on REVERT change sets
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_profile_versions_user ON profile_versions(user_id, version DESC);
+
+ALTER TABLE profile_versions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own profile versions" ON profile_versions;
+CREATE POLICY "Users can read own profile versions"
+  ON profile_versions FOR SELECT
+  USING (user_id IN (SELECT id FROM users WHERE supabase_user_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Service can manage profile versions" ON profile_versions;
+CREATE POLICY "Service can manage profile versions"
+  ON profile_versions FOR ALL
+  USING (true);
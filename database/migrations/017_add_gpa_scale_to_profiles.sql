@@ -0,0 +1,15 @@
+-- Migration 017: Grade Scales
+-- Keep the grade as the student entered it; profiles.gpa holds the 4.0-scale conversion
+
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS gpa_original VARCHAR(30), -- e.g. '8.2', '78', 'UPPER_SECOND', '1.7'
+ADD COLUMN IF NOT EXISTS gpa_scale VARCHAR(20) DEFAULT 'GPA_4';
+
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_gpa_scale_check;
+ALTER TABLE profiles ADD CONSTRAINT profiles_gpa_scale_check
+  CHECK (gpa_scale IN ('GPA_4', 'CGPA_10', 'PERCENTAGE', 'GERMAN', 'UK_CLASS'));
+
+-- Existing grades were entered on the 4.0 scale
+UPDATE profiles
+SET gpa_original = gpa::TEXT, gpa_scale = 'GPA_4'
+WHERE gpa IS NOT NULL AND gpa_original IS NULL;
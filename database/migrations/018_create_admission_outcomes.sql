@@ -0,0 +1,62 @@
+-- Migration 018: Admission Outcomes & Calibrated Weights
+-- Students record the decision for a locked university; the prediction at that time is
+-- stored with it so scripts/calibrate_admission_scores.js can check and refit the weights
+
+CREATE TABLE IF NOT EXISTS admission_outcomes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  lock_id UUID REFERENCES university_locks(id) ON DELETE SET NULL, -- kept when the lock is removed
+  university_id UUID REFERENCES universities(id) ON DELETE CASCADE NOT NULL,
+  outcome VARCHAR(20) CHECK (outcome IN ('ADMITTED', 'REJECTED', 'WAITLISTED')) NOT NULL,
+  scholarship_amount DECIMAL(10, 2), -- per year, in USD
+  decided_at DATE,
+  notes TEXT,
+
+  -- Prediction when the outcome was recorded
+  predicted_score INTEGER,
+  predicted_category VARCHAR(20) CHECK (predicted_category IN ('DREAM', 'TARGET', 'SAFE')),
+  weight_profile VARCHAR(100),
+  score_breakdown JSONB, -- { component: { score, maxScore, note } }
+  country VARCHAR(100),
+  target_degree VARCHAR(50),
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, university_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admission_outcomes_group ON admission_outcomes(country, target_degree);
+
+ALTER TABLE admission_outcomes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own admission outcomes" ON admission_outcomes;
+CREATE POLICY "Users can read own admission outcomes"
+  ON admission_outcomes FOR SELECT
+  USING (user_id IN (SELECT id FROM users WHERE supabase_user_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Service can manage admission outcomes" ON admission_outcomes;
+CREATE POLICY "Service can manage admission outcomes"
+  ON admission_outcomes FOR ALL
+  USING (true);
+
+-- Weight profiles refitted from outcomes (loaded by the scoring engine at startup)
+CREATE TABLE IF NOT EXISTS admission_weight_profiles (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(100) UNIQUE NOT NULL, -- e.g. 'CALIBRATED_GERMANY_MASTERS'
+  country VARCHAR(100),
+  target_degree VARCHAR(50),
+  weights JSONB NOT NULL, -- { gpa, testScores, universityRank, budget, sopAndExtras } adding up to 100
+  sample_size INTEGER NOT NULL,
+  metrics JSONB, -- calibration report the weights were fitted with
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE admission_weight_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service can manage admission weight profiles" ON admission_weight_profiles;
+CREATE POLICY "Service can manage admission weight profiles"
+  ON admission_weight_profiles FOR ALL
+  USING (true);
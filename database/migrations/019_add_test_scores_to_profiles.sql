@@ -0,0 +1,20 @@
+-- Migration 019: More Tests
+-- PTE Academic, Duolingo, Cambridge C1/C2, SAT and ACT, plus a date for every test
+-- (score ranges and the English concordance live in utils/testScores.js)
+
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS pte_score INTEGER,        -- 10-90
+ADD COLUMN IF NOT EXISTS duolingo_score INTEGER,   -- 10-160
+ADD COLUMN IF NOT EXISTS cambridge_score INTEGER,  -- Cambridge English Scale, 80-230
+ADD COLUMN IF NOT EXISTS cambridge_exam VARCHAR(20) CHECK (cambridge_exam IN ('C1_ADVANCED', 'C2_PROFICIENCY')),
+ADD COLUMN IF NOT EXISTS sat_score INTEGER,        -- 400-1600
+ADD COLUMN IF NOT EXISTS act_score INTEGER,        -- 1-36
+ADD COLUMN IF NOT EXISTS ielts_date DATE,
+ADD COLUMN IF NOT EXISTS toefl_date DATE,
+ADD COLUMN IF NOT EXISTS pte_date DATE,
+ADD COLUMN IF NOT EXISTS duolingo_date DATE,
+ADD COLUMN IF NOT EXISTS cambridge_date DATE,
+ADD COLUMN IF NOT EXISTS gre_date DATE,
+ADD COLUMN IF NOT EXISTS gmat_date DATE,
+ADD COLUMN IF NOT EXISTS sat_date DATE,
+ADD COLUMN IF NOT EXISTS act_date DATE;
@@ -0,0 +1,11 @@
+-- Migration 020: Applicant Experience
+-- Work experience, research, publications, projects, awards and extracurriculars as JSON
+-- arrays on the profile (entry fields and scoring in utils/applicantExperience.js)
+
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS work_experience JSONB DEFAULT '[]'::jsonb,  -- { title, organization, employment_type, start_date, end_date, description }
+ADD COLUMN IF NOT EXISTS research JSONB DEFAULT '[]'::jsonb,         -- { title, organization, supervisor, start_date, end_date, description }
+ADD COLUMN IF NOT EXISTS publications JSONB DEFAULT '[]'::jsonb,     -- { title, venue, year, type, status, first_author, url }
+ADD COLUMN IF NOT EXISTS projects JSONB DEFAULT '[]'::jsonb,         -- { title, description, url, start_date, end_date }
+ADD COLUMN IF NOT EXISTS awards JSONB DEFAULT '[]'::jsonb,           -- { title, issuer, year, level }
+ADD COLUMN IF NOT EXISTS extracurriculars JSONB DEFAULT '[]'::jsonb; -- { activity, role, organization, leadership, start_date, end_date, description }
@@ -0,0 +1,5 @@
+-- Migration 021: Application Deadlines
+-- The deadline for each locked university, used to catch test scores that expire before it
+
+ALTER TABLE university_locks
+ADD COLUMN IF NOT EXISTS application_deadline DATE;
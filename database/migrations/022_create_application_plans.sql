@@ -0,0 +1,71 @@
+-- Migration 022: Application Plans
+-- A student can keep several named plans (e.g. Masters in Germany vs MBA in the US), each
+-- with its own goals and budget. Shortlists, locks, lock proposals, tasks and discovery
+-- analyses belong to a plan. The active plan's goals are mirrored on the profile row, so
+-- everything that reads the profile sees the active plan (see services/planService.js).
+
+CREATE TABLE IF NOT EXISTS application_plans (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  target_degree VARCHAR(50) CHECK (target_degree IN ('Bachelors', 'Masters', 'MBA', 'PhD')),
+  field_of_study VARCHAR(255),
+  intake_year INTEGER,
+  preferred_countries JSONB DEFAULT '[]',
+  budget_min INTEGER, -- USD per year
+  budget_max INTEGER, -- USD per year
+  funding_plan VARCHAR(50) CHECK (funding_plan IN ('Self-Funded', 'Scholarship', 'Loan', 'Mixed')),
+  is_active BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, name)
+);
+
+-- At most one active plan per student
+CREATE UNIQUE INDEX IF NOT EXISTS idx_application_plans_active ON application_plans(user_id) WHERE is_active;
+
+ALTER TABLE application_plans ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own application plans" ON application_plans;
+CREATE POLICY "Users can read own application plans"
+  ON application_plans FOR SELECT
+  USING (user_id IN (SELECT id FROM users WHERE supabase_user_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Service can manage application plans" ON application_plans;
+CREATE POLICY "Service can manage application plans"
+  ON application_plans FOR ALL
+  USING (true);
+
+-- One active "Main plan" per existing profile, from its current goals
+INSERT INTO application_plans (user_id, name, target_degree, field_of_study, intake_year, preferred_countries, budget_min, budget_max, funding_plan, is_active)
+SELECT user_id, 'Main plan', target_degree, field_of_study, intake_year, preferred_countries, budget_min, budget_max, funding_plan, TRUE
+FROM profiles
+ON CONFLICT (user_id, name) DO NOTHING;
+
+-- Plan-scoped rows (deleting a plan deletes its shortlist, locks, proposals, tasks and analyses)
+ALTER TABLE user_shortlists ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES application_plans(id) ON DELETE CASCADE;
+ALTER TABLE university_locks ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES application_plans(id) ON DELETE CASCADE;
+ALTER TABLE lock_proposals ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES application_plans(id) ON DELETE CASCADE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES application_plans(id) ON DELETE CASCADE;
+ALTER TABLE user_university_analyses ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES application_plans(id) ON DELETE CASCADE;
+
+UPDATE user_shortlists t SET plan_id = p.id FROM application_plans p WHERE p.user_id = t.user_id AND p.is_active AND t.plan_id IS NULL;
+UPDATE university_locks t SET plan_id = p.id FROM application_plans p WHERE p.user_id = t.user_id AND p.is_active AND t.plan_id IS NULL;
+UPDATE lock_proposals t SET plan_id = p.id FROM application_plans p WHERE p.user_id = t.user_id AND p.is_active AND t.plan_id IS NULL;
+UPDATE tasks t SET plan_id = p.id FROM application_plans p WHERE p.user_id = t.user_id AND p.is_active AND t.plan_id IS NULL;
+UPDATE user_university_analyses t SET plan_id = p.id FROM application_plans p WHERE p.user_id = t.user_id AND p.is_active AND t.plan_id IS NULL;
+
+-- The same university can be shortlisted, locked and analysed once per plan
+ALTER TABLE user_shortlists DROP CONSTRAINT IF EXISTS user_shortlists_user_id_university_id_key;
+ALTER TABLE user_shortlists ADD CONSTRAINT user_shortlists_plan_id_university_id_key UNIQUE (plan_id, university_id);
+
+ALTER TABLE university_locks DROP CONSTRAINT IF EXISTS university_locks_user_id_university_id_key;
+ALTER TABLE university_locks ADD CONSTRAINT university_locks_plan_id_university_id_key UNIQUE (plan_id, university_id);
+
+ALTER TABLE user_university_analyses DROP CONSTRAINT IF EXISTS user_university_analyses_user_id_university_id_key;
+ALTER TABLE user_university_analyses ADD CONSTRAINT user_university_analyses_plan_id_university_id_key UNIQUE (plan_id, university_id);
+
+CREATE INDEX IF NOT EXISTS idx_shortlists_plan_id ON user_shortlists(plan_id);
+CREATE INDEX IF NOT EXISTS idx_locks_plan_id ON university_locks(plan_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_plan_id ON tasks(plan_id);
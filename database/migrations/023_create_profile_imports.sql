@@ -0,0 +1,30 @@
+-- Migration 023: Profile Imports
+-- Field values proposed from an uploaded CV or transcript (see services/profileImport.js).
+-- Only the proposals and their source snippets are kept; the document and its text are not.
+-- Nothing reaches the profile until the student confirms the fields they want.
+
+CREATE TABLE IF NOT EXISTS profile_imports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('CV', 'TRANSCRIPT')),
+  file_name VARCHAR(255),
+  proposals JSONB NOT NULL DEFAULT '[]', -- [{ field, value, confidence, source, method }]
+  status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'APPLIED', 'DISCARDED')),
+  applied_fields JSONB DEFAULT '[]',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  decided_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_profile_imports_user_id ON profile_imports(user_id, created_at DESC);
+
+ALTER TABLE profile_imports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own profile imports" ON profile_imports;
+CREATE POLICY "Users can read own profile imports"
+  ON profile_imports FOR SELECT
+  USING (user_id IN (SELECT id FROM users WHERE supabase_user_id = auth.uid()));
+
+DROP POLICY IF EXISTS "Service can manage profile imports" ON profile_imports;
+CREATE POLICY "Service can manage profile imports"
+  ON profile_imports FOR ALL
+  USING (true);
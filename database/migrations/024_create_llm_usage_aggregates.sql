@@ -0,0 +1,49 @@
+-- Migration 024: LLM Usage Aggregates
+-- Quota checks and usage reports sum llm_usage in the database: selecting raw rows is
+-- capped at 1000 by PostgREST (so large monthly totals were undercounted), and the quota
+-- check runs before every LLM call.
+
+-- Today's and this month's totals for one user (one row)
+CREATE OR REPLACE FUNCTION llm_usage_totals(p_user_id UUID, p_day_start TIMESTAMPTZ, p_month_start TIMESTAMPTZ)
+RETURNS TABLE (day_requests BIGINT, day_tokens BIGINT, month_requests BIGINT, month_tokens BIGINT)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    COUNT(*) FILTER (WHERE created_at >= p_day_start),
+    COALESCE(SUM(input_tokens + output_tokens) FILTER (WHERE created_at >= p_day_start), 0),
+    COUNT(*),
+    COALESCE(SUM(input_tokens + output_tokens), 0)
+  FROM llm_usage
+  WHERE user_id = p_user_id AND created_at >= p_month_start;
+$$;
+
+-- Totals per feature since a date, for one user or everyone (p_user_id NULL)
+CREATE OR REPLACE FUNCTION llm_usage_by_feature(p_since TIMESTAMPTZ, p_user_id UUID DEFAULT NULL)
+RETURNS TABLE (feature VARCHAR, requests BIGINT, input_tokens BIGINT, output_tokens BIGINT, cost_usd NUMERIC)
+LANGUAGE sql STABLE AS $$
+  SELECT feature, COUNT(*), COALESCE(SUM(input_tokens), 0), COALESCE(SUM(output_tokens), 0), COALESCE(SUM(cost_usd), 0)
+  FROM llm_usage
+  WHERE created_at >= p_since AND (p_user_id IS NULL OR user_id = p_user_id)
+  GROUP BY feature;
+$$;
+
+-- Totals per prompt version since a date (A/B comparison)
+CREATE OR REPLACE FUNCTION llm_usage_by_prompt(p_since TIMESTAMPTZ)
+RETURNS TABLE (prompt_id VARCHAR, prompt_version VARCHAR, requests BIGINT, total_tokens BIGINT, cost_usd NUMERIC)
+LANGUAGE sql STABLE AS $$
+  SELECT prompt_id, prompt_version, COUNT(*), COALESCE(SUM(input_tokens + output_tokens), 0), COALESCE(SUM(cost_usd), 0)
+  FROM llm_usage
+  WHERE created_at >= p_since AND prompt_id IS NOT NULL
+  GROUP BY prompt_id, prompt_version;
+$$;
+
+-- Users with the highest cost since a date (system calls grouped under a NULL user)
+CREATE OR REPLACE FUNCTION llm_usage_top_users(p_since TIMESTAMPTZ, p_limit INTEGER DEFAULT 20)
+RETURNS TABLE (user_id UUID, requests BIGINT, total_tokens BIGINT, cost_usd NUMERIC)
+LANGUAGE sql STABLE AS $$
+  SELECT user_id, COUNT(*), COALESCE(SUM(input_tokens + output_tokens), 0), COALESCE(SUM(cost_usd), 0)
+  FROM llm_usage
+  WHERE created_at >= p_since
+  GROUP BY user_id
+  ORDER BY SUM(cost_usd) DESC
+  LIMIT p_limit;
+$$;
@@ -0,0 +1,11 @@
+-- Migration 025: Admission Outcomes per Lock
+-- With application plans a university can be locked in more than one plan (and re-locked
+-- after an unlock), so outcomes are keyed by the lock instead of (user_id, university_id).
+-- lock_id stays nullable: outcomes of removed locks are kept with lock_id NULL.
+
+ALTER TABLE admission_outcomes DROP CONSTRAINT IF EXISTS admission_outcomes_user_id_university_id_key;
+
+ALTER TABLE admission_outcomes DROP CONSTRAINT IF EXISTS admission_outcomes_lock_id_key;
+ALTER TABLE admission_outcomes ADD CONSTRAINT admission_outcomes_lock_id_key UNIQUE (lock_id);
+
+CREATE INDEX IF NOT EXISTS idx_admission_outcomes_user_id ON admission_outcomes(user_id, created_at DESC);
@@ -0,0 +1,17 @@
+-- Migration 026: Score Snapshot on Locks
+-- The acceptance score is stored on the lock when it is created, so the outcome recorded
+-- months later is compared against what the engine predicted at decision time rather than
+-- against a profile that has since been updated (new test scores, changed goals, ...)
+
+ALTER TABLE university_locks
+  ADD COLUMN IF NOT EXISTS predicted_score INTEGER,
+  ADD COLUMN IF NOT EXISTS predicted_category VARCHAR(20) CHECK (predicted_category IN ('DREAM', 'TARGET', 'SAFE')),
+  ADD COLUMN IF NOT EXISTS weight_profile VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS score_breakdown JSONB, -- { component: { score, maxScore, note } }
+  ADD COLUMN IF NOT EXISTS target_degree VARCHAR(50), -- the plan's target degree the score was computed for
+  ADD COLUMN IF NOT EXISTS predicted_at TIMESTAMP WITH TIME ZONE;
+
+-- When the outcome's prediction was made: the lock's predicted_at, or the time the outcome
+-- was recorded for locks created before this migration
+ALTER TABLE admission_outcomes
+  ADD COLUMN IF NOT EXISTS predicted_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,24 @@
+-- Migration 027: Plans for Students without a Profile
+-- Migration 022 only created a "Main plan" for students with a profile row, so the
+-- shortlists, locks, proposals, tasks and analyses of everyone else kept plan_id NULL and
+-- disappeared from plan-scoped queries. Create their plan (goals empty, as there is no
+-- profile to copy them from) and attach the rows.
+
+INSERT INTO application_plans (user_id, name, is_active)
+SELECT DISTINCT scoped.user_id, 'Main plan', TRUE
+FROM (
+  SELECT user_id FROM user_shortlists WHERE plan_id IS NULL
+  UNION SELECT user_id FROM university_locks WHERE plan_id IS NULL
+  UNION SELECT user_id FROM lock_proposals WHERE plan_id IS NULL
+  UNION SELECT user_id FROM tasks WHERE plan_id IS NULL
+  UNION SELECT user_id FROM user_university_analyses WHERE plan_id IS NULL
+) scoped
+WHERE scoped.user_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM application_plans p WHERE p.user_id = scoped.user_id)
+ON CONFLICT (user_id, name) DO NOTHING;
+
+UPDATE user_shortlists t SET plan_id = p.id FROM application_plans p WHERE p.user_id = t.user_id AND p.is_active AND t.plan_id IS NULL;
+UPDATE university_locks t SET plan_id = p.id FROM application_plans p WHERE p.user_id = t.user_id AND p.is_active AND t.plan_id IS NULL;
+UPDATE lock_proposals t SET plan_id = p.id FROM application_plans p WHERE p.user_id = t.user_id AND p.is_active AND t.plan_id IS NULL;
+UPDATE tasks t SET plan_id = p.id FROM application_plans p WHERE p.user_id = t.user_id AND p.is_active AND t.plan_id IS NULL;
+UPDATE user_university_analyses t SET plan_id = p.id FROM application_plans p WHERE p.user_id = t.user_id AND p.is_active AND t.plan_id IS NULL;
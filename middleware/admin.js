@@ -0,0 +1,18 @@
+/**
+ * Middleware to restrict internal endpoints to admins
+ * Must run after authMiddleware. Admins are listed in ADMIN_EMAILS (comma-separated).
+ */
+const adminMiddleware = (req, res, next) => {
+    const adminEmails = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(email => email.length > 0);
+
+    if (!req.user || !adminEmails.includes((req.user.email || '').toLowerCase())) {
+        return res.status(403).json({ error: { message: 'Admin access required' } });
+    }
+
+    next();
+};
+
+module.exports = adminMiddleware;
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const authMiddleware = require('../middleware/auth');
+const {
+    listProposals,
+    acceptProposal,
+    rejectProposal,
+    undoProposal,
+    decideProposals,
+    INBOX_CONFIG
+} = require('../services/actionInbox');
+
+const PROPOSAL_STATUSES = ['PENDING', 'PROCESSING', 'ACCEPTED', 'REJECTED', 'UNDONE'];
+
+const bulkSchema = Joi.object({
+    ids: Joi.array().items(Joi.string().guid()).min(1).max(INBOX_CONFIG.MAX_BULK).unique().required(),
+    decision: Joi.string().valid('ACCEPT', 'REJECT').required()
+});
+
+/**
+ * Answer with the status attached by the inbox (404/409/410...) or a 500
+ */
+function handleError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({
+            error: { message: error.message, ...(error.details && { details: error.details }) }
+        });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: { message: fallbackMessage } });
+}
+
+/**
+ * GET /api/ai/actions?status=PENDING&conversationId=...
+ * AI action proposals for the current user
+ */
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const { status, conversationId } = req.query;
+
+        if (status && !PROPOSAL_STATUSES.includes(status)) {
+            return res.status(400).json({ error: { message: `status must be one of ${PROPOSAL_STATUSES.join(', ')}` } });
+        }
+
+        const proposals = await listProposals(req.user.id, { status, conversationId });
+        res.json({ proposals, undo_window_minutes: INBOX_CONFIG.UNDO_WINDOW_MINUTES });
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch AI actions');
+    }
+});
+
+/**
+ * POST /api/ai/actions/bulk
+ * Accept or reject several proposals: { ids: [...], decision: 'ACCEPT' | 'REJECT' }
+ */
+router.post('/bulk', authMiddleware, async (req, res) => {
+    try {
+        const { error, value } = bulkSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: { message: error.details[0].message } });
+        }
+
+        const results = await decideProposals(req.user.id, value.ids, value.decision);
+        res.json({
+            results,
+            succeeded: results.filter(r => r.success).length,
+            failed: results.filter(r => !r.success).length
+        });
+    } catch (error) {
+        handleError(res, error, 'Failed to process AI actions');
+    }
+});
+
+/**
+ * POST /api/ai/actions/:id/accept
+ * Execute a pending proposal
+ */
+router.post('/:id/accept', authMiddleware, async (req, res) => {
+    try {
+        const proposal = await acceptProposal(req.user.id, req.params.id);
+        res.json({ success: true, proposal, result: proposal.result });
+    } catch (error) {
+        handleError(res, error, 'Failed to accept AI action');
+    }
+});
+
+/**
+ * POST /api/ai/actions/:id/reject
+ */
+router.post('/:id/reject', authMiddleware, async (req, res) => {
+    try {
+        const proposal = await rejectProposal(req.user.id, req.params.id);
+        res.json({ success: true, proposal });
+    } catch (error) {
+        handleError(res, error, 'Failed to reject AI action');
+    }
+});
+
+/**
+ * POST /api/ai/actions/:id/undo
+ * Revert an accepted shortlist/task change within the undo window
+ */
+router.post('/:id/undo', authMiddleware, async (req, res) => {
+    try {
+        const proposal = await undoProposal(req.user.id, req.params.id);
+        res.json({ success: true, proposal });
+    } catch (error) {
+        handleError(res, error, 'Failed to undo AI action');
+    }
+});
+
+module.exports = router;
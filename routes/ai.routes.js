@@ -1,7 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
-const { generateAIResponse } = require('../services/aiService');
+const adminMiddleware = require('../middleware/admin');
+const { generateAIResponse, streamAIResponse } = require('../services/aiService');
+const { loadConversationMemory, summarizeConversationIfNeeded } = require('../services/conversationMemory');
+const { validateAction } = require('../services/aiResponseSchemas');
+const { checkQuota } = require('../services/usageMeter');
+const { getProvidersHealth } = require('../services/providers');
+const { resetHealth } = require('../services/providers/keyHealth');
+const { listPrompts } = require('../services/prompts');
+const { createProposals, acceptAction } = require('../services/actionInbox');
 const supabase = require('../database/supabase');
 
 // Rate limiting for AI endpoint (stricter)
@@ -11,8 +19,152 @@ const aiLimiter = rateLimit({
     max: 10 // 10 requests per minute per IP
 });
 
-// AI reasoning endpoint
-router.post('/reason', authMiddleware, aiLimiter, async (req, res) => {
+// Reject before the message is stored if the user is out of AI quota
+const quotaGuard = async (req, res, next) => {
+    const quota = await checkQuota(req.user.id);
+    if (!quota.allowed) {
+        return res.status(429).json({
+            error: { message: `AI usage limit reached: ${quota.reason}`, quota: quota.limits }
+        });
+    }
+    next();
+};
+
+/**
+ * Store the user's message and auto-name new conversations
+ * Returns the conversation memory as it was before this message
+ * Throws 404 if the conversation is not the user's
+ */
+async function startConversationTurn(userId, conversationId, userQuery) {
+    // 0. Load prior turns before this message is stored (checks the conversation is the user's)
+    const history = await loadConversationMemory(conversationId, userId);
+
+    // 1. Save User Message
+    const { error: userMsgError } = await supabase
+        .from('chat_messages')
+        .insert({
+            conversation_id: conversationId,
+            role: 'user',
+            content: userQuery
+        });
+
+    if (userMsgError) throw userMsgError;
+
+    // 2. Check if conversation needs naming (first message)
+    const { data: conversation } = await supabase
+        .from('chat_conversations')
+        .select('title, created_at')
+        .eq('id', conversationId)
+        .single();
+
+    if (conversation && conversation.title === 'New Conversation') {
+        // Check if this is indeed the first message (or close to it)
+        const { count } = await supabase
+            .from('chat_messages')
+            .select('*', { count: 'exact', head: true })
+            .eq('conversation_id', conversationId);
+
+        if (count <= 2) { // Allow for a small buffer
+            // Auto-name based on user query (simple truncation for speed, or could use AI)
+            const newTitle = userQuery.length > 50
+                ? userQuery.substring(0, 50) + '...'
+                : userQuery;
+
+            await supabase
+                .from('chat_conversations')
+                .update({ title: newTitle })
+                .eq('id', conversationId);
+        }
+    }
+
+    return history;
+}
+
+/**
+ * Store the assistant's message, validate actions, queue them in the action inbox
+ * and write the audit log
+ * Returns the validated actions (with proposal_id for the ones stored as proposals)
+ */
+async function completeConversationTurn({ userId, conversationId, userQuery, mode, aiResponse, aborted = false }) {
+    // 4. Save AI Message
+    const { data: aiMessage, error: aiMsgError } = await supabase
+        .from('chat_messages')
+        .insert({
+            conversation_id: conversationId,
+            role: 'assistant',
+            content: aiResponse.text
+        })
+        .select('id')
+        .single();
+
+    if (aiMsgError) throw aiMsgError;
+
+    // Update conversation timestamp
+    await supabase
+        .from('chat_conversations')
+        .update({ updated_at: new Date() })
+        .eq('id', conversationId);
+
+    // Roll older turns into the conversation summary (background)
+    summarizeConversationIfNeeded(conversationId).catch(err =>
+        console.error('Background conversation summary failed:', err)
+    );
+
+    // Process actions (validate type and payload before handing them to the client)
+    const validatedActions = [];
+    for (const action of aiResponse.actions || []) {
+        const { valid, value, errors } = validateAction(action);
+        if (valid) {
+            validatedActions.push(value);
+        } else {
+            console.warn(`⚠️ Dropping invalid AI action ${action?.type}:`, errors);
+        }
+    }
+
+    // Keep them as pending proposals the student can accept, reject or undo later
+    let proposedActions = validatedActions;
+    try {
+        proposedActions = await createProposals({
+            userId,
+            conversationId,
+            messageId: aiMessage.id,
+            actions: validatedActions,
+            mode
+        });
+    } catch (error) {
+        console.error('Failed to store AI action proposals:', error);
+    }
+
+    // Log to audit_logs
+    await supabase.from('audit_logs').insert({
+        user_id: userId,
+        action_type: 'AI_REASONING',
+        payload: {
+            query: userQuery,
+            actions: proposedActions,
+            conversation_id: conversationId,
+            prompt: aiResponse._prompt || null,
+            ...(aiResponse._toolCalls && { tool_calls: aiResponse._toolCalls }),
+            ...(aborted && { aborted: true })
+        }
+    });
+
+    return proposedActions;
+}
+
+/**
+ * Write a Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * AI reasoning endpoint
+ * ONBOARDING mode: formData is the onboarding form so far, plus the confirmed_fields
+ * returned in the previous response's `onboarding` summary (see onboardingFlow.js)
+ */
+router.post('/reason', authMiddleware, aiLimiter, quotaGuard, async (req, res) => {
     try {
         const { user_query, mode = 'COUNSELLOR', formData = {}, conversationId } = req.body;
 
@@ -20,89 +172,23 @@ router.post('/reason', authMiddleware, aiLimiter, async (req, res) => {
             return res.status(400).json({ error: { message: 'Conversation ID is required' } });
         }
 
-        // 1. Save User Message
-        const { error: userMsgError } = await supabase
-            .from('chat_messages')
-            .insert({
-                conversation_id: conversationId,
-                role: 'user',
-                content: user_query
-            });
-
-        if (userMsgError) throw userMsgError;
-
-        // 2. Check if conversation needs naming (first message)
-        const { data: conversation } = await supabase
-            .from('chat_conversations')
-            .select('title, created_at')
-            .eq('id', conversationId)
-            .single();
-
-        if (conversation && conversation.title === 'New Conversation') {
-            // Check if this is indeed the first message (or close to it)
-            const { count } = await supabase
-                .from('chat_messages')
-                .select('*', { count: 'exact', head: true })
-                .eq('conversation_id', conversationId);
-
-            if (count <= 2) { // Allow for a small buffer
-                // Auto-name based on user query (simple truncation for speed, or could use AI)
-                const newTitle = user_query.length > 50
-                    ? user_query.substring(0, 50) + '...'
-                    : user_query;
-
-                await supabase
-                    .from('chat_conversations')
-                    .update({ title: newTitle })
-                    .eq('id', conversationId);
-            }
-        }
+        const history = await startConversationTurn(req.user.id, conversationId, user_query);
 
-        // 3. Generate AI response with full context
-        // In a real implementation, we would ideally fetch recent chat history here to pass as context
+        // 3. Generate AI response with full context and conversation memory
         const aiResponse = await generateAIResponse({
             userQuery: user_query,
             userId: req.user.id,
             mode,
-            currentFormData: formData
+            currentFormData: formData,
+            history
         });
 
-        // 4. Save AI Message
-        const { error: aiMsgError } = await supabase
-            .from('chat_messages')
-            .insert({
-                conversation_id: conversationId,
-                role: 'assistant',
-                content: aiResponse.text
-            });
-
-        if (aiMsgError) throw aiMsgError;
-
-        // Update conversation timestamp
-        await supabase
-            .from('chat_conversations')
-            .update({ updated_at: new Date() })
-            .eq('id', conversationId);
-
-
-        // Process actions (validate and prepare for execution)
-        const validatedActions = [];
-        for (const action of aiResponse.actions || []) {
-            // Validate action types
-            if (['SUGGEST_SHORTLIST', 'CREATE_TASK', 'RECOMMEND_LOCK', 'UPDATE_ONBOARDING_STATE'].includes(action.type)) {
-                validatedActions.push(action);
-            }
-        }
-
-        // Log to audit_logs
-        await supabase.from('audit_logs').insert({
-            user_id: req.user.id,
-            action_type: 'AI_REASONING',
-            payload: {
-                query: user_query,
-                actions: validatedActions,
-                conversation_id: conversationId
-            }
+        const validatedActions = await completeConversationTurn({
+            userId: req.user.id,
+            conversationId,
+            userQuery: user_query,
+            mode,
+            aiResponse
         });
 
         res.json({
@@ -111,9 +197,18 @@ router.post('/reason', authMiddleware, aiLimiter, async (req, res) => {
             suggested_options: aiResponse.suggested_options || null,
             reasoning: aiResponse.reasoning || {},
             recommendations: aiResponse.recommendations || [],
-            nextSteps: aiResponse.nextSteps || []
+            nextSteps: aiResponse.nextSteps || [],
+            ...(mode === 'SEARCH' && {
+                filters: aiResponse.filters,
+                results: aiResponse.results,
+                total: aiResponse.total
+            }),
+            ...(mode === 'ONBOARDING' && { onboarding: aiResponse.onboarding })
         });
     } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: { message: error.message } });
+        }
         console.error('AI reasoning error:', error);
 
         // Check if it's a rate limit error from AI services
@@ -130,130 +225,172 @@ router.post('/reason', authMiddleware, aiLimiter, async (req, res) => {
     }
 });
 
-// Execute AI action
-router.post('/execute-action', authMiddleware, async (req, res) => {
-    const { logActivity } = require('../services/activityTracker');
-    const { findOrCreateUniversity } = require('../services/universityEnrichment');
+/**
+ * POST /api/ai/reason/stream
+ * Streaming variant of /reason over Server-Sent Events
+ * Events:
+ * - token: { text } as the answer is generated
+ * - tool:  { calls: [{ name, arguments, ok }] } when the counsellor looks up data
+ * - replace: { text } the answer to show instead of the tokens streamed so far
+ *            (sent when tool rounds or the schema repair changed the text)
+ * - done:  { text, actions, suggested_options, reasoning, recommendations, nextSteps }
+ *          (SEARCH mode adds filters, results and total; ONBOARDING adds onboarding)
+ * - error: { message }
+ * The assistant message is persisted once the stream completes or the client disconnects
+ * (with the text streamed so far, possibly empty).
+ */
+router.post('/reason/stream', authMiddleware, aiLimiter, quotaGuard, async (req, res) => {
+    const { user_query, mode = 'COUNSELLOR', formData = {}, conversationId } = req.body;
+
+    if (!conversationId) {
+        return res.status(400).json({ error: { message: 'Conversation ID is required' } });
+    }
+
+    let history;
+    try {
+        history = await startConversationTurn(req.user.id, conversationId, user_query);
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: { message: error.message } });
+        }
+        console.error('AI reasoning stream error:', error);
+        return res.status(500).json({ error: { message: 'AI reasoning failed: ' + error.message } });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx/Render)
+    });
+
+    // Abort the model call if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    let streamedText = '';
 
     try {
-        const { action } = req.body;
+        const aiResponse = await streamAIResponse({
+            userQuery: user_query,
+            userId: req.user.id,
+            mode,
+            currentFormData: formData,
+            history,
+            signal: controller.signal,
+            onText: (text) => {
+                streamedText += text;
+                sendEvent(res, 'token', { text });
+            },
+            onToolCall: (calls) => sendEvent(res, 'tool', { calls }),
+            onReplace: (text) => {
+                streamedText = text;
+                sendEvent(res, 'replace', { text });
+            }
+        });
 
-        if (!action || !action.type) {
-            return res.status(400).json({ error: { message: 'Invalid action' } });
+        const validatedActions = await completeConversationTurn({
+            userId: req.user.id,
+            conversationId,
+            userQuery: user_query,
+            mode,
+            aiResponse
+        });
+
+        sendEvent(res, 'done', {
+            text: aiResponse.text,
+            actions: validatedActions,
+            suggested_options: aiResponse.suggested_options || null,
+            reasoning: aiResponse.reasoning || {},
+            recommendations: aiResponse.recommendations || [],
+            nextSteps: aiResponse.nextSteps || [],
+            ...(mode === 'SEARCH' && {
+                filters: aiResponse.filters,
+                results: aiResponse.results,
+                total: aiResponse.total
+            }),
+            ...(mode === 'ONBOARDING' && { onboarding: aiResponse.onboarding })
+        });
+        res.end();
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log(`⏹️ AI stream aborted by client (conversation ${conversationId})`);
+            // Keep whatever the student already saw; an empty answer still closes the turn
+            await completeConversationTurn({
+                userId: req.user.id,
+                conversationId,
+                userQuery: user_query,
+                mode,
+                aiResponse: { text: streamedText, actions: [] },
+                aborted: true
+            }).catch(err => console.error('Failed to persist aborted AI message:', err));
+            return;
         }
 
-        let result;
-
-        switch (action.type) {
-            case 'SUGGEST_SHORTLIST':
-                // Try to find university, or use AI to enrich and create it
-                let university;
-                try {
-                    university = await findOrCreateUniversity(
-                        action.payload.univ_external_id,
-                        action.payload.country
-                    );
-                } catch (enrichError) {
-                    console.error('University enrichment failed:', enrichError);
-                    return res.status(404).json({
-                        error: {
-                            message: `Could not find or create university: ${enrichError.message}`
-                        }
-                    });
-                }
+        console.error('AI reasoning stream error:', error);
+        sendEvent(res, 'error', { message: 'AI reasoning failed: ' + error.message });
+        res.end();
+    }
+});
 
-                // Check if already in shortlist
-                const { data: existingShortlist } = await supabase
-                    .from('user_shortlists')
-                    .select('id')
-                    .eq('user_id', req.user.id)
-                    .eq('university_id', university.id)
-                    .single();
-
-                if (existingShortlist) {
-                    return res.status(409).json({
-                        error: { message: 'University already in shortlist' }
-                    });
-                }
+/**
+ * POST /api/ai/execute-action
+ * Body: { action, proposal_id? } (proposal_id may also be set on the action, as /reason returns it)
+ * Runs through the action inbox: a proposed action is accepted (once), others are recorded
+ * as accepted proposals so they can be undone
+ */
+router.post('/execute-action', authMiddleware, async (req, res) => {
+    try {
+        if (!req.body.action || !req.body.action.type) {
+            return res.status(400).json({ error: { message: 'Invalid action' } });
+        }
 
-                // Add to shortlist
-                const { data: shortlistData, error: shortlistError } = await supabase
-                    .from('user_shortlists')
-                    .insert({
-                        user_id: req.user.id,
-                        university_id: university.id,
-                        category: action.payload.category || 'TARGET'
-                    })
-                    .select();
-
-                if (shortlistError) throw shortlistError;
-
-                // Log activity
-                await logActivity(req.user.id, 'SHORTLIST_ADD', university.id, {
-                    university_name: university.name,
-                    category: action.payload.category || 'TARGET',
-                    added_by: 'AI',
-                    ai_enriched: university.data_source === 'OTHER'
-                });
-
-                // Trigger AI Analysis in background (same as shortlist.routes.js)
-                const { analyzeUniversityForUser } = require('../services/shortlistAnalysisService');
-                analyzeUniversityForUser(req.user.id, university.id).catch(err =>
-                    console.error('Background analysis failed:', err)
-                );
-
-                result = {
-                    ...shortlistData,
-                    university,
-                    ai_enriched: university.data_source === 'OTHER'
-                };
-                break;
-
-            case 'CREATE_TASK':
-                const { data: taskData, error: taskError } = await supabase
-                    .from('tasks')
-                    .insert({
-                        user_id: req.user.id,
-                        title: action.payload.title,
-                        description: action.payload.description,
-                        due_date: action.payload.due_date,
-                        related_university_id: action.payload.related_university_id || null,
-                        created_by: 'AI'
-                    })
-                    .select();
-
-                if (taskError) throw taskError;
-
-                // Log activity
-                await logActivity(req.user.id, 'TASK_CREATE', taskData[0].id, {
-                    task_title: taskData[0].title,
-                    created_by: 'AI'
-                });
-
-                result = taskData;
-                break;
-
-            case 'RECOMMEND_LOCK':
-                // Just return recommendation, don't auto-lock
-                result = { message: 'Lock recommendation noted', payload: action.payload };
-                break;
-
-            default:
-                return res.status(400).json({ error: { message: 'Unknown action type' } });
+        // Validate payload against the action schema (same rules applied to AI output)
+        const { valid, value: action, errors } = validateAction(req.body.action);
+        if (!valid) {
+            return res.status(400).json({ error: { message: 'Invalid action payload', details: errors } });
         }
 
-        // Log action execution
-        await supabase.from('audit_logs').insert({
-            user_id: req.user.id,
-            action_type: `AI_ACTION_EXECUTED_${action.type}`,
-            payload: action.payload
-        });
+        const proposalId = req.body.proposal_id || req.body.action.proposal_id || null;
+        const proposal = await acceptAction(req.user.id, action, proposalId);
 
-        res.json({ success: true, result });
+        res.json({ success: true, result: proposal.result, proposal });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: { message: error.message, ...(error.details && { details: error.details }) }
+            });
+        }
         console.error('Action execution error:', error);
         res.status(500).json({ error: { message: error.message || 'Action execution failed' } });
     }
 });
 
+/**
+ * GET /api/ai/health
+ * Internal: API key health and circuit breaker state per provider (admin only)
+ */
+router.get('/health', authMiddleware, adminMiddleware, (req, res) => {
+    res.json(getProvidersHealth());
+});
+
+/**
+ * POST /api/ai/health/reset
+ * Internal: clear key cooldowns, disabled keys and open circuits (e.g. after rotating keys)
+ */
+router.post('/health/reset', authMiddleware, adminMiddleware, (req, res) => {
+    resetHealth();
+    res.json({ message: 'Provider health state reset', ...getProvidersHealth() });
+});
+
+/**
+ * GET /api/ai/prompts
+ * Internal: registered prompt templates, versions and active A/B tests (admin only)
+ */
+router.get('/prompts', authMiddleware, adminMiddleware, (req, res) => {
+    res.json({ prompts: listPrompts() });
+});
+
 module.exports = router;
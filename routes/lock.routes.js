@@ -3,10 +3,21 @@ const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const supabase = require('../database/supabase');
 const { logActivity } = require('../services/activityTracker');
-
-// Get user locks
+const {
+    checkLockPreconditions,
+    createLock,
+    setApplicationDeadline,
+    listLockProposals,
+    confirmLockProposal,
+    dismissLockProposal
+} = require('../services/lockService');
+const { recordOutcome, listOutcomes, deleteOutcome } = require('../services/admissionOutcomes');
+const { getActivePlanId } = require('../services/planService');
+
+// Get user locks (active application plan)
 router.get('/', authMiddleware, async (req, res) => {
     try {
+        const planId = await getActivePlanId(req.user.id);
         const { data, error } = await supabase
             .from('university_locks')
             .select(`
@@ -14,6 +25,7 @@ router.get('/', authMiddleware, async (req, res) => {
         university:universities(*)
       `)
             .eq('user_id', req.user.id)
+            .eq('plan_id', planId)
             .is('unlocked_at', null); // Only active locks
 
         if (error) throw error;
@@ -34,66 +46,128 @@ router.post('/', authMiddleware, async (req, res) => {
             return res.status(400).json({ error: { message: 'university_id is required' } });
         }
 
-        // Check if profile is complete
-        const { data: profile } = await supabase
-            .from('profiles')
-            .select('profile_complete')
-            .eq('user_id', req.user.id)
-            .single();
+        await checkLockPreconditions(req.user.id, university_id);
 
-        if (!profile || !profile.profile_complete) {
-            return res.status(403).json({
-                error: { message: 'Please complete your profile before locking universities' }
-            });
+        const data = await createLock(req.user.id, university_id, reason);
+
+        res.json({ lock: data, message: 'University locked successfully' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
         }
+        console.error('Lock university error:', error);
+        res.status(500).json({ error: { message: 'Failed to lock university' } });
+    }
+});
 
-        // Check if already locked
-        const { data: existingLock } = await supabase
-            .from('university_locks')
-            .select('*')
-            .eq('user_id', req.user.id)
-            .eq('university_id', university_id)
-            .is('unlocked_at', null)
-            .single();
+/**
+ * GET /api/lock/proposals
+ * Pending AI lock proposals (expired ones are marked EXPIRED and left out)
+ */
+router.get('/proposals', authMiddleware, async (req, res) => {
+    try {
+        const proposals = await listLockProposals(req.user.id);
+        res.json({ proposals });
+    } catch (error) {
+        console.error('Get lock proposals error:', error);
+        res.status(500).json({ error: { message: 'Failed to fetch lock proposals' } });
+    }
+});
 
-        if (existingLock) {
-            return res.status(409).json({ error: { message: 'University already locked' } });
+/**
+ * POST /api/lock/proposals/:id/confirm
+ * Turn a proposal into a lock; body.reason overrides the AI's reason
+ */
+router.post('/proposals/:id/confirm', authMiddleware, async (req, res) => {
+    try {
+        const lock = await confirmLockProposal(req.user.id, req.params.id, req.body.reason);
+        res.json({ lock, message: 'University locked successfully' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
         }
+        console.error('Confirm lock proposal error:', error);
+        res.status(500).json({ error: { message: 'Failed to lock university' } });
+    }
+});
 
-        // Create lock
-        const { data, error } = await supabase
-            .from('university_locks')
-            .insert({
-                user_id: req.user.id,
-                university_id,
-                lock_reason_text: reason || 'User locked for application'
-            })
-            .select(`
-        *,
-        university:universities(*)
-      `)
-            .single();
+/**
+ * POST /api/lock/proposals/:id/dismiss
+ */
+router.post('/proposals/:id/dismiss', authMiddleware, async (req, res) => {
+    try {
+        const proposal = await dismissLockProposal(req.user.id, req.params.id);
+        res.json({ proposal, message: 'Lock proposal dismissed' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
+        }
+        console.error('Dismiss lock proposal error:', error);
+        res.status(500).json({ error: { message: 'Failed to dismiss lock proposal' } });
+    }
+});
 
-        if (error) throw error;
+/**
+ * GET /api/lock/outcomes
+ * Admission outcomes the student recorded
+ */
+router.get('/outcomes', authMiddleware, async (req, res) => {
+    try {
+        const outcomes = await listOutcomes(req.user.id);
+        res.json({ outcomes });
+    } catch (error) {
+        console.error('Get admission outcomes error:', error);
+        res.status(500).json({ error: { message: 'Failed to fetch admission outcomes' } });
+    }
+});
 
-        // Log action to audit logs
-        await supabase.from('audit_logs').insert({
-            user_id: req.user.id,
-            action_type: 'LOCK_UNIVERSITY',
-            payload: { university_id, reason }
-        });
+/**
+ * PUT /api/lock/:id/outcome
+ * Body: { outcome: 'ADMITTED' | 'REJECTED' | 'WAITLISTED', scholarship_amount, decided_at, notes }
+ */
+router.put('/:id/outcome', authMiddleware, async (req, res) => {
+    try {
+        const outcome = await recordOutcome(req.user.id, req.params.id, req.body);
+        res.json({ outcome });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
+        }
+        console.error('Record admission outcome error:', error);
+        res.status(500).json({ error: { message: 'Failed to record admission outcome' } });
+    }
+});
 
-        // Log activity for AI awareness
-        await logActivity(req.user.id, 'LOCK_UNIVERSITY', university_id, {
-            university_name: data.university?.name,
-            country: data.university?.country,
-            reason: reason || 'User locked for application'
-        });
+/**
+ * DELETE /api/lock/:id/outcome
+ */
+router.delete('/:id/outcome', authMiddleware, async (req, res) => {
+    try {
+        await deleteOutcome(req.user.id, req.params.id);
+        res.json({ message: 'Admission outcome removed' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
+        }
+        console.error('Delete admission outcome error:', error);
+        res.status(500).json({ error: { message: 'Failed to remove admission outcome' } });
+    }
+});
 
-        res.json({ lock: data, message: 'University locked successfully' });
+/**
+ * PATCH /api/lock/:id/deadline
+ * Body: { application_deadline: 'YYYY-MM-DD' | null }
+ */
+router.patch('/:id/deadline', authMiddleware, async (req, res) => {
+    try {
+        const lock = await setApplicationDeadline(req.user.id, req.params.id, req.body.application_deadline ?? null);
+        res.json({ lock });
     } catch (error) {
-        console.error('Lock university error:', error);
-        res.status(500).json({ error: { message: 'Failed to lock university' } });
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
+        }
+        console.error('Set application deadline error:', error);
+        res.status(500).json({ error: { message: 'Failed to set application deadline' } });
     }
 });
 
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const {
+    listPlans,
+    createPlan,
+    updatePlan,
+    activatePlan,
+    deletePlan
+} = require('../services/planService');
+
+/**
+ * GET /api/plans
+ * The student's application plans (one is_active)
+ */
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const plans = await listPlans(req.user.id);
+        res.json({ plans, active_plan_id: plans.find(plan => plan.is_active)?.id || null });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message, details: error.details } });
+        }
+        console.error('Get plans error:', error);
+        res.status(500).json({ error: { message: 'Failed to fetch plans' } });
+    }
+});
+
+/**
+ * POST /api/plans
+ * Body: { name, target_degree, field_of_study, intake_year, preferred_countries,
+ *         budget_min, budget_max, funding_plan, activate }
+ * Goals left out are copied from the active plan
+ */
+router.post('/', authMiddleware, async (req, res) => {
+    try {
+        const plan = await createPlan(req.user.id, req.body);
+        res.status(201).json({ plan });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message, details: error.details } });
+        }
+        console.error('Create plan error:', error);
+        res.status(500).json({ error: { message: 'Failed to create plan' } });
+    }
+});
+
+/**
+ * PATCH /api/plans/:id
+ * Rename a plan or change its goals
+ */
+router.patch('/:id', authMiddleware, async (req, res) => {
+    try {
+        const plan = await updatePlan(req.user.id, req.params.id, req.body);
+        res.json({ plan });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message, details: error.details } });
+        }
+        console.error('Update plan error:', error);
+        res.status(500).json({ error: { message: 'Failed to update plan' } });
+    }
+});
+
+/**
+ * POST /api/plans/:id/activate
+ * Switch the active plan (the AI context, shortlist, locks and tasks follow it)
+ */
+router.post('/:id/activate', authMiddleware, async (req, res) => {
+    try {
+        const plan = await activatePlan(req.user.id, req.params.id);
+        res.json({ plan, message: `Switched to ${plan.name}` });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message, details: error.details } });
+        }
+        console.error('Switch plan error:', error);
+        res.status(500).json({ error: { message: 'Failed to switch plan' } });
+    }
+});
+
+/**
+ * DELETE /api/plans/:id
+ * Deletes an inactive plan with its shortlist, locks, tasks and analyses
+ */
+router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+        await deletePlan(req.user.id, req.params.id);
+        res.json({ message: 'Plan deleted' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message, details: error.details } });
+        }
+        console.error('Delete plan error:', error);
+        res.status(500).json({ error: { message: 'Failed to delete plan' } });
+    }
+});
+
+module.exports = router;
@@ -1,33 +1,55 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const authMiddleware = require('../middleware/auth');
 const supabase = require('../database/supabase');
 const { calculateProfileStrength } = require('../utils/acceptanceScore');
-const { invalidateUserCache } = require('../services/discoveryAnalysisService');
-const { analyzeUniversityForUser } = require('../services/shortlistAnalysisService');
-const { syncTasksWithProfile } = require('../services/taskGenerator');
-const Joi = require('joi');
-
-// Validation schema
-const profileSchema = Joi.object({
-    education_level: Joi.string().valid('HS', 'Bachelors', 'Masters', 'MBA', 'PhD').required(),
-    degree_major: Joi.string().allow('', null),
-    grad_year: Joi.number().integer().min(1950).max(2030).allow(null),
-    gpa: Joi.number().min(0).max(4.0).allow(null),
-    target_degree: Joi.string().valid('Bachelors', 'Masters', 'MBA', 'PhD').required(),
-    field_of_study: Joi.string().required(),
-    intake_year: Joi.number().integer().min(2024).max(2030).required(),
-    preferred_countries: Joi.array().items(Joi.string()).required(),
-    budget_min: Joi.number().integer().min(0).allow(null),
-    budget_max: Joi.number().integer().min(0).allow(null),
-    funding_plan: Joi.string().valid('Self-Funded', 'Scholarship', 'Loan', 'Mixed').allow(null),
-    ielts_score: Joi.number().min(0).max(9).allow(null),
-    toefl_score: Joi.number().integer().min(0).max(120).allow(null),
-    gre_score: Joi.number().integer().min(260).max(340).allow(null),
-    gmat_score: Joi.number().integer().min(200).max(800).allow(null),
-    sop_status: Joi.string().valid('NOT_STARTED', 'DRAFT', 'READY').default('NOT_STARTED')
+const { checkTestValidity } = require('../utils/testScores');
+const { validateProfile, applyProfileUpdates, updateProfile, triggerRealtimeUpdates } = require('../services/profileService');
+const { getDraft, saveDraftFields, promoteDraft, discardDraft } = require('../services/profileDraftService');
+const {
+    listProfileHistory,
+    getProfileVersion,
+    diffProfileVersions,
+    revertProfileToVersion
+} = require('../services/profileHistory');
+const { simulateWhatIf } = require('../services/admissionSimulator');
+const { getActivePlanId } = require('../services/planService');
+const { IMPORT_CONFIG, fileKind, importDocument, getImport, confirmImport, discardImport } = require('../services/profileImport');
+const { httpError } = require('../utils/httpError');
+
+// CVs and transcripts are read from memory and never written to disk or storage
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_CONFIG.MAX_FILE_BYTES },
+    fileFilter: (req, file, cb) => {
+        if (fileKind(file)) {
+            cb(null, true);
+        } else {
+            cb(httpError('Only PDF and DOCX files can be imported', 400));
+        }
+    }
 });
 
+// Upload errors answer here instead of reaching the global error handler as a 500
+function receiveImportFile(req, res, next) {
+    importUpload.single('file')(req, res, (err) => {
+        if (!err) return next();
+
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                const maxMb = Math.round(IMPORT_CONFIG.MAX_FILE_BYTES / (1024 * 1024));
+                return res.status(413).json({ error: { message: `File is larger than ${maxMb}MB` } });
+            }
+            return res.status(400).json({ error: { message: err.code === 'LIMIT_UNEXPECTED_FILE' ? 'Upload the document in the "file" field' : err.message } });
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: { message: err.message } });
+        }
+        next(err);
+    });
+}
+
 // Get user profile
 router.get('/', authMiddleware, async (req, res) => {
     try {
@@ -64,42 +86,17 @@ router.post('/', authMiddleware, async (req, res) => {
         });
 
         // Validate input
-        const { error: validationError, value } = profileSchema.validate(req.body);
-        if (validationError) {
-            console.log('❌ Validation error:', validationError.details[0].message);
-            return res.status(400).json({ error: { message: validationError.details[0].message } });
-        }
-
-        // Check if profile is complete
-        const isComplete = !!(
-            value.education_level &&
-            value.target_degree &&
-            value.field_of_study &&
-            value.intake_year &&
-            value.preferred_countries.length > 0 &&
-            (value.budget_min || value.budget_max)
-        );
-
-        const profileData = {
-            ...value,
-            user_id: req.user.id,
-            profile_complete: isComplete,
-            updated_at: new Date().toISOString()
-        };
-
-        console.log('📊 Profile data to save:', profileData);
+        const { value, fieldErrors } = validateProfile(req.body);
+        if (fieldErrors) {
+            const message = Object.values(fieldErrors)[0];
+            console.log('❌ Validation error:', message);
+            return res.status(400).json({ error: { message, details: fieldErrors } });
+        }
 
-        // Upsert profile
-        const { data, error } = await supabase
-            .from('profiles')
-            .upsert(profileData, { onConflict: 'user_id' })
-            .select()
-            .single();
+        console.log('📊 Profile data to save:', value);
 
-        if (error) {
-            console.log('❌ Supabase error:', error);
-            throw error;
-        }
+        // Upsert profile (recorded in the profile history, profile_complete recomputed)
+        const { profile: data } = await applyProfileUpdates(req.user.id, value, { reason: 'PROFILE_SAVE' });
 
         console.log('✅ Profile saved successfully');
 
@@ -112,7 +109,7 @@ router.post('/', authMiddleware, async (req, res) => {
         res.json({
             profile: data,
             strength,
-            message: isComplete ? 'Profile completed successfully' : 'Profile saved (incomplete)'
+            message: data.profile_complete ? 'Profile completed successfully' : 'Profile saved (incomplete)'
         });
     } catch (error) {
         console.error('💥 Save profile error:', error.message, error.details || error);
@@ -120,62 +117,303 @@ router.post('/', authMiddleware, async (req, res) => {
     }
 });
 
-// Update specific fields
-router.patch('/', authMiddleware, async (req, res) => {
+/**
+ * GET /api/profile/history?limit=50
+ * Profile change sets, newest first
+ */
+router.get('/history', authMiddleware, async (req, res) => {
     try {
-        const updates = req.body;
-        updates.updated_at = new Date().toISOString();
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const history = await listProfileHistory(req.user.id, { limit });
+        res.json({ history });
+    } catch (error) {
+        console.error('Get profile history error:', error);
+        res.status(500).json({ error: { message: 'Failed to fetch profile history' } });
+    }
+});
 
-        const { data, error } = await supabase
-            .from('profiles')
-            .update(updates)
-            .eq('user_id', req.user.id)
-            .select()
-            .single();
+/**
+ * GET /api/profile/history/diff?from=3&to=5
+ * Field differences between two versions (to defaults to the current profile)
+ */
+router.get('/history/diff', authMiddleware, async (req, res) => {
+    try {
+        const from = parseInt(req.query.from, 10);
+        const to = req.query.to ? parseInt(req.query.to, 10) : null;
 
-        if (error) throw error;
+        if (!from || (req.query.to && !to)) {
+            return res.status(400).json({ error: { message: 'from (and optional to) must be version numbers' } });
+        }
 
-        const strength = calculateProfileStrength(data);
+        const diff = await diffProfileVersions(req.user.id, from, to);
+        res.json({ diff });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
+        }
+        console.error('Diff profile versions error:', error);
+        res.status(500).json({ error: { message: 'Failed to diff profile versions' } });
+    }
+});
 
-        // Trigger background updates
-        triggerRealtimeUpdates(req.user.id, data);
+/**
+ * GET /api/profile/history/:version
+ */
+router.get('/history/:version', authMiddleware, async (req, res) => {
+    try {
+        const version = await getProfileVersion(req.user.id, parseInt(req.params.version, 10));
+        res.json({ version });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
+        }
+        console.error('Get profile version error:', error);
+        res.status(500).json({ error: { message: 'Failed to fetch profile version' } });
+    }
+});
+
+/**
+ * POST /api/profile/history/:version/revert
+ * Restore the profile as it was after that version (recorded as a new version)
+ */
+router.post('/history/:version/revert', authMiddleware, async (req, res) => {
+    try {
+        const { profile, version, changes } = await revertProfileToVersion(req.user.id, parseInt(req.params.version, 10));
+        const strength = calculateProfileStrength(profile);
+
+        res.json({
+            profile,
+            strength,
+            version,
+            changes,
+            message: version ? `Profile reverted to version ${req.params.version}` : 'Profile already matches this version'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
+        }
+        console.error('Revert profile error:', error);
+        res.status(500).json({ error: { message: 'Failed to revert profile' } });
+    }
+});
+
+/**
+ * POST /api/profile/what-if
+ * Body: { overrides: { gre_score: 325, ... } }
+ * Re-scores shortlisted and locked universities with the overrides; nothing is saved
+ */
+router.post('/what-if', authMiddleware, async (req, res) => {
+    try {
+        const overrides = req.body.overrides || {};
+        if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+            return res.status(400).json({ error: { message: 'overrides must be an object of profile fields' } });
+        }
+
+        const simulation = await simulateWhatIf(req.user.id, overrides);
+        res.json({ simulation });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message, details: error.details } });
+        }
+        console.error('What-if simulation error:', error);
+        res.status(500).json({ error: { message: 'Failed to run simulation' } });
+    }
+});
+
+/**
+ * GET /api/profile/test-validity
+ * Test scores that are expired or expire before a locked university's deadline or the intake
+ */
+router.get('/test-validity', authMiddleware, async (req, res) => {
+    try {
+        const planId = await getActivePlanId(req.user.id);
+        const [profileRes, locksRes] = await Promise.all([
+            supabase.from('profiles').select('*').eq('user_id', req.user.id).maybeSingle(),
+            supabase.from('university_locks').select('*, university:universities(id, name)').eq('user_id', req.user.id).eq('plan_id', planId).is('unlocked_at', null)
+        ]);
+
+        if (profileRes.error) throw profileRes.error;
+        if (locksRes.error) throw locksRes.error;
+        if (!profileRes.data) {
+            return res.status(404).json({ error: { message: 'Profile not found' } });
+        }
+
+        res.json({ warnings: checkTestValidity(profileRes.data, { locks: locksRes.data || [] }) });
+    } catch (error) {
+        console.error('Test validity error:', error);
+        res.status(500).json({ error: { message: 'Failed to check test validity' } });
+    }
+});
+
+/**
+ * GET /api/profile/draft
+ * Partial onboarding answers saved so far, with the required fields still missing
+ */
+router.get('/draft', authMiddleware, async (req, res) => {
+    try {
+        const draft = await getDraft(req.user.id);
+        res.json({ draft });
+    } catch (error) {
+        console.error('Get profile draft error:', error);
+        res.status(500).json({ error: { message: 'Failed to fetch profile draft' } });
+    }
+});
+
+/**
+ * PATCH /api/profile/draft
+ * Save any subset of profile fields ({ field: value }, null clears a field)
+ * Valid fields are saved even if others fail; failures are listed per field
+ */
+router.patch('/draft', authMiddleware, async (req, res) => {
+    try {
+        const { confirmed_fields: confirmedFields, ...fields } = req.body;
+
+        if (confirmedFields !== undefined && !Array.isArray(confirmedFields)) {
+            return res.status(400).json({ error: { message: 'confirmed_fields must be an array' } });
+        }
+
+        const { draft, fieldErrors } = await saveDraftFields(req.user.id, fields, { confirmedFields });
+
+        res.json({ draft, ...(fieldErrors && { field_errors: fieldErrors }) });
+    } catch (error) {
+        console.error('Save profile draft error:', error);
+        res.status(500).json({ error: { message: 'Failed to save profile draft' } });
+    }
+});
+
+/**
+ * POST /api/profile/draft/promote
+ * Turn a complete draft into the real profile
+ */
+router.post('/draft/promote', authMiddleware, async (req, res) => {
+    try {
+        const profile = await promoteDraft(req.user.id);
+        const strength = calculateProfileStrength(profile);
+
+        res.json({
+            profile,
+            strength,
+            message: profile.profile_complete ? 'Profile completed successfully' : 'Profile saved (incomplete)'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: { message: error.message, ...(error.details && { details: error.details }) }
+            });
+        }
+        console.error('Promote profile draft error:', error);
+        res.status(500).json({ error: { message: 'Failed to save profile' } });
+    }
+});
+
+/**
+ * DELETE /api/profile/draft
+ */
+router.delete('/draft', authMiddleware, async (req, res) => {
+    try {
+        await discardDraft(req.user.id);
+        res.json({ message: 'Profile draft discarded' });
+    } catch (error) {
+        console.error('Discard profile draft error:', error);
+        res.status(500).json({ error: { message: 'Failed to discard profile draft' } });
+    }
+});
+
+/**
+ * POST /api/profile/import
+ * Multipart: file (PDF or DOCX, max 10MB), document_type (CV | TRANSCRIPT, default CV)
+ * Proposes profile values with confidence and source snippets; nothing is saved to the profile yet
+ */
+router.post('/import', authMiddleware, receiveImportFile, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: { message: 'No file uploaded' } });
+        }
+
+        const profileImport = await importDocument(req.user.id, req.file, req.body.document_type || 'CV');
+        res.status(201).json({ import: profileImport });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
+        }
+        console.error('Profile import error:', error);
+        res.status(500).json({ error: { message: 'Failed to read document' } });
+    }
+});
+
+/**
+ * GET /api/profile/import/:id
+ */
+router.get('/import/:id', authMiddleware, async (req, res) => {
+    try {
+        const profileImport = await getImport(req.user.id, req.params.id);
+        res.json({ import: profileImport });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
+        }
+        console.error('Get profile import error:', error);
+        res.status(500).json({ error: { message: 'Failed to fetch import' } });
+    }
+});
+
+/**
+ * POST /api/profile/import/:id/confirm
+ * Body: { proposal_ids: ['p1', 'p3'], overrides: { p3: 'edited value' } }
+ * Saves the picked proposals to the profile (or the onboarding draft before there is a profile)
+ */
+router.post('/import/:id/confirm', authMiddleware, async (req, res) => {
+    try {
+        const { profile, draft, applied_fields: appliedFields } = await confirmImport(req.user.id, req.params.id, req.body);
+
+        res.json({
+            ...(profile && { profile, strength: calculateProfileStrength(profile) }),
+            ...(draft && { draft }),
+            applied_fields: appliedFields
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: { message: error.message, ...(error.details && { details: error.details }) }
+            });
+        }
+        console.error('Confirm profile import error:', error);
+        res.status(500).json({ error: { message: 'Failed to import profile values' } });
+    }
+});
+
+/**
+ * POST /api/profile/import/:id/discard
+ */
+router.post('/import/:id/discard', authMiddleware, async (req, res) => {
+    try {
+        const profileImport = await discardImport(req.user.id, req.params.id);
+        res.json({ import: profileImport });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: { message: error.message } });
+        }
+        console.error('Discard profile import error:', error);
+        res.status(500).json({ error: { message: 'Failed to discard import' } });
+    }
+});
+
+// Update specific fields (same rules as POST, nothing required)
+router.patch('/', authMiddleware, async (req, res) => {
+    try {
+        const data = await updateProfile(req.user.id, req.body);
+        const strength = calculateProfileStrength(data);
 
         res.json({ profile: data, strength });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: { message: error.message, ...(error.details && { details: error.details }) }
+            });
+        }
         console.error('Update profile error:', error);
         res.status(500).json({ error: { message: 'Failed to update profile' } });
     }
 });
 
-// Helper to trigger background updates
-async function triggerRealtimeUpdates(userId, profileData) {
-    // 1. Invalidate Discovery Cache (so new recs are generated)
-    invalidateUserCache(userId).catch(err =>
-        console.error('Background cache invalidation failed:', err)
-    );
-
-    // 2. Sync Tasks (generate missing tasks)
-    syncTasksWithProfile(userId, profileData).catch(err =>
-        console.error('Background task sync failed:', err)
-    );
-
-    // 3. Re-analyze Shortlist (update chances)
-    // Fetch shortlist items
-    supabase.from('user_shortlists')
-        .select('university_id')
-        .eq('user_id', userId)
-        .then(({ data: shortlist }) => {
-            if (shortlist && shortlist.length > 0) {
-                console.log(`🔄 Triggering re-analysis for ${shortlist.length} shortlisted universities...`);
-                // Process sequentially to avoid overwhelming AI
-                shortlist.reduce(async (previousPromise, item) => {
-                    await previousPromise;
-                    return analyzeUniversityForUser(userId, item.university_id);
-                }, Promise.resolve())
-                    .then(() => console.log('✅ Background shortlist re-analysis complete'))
-                    .catch(err => console.error('Background shortlist analysis failed:', err));
-            }
-        });
-}
-
 module.exports = router;
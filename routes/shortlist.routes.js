@@ -3,10 +3,13 @@ const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const supabase = require('../database/supabase');
 const { logActivity } = require('../services/activityTracker');
+const { calculateAcceptanceScore, categorizeUniversity } = require('../utils/acceptanceScore');
+const { getActivePlanId } = require('../services/planService');
 
-// Get user shortlist
+// Get user shortlist (active application plan)
 router.get('/', authMiddleware, async (req, res) => {
     try {
+        const planId = await getActivePlanId(req.user.id);
         const { data, error } = await supabase
             .from('user_shortlists')
             .select(`
@@ -14,11 +17,26 @@ router.get('/', authMiddleware, async (req, res) => {
         university:universities(*)
       `)
             .eq('user_id', req.user.id)
+            .eq('plan_id', planId)
             .order('added_at', { ascending: false });
 
         if (error) throw error;
 
-        res.json({ shortlist: data || [] });
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('*')
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        // Engine score alongside the student's own category
+        const shortlist = (data || []).map(item => ({
+            ...item,
+            acceptance_score: profile && item.university
+                ? calculateAcceptanceScore(profile, item.university)
+                : null
+        }));
+
+        res.json({ shortlist });
     } catch (error) {
         console.error('Get shortlist error:', error);
         res.status(500).json({ error: { message: 'Failed to fetch shortlist' } });
@@ -34,12 +52,24 @@ router.post('/', authMiddleware, async (req, res) => {
             return res.status(400).json({ error: { message: 'university_id is required' } });
         }
 
+        // Without an explicit category, use the scoring engine's
+        let resolvedCategory = category;
+        if (!resolvedCategory) {
+            const [{ data: university }, { data: profile }] = await Promise.all([
+                supabase.from('universities').select('*').eq('id', university_id).maybeSingle(),
+                supabase.from('profiles').select('*').eq('user_id', req.user.id).maybeSingle()
+            ]);
+            resolvedCategory = university && profile ? categorizeUniversity(university, profile) : 'TARGET';
+        }
+
+        const planId = await getActivePlanId(req.user.id);
         const { data, error } = await supabase
             .from('user_shortlists')
             .insert({
                 user_id: req.user.id,
+                plan_id: planId,
                 university_id,
-                category: category || 'TARGET'
+                category: resolvedCategory
             })
             .select(`
         *,
@@ -3,11 +3,13 @@ const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const supabase = require('../database/supabase');
 const { logActivity } = require('../services/activityTracker');
+const { getActivePlanId } = require('../services/planService');
 
-// Get user tasks
+// Get user tasks (active application plan)
 router.get('/', authMiddleware, async (req, res) => {
     try {
         const { status, university_id } = req.query;
+        const planId = await getActivePlanId(req.user.id);
 
         let query = supabase
             .from('tasks')
@@ -16,6 +18,7 @@ router.get('/', authMiddleware, async (req, res) => {
         university:universities(id, name, country)
       `)
             .eq('user_id', req.user.id)
+            .eq('plan_id', planId)
             .order('due_date', { ascending: true, nullsFirst: false });
 
         if (status) {
@@ -50,6 +53,7 @@ router.post('/', authMiddleware, async (req, res) => {
             .from('tasks')
             .insert({
                 user_id: req.user.id,
+                plan_id: await getActivePlanId(req.user.id),
                 title,
                 description: description || null,
                 due_date: due_date || null,
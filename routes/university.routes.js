@@ -4,6 +4,7 @@ const authMiddleware = require('../middleware/auth');
 const { searchUniversities, manualAddUniversity } = require('../services/universityService');
 const { enrichUniversity } = require('../services/aiService');
 const { calculateAcceptanceScore } = require('../utils/acceptanceScore');
+const { verifyUniversity } = require('../services/universityVerification');
 const supabase = require('../database/supabase');
 
 // Search universities
@@ -40,6 +41,26 @@ router.get('/search', authMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/universities/verify?name=...&country=...
+ * Fuzzy-match a university name against our data and Hipolabs
+ */
+router.get('/verify', authMiddleware, async (req, res) => {
+    try {
+        const { name, country } = req.query;
+
+        if (!name || name.trim().length < 2) {
+            return res.status(400).json({ error: { message: 'name is required' } });
+        }
+
+        const verification = await verifyUniversity(name, country || null);
+        res.json({ verification });
+    } catch (error) {
+        console.error('University verification error:', error);
+        res.status(500).json({ error: { message: 'University verification failed' } });
+    }
+});
+
 // Get university by ID
 router.get('/:id', authMiddleware, async (req, res) => {
     try {
@@ -101,7 +122,7 @@ router.post('/enrich', authMiddleware, async (req, res) => {
         }
 
         console.log(`Enriching university: ${name}, ${country}`);
-        const enrichedData = await enrichUniversity(name, country);
+        const enrichedData = await enrichUniversity(name, country, req.user.id);
 
         // Check if enrichment had errors
         if (enrichedData.error) {
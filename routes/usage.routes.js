@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const adminMiddleware = require('../middleware/admin');
+const { getUserUsage, getUsageSummary, getQuotaLimits } = require('../services/usageMeter');
+
+/**
+ * Remaining allowance per period (null = unlimited)
+ */
+function remaining(limit, used) {
+    return limit > 0 ? Math.max(0, limit - used) : null;
+}
+
+/**
+ * GET /api/usage
+ * AI usage for the current user (today + this month) with quota status
+ */
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const usage = await getUserUsage(req.user.id);
+        const limits = getQuotaLimits();
+
+        res.json({
+            usage,
+            quota: {
+                limits,
+                remaining: {
+                    daily: {
+                        tokens: remaining(limits.daily.tokens, usage.today.total_tokens),
+                        requests: remaining(limits.daily.requests, usage.today.requests)
+                    },
+                    monthly: {
+                        tokens: remaining(limits.monthly.tokens, usage.month.total_tokens),
+                        requests: remaining(limits.monthly.requests, usage.month.requests)
+                    }
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get usage error:', error);
+        res.status(500).json({ error: { message: 'Failed to fetch usage' } });
+    }
+});
+
+/**
+ * GET /api/usage/summary?days=30
+ * Usage and cost across all users, by feature and top users (admin only)
+ */
+router.get('/summary', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const days = Math.min(parseInt(req.query.days, 10) || 30, 365);
+        const summary = await getUsageSummary(days);
+        res.json({ summary });
+    } catch (error) {
+        console.error('Usage summary error:', error);
+        res.status(500).json({ error: { message: 'Failed to fetch usage summary' } });
+    }
+});
+
+module.exports = router;
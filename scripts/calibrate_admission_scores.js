@@ -0,0 +1,66 @@
+require('dotenv').config();
+const { runCalibration, CALIBRATION_CONFIG } = require('../services/admissionCalibration');
+
+/**
+ * Offline admission score calibration
+ *
+ *   node scripts/calibrate_admission_scores.js                  report only
+ *   node scripts/calibrate_admission_scores.js --apply          also store refitted weights
+ *   node scripts/calibrate_admission_scores.js --min-samples=50 --json
+ *
+ * Applied weights are picked up by the API on its next start.
+ */
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const match = args.find(arg => arg.startsWith(`--${name}=`));
+    return match ? match.split('=')[1] : null;
+};
+
+const apply = args.includes('--apply');
+const asJson = args.includes('--json');
+const minSamples = parseInt(option('min-samples'), 10) || CALIBRATION_CONFIG.MIN_SAMPLES;
+
+function printGroup(label, summary) {
+    const categories = Object.entries(summary.by_category)
+        .map(([category, stats]) => `${category} ${stats.admit_rate ?? '-'} (n=${stats.n})`)
+        .join(', ');
+
+    console.log(`\n📍 ${label}`);
+    console.log(`   Outcomes: ${summary.n} (admitted ${summary.admitted}, rejected ${summary.rejected}, waitlisted ${summary.waitlisted})`);
+    console.log(`   Mean score: admitted ${summary.mean_score_admitted ?? '-'}, rejected ${summary.mean_score_rejected ?? '-'}`);
+    console.log(`   AUC ${summary.auc ?? '-'} | Brier ${summary.brier ?? '-'}`);
+    console.log(`   Admit rate by predicted category: ${categories}${summary.categories_monotonic ? '' : '  ⚠️ not increasing DREAM -> SAFE'}`);
+}
+
+async function main() {
+    console.log(`\n⚖️ Admission score calibration (min samples ${minSamples}${apply ? ', applying refits' : ', report only'})`);
+
+    const report = await runCalibration({ minSamples, apply });
+
+    if (asJson) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    printGroup('All outcomes', report.overall);
+
+    report.groups.forEach(group => {
+        printGroup(`${group.country} / ${group.target_degree}`, group);
+        if (group.refit.skipped) {
+            console.log(`   Refit skipped: ${group.refit.skipped}`);
+        } else {
+            console.log(`   Refit weights: ${JSON.stringify(group.refit.weights)}`);
+            console.log(`   AUC (in-sample) ${group.refit.auc_before} -> ${group.refit.auc_after}${group.applied ? '  ✅ applied' : ''}`);
+        }
+    });
+
+    console.log('');
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Calibration failed:', error.message);
+        process.exit(1);
+    });
@@ -31,16 +31,19 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/profile', require('./routes/profile.routes'));
+app.use('/api/plans', require('./routes/plan.routes'));
 app.use('/api/universities', require('./routes/university.routes'));
 app.use('/api/shortlist', require('./routes/shortlist.routes'));
 app.use('/api/lock', require('./routes/lock.routes'));
 app.use('/api/tasks', require('./routes/task.routes'));
+app.use('/api/ai/actions', require('./routes/actions.routes'));
 app.use('/api/ai', require('./routes/ai.routes'));
 app.use('/api/audio', require('./routes/audio.routes'));
 app.use('/api/activities', require('./routes/activity.routes'));
 app.use('/api/cache', require('./routes/cache.routes'));
 app.use('/api/discovery', require('./routes/discovery.routes'));
 app.use('/api/chat', require('./routes/chat.routes'));
+app.use('/api/usage', require('./routes/usage.routes'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -62,6 +65,11 @@ app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV}`);
     console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL}`);
+
+    // Weights refitted by scripts/calibrate_admission_scores.js --apply
+    require('./services/admissionCalibration').loadCalibratedWeightProfiles().catch(error =>
+        console.error('Failed to load calibrated admission weights:', error.message)
+    );
 });
 
 module.exports = app;
@@ -0,0 +1,265 @@
+const supabase = require('../database/supabase');
+const { logActivity } = require('./activityTracker');
+const { httpError } = require('../utils/httpError');
+const { categorizeUniversity } = require('../utils/acceptanceScore');
+const { getActivePlanId } = require('./planService');
+
+/**
+ * Executes (and undoes) AI actions for a user
+ * Shared by POST /api/ai/execute-action and the pending action inbox.
+ *
+ * Each executor returns { result, undoData }:
+ * - result: what the client gets back
+ * - undoData: what undo() needs to revert the change (null if nothing to revert)
+ */
+
+const ACTION_EXECUTORS = {
+    SUGGEST_SHORTLIST: {
+        execute: async (userId, payload) => {
+            const { findOrCreateUniversity } = require('./universityEnrichment');
+
+            // Verify the suggested name, then find it or use AI to enrich and create it
+            let university;
+            try {
+                university = await findOrCreateUniversity(payload.univ_external_id, payload.country, userId);
+            } catch (enrichError) {
+                // Unverifiable names come back as 422 with the closest matches
+                if (enrichError.status) throw enrichError;
+                console.error('University enrichment failed:', enrichError);
+                throw httpError(`Could not find or create university: ${enrichError.message}`, 404);
+            }
+
+            // Check if already in the active plan's shortlist
+            const planId = await getActivePlanId(userId);
+            const { data: existingShortlist } = await supabase
+                .from('user_shortlists')
+                .select('id')
+                .eq('user_id', userId)
+                .eq('plan_id', planId)
+                .eq('university_id', university.id)
+                .single();
+
+            if (existingShortlist) {
+                throw httpError('University already in shortlist', 409);
+            }
+
+            // The scoring engine decides the category; the model's guess is only a fallback
+            const { data: profile } = await supabase
+                .from('profiles')
+                .select('*')
+                .eq('user_id', userId)
+                .maybeSingle();
+            const category = profile
+                ? categorizeUniversity(university, profile)
+                : (payload.category || 'TARGET');
+
+            // Add to shortlist
+            const { data: shortlistData, error: shortlistError } = await supabase
+                .from('user_shortlists')
+                .insert({
+                    user_id: userId,
+                    plan_id: planId,
+                    university_id: university.id,
+                    category
+                })
+                .select();
+
+            if (shortlistError) throw shortlistError;
+
+            // Log activity
+            await logActivity(userId, 'SHORTLIST_ADD', university.id, {
+                university_name: university.name,
+                category,
+                added_by: 'AI',
+                ai_enriched: university.data_source === 'OTHER',
+                verification_status: university.verification?.status
+            });
+
+            // Trigger AI Analysis in background (same as shortlist.routes.js)
+            const { analyzeUniversityForUser } = require('./shortlistAnalysisService');
+            analyzeUniversityForUser(userId, university.id).catch(err =>
+                console.error('Background analysis failed:', err)
+            );
+
+            return {
+                result: {
+                    ...shortlistData,
+                    university,
+                    ai_enriched: university.data_source === 'OTHER',
+                    // Flag uncertain matches so the client can show "did you mean ..."
+                    verification: university.verification || null
+                },
+                undoData: {
+                    shortlist_id: shortlistData[0].id,
+                    university_id: university.id,
+                    university_name: university.name
+                }
+            };
+        },
+        undo: async (userId, undoData) => {
+            const { error } = await supabase
+                .from('user_shortlists')
+                .delete()
+                .eq('id', undoData.shortlist_id)
+                .eq('user_id', userId);
+
+            if (error) throw error;
+
+            await logActivity(userId, 'SHORTLIST_REMOVE', undoData.university_id, {
+                university_name: undoData.university_name,
+                removed_by: 'UNDO_AI_ACTION'
+            });
+        }
+    },
+
+    CREATE_TASK: {
+        execute: async (userId, payload) => {
+            const { data: taskData, error: taskError } = await supabase
+                .from('tasks')
+                .insert({
+                    user_id: userId,
+                    plan_id: await getActivePlanId(userId),
+                    title: payload.title,
+                    description: payload.description,
+                    due_date: payload.due_date,
+                    related_university_id: payload.related_university_id || null,
+                    created_by: 'AI'
+                })
+                .select();
+
+            if (taskError) throw taskError;
+
+            // Log activity
+            await logActivity(userId, 'TASK_CREATE', taskData[0].id, {
+                task_title: taskData[0].title,
+                created_by: 'AI'
+            });
+
+            return {
+                result: taskData,
+                undoData: { task_id: taskData[0].id, task_title: taskData[0].title }
+            };
+        },
+        undo: async (userId, undoData) => {
+            const { error } = await supabase
+                .from('tasks')
+                .delete()
+                .eq('id', undoData.task_id)
+                .eq('user_id', userId);
+
+            if (error) throw error;
+
+            await logActivity(userId, 'TASK_DELETE', undoData.task_id, {
+                task_title: undoData.task_title,
+                removed_by: 'UNDO_AI_ACTION'
+            });
+        }
+    },
+
+    UPDATE_ONBOARDING_STATE: {
+        // Same rules and side effects as PATCH /api/profile
+        execute: async (userId, payload) => {
+            const { validateProfileUpdate, applyProfileUpdates, triggerRealtimeUpdates } = require('./profileService');
+
+            const { data: existing } = await supabase
+                .from('profiles')
+                .select('*')
+                .eq('user_id', userId)
+                .maybeSingle();
+
+            const { value, fieldErrors } = validateProfileUpdate(payload, existing);
+            if (fieldErrors) {
+                throw httpError('Invalid profile values', 400, fieldErrors);
+            }
+
+            const { profile, previous } = await applyProfileUpdates(userId, value, { updatedByAI: true, reason: 'AI_ACTION' });
+            triggerRealtimeUpdates(userId, profile);
+
+            await logActivity(userId, 'PROFILE_UPDATE', null, {
+                fields: Object.keys(value),
+                updated_by: 'AI'
+            });
+
+            return {
+                result: { profile, updated_fields: Object.keys(value) },
+                undoData: { previous }
+            };
+        },
+        undo: async (userId, undoData) => {
+            const { applyProfileUpdates, triggerRealtimeUpdates } = require('./profileService');
+
+            const { profile } = await applyProfileUpdates(userId, undoData.previous, { reason: 'AI_ACTION_UNDO' });
+            triggerRealtimeUpdates(userId, profile);
+
+            await logActivity(userId, 'PROFILE_UPDATE', null, {
+                fields: Object.keys(undoData.previous),
+                updated_by: 'UNDO_AI_ACTION'
+            });
+        }
+    },
+
+    RECOMMEND_LOCK: {
+        // Don't auto-lock: create a lock proposal the student confirms via /api/lock/proposals
+        execute: async (userId, payload) => {
+            const { createLockProposal } = require('./lockService');
+            const lockProposal = await createLockProposal(userId, payload);
+
+            return {
+                result: { message: 'Lock proposal created', lock_proposal: lockProposal },
+                undoData: { lock_proposal_id: lockProposal.id }
+            };
+        },
+        undo: async (userId, undoData) => {
+            const { dismissLockProposal } = require('./lockService');
+            await dismissLockProposal(userId, undoData.lock_proposal_id);
+        }
+    }
+};
+
+const EXECUTABLE_ACTION_TYPES = Object.keys(ACTION_EXECUTORS);
+
+/**
+ * Execute a validated action for a user and write the audit log
+ * @returns {Promise<{ result: object, undoData: object|null }>}
+ */
+async function executeAction(userId, action) {
+    const executor = ACTION_EXECUTORS[action.type];
+    if (!executor) {
+        throw httpError('Unknown action type', 400);
+    }
+
+    const outcome = await executor.execute(userId, action.payload);
+
+    // Log action execution
+    await supabase.from('audit_logs').insert({
+        user_id: userId,
+        action_type: `AI_ACTION_EXECUTED_${action.type}`,
+        payload: action.payload
+    });
+
+    return outcome;
+}
+
+/**
+ * Revert a previously executed action
+ */
+async function undoAction(userId, type, undoData) {
+    const executor = ACTION_EXECUTORS[type];
+    if (!executor?.undo || !undoData) {
+        throw httpError(`${type} actions cannot be undone`, 400);
+    }
+
+    await executor.undo(userId, undoData);
+
+    await supabase.from('audit_logs').insert({
+        user_id: userId,
+        action_type: `AI_ACTION_UNDONE_${type}`,
+        payload: undoData
+    });
+}
+
+module.exports = {
+    executeAction,
+    undoAction,
+    EXECUTABLE_ACTION_TYPES
+};
@@ -0,0 +1,278 @@
+const supabase = require('../database/supabase');
+const { executeAction, undoAction, EXECUTABLE_ACTION_TYPES } = require('./actionExecutor');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Pending AI Action Inbox
+ * Actions returned by /reason are stored as proposals tied to the assistant message.
+ * The student accepts or rejects them; accepted changes can be undone for a short window.
+ *
+ * Status flow: PENDING -> PROCESSING -> ACCEPTED -> UNDONE
+ *              PENDING -> REJECTED
+ * POST /api/ai/execute-action goes through the same flow (see acceptAction), so an
+ * action can only run once.
+ */
+
+// Action types not stored per chat mode: onboarding saves its UPDATE_ONBOARDING_STATE
+// values to the draft as it parses them, other modes propose them like any other action
+const NOT_PROPOSED_TYPES = {
+    ONBOARDING: ['UPDATE_ONBOARDING_STATE']
+};
+
+const INBOX_CONFIG = {
+    UNDO_WINDOW_MINUTES: parseInt(process.env.AI_ACTION_UNDO_WINDOW_MINUTES, 10) || 10,
+    MAX_BULK: 50
+};
+
+/**
+ * Persist validated actions from an assistant message as pending proposals
+ * Action types the server cannot execute are not stored (the client handles them),
+ * nor are the ones NOT_PROPOSED_TYPES lists for the chat mode
+ * @param {string} mode - the chat mode that produced the actions (COUNSELLOR, SEARCH, ONBOARDING)
+ * @returns {Promise<Array>} the actions, with proposal_id set on the stored ones
+ */
+async function createProposals({ userId, conversationId, messageId, actions, mode = 'COUNSELLOR' }) {
+    const skipped = NOT_PROPOSED_TYPES[mode] || [];
+    const storable = actions.filter(action =>
+        EXECUTABLE_ACTION_TYPES.includes(action.type) && !skipped.includes(action.type)
+    );
+    if (storable.length === 0) return actions;
+
+    const { data, error } = await supabase
+        .from('ai_action_proposals')
+        .insert(storable.map(action => ({
+            user_id: userId,
+            conversation_id: conversationId,
+            message_id: messageId,
+            action_type: action.type,
+            payload: action.payload
+        })))
+        .select('id');
+
+    if (error) throw error;
+
+    // Rows come back in insert order
+    const ids = (data || []).map(row => row.id);
+    return actions.map(action =>
+        storable.includes(action) && ids.length > 0 ? { ...action, proposal_id: ids.shift() } : action
+    );
+}
+
+/**
+ * List a user's proposals (newest first)
+ * @param {object} filters - { status, conversationId }
+ */
+async function listProposals(userId, { status, conversationId } = {}) {
+    const query = supabase
+        .from('ai_action_proposals')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(100);
+
+    if (status) query.eq('status', status);
+    if (conversationId) query.eq('conversation_id', conversationId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Move a proposal between statuses only if it is still in the expected one
+ * Guards against double accepts from parallel requests
+ */
+async function transition(userId, id, fromStatus, updates) {
+    const { data, error } = await supabase
+        .from('ai_action_proposals')
+        .update(updates)
+        .eq('id', id)
+        .eq('user_id', userId)
+        .eq('status', fromStatus)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+async function getProposal(userId, id) {
+    const { data } = await supabase
+        .from('ai_action_proposals')
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (!data) throw httpError('Action proposal not found', 404);
+    return data;
+}
+
+/**
+ * Accept a pending proposal: execute it and open the undo window
+ * If the action fails the proposal goes back to PENDING with last_error set. Once it has
+ * run, the proposal never goes back to PENDING (that would let it run twice); a failure to
+ * record the result leaves it PROCESSING.
+ */
+async function acceptProposal(userId, id) {
+    const claimed = await transition(userId, id, 'PENDING', { status: 'PROCESSING', last_error: null });
+    if (!claimed) {
+        const existing = await getProposal(userId, id);
+        throw httpError(`Action is already ${existing.status.toLowerCase()}`, 409);
+    }
+
+    let outcome;
+    try {
+        outcome = await executeAction(userId, {
+            type: claimed.action_type,
+            payload: claimed.payload
+        });
+    } catch (error) {
+        await transition(userId, id, 'PROCESSING', { status: 'PENDING', last_error: error.message });
+        throw error;
+    }
+
+    const decidedAt = new Date();
+    try {
+        return await transition(userId, id, 'PROCESSING', {
+            status: 'ACCEPTED',
+            result: outcome.result,
+            undo_data: outcome.undoData,
+            decided_at: decidedAt.toISOString(),
+            undo_expires_at: outcome.undoData
+                ? new Date(decidedAt.getTime() + INBOX_CONFIG.UNDO_WINDOW_MINUTES * 60 * 1000).toISOString()
+                : null
+        });
+    } catch (error) {
+        console.error(`Action proposal ${id} ran but could not be marked accepted:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Run an action through the inbox (POST /api/ai/execute-action)
+ * An action carrying a proposal_id accepts that proposal; any other action is stored as a
+ * proposal and accepted right away, so it can be undone like the others
+ * @returns {Promise<object>} the accepted proposal
+ */
+async function acceptAction(userId, action, proposalId = null) {
+    if (proposalId) return acceptProposal(userId, proposalId);
+
+    const { data, error } = await supabase
+        .from('ai_action_proposals')
+        .insert({
+            user_id: userId,
+            action_type: action.type,
+            payload: action.payload,
+            status: 'PENDING'
+        })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+
+    try {
+        return await acceptProposal(userId, data.id);
+    } catch (acceptError) {
+        // The student never saw this proposal, so a failed run should not stay in the inbox
+        await supabase
+            .from('ai_action_proposals')
+            .delete()
+            .eq('id', data.id)
+            .eq('status', 'PENDING');
+        throw acceptError;
+    }
+}
+
+/**
+ * Reject a pending proposal (nothing is executed)
+ */
+async function rejectProposal(userId, id) {
+    const rejected = await transition(userId, id, 'PENDING', {
+        status: 'REJECTED',
+        decided_at: new Date().toISOString()
+    });
+
+    if (!rejected) {
+        const existing = await getProposal(userId, id);
+        throw httpError(`Action is already ${existing.status.toLowerCase()}`, 409);
+    }
+
+    await supabase.from('audit_logs').insert({
+        user_id: userId,
+        action_type: `AI_ACTION_REJECTED_${rejected.action_type}`,
+        payload: rejected.payload
+    });
+
+    return rejected;
+}
+
+/**
+ * Undo an accepted proposal within its undo window
+ */
+async function undoProposal(userId, id) {
+    const proposal = await getProposal(userId, id);
+
+    if (proposal.status !== 'ACCEPTED') {
+        throw httpError('Only accepted actions can be undone', 409);
+    }
+    if (!proposal.undo_data || !proposal.undo_expires_at) {
+        throw httpError(`${proposal.action_type} actions cannot be undone`, 400);
+    }
+    if (new Date(proposal.undo_expires_at) < new Date()) {
+        throw httpError('The undo window for this action has expired', 410);
+    }
+
+    const claimed = await transition(userId, id, 'ACCEPTED', { status: 'PROCESSING' });
+    if (!claimed) {
+        throw httpError('Action is already being processed', 409);
+    }
+
+    try {
+        await undoAction(userId, proposal.action_type, proposal.undo_data);
+    } catch (error) {
+        await transition(userId, id, 'PROCESSING', { status: 'ACCEPTED', last_error: error.message });
+        throw error;
+    }
+
+    return await transition(userId, id, 'PROCESSING', {
+        status: 'UNDONE',
+        undo_expires_at: null
+    });
+}
+
+/**
+ * Accept or reject several proposals; each one succeeds or fails on its own
+ * @param {string} decision - 'ACCEPT' | 'REJECT'
+ * @returns {Promise<Array<{ id, success, proposal?, error? }>>}
+ */
+async function decideProposals(userId, ids, decision) {
+    const decide = decision === 'ACCEPT' ? acceptProposal : rejectProposal;
+    const results = [];
+
+    // Sequential: accepted actions touch the same shortlist/tasks
+    for (const id of ids.slice(0, INBOX_CONFIG.MAX_BULK)) {
+        try {
+            results.push({ id, success: true, proposal: await decide(userId, id) });
+        } catch (error) {
+            results.push({
+                id,
+                success: false,
+                error: { message: error.message, status: error.status || 500, ...(error.details && { details: error.details }) }
+            });
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    createProposals,
+    listProposals,
+    acceptProposal,
+    acceptAction,
+    rejectProposal,
+    undoProposal,
+    decideProposals,
+    INBOX_CONFIG
+};
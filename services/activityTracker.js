@@ -9,8 +9,12 @@ const supabase = require('../database/supabase');
  * - TASK_CREATE: User created a task
  * - TASK_UPDATE: User updated task status
  * - TASK_COMPLETE: User completed a task
+ * - TASK_DELETE: Task removed (e.g. an AI-created task was undone)
  * - SEARCH_UNIVERSITY: User searched for universities
  * - PROFILE_UPDATE: User updated their profile
+ * - ADMISSION_OUTCOME: User recorded an admission decision for a locked university
+ * - PLAN_CREATE / PLAN_SWITCH / PLAN_DELETE: User created, switched to or deleted an application plan
+ * - PROFILE_IMPORT: User confirmed profile values read from an uploaded CV or transcript
  */
 
 /**
@@ -0,0 +1,300 @@
+const supabase = require('../database/supabase');
+const {
+    COMPONENTS,
+    getWeightProfiles,
+    setWeightProfiles
+} = require('../utils/acceptanceScore');
+
+/**
+ * Admission score calibration
+ * Compares the scores stored with recorded outcomes against what actually happened and
+ * refits the component weights per country / target degree. Run offline through
+ * scripts/calibrate_admission_scores.js; applied weights are stored in
+ * admission_weight_profiles and loaded into the scoring engine at server start.
+ *
+ * Metrics per group (WAITLISTED is counted but left out of the binary metrics):
+ * - admit rate per predicted category (a calibrated engine has DREAM < TARGET < SAFE)
+ * - AUC: chance an admitted outcome was scored above a rejected one (0.5 = no signal)
+ * - Brier score of score/100 as an admission probability (lower is better)
+ *
+ * Refit: logistic regression of admitted/rejected on the stored component fractions
+ * (score / maxScore). Positive coefficients, scaled to add up to 100, become the weights.
+ */
+
+const CALIBRATION_CONFIG = {
+    MIN_SAMPLES: parseInt(process.env.ADMISSION_CALIBRATION_MIN_SAMPLES, 10) || 30,
+    MIN_PER_CLASS: 5,
+    ITERATIONS: 3000,
+    LEARNING_RATE: 0.5,
+    L2: 0.01,
+    PAGE_SIZE: 1000 // PostgREST returns at most 1000 rows per request
+};
+
+const CATEGORIES = ['DREAM', 'TARGET', 'SAFE'];
+
+const round = (value, decimals = 3) => value === null ? null : Number(value.toFixed(decimals));
+
+/**
+ * Component fractions (0-1) from a stored score breakdown
+ */
+function fractionsOf(breakdown) {
+    return COMPONENTS.map(component => {
+        const part = breakdown?.[component];
+        return part && part.maxScore > 0 ? part.score / part.maxScore : 0;
+    });
+}
+
+/**
+ * Area under the ROC curve for { score, admitted } rows (ties count half)
+ */
+function auc(rows) {
+    const positives = rows.filter(row => row.admitted);
+    const negatives = rows.filter(row => !row.admitted);
+    if (positives.length === 0 || negatives.length === 0) return null;
+
+    let wins = 0;
+    positives.forEach(positive => {
+        negatives.forEach(negative => {
+            if (positive.score > negative.score) wins += 1;
+            else if (positive.score === negative.score) wins += 0.5;
+        });
+    });
+    return wins / (positives.length * negatives.length);
+}
+
+function brier(rows) {
+    if (rows.length === 0) return null;
+    return rows.reduce((sum, row) => sum + (row.score / 100 - (row.admitted ? 1 : 0)) ** 2, 0) / rows.length;
+}
+
+/**
+ * Calibration report for one group of outcome rows
+ */
+function summarizeGroup(outcomes) {
+    const decided = outcomes
+        .filter(row => row.outcome !== 'WAITLISTED' && row.predicted_score !== null && row.predicted_score !== undefined)
+        .map(row => ({ ...row, score: row.predicted_score, admitted: row.outcome === 'ADMITTED' }));
+
+    const byCategory = Object.fromEntries(CATEGORIES.map(category => {
+        const rows = decided.filter(row => row.predicted_category === category);
+        return [category, {
+            n: rows.length,
+            admit_rate: rows.length > 0 ? round(rows.filter(row => row.admitted).length / rows.length) : null
+        }];
+    }));
+
+    // Admit rates should rise from DREAM to SAFE (categories without data are skipped)
+    const rates = CATEGORIES.map(category => byCategory[category].admit_rate).filter(rate => rate !== null);
+    const monotonic = rates.every((rate, index) => index === 0 || rate >= rates[index - 1]);
+
+    const mean = (rows) => rows.length > 0 ? round(rows.reduce((sum, row) => sum + row.score, 0) / rows.length, 1) : null;
+
+    return {
+        n: outcomes.length,
+        admitted: outcomes.filter(row => row.outcome === 'ADMITTED').length,
+        rejected: outcomes.filter(row => row.outcome === 'REJECTED').length,
+        waitlisted: outcomes.filter(row => row.outcome === 'WAITLISTED').length,
+        admit_rate: decided.length > 0 ? round(decided.filter(row => row.admitted).length / decided.length) : null,
+        mean_score_admitted: mean(decided.filter(row => row.admitted)),
+        mean_score_rejected: mean(decided.filter(row => !row.admitted)),
+        auc: round(auc(decided)),
+        brier: round(brier(decided)),
+        by_category: byCategory,
+        categories_monotonic: monotonic
+    };
+}
+
+/**
+ * Logistic regression by batch gradient descent with L2 on the coefficients
+ * @returns {{ intercept: number, coefficients: number[] }}
+ */
+function fitLogistic(features, labels, { iterations, learningRate, l2 }) {
+    const size = features[0].length;
+    let intercept = 0;
+    const coefficients = new Array(size).fill(0);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        let interceptGradient = 0;
+        const gradients = new Array(size).fill(0);
+
+        features.forEach((row, i) => {
+            const z = intercept + row.reduce((sum, value, j) => sum + value * coefficients[j], 0);
+            const error = 1 / (1 + Math.exp(-z)) - labels[i];
+            interceptGradient += error;
+            row.forEach((value, j) => { gradients[j] += error * value; });
+        });
+
+        intercept -= learningRate * interceptGradient / features.length;
+        coefficients.forEach((coefficient, j) => {
+            coefficients[j] -= learningRate * (gradients[j] / features.length + l2 * coefficient);
+        });
+    }
+
+    return { intercept, coefficients };
+}
+
+/**
+ * Positive coefficients scaled to integer weights adding up to exactly 100
+ */
+function toWeights(coefficients) {
+    const positive = coefficients.map(value => Math.max(value, 0));
+    const total = positive.reduce((sum, value) => sum + value, 0);
+    if (total === 0) return null;
+
+    const raw = positive.map(value => value / total * 100);
+    const weights = raw.map(Math.floor);
+    // Hand out the rounding remainder to the largest fractions
+    const order = raw.map((value, index) => [value - Math.floor(value), index]).sort((a, b) => b[0] - a[0]);
+    const remainder = 100 - weights.reduce((sum, value) => sum + value, 0);
+    for (let i = 0; i < remainder; i++) {
+        weights[order[i][1]] += 1;
+    }
+
+    return Object.fromEntries(COMPONENTS.map((component, index) => [component, weights[index]]));
+}
+
+/**
+ * Refit weights for one group
+ * @returns {object} { weights, auc_before, auc_after } or { skipped: reason }
+ */
+function refitGroup(outcomes, { minSamples = CALIBRATION_CONFIG.MIN_SAMPLES } = {}) {
+    const decided = outcomes.filter(row => row.outcome !== 'WAITLISTED' && row.score_breakdown);
+    const admitted = decided.filter(row => row.outcome === 'ADMITTED').length;
+    const rejected = decided.length - admitted;
+
+    if (decided.length < minSamples) {
+        return { skipped: `${decided.length} decided outcomes, need ${minSamples}` };
+    }
+    if (admitted < CALIBRATION_CONFIG.MIN_PER_CLASS || rejected < CALIBRATION_CONFIG.MIN_PER_CLASS) {
+        return { skipped: `need ${CALIBRATION_CONFIG.MIN_PER_CLASS}+ admitted and rejected (have ${admitted} / ${rejected})` };
+    }
+
+    const features = decided.map(row => fractionsOf(row.score_breakdown));
+    const labels = decided.map(row => (row.outcome === 'ADMITTED' ? 1 : 0));
+    const { coefficients } = fitLogistic(features, labels, {
+        iterations: CALIBRATION_CONFIG.ITERATIONS,
+        learningRate: CALIBRATION_CONFIG.LEARNING_RATE,
+        l2: CALIBRATION_CONFIG.L2
+    });
+
+    const weights = toWeights(coefficients);
+    if (!weights) return { skipped: 'no component predicts admission in this data' };
+
+    // In-sample comparison: the same rows scored with the stored and with the refitted weights
+    const rescored = decided.map((row, i) => ({
+        admitted: labels[i] === 1,
+        score: features[i].reduce((sum, fraction, j) => sum + fraction * weights[COMPONENTS[j]], 0)
+    }));
+    const stored = decided.map(row => ({ admitted: row.outcome === 'ADMITTED', score: row.predicted_score ?? 0 }));
+
+    return {
+        weights,
+        coefficients: Object.fromEntries(COMPONENTS.map((component, j) => [component, round(coefficients[j])])),
+        auc_before: round(auc(stored)),
+        auc_after: round(auc(rescored))
+    };
+}
+
+const groupKey = (row) => `${row.country || 'Unknown'}|${row.target_degree || 'Unknown'}`;
+
+const profileName = (country, degree) =>
+    `CALIBRATED_${country}_${degree}`.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+/**
+ * Every recorded outcome, read page by page
+ */
+async function loadOutcomes() {
+    const outcomes = [];
+    for (let from = 0; ; from += CALIBRATION_CONFIG.PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('admission_outcomes')
+            .select('outcome, predicted_score, predicted_category, weight_profile, score_breakdown, country, target_degree')
+            .order('id', { ascending: true })
+            .range(from, from + CALIBRATION_CONFIG.PAGE_SIZE - 1);
+
+        if (error) throw error;
+        outcomes.push(...(data || []));
+        if (!data || data.length < CALIBRATION_CONFIG.PAGE_SIZE) return outcomes;
+    }
+}
+
+/**
+ * Calibration report for all outcomes, optionally storing refitted weight profiles
+ * Weights are only applied when the refit ranks outcomes at least as well as the current scores
+ * @param {object} options - { minSamples, apply }
+ */
+async function runCalibration({ minSamples = CALIBRATION_CONFIG.MIN_SAMPLES, apply = false } = {}) {
+    const outcomes = await loadOutcomes();
+
+    const groups = new Map();
+    outcomes.forEach(row => {
+        if (!groups.has(groupKey(row))) groups.set(groupKey(row), []);
+        groups.get(groupKey(row)).push(row);
+    });
+
+    const report = {
+        generated_at: new Date().toISOString(),
+        overall: summarizeGroup(outcomes),
+        groups: []
+    };
+
+    for (const [key, rows] of groups) {
+        const [country, targetDegree] = key.split('|');
+        const refit = refitGroup(rows, { minSamples });
+        const group = { country, target_degree: targetDegree, ...summarizeGroup(rows), refit, applied: false };
+
+        const usable = refit.weights && country !== 'Unknown' && targetDegree !== 'Unknown';
+        if (apply && usable && refit.auc_after >= refit.auc_before) {
+            const { error } = await supabase
+                .from('admission_weight_profiles')
+                .upsert({
+                    name: profileName(country, targetDegree),
+                    country,
+                    target_degree: targetDegree,
+                    weights: refit.weights,
+                    sample_size: rows.length,
+                    metrics: { ...summarizeGroup(rows), auc_before: refit.auc_before, auc_after: refit.auc_after },
+                    active: true,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'name' });
+
+            if (error) throw error;
+            group.applied = true;
+        }
+
+        report.groups.push(group);
+    }
+
+    report.groups.sort((a, b) => b.n - a.n);
+    return report;
+}
+
+/**
+ * Load active calibrated weight profiles into the scoring engine
+ * They sit next to the built-in profiles (country + degree, so they win when they match)
+ * @returns {Promise<number>} how many were loaded
+ */
+async function loadCalibratedWeightProfiles() {
+    const { data, error } = await supabase
+        .from('admission_weight_profiles')
+        .select('name, country, target_degree, weights')
+        .eq('active', true);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return 0;
+
+    const byName = new Map(getWeightProfiles().map(profile => [profile.name, profile]));
+    data.forEach(profile => byName.set(profile.name, profile));
+    setWeightProfiles([...byName.values()]);
+
+    console.log(`⚖️ Loaded ${data.length} calibrated admission weight profile(s)`);
+    return data.length;
+}
+
+module.exports = {
+    CALIBRATION_CONFIG,
+    summarizeGroup,
+    refitGroup,
+    runCalibration,
+    loadCalibratedWeightProfiles
+};
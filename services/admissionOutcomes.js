@@ -0,0 +1,142 @@
+const Joi = require('joi');
+const supabase = require('../database/supabase');
+const { logActivity } = require('./activityTracker');
+const { httpError } = require('../utils/httpError');
+const { calculateAcceptanceScore } = require('../utils/acceptanceScore');
+const { applyPlanGoals } = require('./planService');
+
+/**
+ * Admission outcomes for locked universities
+ * The student records the decision (admitted / rejected / waitlisted, optional scholarship).
+ * The engine's prediction snapshotted on the lock is stored next to it, which is what
+ * scripts/calibrate_admission_scores.js compares against and refits from.
+ */
+
+const OUTCOMES = ['ADMITTED', 'REJECTED', 'WAITLISTED'];
+
+const outcomeSchema = Joi.object({
+    outcome: Joi.string().valid(...OUTCOMES).required(),
+    scholarship_amount: Joi.number().min(0).allow(null), // per year, USD
+    decided_at: Joi.date().iso().raw().allow(null),
+    notes: Joi.string().max(2000).allow('', null)
+});
+
+async function getUserLock(userId, lockId) {
+    const { data: lock, error } = await supabase
+        .from('university_locks')
+        .select('*, university:universities(*), plan:application_plans(*)')
+        .eq('id', lockId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!lock) throw httpError('Lock not found', 404);
+    return lock;
+}
+
+// Score snapshotted when the lock was created (lockService.createLock)
+const lockPrediction = (lock) => ({
+    totalScore: lock.predicted_score,
+    category: lock.predicted_category,
+    weightProfile: lock.weight_profile,
+    breakdown: lock.score_breakdown,
+    targetDegree: lock.target_degree,
+    predictedAt: lock.predicted_at
+});
+
+// Locks created before scores were snapshotted: score the current profile instead
+async function currentPrediction(userId, lock) {
+    const { data: currentProfile } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+    // Scored with the goals of the plan the lock belongs to, which may not be the active one
+    const profile = applyPlanGoals(currentProfile, lock.plan);
+    if (!profile || !lock.university) return null;
+
+    return {
+        ...calculateAcceptanceScore(profile, lock.university),
+        targetDegree: profile.target_degree ?? null,
+        predictedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Record (or correct) the outcome for a locked university
+ * @param {object} body - { outcome, scholarship_amount, decided_at, notes }
+ */
+async function recordOutcome(userId, lockId, body) {
+    const { error: validationError, value: input } = outcomeSchema.validate(body || {});
+    if (validationError) throw httpError(validationError.details[0].message, 400);
+
+    const lock = await getUserLock(userId, lockId);
+    const prediction = lock.predicted_at ? lockPrediction(lock) : await currentPrediction(userId, lock);
+
+    const { data, error } = await supabase
+        .from('admission_outcomes')
+        .upsert({
+            user_id: userId,
+            lock_id: lock.id,
+            university_id: lock.university_id,
+            outcome: input.outcome,
+            scholarship_amount: input.scholarship_amount ?? null,
+            decided_at: input.decided_at ?? null,
+            notes: input.notes ?? null,
+            predicted_score: prediction?.totalScore ?? null,
+            predicted_category: prediction?.category ?? null,
+            weight_profile: prediction?.weightProfile ?? null,
+            score_breakdown: prediction?.breakdown ?? null,
+            predicted_at: prediction?.predictedAt ?? null,
+            country: lock.university?.country ?? null,
+            target_degree: prediction?.targetDegree ?? null,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'lock_id' })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    await logActivity(userId, 'ADMISSION_OUTCOME', lock.university_id, {
+        university_name: lock.university?.name,
+        outcome: input.outcome,
+        scholarship_amount: input.scholarship_amount ?? null,
+        predicted_category: prediction?.category ?? null
+    });
+
+    console.log(`🎓 Outcome ${input.outcome} recorded for ${lock.university?.name} (predicted ${prediction?.category || 'n/a'})`);
+    return data;
+}
+
+/**
+ * A user's recorded outcomes, newest first
+ */
+async function listOutcomes(userId) {
+    const { data, error } = await supabase
+        .from('admission_outcomes')
+        .select('*, university:universities(id, name, country)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function deleteOutcome(userId, lockId) {
+    const lock = await getUserLock(userId, lockId);
+
+    const { error } = await supabase
+        .from('admission_outcomes')
+        .delete()
+        .eq('user_id', userId)
+        .eq('lock_id', lock.id);
+
+    if (error) throw error;
+}
+
+module.exports = {
+    OUTCOMES,
+    recordOutcome,
+    listOutcomes,
+    deleteOutcome
+};
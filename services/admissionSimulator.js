@@ -0,0 +1,336 @@
+const supabase = require('../database/supabase');
+const { httpError } = require('../utils/httpError');
+const { calculateAcceptanceScore, COMPONENTS } = require('../utils/acceptanceScore');
+const { GRADE_SCALES, normalizeGrade } = require('../utils/gradeConversion');
+const { TESTS, TEST_FIELDS, ADMISSION_TEST_FIELDS, getEnglishProficiency } = require('../utils/testScores');
+const { validateProfileUpdate } = require('./profileService');
+const { getActivePlanId } = require('./planService');
+
+/**
+ * "What if" admission simulator
+ * Re-scores the student's shortlisted and locked universities with hypothetical profile
+ * overrides ("GRE 325 instead of 310") using the admission scoring engine, and for every
+ * school that is still DREAM looks for the smallest improvements that make it a TARGET.
+ *
+ * Improvements are searched one lever at a time (GPA, each test, SOP, budget) in the
+ * smallest steps the lever allows. Effort is the share of the lever's range the change
+ * uses, so "+5 GRE" and "+0.5 IELTS" can be compared. If no single lever is enough, a
+ * combined plan is built greedily from the step with the most score per effort.
+ */
+
+const SIMULATOR_CONFIG = {
+    MAX_IMPROVEMENTS: 3,
+    MAX_COMBINED_STEPS: 60
+};
+
+// UK classes from lowest to highest
+const UK_CLASS_ORDER = ['PASS', 'THIRD', 'LOWER_SECOND', 'UPPER_SECOND', 'FIRST'];
+
+const GRADE_STEPS = { GPA_4: 0.1, CGPA_10: 0.1, PERCENTAGE: 1, GERMAN: -0.1 };
+
+const round = (value, step) => {
+    const decimals = Math.abs(step) < 1 ? 1 : 0;
+    return Number(value.toFixed(decimals));
+};
+
+/**
+ * Values a numeric field can step through, from its current value up to max
+ */
+function numericSteps({ current, min, max, step }) {
+    const values = [];
+    const start = current ?? min;
+    for (let value = start + step; step > 0 ? value <= max + 1e-9 : value >= max - 1e-9; value += step) {
+        values.push(round(value, step));
+    }
+    return values;
+}
+
+/**
+ * Levers the student can pull, each with candidate changes in increasing order
+ * A candidate is { updates, to, effort } where effort is 0-1 (share of the lever's range)
+ */
+const LEVERS = {
+    gpa: (profile) => {
+        const scale = profile.gpa_scale || 'GPA_4';
+        if (profile.gpa_original === undefined || profile.gpa_original === null) return [];
+
+        if (scale === 'UK_CLASS') {
+            const index = UK_CLASS_ORDER.indexOf(profile.gpa_original);
+            return UK_CLASS_ORDER.slice(index + 1).map((grade, offset) => ({
+                updates: { gpa_original: grade, gpa_scale: scale },
+                to: grade,
+                effort: (offset + 1) / (UK_CLASS_ORDER.length - 1)
+            }));
+        }
+
+        const { min, max } = GRADE_SCALES[scale];
+        const step = GRADE_STEPS[scale];
+        const current = Number(profile.gpa_original);
+        const best = step > 0 ? max : min;
+
+        return numericSteps({ current, min, max: best, step }).map(value => ({
+            updates: { gpa_original: value, gpa_scale: scale },
+            to: value,
+            effort: Math.abs(value - current) / (max - min)
+        }));
+    },
+
+    // One lever per test (see utils/testScores.js)
+    ...Object.fromEntries(TEST_FIELDS.map(field => [
+        field,
+        (profile) => testSteps(profile, field, TESTS[field], offerTest(field, profile))
+    ])),
+
+    sop_status: (profile) => {
+        const order = ['NOT_STARTED', 'DRAFT', 'READY'];
+        const index = Math.max(order.indexOf(profile.sop_status || 'NOT_STARTED'), 0);
+        return order.slice(index + 1).map((status, offset) => ({
+            updates: { sop_status: status },
+            to: status,
+            effort: (offset + 1) / (order.length - 1) * 0.5 // writing an SOP is in the student's hands
+        }));
+    },
+
+    budget_max: (profile, university) => {
+        if (!profile.budget_max || !university.tuition_estimate || university.tuition_estimate <= profile.budget_max) {
+            return [];
+        }
+        return [{
+            updates: { budget_max: university.tuition_estimate },
+            to: university.tuition_estimate,
+            effort: Math.min((university.tuition_estimate - profile.budget_max) / profile.budget_max, 1)
+        }];
+    }
+};
+
+/**
+ * Whether to suggest taking a test the student has no score for
+ * Only the usual one per gap: IELTS for English, GRE / GMAT / SAT by target degree
+ */
+function offerTest(field, profile) {
+    if (profile[field]) return false;
+    const hasAdmissionTest = ADMISSION_TEST_FIELDS.some(test => profile[test]);
+
+    switch (field) {
+        case 'ielts_score': return !getEnglishProficiency(profile);
+        case 'gre_score': return !hasAdmissionTest && !['MBA', 'Bachelors'].includes(profile.target_degree);
+        case 'gmat_score': return !hasAdmissionTest && profile.target_degree === 'MBA';
+        case 'sat_score': return !hasAdmissionTest && profile.target_degree === 'Bachelors';
+        default: return false;
+    }
+}
+
+/**
+ * Steps for a test score the student has, or for taking the test if `offerNew`
+ */
+function testSteps(profile, field, { min, max, step }, offerNew) {
+    const current = profile[field];
+    if (!current && !offerNew) return [];
+
+    // A test not taken yet starts from the middle of the range and costs extra effort
+    const start = current || (min + max) / 2 - step;
+    const extraEffort = current ? 0 : 0.5;
+
+    return numericSteps({ current: start, min, max, step }).map(value => ({
+        updates: { [field]: value },
+        to: value,
+        effort: Math.min((value - (current || min)) / (max - min) / 2 + extraEffort, 1)
+    }));
+}
+
+// gpa follows gpa_original when the simulator changes the grade
+function applyUpdates(profile, updates) {
+    const next = { ...profile, ...updates };
+    if (updates.gpa_original !== undefined) {
+        next.gpa = normalizeGrade(updates.gpa_original, updates.gpa_scale || profile.gpa_scale || 'GPA_4').gpa;
+    }
+    return next;
+}
+
+const reachesTarget = (score) => score.category !== 'DREAM';
+
+function describeChange(field, from, to) {
+    return { field, from: from ?? null, to };
+}
+
+/**
+ * Smallest single-lever changes that move a DREAM school to TARGET (or better)
+ * Falls back to a greedy combined plan if no single lever is enough
+ */
+function findImprovements(profile, university) {
+    const options = [];
+
+    Object.entries(LEVERS).forEach(([lever, candidatesFor]) => {
+        const candidate = candidatesFor(profile, university).find(option =>
+            reachesTarget(calculateAcceptanceScore(applyUpdates(profile, option.updates), university))
+        );
+        if (!candidate) return;
+
+        const score = calculateAcceptanceScore(applyUpdates(profile, candidate.updates), university);
+        const field = lever === 'gpa' ? 'gpa_original' : lever;
+        options.push({
+            changes: [describeChange(field, profile[field], candidate.to)],
+            effort: Math.round(candidate.effort * 100) / 100,
+            new_score: score.totalScore,
+            new_category: score.category
+        });
+    });
+
+    if (options.length > 0) {
+        return options
+            .sort((a, b) => a.effort - b.effort)
+            .slice(0, SIMULATOR_CONFIG.MAX_IMPROVEMENTS);
+    }
+
+    const combined = findCombinedPlan(profile, university);
+    return combined ? [combined] : [];
+}
+
+/**
+ * Greedy plan over several levers: always take the next step with the best score gain per effort
+ */
+function findCombinedPlan(profile, university) {
+    let current = profile;
+    let score = calculateAcceptanceScore(current, university);
+    const taken = {}; // lever -> { field, from, to, effort }
+
+    for (let i = 0; i < SIMULATOR_CONFIG.MAX_COMBINED_STEPS && !reachesTarget(score); i++) {
+        let best = null;
+
+        Object.entries(LEVERS).forEach(([lever, candidatesFor]) => {
+            const next = candidatesFor(current, university)[0];
+            if (!next) return;
+
+            const nextScore = calculateAcceptanceScore(applyUpdates(current, next.updates), university);
+            const gain = nextScore.totalScore - score.totalScore;
+            // Candidates are relative to the current plan, so next.effort is this step's effort
+            const ratio = gain / Math.max(next.effort, 0.001);
+            if (gain > 0 && (!best || ratio > best.ratio)) {
+                best = { lever, next, nextScore, ratio };
+            }
+        });
+
+        if (!best) return null;
+
+        const field = best.lever === 'gpa' ? 'gpa_original' : best.lever;
+        taken[best.lever] = {
+            field,
+            from: taken[best.lever]?.from ?? profile[field],
+            to: best.next.to,
+            effort: (taken[best.lever]?.effort || 0) + best.next.effort
+        };
+        current = applyUpdates(current, best.next.updates);
+        score = best.nextScore;
+    }
+
+    if (!reachesTarget(score)) return null;
+
+    const steps = Object.values(taken);
+    return {
+        changes: steps.map(step => describeChange(step.field, step.from, step.to)),
+        effort: Math.round(steps.reduce((sum, step) => sum + step.effort, 0) * 100) / 100,
+        new_score: score.totalScore,
+        new_category: score.category
+    };
+}
+
+/**
+ * Shortlisted and locked universities (each once)
+ */
+async function loadUniversities(userId) {
+    const planId = await getActivePlanId(userId);
+    const [shortlistRes, locksRes] = await Promise.all([
+        supabase.from('user_shortlists').select('category, university:universities(*)').eq('user_id', userId).eq('plan_id', planId),
+        supabase.from('university_locks').select('id, university:universities(*)').eq('user_id', userId).eq('plan_id', planId).is('unlocked_at', null)
+    ]);
+
+    if (shortlistRes.error) throw shortlistRes.error;
+    if (locksRes.error) throw locksRes.error;
+
+    const byId = new Map();
+    (shortlistRes.data || []).forEach(item => {
+        if (!item.university) return;
+        byId.set(item.university.id, { university: item.university, shortlisted: true, locked: false, shortlist_category: item.category });
+    });
+    (locksRes.data || []).forEach(lock => {
+        if (!lock.university) return;
+        const entry = byId.get(lock.university.id) || { university: lock.university, shortlisted: false, shortlist_category: null };
+        byId.set(lock.university.id, { ...entry, locked: true });
+    });
+
+    return [...byId.values()];
+}
+
+/**
+ * Run a what-if simulation
+ * @param {object} overrides - hypothetical profile values (same rules as PATCH /api/profile)
+ * @returns {Promise<object>} { overrides, summary, universities }
+ */
+async function simulateWhatIf(userId, overrides = {}) {
+    const { data: profile, error } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!profile) throw httpError('Create your profile before running a simulation', 404);
+
+    const { value, fieldErrors } = validateProfileUpdate(overrides, profile);
+    if (fieldErrors) {
+        throw httpError(Object.values(fieldErrors)[0], 400, fieldErrors);
+    }
+
+    const hypothetical = { ...profile, ...value };
+    const entries = await loadUniversities(userId);
+
+    const universities = entries.map(({ university, shortlisted, locked, shortlist_category }) => {
+        const before = calculateAcceptanceScore(profile, university);
+        const after = calculateAcceptanceScore(hypothetical, university);
+
+        return {
+            university: {
+                id: university.id,
+                name: university.name,
+                country: university.country
+            },
+            shortlisted,
+            locked,
+            shortlist_category,
+            before: { score: before.totalScore, category: before.category },
+            after: { score: after.totalScore, category: after.category },
+            delta: after.totalScore - before.totalScore,
+            category_changed: before.category !== after.category,
+            component_deltas: Object.fromEntries(COMPONENTS.map(component => [
+                component,
+                Math.round((after.breakdown[component].score - before.breakdown[component].score) * 10) / 10
+            ])),
+            weight_profile: after.weightProfile,
+            improvements_to_target: after.category === 'DREAM' ? findImprovements(hypothetical, university) : []
+        };
+    }).sort((a, b) => b.delta - a.delta);
+
+    const countBy = (key) => universities.reduce((counts, item) => {
+        counts[item[key].category] = (counts[item[key].category] || 0) + 1;
+        return counts;
+    }, {});
+
+    return {
+        overrides: value,
+        summary: {
+            universities: universities.length,
+            improved: universities.filter(item => item.delta > 0).length,
+            worsened: universities.filter(item => item.delta < 0).length,
+            category_changes: universities.filter(item => item.category_changed).length,
+            categories_before: countBy('before'),
+            categories_after: countBy('after')
+        },
+        universities
+    };
+}
+
+module.exports = {
+    SIMULATOR_CONFIG,
+    simulateWhatIf,
+    findImprovements
+};
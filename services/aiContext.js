@@ -1,24 +1,37 @@
 const supabase = require('../database/supabase');
 const { getRecentActivities } = require('./activityTracker');
+const { getComparableGpa, formatGrade } = require('../utils/gradeConversion');
+const { getEnglishProficiency, checkTestValidity } = require('../utils/testScores');
+const { summarizeExperience, formatExperience } = require('../utils/applicantExperience');
+const { calculateAcceptanceScore, categorizeUniversity } = require('../utils/acceptanceScore');
+const { getActivePlan, listPlans } = require('./planService');
 
 /**
  * Build comprehensive user context for AI
  * Includes profile, locks, shortlist, tasks, and recent activities
+ * Locks, shortlist and tasks are those of the active application plan
  */
 async function buildUserContext(userId) {
     try {
+        const plan = await getActivePlan(userId);
+
         // Fetch all user data in parallel
-        const [profileRes, locksRes, shortlistRes, tasksRes, activities] = await Promise.all([
+        const [profileRes, locksRes, shortlistRes, tasksRes, activities, plans] = await Promise.all([
             supabase.from('profiles').select('*').eq('user_id', userId).single(),
-            supabase.from('university_locks').select('*, university:universities(*)').eq('user_id', userId).is('unlocked_at', null),
-            supabase.from('user_shortlists').select('*, university:universities(*)').eq('user_id', userId),
-            supabase.from('tasks').select('*').eq('user_id', userId),
-            getRecentActivities(userId, 20)
+            supabase.from('university_locks').select('*, university:universities(*)').eq('user_id', userId).eq('plan_id', plan.id).is('unlocked_at', null),
+            supabase.from('user_shortlists').select('*, university:universities(*)').eq('user_id', userId).eq('plan_id', plan.id),
+            supabase.from('tasks').select('*').eq('user_id', userId).eq('plan_id', plan.id),
+            getRecentActivities(userId, 20),
+            listPlans(userId)
         ]);
 
         const profile = profileRes.data || {};
         const locks = locksRes.data || [];
-        const shortlist = shortlistRes.data || [];
+        // Engine score next to each shortlisted university, so the counsellor and the UI agree
+        const shortlist = (shortlistRes.data || []).map(item => ({
+            ...item,
+            admission: item.university ? compactScore(calculateAcceptanceScore(profile, item.university)) : null
+        }));
         const tasks = tasksRes.data || [];
 
         // Calculate stage
@@ -32,31 +45,48 @@ async function buildUserContext(userId) {
 
         return {
             profile,
+            plan: { id: plan.id, name: plan.name },
+            otherPlans: plans.filter(other => other.id !== plan.id).map(other => ({
+                id: other.id,
+                name: other.name,
+                target_degree: other.target_degree,
+                preferred_countries: other.preferred_countries
+            })),
             locks,
             shortlist,
             tasks,
             activities,
             stage,
             profileStrength,
+            experience: summarizeExperience(profile),
             gaps: identifyProfileGaps(profile),
+            testValidity: checkTestValidity(profile, { locks }),
             momentum
         };
     } catch (error) {
         console.error('Error building user context:', error);
         return {
             profile: {},
+            plan: null,
+            otherPlans: [],
             locks: [],
             shortlist: [],
             tasks: [],
             activities: [],
             stage: 1,
             profileStrength: { strengths: [], weaknesses: [], score: 0 },
+            experience: summarizeExperience({}),
             gaps: [],
+            testValidity: [],
             momentum: { actionsThisWeek: 0, lastAction: null, momentum: 'LOW' }
         };
     }
 }
 
+function compactScore(score) {
+    return { score: score.totalScore, category: score.category, weight_profile: score.weightProfile };
+}
+
 /**
  * Analyze profile strengths and weaknesses
  */
@@ -65,25 +95,26 @@ function analyzeProfileStrength(profile) {
     const weaknesses = [];
     let score = 0;
 
-    // GPA Analysis (20 points)
-    if (profile.gpa) {
-        if (profile.gpa >= 3.7) {
-            strengths.push("Strong GPA (3.7+)");
+    // GPA Analysis (20 points), thresholds on the 4.0 scale
+    const gpa = getComparableGpa(profile);
+    if (gpa) {
+        if (gpa >= 3.7) {
+            strengths.push(`Strong GPA (${formatGrade(profile)})`);
             score += 20;
-        } else if (profile.gpa >= 3.3) {
-            strengths.push("Good GPA (3.3-3.7)");
+        } else if (gpa >= 3.3) {
+            strengths.push(`Good GPA (${formatGrade(profile)})`);
             score += 15;
-        } else if (profile.gpa >= 3.0) {
+        } else if (gpa >= 3.0) {
             score += 10;
         } else {
-            weaknesses.push("Low GPA (< 3.0)");
+            weaknesses.push(`Low GPA (${formatGrade(profile)})`);
             score += 5;
         }
     } else {
         weaknesses.push("GPA not provided");
     }
 
-    // GRE Score (20 points)
+    // GRE (or SAT/ACT for bachelors) Score (20 points)
     if (profile.gre_score) {
         if (profile.gre_score >= 320) {
             strengths.push("Excellent GRE (320+)");
@@ -94,29 +125,37 @@ function analyzeProfileStrength(profile) {
         } else {
             score += 10;
         }
+    } else if (profile.target_degree === 'Bachelors' && (profile.sat_score || profile.act_score)) {
+        // SAT 1400+ / ACT 31+ are strong, 1250+ / 27+ good
+        if (profile.sat_score >= 1400 || profile.act_score >= 31) {
+            strengths.push(profile.sat_score ? `Excellent SAT (${profile.sat_score})` : `Excellent ACT (${profile.act_score})`);
+            score += 20;
+        } else if (profile.sat_score >= 1250 || profile.act_score >= 27) {
+            score += 15;
+        } else {
+            score += 10;
+        }
     } else if (profile.target_degree === 'Masters' || profile.target_degree === 'PhD') {
         weaknesses.push("GRE score missing");
     }
 
-    // English Test (20 points)
-    if (profile.ielts_score) {
-        if (profile.ielts_score >= 7.5) {
-            strengths.push("Excellent IELTS (7.5+)");
-            score += 20;
-        } else if (profile.ielts_score >= 6.5) {
-            score += 15;
-        }
-    } else if (profile.toefl_score) {
-        if (profile.toefl_score >= 100) {
-            strengths.push("Excellent TOEFL (100+)");
+    // English Test (20 points), any English test on the IELTS band scale
+    const english = getEnglishProficiency(profile);
+    if (english) {
+        const result = english.field === 'ielts_score' ? `IELTS ${english.score}` : `${english.label} ${english.score}, ≈IELTS ${english.band}`;
+        if (english.band >= 7.5) {
+            strengths.push(`Excellent English (${result})`);
             score += 20;
-        } else if (profile.toefl_score >= 90) {
+        } else if (english.band >= 6.5) {
             score += 15;
         }
     } else {
         weaknesses.push("English proficiency test missing");
     }
 
+    // Experience (no points, the scoring engine weighs it per degree)
+    analyzeExperience(profile, strengths, weaknesses);
+
     // Profile Completeness (20 points)
     if (profile.profile_complete) {
         score += 20;
@@ -145,6 +184,28 @@ function analyzeProfileStrength(profile) {
     return { strengths, weaknesses, score };
 }
 
+/**
+ * Strengths and weaknesses from work, research and activities, by what the target degree values
+ */
+function analyzeExperience(profile, strengths, weaknesses) {
+    const experience = summarizeExperience(profile);
+    const listed = formatExperience(profile, experience);
+
+    if (profile.target_degree === 'MBA') {
+        if (experience.work_years >= 3) strengths.push(`Solid work experience (${experience.work_years} years)`);
+        else weaknesses.push(`Limited work experience for an MBA (${experience.work_years} years, most admits have 3+)`);
+    } else if (profile.target_degree === 'PhD') {
+        if (experience.peer_reviewed > 0) strengths.push(`Research output (${listed})`);
+        else if (experience.research_months > 0) strengths.push(`Research experience (${experience.research_months} months)`);
+        else weaknesses.push("No research experience or publications listed");
+    } else if (listed !== 'None listed') {
+        if (experience.work_years >= 1 || experience.internship_months >= 3 || experience.peer_reviewed > 0 ||
+            experience.leadership_roles > 0 || ['INTERNATIONAL', 'NATIONAL'].includes(experience.top_award_level)) {
+            strengths.push(`Experience beyond academics (${listed})`);
+        }
+    }
+}
+
 /**
  * Identify critical gaps in user's profile
  */
@@ -155,14 +216,22 @@ function identifyProfileGaps(profile) {
         gaps.push({ type: 'CRITICAL', message: 'Complete your profile first' });
     }
 
-    if (!profile.ielts_score && !profile.toefl_score) {
-        gaps.push({ type: 'CRITICAL', message: 'Take IELTS or TOEFL test' });
+    if (!getEnglishProficiency(profile)) {
+        gaps.push({ type: 'CRITICAL', message: 'Take an English test (IELTS, TOEFL, PTE, Duolingo or Cambridge)' });
     }
 
     if ((profile.target_degree === 'Masters' || profile.target_degree === 'PhD') && !profile.gre_score) {
         gaps.push({ type: 'IMPORTANT', message: 'Consider taking GRE for better chances' });
     }
 
+    const experience = summarizeExperience(profile);
+    if (profile.target_degree === 'MBA' && experience.work_years === 0) {
+        gaps.push({ type: 'IMPORTANT', message: 'Add your work experience (MBA programs weigh it heavily)' });
+    }
+    if (profile.target_degree === 'PhD' && experience.research_months === 0 && experience.publications === 0) {
+        gaps.push({ type: 'IMPORTANT', message: 'Add research experience and publications (key for PhD admission)' });
+    }
+
     if (profile.sop_status === 'NOT_STARTED') {
         gaps.push({ type: 'IMPORTANT', message: 'Start drafting your SOP' });
     }
@@ -215,47 +284,6 @@ function calculateMomentum(activities) {
     };
 }
 
-/**
- * Categorize university as DREAM/TARGET/SAFE
- * Based on user's profile vs university requirements
- */
-function categorizeUniversity(university, userProfile) {
-    let acceptanceScore = 50; // Base score
-
-    // GPA matching
-    if (university.avg_gpa && userProfile.gpa) {
-        if (userProfile.gpa >= university.avg_gpa + 0.3) {
-            acceptanceScore += 20;
-        } else if (userProfile.gpa >= university.avg_gpa) {
-            acceptanceScore += 10;
-        } else if (userProfile.gpa < university.avg_gpa - 0.3) {
-            acceptanceScore -= 20;
-        } else {
-            acceptanceScore -= 10;
-        }
-    }
-
-    // Test scores
-    if (userProfile.gre_score) {
-        if (userProfile.gre_score >= 320) acceptanceScore += 10;
-        else if (userProfile.gre_score < 300) acceptanceScore -= 10;
-    }
-
-    // Budget fit
-    if (university.tuition_estimate && userProfile.budget_max) {
-        if (university.tuition_estimate <= userProfile.budget_max) {
-            acceptanceScore += 10;
-        } else {
-            acceptanceScore -= 15; // Over budget is risky
-        }
-    }
-
-    // Determine category
-    if (acceptanceScore >= 70) return 'SAFE';
-    if (acceptanceScore >= 40) return 'TARGET';
-    return 'DREAM';
-}
-
 /**
  * Generate recommendation reasoning
  */
@@ -265,10 +293,11 @@ function generateRecommendationReason(university, userProfile, category, accepta
     const strengths = [];
 
     // GPA comparison
-    if (university.avg_gpa && userProfile.gpa) {
-        const diff = userProfile.gpa - university.avg_gpa;
+    const gpa = getComparableGpa(userProfile);
+    if (university.avg_gpa && gpa) {
+        const diff = gpa - university.avg_gpa;
         if (diff >= 0.3) {
-            strengths.push(`Your GPA (${userProfile.gpa}) exceeds their average`);
+            strengths.push(`Your GPA (${formatGrade(userProfile)}) exceeds their average`);
         } else if (diff >= 0) {
             strengths.push(`GPA matches well`);
         } else if (diff >= -0.3) {
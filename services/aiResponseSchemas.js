@@ -0,0 +1,213 @@
+const Joi = require('joi');
+const { TEST_FIELDS, TEST_DATE_FIELDS } = require('../utils/testScores');
+const { profileUpdateSchema } = require('./profileSchemas');
+
+/**
+ * Joi schemas for structured LLM output
+ * Every AI response is checked against the schema for its mode before it
+ * reaches the frontend or /api/ai/execute-action.
+ */
+
+const CATEGORY = Joi.string().valid('DREAM', 'TARGET', 'SAFE');
+
+// Profile fields the onboarding assistant is allowed to fill
+const ONBOARDING_FIELDS = [
+    'education_level', 'degree_major', 'grad_year', 'gpa', 'gpa_original', 'gpa_scale',
+    'target_degree', 'field_of_study', 'intake_year', 'preferred_countries',
+    'budget_min', 'budget_max', 'funding_plan',
+    ...TEST_FIELDS, 'cambridge_exam', ...TEST_DATE_FIELDS,
+    'sop_status'
+];
+
+// Profile fields a CV / transcript import may propose ("gpa" carries gpa_original + gpa_scale)
+const PROFILE_IMPORT_FIELDS = [
+    'education_level', 'degree_major', 'grad_year', 'gpa',
+    ...TEST_FIELDS, 'cambridge_exam', ...TEST_DATE_FIELDS,
+    'work_experience'
+];
+
+// Payload schema per action type
+const ACTION_PAYLOAD_SCHEMAS = {
+    SUGGEST_SHORTLIST: Joi.object({
+        univ_external_id: Joi.string().trim().min(2).max(500).required(),
+        country: Joi.string().trim().max(100).required(),
+        category: CATEGORY.default('TARGET')
+    }),
+    CREATE_TASK: Joi.object({
+        title: Joi.string().trim().min(1).max(500).required(),
+        description: Joi.string().allow('', null),
+        due_date: Joi.date().iso().raw().allow(null),
+        related_university_id: Joi.string().guid().allow(null)
+    }),
+    RECOMMEND_LOCK: Joi.object({
+        university_id: Joi.string().trim().min(1).required(),
+        reason: Joi.string().allow('')
+    }),
+    // Same rules as PATCH /api/profile; unknown or invalid fields are reported, not stripped
+    UPDATE_ONBOARDING_STATE: Joi.object(
+        Object.fromEntries(ONBOARDING_FIELDS.map(field => [field, profileUpdateSchema.extract(field)]))
+    )
+        .min(1)
+        .prefs({ stripUnknown: false, noDefaults: true })
+};
+
+const ACTION_TYPES = Object.keys(ACTION_PAYLOAD_SCHEMAS);
+
+const actionSchema = Joi.object({
+    type: Joi.string().valid(...ACTION_TYPES).required(),
+    payload: Joi.when('type', {
+        switch: ACTION_TYPES.map(type => ({ is: type, then: ACTION_PAYLOAD_SCHEMAS[type].required() }))
+    })
+});
+
+const onboardingResponseSchema = Joi.object({
+    text: Joi.string().trim().min(1).required(),
+    suggested_options: Joi.object({
+        type: Joi.string().valid('single', 'multi').required(),
+        values: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.number())).required()
+    }).allow(null),
+    actions: Joi.array().items(actionSchema).default([])
+}).unknown(true);
+
+// Onboarding answer parser output (the questions themselves come from onboardingFlow.js)
+// Values are checked against the profile rules by onboardingFlow.js, which re-asks for invalid ones
+const onboardingParseSchema = Joi.object({
+    updates: Joi.object()
+        .pattern(
+            Joi.string().valid(...ONBOARDING_FIELDS),
+            Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.array().items(Joi.string()), null)
+        )
+        .default({}),
+    skipped: Joi.array().items(Joi.string()).default([])
+}).unknown(true);
+
+// Profile import output; values are checked against the profile schema by profileImport.js
+const profileImportProposalSchema = Joi.object({
+    field: Joi.string().valid(...PROFILE_IMPORT_FIELDS).required(),
+    value: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.object()).required(),
+    confidence: Joi.number().min(0).max(1).default(0.5),
+    source: Joi.string().trim().max(500).allow('').default('')
+});
+
+const profileImportSchema = Joi.object({
+    proposals: Joi.array().max(60).default([])
+}).unknown(true);
+
+const counsellorResponseSchema = Joi.object({
+    text: Joi.string().trim().min(1).required(),
+    tone: Joi.string().valid('ENCOURAGING', 'CHALLENGING', 'CELEBRATING', 'NUDGING'),
+    reasoning: Joi.object().pattern(Joi.string(), Joi.string().allow('')),
+    recommendations: Joi.array().items(Joi.object({
+        university: Joi.string().required(),
+        category: CATEGORY.required(),
+        acceptanceChance: Joi.number().min(0).max(100),
+        reasoning: Joi.string().allow(''),
+        risks: Joi.array().items(Joi.string()),
+        strengths: Joi.array().items(Joi.string())
+    })).default([]),
+    actions: Joi.array().items(actionSchema).default([]),
+    nextSteps: Joi.array().items(Joi.string()).default([])
+}).unknown(true);
+
+const searchFiltersSchema = Joi.object({
+    name: Joi.string().trim().allow('', null).default(null),
+    countries: Joi.array().items(Joi.string().trim()).max(5).default([]),
+    min_tuition: Joi.number().min(0).allow(null).default(null),
+    max_tuition: Joi.number().min(0).allow(null).default(null),
+    min_acceptance_rate: Joi.number().min(0).max(100).allow(null).default(null),
+    max_rank: Joi.number().integer().min(1).allow(null).default(null),
+    field_of_study: Joi.string().allow('', null).default(null),
+    target_degree: Joi.string().valid('Bachelors', 'Masters', 'MBA', 'PhD').allow(null).default(null),
+    test_scores: Joi.object({
+        ielts_score: Joi.number().min(0).max(9),
+        toefl_score: Joi.number().integer().min(0).max(120),
+        gre_score: Joi.number().integer().min(260).max(340),
+        gmat_score: Joi.number().integer().min(200).max(800),
+        pte_score: Joi.number().integer().min(10).max(90),
+        duolingo_score: Joi.number().integer().min(10).max(160),
+        cambridge_score: Joi.number().integer().min(80).max(230),
+        sat_score: Joi.number().integer().min(400).max(1600),
+        act_score: Joi.number().integer().min(1).max(36)
+    }).default({}),
+    sort_by: Joi.string().valid('match', 'tuition', 'rank', 'acceptance_rate').default('match')
+});
+
+const searchResponseSchema = Joi.object({
+    text: Joi.string().trim().min(1).required(),
+    filters: searchFiltersSchema.required(),
+    actions: Joi.array().items(actionSchema).default([])
+}).unknown(true);
+
+const RESPONSE_SCHEMAS = {
+    ONBOARDING: onboardingResponseSchema,
+    COUNSELLOR: counsellorResponseSchema,
+    SEARCH: searchResponseSchema
+};
+
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true };
+
+function formatErrors(error) {
+    return error.details.map(d => `${d.path.join('.') || 'response'}: ${d.message}`);
+}
+
+/**
+ * Validate a full AI response for a mode (modes without their own schema use COUNSELLOR)
+ * @returns {{ valid: boolean, value: object, errors: string[] }}
+ */
+function validateAIResponse(mode, response) {
+    const schema = RESPONSE_SCHEMAS[mode] || RESPONSE_SCHEMAS.COUNSELLOR;
+    const { error, value } = schema.validate(response, VALIDATION_OPTIONS);
+    return { valid: !error, value, errors: error ? formatErrors(error) : [] };
+}
+
+/**
+ * Validate onboarding parser output
+ * @returns {{ valid: boolean, value: object, errors: string[] }}
+ */
+function validateOnboardingParse(response) {
+    const { error, value } = onboardingParseSchema.validate(response, VALIDATION_OPTIONS);
+    return { valid: !error, value, errors: error ? formatErrors(error) : [] };
+}
+
+/**
+ * Validate profile import output
+ * Malformed proposals are dropped (and listed in errors) so one bad entry keeps the rest
+ * @returns {{ valid: boolean, value: object, errors: string[] }}
+ */
+function validateProfileImport(response) {
+    const { error, value } = profileImportSchema.validate(response, VALIDATION_OPTIONS);
+    if (error) return { valid: false, value, errors: formatErrors(error) };
+
+    const errors = [];
+    const proposals = value.proposals.map((proposal, index) => {
+        const result = profileImportProposalSchema.validate(proposal, VALIDATION_OPTIONS);
+        if (result.error) {
+            errors.push(...formatErrors(result.error).map(message => `proposals.${index}.${message}`));
+            return null;
+        }
+        return result.value;
+    }).filter(Boolean);
+
+    return { valid: true, value: { ...value, proposals }, errors };
+}
+
+/**
+ * Validate a single action (type + payload)
+ * @returns {{ valid: boolean, value: object, errors: string[] }}
+ */
+function validateAction(action) {
+    const { error, value } = actionSchema.validate(action, VALIDATION_OPTIONS);
+    return { valid: !error, value, errors: error ? formatErrors(error) : [] };
+}
+
+module.exports = {
+    validateAIResponse,
+    validateAction,
+    validateOnboardingParse,
+    validateProfileImport,
+    ACTION_TYPES,
+    ONBOARDING_FIELDS,
+    PROFILE_IMPORT_FIELDS,
+    ACTION_PAYLOAD_SCHEMAS,
+    searchFiltersSchema
+};
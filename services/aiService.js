@@ -1,421 +1,384 @@
-const axios = require('axios');
-const { GoogleGenAI } = require('@google/genai');
+const { callGemini } = require('./providers/geminiProvider');
+const { callGroq } = require('./providers/groqProvider');
+const { LLM_FEATURES, getProvider, getProviderChain } = require('./providers');
+const { createTextFieldStreamer } = require('./providers/parseResponse');
+const { validateAIResponse, validateAction } = require('./aiResponseSchemas');
+const { checkQuota, recordUsage } = require('./usageMeter');
+const { renderPrompt } = require('./prompts');
+
+// How many times to re-prompt the model when its output fails schema validation
+const AI_REPAIR_ATTEMPTS = Number.isNaN(parseInt(process.env.AI_REPAIR_ATTEMPTS, 10))
+    ? 1
+    : parseInt(process.env.AI_REPAIR_ATTEMPTS, 10);
+
+const FALLBACK_TEXT = "Sorry, I couldn't put together a proper answer just now. Could you rephrase or ask again?";
+const QUOTA_EXCEEDED_TEXT = "You've reached your AI usage limit for now. Please try again later.";
 
-// Initialize API keys
-// Initialize API keys (Support multiple keys for rotation)
-const getKeys = (envVar) => {
-    return (process.env[envVar] || '').split(',').map(k => k.trim()).filter(k => k.length > 0);
-};
+/**
+ * Flatten a request into one string for usage estimation
+ */
+function promptTextFor(messages, systemPrompt) {
+    return `${systemPrompt}\n${messages.map(m => m.content).join('\n')}`;
+}
 
-const GEMINI_API_KEYS = getKeys('GEMINI_API_KEYS');
-const GROQ_API_KEYS = getKeys('GROQ_API_KEYS');
+/**
+ * Tag a response with the prompt version that produced it ({ id, version } from renderPrompt)
+ * Array responses (batch prompts) are left untouched
+ */
+function withPromptMeta(response, prompt) {
+    if (!prompt || !response || typeof response !== 'object' || Array.isArray(response)) return response;
+    return { ...response, _prompt: { id: prompt.id, version: prompt.version } };
+}
 
 /**
- * Call Gemini 1.5 Flash (Primary - Stable SDK)
- * Using @google/generative-ai
+ * Main AI reasoning function
+ * Supports toggling between Gemini and Groq as primary
+ * The provider chain can be overridden per environment with LLM_PROVIDER (e.g. MOCK)
+ * Pass options.prompt (from renderPrompt) to record the prompt version with the response
  */
-async function callGemini(messages, systemPrompt, preferredModel = 'gemini-2.5-flash') {
-    if (!GEMINI_API_KEYS || GEMINI_API_KEYS.length === 0) {
-        throw new Error('GEMINI_API_KEYS not configured');
+async function getLLMResponse(messages, systemPrompt, options = { provider: 'GROQ', model: 'gemini-2.5-flash' }) {
+    // Handle legacy string argument if passed
+    const provider = typeof options === 'string' ? options : (options.provider || 'GROQ');
+    const preferredModel = typeof options === 'object' ? options.model : 'gemini-2.5-flash';
+    const feature = typeof options === 'object' ? options.feature : undefined;
+    const userId = typeof options === 'object' ? options.userId : undefined;
+    const prompt = typeof options === 'object' ? options.prompt : undefined;
+
+    // Enforce per-user quotas before spending tokens
+    const quota = await checkQuota(userId);
+    if (!quota.allowed) {
+        console.warn(`⛔ LLM quota exceeded for user ${userId} (${feature}): ${quota.reason}`);
+        return { text: QUOTA_EXCEEDED_TEXT, error: true, quotaExceeded: true };
     }
 
-    const fallbackModel = preferredModel === 'gemini-2.5-flash' ? 'gemini-2.5-flash-lite' : 'gemini-2.5-flash';
-    const modelsToTry = [preferredModel, fallbackModel];
-
-    let lastError = null;
-
-    // We'll try user's preferred model first with all keys, then fallback model with all keys
-    for (const modelName of modelsToTry) {
-        console.log(`🤖 Trying Gemini Model: ${modelName}`);
-
-        // Shuffle keys for load balancing
-        const shuffledKeys = [...GEMINI_API_KEYS].sort(() => 0.5 - Math.random());
+    const chain = getProviderChain(provider);
 
-        for (const apiKey of shuffledKeys) {
-            try {
-                const { GoogleGenerativeAI } = require('@google/generative-ai');
-                const genAI = new GoogleGenerativeAI(apiKey);
-                const model = genAI.getGenerativeModel({
-                    model: modelName,
-                    generationConfig: { responseMimeType: 'application/json' }
-                });
-
-                // Combine system prompt and user messages
-                const fullPrompt = `${systemPrompt}\n\nUser: ${messages.map(m => m.content).join('\n')}`;
-
-                const result = await model.generateContent(fullPrompt);
-                const response = await result.response;
-                const text = response.text();
-
-                // Check for empty response
-                if (!text) throw new Error('Empty response from Gemini');
-
-                // Parse JSON response if it looks like JSON
-                try {
-                    // Remove markdown code blocks if present
-                    const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-                    // Fallback to JSON object matching
-                    const objectMatch = cleanedText.match(/\{[\s\S]*\}/);
-                    if (objectMatch) {
-                        const json = JSON.parse(objectMatch[0]);
-                        return { ...json, _aiSource: 'GEMINI', _model: modelName };
-                    }
-                } catch (parseError) {
-                    console.warn('Failed to parse JSON, returning text only');
-                }
-
-                // Success! Return the response
-                return { text: text, actions: [], _aiSource: 'GEMINI', _model: modelName };
-
-            } catch (error) {
-                console.warn(`⚠️ Gemini (${modelName}) Key ${apiKey.substring(0, 8)}... failed: ${error.message}`);
-                lastError = error;
-                // Continue to next key
+    for (const [index, providerName] of chain.entries()) {
+        try {
+            const response = await getProvider(providerName).generate({
+                messages,
+                systemPrompt,
+                model: preferredModel,
+                feature
+            });
+
+            recordUsage({ userId, feature, prompt, response, promptText: promptTextFor(messages, systemPrompt) });
+            return withPromptMeta(response, prompt);
+        } catch (error) {
+            const next = chain[index + 1];
+            if (next) {
+                console.warn(`⚠️ ${providerName} failed, falling back to ${next}:`, error.message);
             }
         }
     }
 
-    // If we get here, all keys AND all models failed
-    console.error('❌ All Gemini keys and models failed');
-    throw lastError;
+    console.error(`❌ All AI services failed (${chain.join(' -> ')})`);
+    return {
+        text: "I'm having trouble connecting to my AI services. Please check your connection.",
+        error: true
+    };
 }
 
 /**
- * Call Groq Llama 3.3 (Fallback)
+ * Stream an LLM response, passing the "text" field to onText as it is generated
+ * Falls back to the next provider only if nothing has been streamed yet.
+ * Providers without streaming support emit their full text once.
  */
-async function callGroq(messages, systemPrompt) {
-    if (!GROQ_API_KEYS || GROQ_API_KEYS.length === 0) {
-        throw new Error('GROQ_API_KEYS not configured');
+async function streamLLMResponse(messages, systemPrompt, options = {}, { onText, signal } = {}) {
+    const quota = await checkQuota(options.userId);
+    if (!quota.allowed) {
+        console.warn(`⛔ LLM quota exceeded for user ${options.userId} (${options.feature}): ${quota.reason}`);
+        onText(QUOTA_EXCEEDED_TEXT);
+        return { text: QUOTA_EXCEEDED_TEXT, error: true, quotaExceeded: true };
     }
 
-    let lastError = null;
-    const shuffledKeys = [...GROQ_API_KEYS].sort(() => 0.5 - Math.random());
+    const chain = getProviderChain(options.provider || 'GROQ');
+    const promptText = promptTextFor(messages, systemPrompt);
+
+    for (const [index, providerName] of chain.entries()) {
+        const provider = getProvider(providerName);
+        let streamed = false;
+        const emit = (text) => {
+            streamed = true;
+            onText(text);
+        };
 
-    for (const apiKey of shuffledKeys) {
         try {
-            const response = await axios.post(
-                'https://api.groq.com/openai/v1/chat/completions',
-                {
-                    model: 'llama-3.3-70b-versatile',
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        ...messages
-                    ],
-                    temperature: 0.7,
-                    max_tokens: 2000
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-
-            const text = response.data.choices[0].message.content;
-
-            // Parse JSON response with robust cleanup (same as Gemini)
-            try {
-                // Remove markdown code blocks if present
-                const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-                // Fallback to JSON object matching
-                const objectMatch = cleanedText.match(/\{[\s\S]*\}/);
-                if (objectMatch) {
-                    const json = JSON.parse(objectMatch[0]);
-                    // Ensure text property exists
-                    if (!json.text && json.actions) {
-                        json.text = "I've updated your profile.";
-                    } else if (!json.text) {
-                        json.text = "I heard you.";
-                    }
-                    return { ...json, _aiSource: 'LLAMA' };
-                }
-            } catch (parseError) {
-                console.warn('Groq JSON parse failed, returning text only');
-            }
+            const request = { messages, systemPrompt, model: options.model, feature: options.feature };
+
+            const response = provider.stream
+                ? await provider.stream({ ...request, onChunk: createTextFieldStreamer(emit), signal })
+                : await provider.generate(request);
 
-            return { text: text, actions: [], _aiSource: 'LLAMA' };
+            recordUsage({ userId: options.userId, feature: options.feature, prompt: options.prompt, response, promptText });
 
+            // Plain-text (non-JSON) answers and non-streaming providers emit the full text once
+            if (!streamed && response.text) emit(response.text);
+            return withPromptMeta(response, options.prompt);
         } catch (error) {
-            console.warn(`⚠️ Groq Key ${apiKey.substring(0, 8)}... failed: ${error.message}`);
-            lastError = error;
-            // Continue to next key
+            if (streamed || signal?.aborted) throw error;
+
+            const next = chain[index + 1];
+            if (next) {
+                console.warn(`⚠️ ${providerName} stream failed, falling back to ${next}:`, error.message);
+            }
         }
     }
 
-    // If we get here, all keys failed
-    console.error('❌ All Groq keys failed');
-    throw lastError;
+    console.error(`❌ All AI services failed (${chain.join(' -> ')})`);
+    const text = "I'm having trouble connecting to my AI services. Please check your connection.";
+    onText(text);
+    return { text, error: true };
 }
 
 /**
- * Main AI reasoning function
- * Supports toggling between Gemini and Groq as primary
+ * Drop internal metadata (_aiSource, _model, ...) before echoing output back to the model
  */
-async function getLLMResponse(messages, systemPrompt, options = { provider: 'GROQ', model: 'gemini-2.5-flash' }) {
-    // Handle legacy string argument if passed
-    const provider = typeof options === 'string' ? options : (options.provider || 'GROQ');
-    const preferredModel = typeof options === 'object' ? options.model : 'gemini-2.5-flash';
-
-    const tryGemini = async () => {
-        return await callGemini(messages, systemPrompt, preferredModel);
-    };
+function stripMetadata(response) {
+    return Object.fromEntries(Object.entries(response).filter(([key]) => !key.startsWith('_')));
+}
 
-    const tryGroq = async () => {
-        console.log('🚀 Calling Groq Llama 3.3...');
-        return await callGroq(messages, systemPrompt);
+/**
+ * Safe response used when the model keeps returning invalid output
+ * Keeps the plain text answer if usable and only the actions that pass validation
+ */
+function buildFallbackResponse(response, errors) {
+    console.error('❌ AI output still invalid after repair, using fallback:', errors);
+
+    const actions = (Array.isArray(response.actions) ? response.actions : [])
+        .map(validateAction)
+        .filter(result => result.valid)
+        .map(result => result.value);
+
+    const text = typeof response.text === 'string' && response.text.trim() ? response.text : FALLBACK_TEXT;
+
+    return {
+        text,
+        actions,
+        _aiSource: response._aiSource,
+        _model: response._model,
+        _prompt: response._prompt,
+        _validation: { valid: false, errors }
     };
+}
 
-    if (provider === 'GEMINI') {
-        try {
-            return await tryGemini();
-        } catch (geminiError) {
-            console.warn('⚠️ Gemini failed (all keys/models), falling back to Groq:', geminiError.message);
-            try {
-                return await tryGroq();
-            } catch (groqError) {
-                console.error('❌ Both AI services failed (Gemini Primary)');
-                return {
-                    text: "I'm having trouble connecting to my AI services. Please check your connection.",
-                    error: true
-                };
-            }
-        }
-    } else {
-        // Default to GROQ as primary
-        try {
-            return await tryGroq();
-        } catch (groqError) {
-            console.warn('⚠️ Groq failed, falling back to Gemini:', groqError.message);
-            try {
-                return await tryGemini();
-            } catch (geminiError) {
-                console.error('❌ Both AI services failed (Groq Primary)');
-                return {
-                    text: "I'm having trouble connecting to my AI services. Please check your connection.",
-                    error: true
-                };
+/**
+ * Validate model output against the schema for its mode
+ * Invalid output is sent back to the model with the validation errors for repair;
+ * if it is still invalid afterwards, a safe fallback response is returned instead.
+ */
+async function validateAndRepair(response, { mode, messages, systemPrompt, options }) {
+    // Connection failures already carry a user-facing message
+    if (response.error) return response;
+
+    let current = response;
+    let result = validateAIResponse(mode, current);
+
+    for (let attempt = 1; !result.valid && attempt <= AI_REPAIR_ATTEMPTS; attempt++) {
+        console.warn(`⚠️ Invalid AI output (${mode}), repair attempt ${attempt}:`, result.errors);
+
+        const repaired = await getLLMResponse([
+            ...messages,
+            { role: 'assistant', content: JSON.stringify(stripMetadata(current)) },
+            {
+                role: 'user',
+                content: `Your previous response did not match the required JSON format:\n- ${result.errors.join('\n- ')}\n\nReturn ONLY the corrected JSON object.`
             }
-        }
+        ], systemPrompt, options);
+
+        if (repaired.error) break;
+
+        current = repaired;
+        result = validateAIResponse(mode, current);
     }
+
+    if (result.valid) {
+        return result.value;
+    }
+    return buildFallbackResponse(current, result.errors);
 }
 
 /**
- * Generate AI counsellor response with full context awareness
+ * Build the counsellor prompt, messages and model options for a request
+ * Shared by the blocking and streaming entry points
+ * @param {object} history - Conversation memory from loadConversationMemory ({ summary, messages })
  */
-async function generateAIResponse({ userQuery, userId, mode = 'COUNSELLOR', currentFormData = {} }) {
+async function buildAIRequest({ userQuery, userId, mode = 'COUNSELLOR', history = { summary: null, messages: [] } }) {
     // Build comprehensive context
     const { buildUserContext, analyzeProfileStrength } = require('./aiContext');
     const userContext = await buildUserContext(userId);
 
-    // Format activities for prompt
-    const formatActivity = (a) => {
-        const time = new Date(a.created_at);
-        const hoursAgo = Math.floor((Date.now() - time) / (1000 * 60 * 60));
-        const timeStr = hoursAgo < 24 ? `${hoursAgo}h ago` : `${Math.floor(hoursAgo / 24)}d ago`;
-        return `- ${a.activity_type}: ${a.metadata?.university_name || a.metadata?.task_title || 'N/A'} (${timeStr})`;
-    };
+    let prompt;
+    if (mode === 'SEARCH') {
+        prompt = renderPrompt('SEARCH', { profile: userContext.profile, userQuery: userQuery || '' }, { userId });
+    } else {
+        prompt = renderPrompt('COUNSELLOR', {
+            userContext,
+            conversationSummary: history.summary,
+            userQuery: userQuery || '',
+            toolDescriptions: require('./counsellorTools').describeTools()
+        }, { userId });
+    }
 
-    // Extract user's preferred countries
-    const preferredCountries = userContext.profile.preferred_countries || [];
+    // Prior turns first, so follow-ups like "what about the second one?" resolve
+    const messages = [
+        ...history.messages,
+        { role: 'user', content: userQuery || 'Help me get started with my study abroad planning' }
+    ];
 
-    // Stage descriptions
-    const stageGuidance = {
-        1: "Focus on completing your profile: add test scores, GPA, and goals",
-        2: "Explore universities and build your shortlist (aim for 8-12 schools)",
-        3: "Finalize your shortlist and lock universities to apply to",
-        4: "Complete application tasks: SOP, LORs, documents",
-        5: "All done! Submit applications and await results"
-    };
+    // Determine model strategy based on mode
+    // SEARCH -> gemini-2.5-flash-lite (Primary) -> gemini-2.5-flash (Secondary)
+    // COUNSELLOR -> gemini-2.5-flash (Primary) -> gemini-2.5-flash-lite (Secondary)
+    // (ONBOARDING is handled by onboardingFlow.js)
 
-    let systemPrompt = '';
-
-    if (mode === 'ONBOARDING') {
-        systemPrompt = `You are a STRICT Onboarding Assistant. 
-Your ONLY goal is to fill the user's profile JSON by asking questions sequentially.
-
-## CURRENT PROFILE STATE:
-${JSON.stringify(currentFormData, null, 2)}
-
-## THE CHECKLIST (Strict Order):
-1. **Academic**: Needs 'education_level' AND 'degree_major' (and optional 'gpa').
-2. **Goals**: Needs 'target_degree' AND 'field_of_study' AND 'preferred_countries'.
-3. **Budget**: Needs 'budget_max'.
-4. **Funding**: Needs 'funding_plan'.
-5. **Tests**: Needs 'ielts_score' OR 'gre_score' (or confirmation of "None").
-6. **SOP**: Needs 'sop_status' ("NOT_STARTED", "DRAFT", "READY").
-
-## YOUR ALGORITHM:
-
-**STEP 1: ANALYZE INPUT**
-- Did the user provide new info? -> **GENERATE "UPDATE_ONBOARDING_STATE" ACTION**.
-- Example: "Computer Science" -> Action: { "degree_major": "Computer Science" }
-- Example: "Ready" (for SOP) -> Action: { "sop_status": "READY" }
-
-**STEP 2: DETERMINE NEXT QUESTION (First Missing Item)**
-- Is 'education_level' missing? -> Ask "What is your current education level?"
-- Is 'degree_major' missing? -> Ask "What is your major?"
-- Is 'target_degree' missing? -> Ask "What degree are you planning to pursue?"
-- Is 'field_of_study' missing? -> Ask "What field do you want to study?"
-- Is 'preferred_countries' empty? -> Ask "Which countries are you targeting?"
-- Is 'budget_max' missing? -> Ask "What is your maximum budget?"
-- Is 'funding_plan' missing? -> Ask "How will you fund this (Loan, Self, Scholarship)?"
-- Is 'sop_status' "NOT_STARTED"? -> Ask "Have you started your SOP? (Draft, Ready, Not Started)"
-
-**STEP 3: COMPLETION CHECK**
-- IF ('sop_status' is "READY" or "DRAFT") AND (All other critical fields are set):
-- **OUTPUT TEXT**: "You have completed your profile! Please click the 'Complete Profile' button on the left, or let me know if you want to edit anything."
-- **DO NOT ASK ANY MORE QUESTIONS.**
-
-## CRITICAL RULES:
-1. **SAVE IMMEDIATELY**: If the user answers X, you MUST return an action to update X.
-2. **NO REPEATS**: If a field is already in "CURRENT PROFILE STATE", DO NOT ask for it. Move to the next missing item.
-4. **NO CHITCHAT / NO CONFIRMATIONS**: 
-   - **DO NOT SAY**: "Great", "To confirm", "You said X", "Got it".
-   - **DO NOT REPEAT** what the user just said. 
-   - **JUST ASK** the question from STEP 2 immediately.
-   - Example: User says "CS" -> Your response: "What degree are you targeting?" (NOT "Great, CS. What degree...")
-
-5. **SOP IS THE END**: Once SOP is set to DRAFT or READY, trigger the completion message.
-
-## RESPONSE FORMAT (JSON):
-{
-  "text": "Your question or completion message",
-  "suggested_options": { "type": "single", "values": [...] },
-  "actions": [
-    {
-      "type": "UPDATE_ONBOARDING_STATE",
-      "payload": { "field_name": "value" }
+    let preferredModel = 'gemini-2.5-flash'; // Default standard
+    if (mode === 'SEARCH') {
+        preferredModel = 'gemini-2.5-flash-lite';
     }
-  ]
+
+    // Use GEMINI as primary for all modes, with GROQ as ultimate fallback
+    return {
+        messages,
+        systemPrompt: prompt.system,
+        options: {
+            provider: 'GEMINI',
+            model: preferredModel,
+            feature: LLM_FEATURES[mode] || LLM_FEATURES.COUNSELLOR,
+            userId,
+            prompt
+        }
+    };
 }
 
-User Query: ${userQuery}
-`;
-    } else {
-        // DEFAULT COUNSELLOR PROMPT
-        systemPrompt = `You are an EXPERT Study Abroad AI Counsellor and SPARRING PARTNER. You see EVERYTHING the user does in real-time.
-    
-## USER PROFILE
-${JSON.stringify(userContext.profile, null, 2)}
-
-## PROFILE ANALYSIS
-Strengths: ${userContext.profileStrength.strengths.join(", ") || "None identified yet"}
-Weaknesses: ${userContext.profileStrength.weaknesses.join(", ") || "None identified yet"}
-Overall Score: ${userContext.profileStrength.score}/100
-Critical Gaps: ${userContext.gaps.map(g => g.message).join(", ") || "None"}
-
-## CURRENT STAGE: ${userContext.stage}
-${stageGuidance[userContext.stage]}
-
-## USER MOMENTUM 🆕
-Actions This Week: ${userContext.momentum.actionsThisWeek}
-Momentum Level: ${userContext.momentum.momentum}
-Last Action: ${userContext.momentum.lastAction ?
-                `${userContext.momentum.lastAction.activity_type} - ${Math.floor((Date.now() - new Date(userContext.momentum.lastAction.created_at)) / (1000 * 60 * 60))}h ago` :
-                'None recently'}
-
-## RECENT ACTIVITIES (Last 20 actions) 🆕
-${userContext.activities.length > 0 ? userContext.activities.slice(0, 10).map(formatActivity).join('\n') : '- No recent activity'}
-
-## SHORTLISTED UNIVERSITIES (${userContext.shortlist.length})
-${userContext.shortlist.length > 0 ? userContext.shortlist.map(s => `- ${s.university.name} (${s.category}): ${s.university.country}`).join("\n") : '- None yet'}
-
-## LOCKED UNIVERSITIES (${userContext.locks.length})
-${userContext.locks.length > 0 ? userContext.locks.map(l => `- ${l.university.name}: Locked on ${new Date(l.locked_at).toLocaleDateString()}`).join("\n") : '- None yet'}
-
-## PENDING TASKS (${userContext.tasks.filter(t => t.status !== 'DONE').length})
-${userContext.tasks.filter(t => t.status !== 'DONE').map(t => `- ${t.title} (${t.status})`).join("\n") || '- No pending tasks'}
-
----
-
-## YOUR ROLE AS SPARRING PARTNER
-
-You are NOT just a Q&A bot. You are a PROACTIVE guide who:
-
-1. **OBSERVES** - You see every action they take
-2. **ENCOURAGES** - Celebrate progress ("Great job locking Stanford!")
-3. **GUIDES** - Suggest logical next steps based on recent activity
-4. **CHALLENGES** - Point out if they're not balanced (all DREAM schools = risky)
-5. **PREVENTS MISTAKES** - Warn if budget/GPA don't match their picks
-6. **SPARRING** - Engage in strategic discussion, push back when needed
-
-### Context-Aware Responses
-
-If they just:
-- **Added to shortlist** → Encourage, suggest similar universities, recommend next step
-- **Locked university** → Congratulate, create application tasks automatically
-- **Completed task** → Praise momentum, suggest what's next
-- **No activity in days** → Gentle nudge to keep moving forward
-- **All DREAM schools** → Challenge: "You need TARGET and SAFE schools too"
-- **Budget mismatch** → Warn: "Some selections exceed your budget"
-
-## RESPONSE FORMAT (JSON)
-{
-  "text": "Your WARM, PERSONALIZED response acknowledging recent activity + guidance",
-  "tone": "ENCOURAGING|CHALLENGING|CELEBRATING|NUDGING",
-  "reasoning": {
-    "activityAssessment": "What they've been doing lately",
-    "profileAssessment": "Strength/gap analysis",
-    "stageGuidance": "What to focus on now",
-    "riskAssessment": "Overall strategy risk"
-  },
-  "recommendations": [
-    {
-      "university": "Stanford University",
-      "category": "DREAM|TARGET|SAFE",
-      "acceptanceChance": 65,
-      "reasoning": "Based on your GPA and recent CS project...",
-      "risks": ["Highly competitive"],
-      "strengths": ["Strong research fit"]
+/**
+ * Tool loop for prompts that offer tools (see counsellorTools.js)
+ * While the model answers with tool_calls, run them and send the results back,
+ * for at most TOOL_CONFIG.MAX_ROUNDS rounds.
+ * @param {Function} call - (messages) => response, the same LLM call as the first turn
+ * @returns {{ response, messages, toolCalls }} final response, the extended transcript and a log of the calls
+ */
+async function resolveToolCalls(response, request, call, onToolCall) {
+    if (!request.options.prompt?.tools) {
+        return { response, messages: request.messages, toolCalls: [] };
+    }
+
+    const { runToolCalls, TOOL_CONFIG } = require('./counsellorTools');
+    let current = response;
+    let messages = request.messages;
+    const toolCalls = [];
+
+    for (let round = 1; round <= TOOL_CONFIG.MAX_ROUNDS; round++) {
+        if (current.error || !Array.isArray(current.tool_calls) || current.tool_calls.length === 0) break;
+
+        const results = await runToolCalls(current.tool_calls, { userId: request.options.userId });
+        // The log keeps what was called, not the (possibly large) results
+        toolCalls.push(...results.map(({ result, ...entry }) => ({ ...entry, round })));
+        if (onToolCall) onToolCall(results.map(({ name, arguments: args, error }) => ({ name, arguments: args, ok: !error })));
+
+        const lastRound = round === TOOL_CONFIG.MAX_ROUNDS;
+        messages = [
+            ...messages,
+            { role: 'assistant', content: JSON.stringify({ tool_calls: current.tool_calls }) },
+            {
+                role: 'user',
+                content: `TOOL RESULTS:\n${JSON.stringify(results.map(({ name, arguments: args, result, error }) =>
+                    ({ name, arguments: args, ...(error ? { error } : { result }) })))}\n\n${lastRound
+                    ? 'Tool limit reached. Give your final answer now in the RESPONSE FORMAT, without tool_calls.'
+                    : 'Call more tools if you need to, otherwise give your final answer in the RESPONSE FORMAT.'}`
+            }
+        ];
+
+        current = await call(messages);
     }
-  ],
-  "actions": [
-    {"type": "SUGGEST_SHORTLIST", "payload": {"univ_external_id": "University Name", "country": "Germany", "category": "TARGET"}},
-    {"type": "CREATE_TASK", "payload": {"title": "...", "due_date": "2026-09-01"}},
-    {"type": "RECOMMEND_LOCK", "payload": {"university_id": "...", "reason": "..."}}
-  ],
-  "nextSteps": ["Complete IELTS", "Draft SOP", "Research 2 more TARGET schools"]
+
+    return { response: current, messages, toolCalls };
 }
 
-IMPORTANT for SUGGEST_SHORTLIST actions:
-- Use the FULL university name as "univ_external_id" (e.g., "Technical University of Munich")
-- ALWAYS include "country" field (e.g., "Germany", "USA", "UK")
-- This enables AI enrichment for universities not in our database
-- Works for ALL countries including Germany, France, Netherlands, etc.
+/**
+ * Attach the tool call log so it can be written to audit_logs
+ */
+function withToolCalls(response, toolCalls) {
+    return toolCalls.length > 0 ? { ...response, _toolCalls: toolCalls } : response;
+}
 
-User Query: ${userQuery || 'Check-in on my progress'}
+/**
+ * SEARCH mode: run the parsed filters against our data and attach ranked results
+ * Fallback responses (no filters) get an empty result list
+ */
+async function withSearchResults(response, userId) {
+    if (response.error || !response.filters) {
+        return { ...response, filters: null, results: [], total: 0 };
+    }
 
-BE SPECIFIC. BE ENCOURAGING. BE HONEST. ACT LIKE A COACH.`;
+    const { runStructuredSearch } = require('./universitySearch');
+    try {
+        return { ...response, ...(await runStructuredSearch(response.filters, userId)) };
+    } catch (error) {
+        console.error('Structured search failed:', error);
+        return { ...response, results: [], total: 0 };
     }
+}
 
-    const messages = [
-        { role: 'user', content: userQuery || 'Help me get started with my study abroad planning' }
-    ];
+/**
+ * Generate AI counsellor response with full context awareness
+ * Output is schema-validated (and repaired if needed) before it is returned
+ */
+async function generateAIResponse(params) {
+    // Onboarding questions come from the server-side state machine, the LLM only parses answers
+    if (params.mode === 'ONBOARDING') {
+        return require('./onboardingFlow').runOnboardingTurn(params);
+    }
 
-    // Determine model strategy based on mode
-    // ONBOARDING / SEARCH -> gemini-2.5-flash-lite (Primary) -> gemini-2.5-flash (Secondary)
-    // COUNSELLOR -> gemini-2.5-flash (Primary) -> gemini-2.5-flash-lite (Secondary)
+    const request = await buildAIRequest(params);
+    const call = (messages) => getLLMResponse(messages, request.systemPrompt, request.options);
 
-    let preferredModel = 'gemini-2.5-flash'; // Default standard
-    if (mode === 'ONBOARDING' || mode === 'SEARCH') {
-        preferredModel = 'gemini-2.5-flash-lite';
+    const first = await call(request.messages);
+    const { response, messages, toolCalls } = await resolveToolCalls(first, request, call);
+
+    let validated = await validateAndRepair(response, { mode: params.mode || 'COUNSELLOR', ...request, messages });
+    if (params.mode === 'SEARCH') validated = await withSearchResults(validated, params.userId);
+    return withToolCalls(validated, toolCalls);
+}
+
+/**
+ * Streaming variant of generateAIResponse
+ * Text is passed to onText as it arrives; resolves with the full parsed response
+ * onToolCall (optional) is told about each round of tool calls
+ * onReplace (optional) gets the final text when it differs from the streamed text
+ * (text streamed before a tool round, or an answer changed by the repair)
+ */
+async function streamAIResponse({ onText, onToolCall, onReplace, signal, ...params }) {
+    if (params.mode === 'ONBOARDING') {
+        const response = await require('./onboardingFlow').runOnboardingTurn(params);
+        onText(response.text);
+        return response;
     }
 
-    // Use GEMINI as primary for all modes, with GROQ as ultimate fallback
-    const response = await getLLMResponse(messages, systemPrompt, {
-        provider: 'GEMINI',
-        model: preferredModel
-    });
-    return response;
+    let streamed = '';
+    const emit = (text) => {
+        streamed += text;
+        onText(text);
+    };
+
+    const request = await buildAIRequest(params);
+    const call = (messages) => streamLLMResponse(messages, request.systemPrompt, request.options, { onText: emit, signal });
+
+    const first = await call(request.messages);
+    const { response, messages, toolCalls } = await resolveToolCalls(first, request, call, onToolCall);
+
+    // Repairs are not streamed; the final event carries the validated response
+    let validated = await validateAndRepair(response, { mode: params.mode || 'COUNSELLOR', ...request, messages });
+    if (params.mode === 'SEARCH') validated = await withSearchResults(validated, params.userId);
+
+    if (onReplace && validated.text !== streamed) onReplace(validated.text);
+    return withToolCalls(validated, toolCalls);
 }
 
 /**
  * Enrich university data using AI (with caching)
+ * @param {string|null} userId - User the enrichment is billed to (for usage metering)
  */
-async function enrichUniversity(name, country) {
+async function enrichUniversity(name, country, userId = null) {
     const { getCachedEnrichment, setCachedEnrichment, calculateConfidenceScore } = require('./cacheService');
 
     // Check cache first
@@ -432,30 +395,18 @@ async function enrichUniversity(name, country) {
 
     console.log(`⚡ Cache miss for ${name}, ${country} - calling AI...`);
 
-    const systemPrompt = `You are a university data expert. Provide detailed information for "${name}" in "${country}" as a strictly formatted JSON object.
-    
-    Return ONLY this JSON structure (no markdown, no extra text):
-    {
-        "name": "Official Name",
-        "country": "${country}",
-        "city": "City Name (e.g. London, Boston)",
-        "domain": "university-website.edu (or .com/etc)",
-        "tuition_estimate": 0 (integer USD per year estimate for international students),
-        "acceptance_rate": 0.0 (percentage estimate, e.g. 25.5),
-        "rank": 0 (integer global rank estimate, e.g. 50),
-        "description": "Short description (max 200 chars)",
-        "popular_majors": ["Major 1", "Major 2"]
-    }
-    
-    If exact data is unknown, provide a reasonable estimate based on similar institutions in that region.`;
+    const prompt = renderPrompt('ENRICHMENT', { name, country }, { userId });
 
     const messages = [{ role: 'user', content: `Enrich data for ${name} in ${country}` }];
 
     try {
         // Use Gemini Flash Lite for data enrichment (Fast & Cheap)
-        const response = await getLLMResponse(messages, systemPrompt, {
+        const response = await getLLMResponse(messages, prompt.system, {
             provider: 'GEMINI',
-            model: 'gemini-2.5-flash-lite'
+            model: 'gemini-2.5-flash-lite',
+            feature: LLM_FEATURES.ENRICHMENT,
+            userId,
+            prompt
         });
 
         let enrichedData;
@@ -561,7 +512,9 @@ async function generateApplicationGuidance(universityName, country, userContext
         // Use Gemini Flash for detailed structured guidance
         const response = await getLLMResponse(messages, systemPrompt, {
             provider: 'GEMINI',
-            model: 'gemini-2.5-flash'
+            model: 'gemini-2.5-flash',
+            feature: LLM_FEATURES.GUIDANCE,
+            userId: userContext.user_id
         });
 
         let guidance;
@@ -617,9 +570,11 @@ async function generateApplicationGuidance(universityName, country, userContext
 
 module.exports = {
     generateAIResponse,
+    streamAIResponse,
     enrichUniversity,
     generateApplicationGuidance,
     callGemini,
     callGroq,
-    getLLMResponse
+    getLLMResponse,
+    streamLLMResponse
 };
@@ -0,0 +1,169 @@
+const supabase = require('../database/supabase');
+const { getLLMResponse } = require('./aiService');
+const { LLM_FEATURES } = require('./providers');
+const { renderPrompt } = require('./prompts');
+const { estimateTokens } = require('../utils/tokens');
+const { httpError } = require('../utils/httpError');
+
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET, 10) || 3000;
+
+// Token budgets (approximate, see estimateTokens)
+// The trigger never exceeds the history budget: turns that no longer fit in the
+// history are always folded into the summary instead of silently dropping out
+const MEMORY_CONFIG = {
+    // Max tokens of recent turns sent to the model with each request
+    HISTORY_TOKEN_BUDGET,
+    // Summarise once un-summarised turns exceed this many tokens
+    SUMMARY_TRIGGER_TOKENS: Math.min(parseInt(process.env.CHAT_SUMMARY_TRIGGER_TOKENS, 10) || HISTORY_TOKEN_BUDGET, HISTORY_TOKEN_BUDGET),
+    // Recent turns kept verbatim (never folded into the summary)
+    KEEP_RECENT_TOKENS: Math.min(1500, Math.floor(HISTORY_TOKEN_BUDGET / 2))
+};
+
+/**
+ * Fetch messages that have not been folded into the summary yet (oldest first)
+ * Empty assistant messages left by streams aborted before any text are skipped
+ */
+async function getUnsummarizedMessages(conversationId, summarizedUntil) {
+    let query = supabase
+        .from('chat_messages')
+        .select('id, role, content, created_at')
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: true });
+
+    if (summarizedUntil) {
+        query = query.gt('created_at', summarizedUntil);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).filter(message => message.content);
+}
+
+/**
+ * Load conversation memory for the AI
+ * Returns the rolling summary plus the most recent turns that fit in the token budget
+ * Throws 404 when the conversation does not belong to the user
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User the conversation must belong to
+ * @returns {{ summary: string|null, messages: Array<{role: string, content: string}> }}
+ */
+async function loadConversationMemory(conversationId, userId) {
+    const { data: conversation, error } = await supabase
+        .from('chat_conversations')
+        .select('summary, summarized_until')
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!conversation) throw httpError('Conversation not found', 404);
+
+    try {
+        const messages = await getUnsummarizedMessages(conversationId, conversation.summarized_until);
+
+        // Walk backwards from the newest turn until the budget is used up
+        const recent = [];
+        let usedTokens = 0;
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const tokens = estimateTokens(messages[i].content);
+            if (usedTokens + tokens > MEMORY_CONFIG.HISTORY_TOKEN_BUDGET) break;
+            usedTokens += tokens;
+            recent.unshift({ role: messages[i].role, content: messages[i].content });
+        }
+
+        return {
+            summary: conversation.summary || null,
+            messages: recent
+        };
+    } catch (error) {
+        // Memory is best-effort; the counsellor still works without it
+        console.error('Failed to load conversation memory:', error.message);
+        return { summary: null, messages: [] };
+    }
+}
+
+/**
+ * Fold older turns into the rolling summary once they exceed the trigger budget
+ * Safe to run in the background after a response has been sent
+ * @param {string} conversationId - Conversation ID
+ */
+async function summarizeConversationIfNeeded(conversationId) {
+    const { data: conversation, error } = await supabase
+        .from('chat_conversations')
+        .select('user_id, summary, summarized_until')
+        .eq('id', conversationId)
+        .single();
+
+    if (error || !conversation) return;
+
+    const messages = await getUnsummarizedMessages(conversationId, conversation.summarized_until);
+    const totalTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+
+    if (totalTokens <= MEMORY_CONFIG.SUMMARY_TRIGGER_TOKENS) return;
+
+    // Keep the newest turns verbatim, summarise everything older
+    let keptTokens = 0;
+    let splitIndex = messages.length;
+    while (splitIndex > 0) {
+        const tokens = estimateTokens(messages[splitIndex - 1].content);
+        if (keptTokens + tokens > MEMORY_CONFIG.KEEP_RECENT_TOKENS) break;
+        keptTokens += tokens;
+        splitIndex--;
+    }
+
+    const toSummarize = messages.slice(0, splitIndex);
+    if (toSummarize.length === 0) return;
+
+    console.log(`🧠 Summarising ${toSummarize.length} older messages for conversation ${conversationId}`);
+
+    const transcript = toSummarize
+        .map(m => `${m.role === 'assistant' ? 'Counsellor' : 'Student'}: ${m.content}`)
+        .join('\n');
+
+    const prompt = renderPrompt('CONVERSATION_SUMMARY', {
+        existingSummary: conversation.summary || null,
+        transcript
+    }, { userId: conversation.user_id });
+
+    const response = await getLLMResponse([
+        { role: 'user', content: prompt.user }
+    ], prompt.system, {
+        provider: 'GEMINI',
+        model: 'gemini-2.5-flash-lite',
+        feature: LLM_FEATURES.CONVERSATION_SUMMARY,
+        userId: conversation.user_id,
+        prompt
+    });
+
+    if (response.error || !response.summary) {
+        console.warn('⚠️ Conversation summary not updated (AI returned no summary)');
+        return;
+    }
+
+    // Only save over the summary this run started from; a parallel run may have moved it on
+    let update = supabase
+        .from('chat_conversations')
+        .update({
+            summary: response.summary,
+            summarized_until: toSummarize[toSummarize.length - 1].created_at
+        })
+        .eq('id', conversationId);
+
+    update = conversation.summarized_until
+        ? update.eq('summarized_until', conversation.summarized_until)
+        : update.is('summarized_until', null);
+
+    const { data: saved, error: updateError } = await update.select('id');
+
+    if (updateError) {
+        console.error('Failed to save conversation summary:', updateError);
+    } else if (!saved || saved.length === 0) {
+        console.warn(`⚠️ Conversation ${conversationId} was summarised by another request, summary discarded`);
+    }
+}
+
+module.exports = {
+    loadConversationMemory,
+    summarizeConversationIfNeeded,
+    MEMORY_CONFIG
+};
@@ -0,0 +1,184 @@
+const Joi = require('joi');
+const supabase = require('../database/supabase');
+const { searchUniversities } = require('./universityService');
+const { calculateAcceptanceScore } = require('../utils/acceptanceScore');
+const { getActivePlanId } = require('./planService');
+
+/**
+ * Server-side tools the counsellor can call mid-answer
+ * Each tool validates its arguments with Joi and only reads the calling user's data.
+ */
+
+const TOOL_CONFIG = {
+    MAX_ROUNDS: parseInt(process.env.AI_MAX_TOOL_ROUNDS, 10) || 3,
+    MAX_CALLS_PER_ROUND: 5,
+    MAX_SEARCH_RESULTS: 10
+};
+
+// Only the columns the model needs, to keep tool results small
+const compactUniversity = (uni) => ({
+    id: uni.id,
+    name: uni.name,
+    country: uni.country,
+    city: uni.city || null,
+    tuition_estimate: uni.tuition_estimate || null,
+    acceptance_rate: uni.acceptance_rate || null,
+    rank: uni.rank || null
+});
+
+async function getProfile(userId) {
+    const { data } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .single();
+    return data || {};
+}
+
+const TOOLS = {
+    searchUniversities: {
+        description: 'Search our university database by name and/or country. Returns id, name, country, tuition_estimate, acceptance_rate, rank.',
+        parameters: Joi.object({
+            name: Joi.string().max(200),
+            country: Joi.string().max(100),
+            limit: Joi.number().integer().min(1).max(TOOL_CONFIG.MAX_SEARCH_RESULTS).default(5)
+        }).or('name', 'country'),
+        handler: async ({ name, country, limit }) => {
+            const results = await searchUniversities({ name, country, enrichUS: false, limit });
+            return { universities: results.slice(0, limit).map(compactUniversity) };
+        }
+    },
+
+    calculateAcceptanceScore: {
+        description: "Score the student's acceptance likelihood (0-100, with category and breakdown) for a university id from searchUniversities or their shortlist.",
+        parameters: Joi.object({
+            university_id: Joi.string().guid().required()
+        }),
+        handler: async ({ university_id }, { userId }) => {
+            const [{ data: university }, profile] = await Promise.all([
+                supabase.from('universities').select('*').eq('id', university_id).single(),
+                getProfile(userId)
+            ]);
+
+            if (!university) return { error: 'University not found' };
+
+            const score = calculateAcceptanceScore(profile, university);
+            return {
+                university: compactUniversity(university),
+                score: score.totalScore,
+                category: score.category,
+                interpretation: score.interpretation,
+                breakdown: score.breakdown
+            };
+        }
+    },
+
+    getApplicationGuidance: {
+        description: "Fetch the saved application guidance (required documents, timeline, tips) for one of the student's locked universities.",
+        parameters: Joi.object({
+            university_id: Joi.string().guid(),
+            lock_id: Joi.string().guid()
+        }).xor('university_id', 'lock_id'),
+        handler: async ({ university_id, lock_id }, { userId }) => {
+            const query = supabase
+                .from('university_locks')
+                .select('id, application_guidance, university:universities(name, country)')
+                .eq('user_id', userId)
+                .eq('plan_id', await getActivePlanId(userId))
+                .is('unlocked_at', null);
+
+            if (lock_id) query.eq('id', lock_id);
+            else query.eq('university_id', university_id);
+
+            const { data: lock } = await query.maybeSingle();
+
+            if (!lock) return { error: 'No active lock found for this university' };
+
+            const guidance = lock.application_guidance || {};
+            if (Object.keys(guidance).length === 0) {
+                return { lock_id: lock.id, university: lock.university, guidance: null, note: 'Guidance has not been generated yet' };
+            }
+            return { lock_id: lock.id, university: lock.university, guidance };
+        }
+    },
+
+    listTasks: {
+        description: "List the student's application tasks, optionally filtered by status or university id.",
+        parameters: Joi.object({
+            status: Joi.string().valid('TODO', 'IN_PROGRESS', 'DONE'),
+            university_id: Joi.string().guid()
+        }),
+        handler: async ({ status, university_id }, { userId }) => {
+            const query = supabase
+                .from('tasks')
+                .select('id, title, status, due_date, related_university_id, created_by')
+                .eq('user_id', userId)
+                .eq('plan_id', await getActivePlanId(userId))
+                .order('due_date', { ascending: true });
+
+            if (status) query.eq('status', status);
+            if (university_id) query.eq('related_university_id', university_id);
+
+            const { data, error } = await query;
+            if (error) throw error;
+            return { tasks: data || [] };
+        }
+    }
+};
+
+/**
+ * Tool list for the counsellor prompt
+ */
+function describeTools() {
+    return Object.entries(TOOLS).map(([name, tool]) => {
+        const keys = tool.parameters.describe().keys || {};
+        const args = Object.entries(keys)
+            .map(([key, schema]) => `${key}${schema.flags?.presence === 'required' ? '' : '?'}: ${schema.type}`)
+            .join(', ');
+        return `- ${name}(${args}): ${tool.description}`;
+    }).join('\n');
+}
+
+/**
+ * Execute one tool call; failures are returned as { error } so the model can recover
+ */
+async function runToolCall(call, context) {
+    const name = call?.name;
+    const startedAt = Date.now();
+    const log = { name, arguments: call?.arguments || {} };
+
+    const tool = TOOLS[name];
+    if (!tool) {
+        return { ...log, error: `Unknown tool: ${name}`, duration_ms: 0 };
+    }
+
+    const { error: validationError, value: args } = tool.parameters.validate(call.arguments || {}, { stripUnknown: true });
+    if (validationError) {
+        return { ...log, error: validationError.message, duration_ms: 0 };
+    }
+
+    try {
+        const result = await tool.handler(args, context);
+        console.log(`🔧 Tool ${name} (${Date.now() - startedAt}ms)`);
+        return { ...log, arguments: args, result, duration_ms: Date.now() - startedAt };
+    } catch (error) {
+        console.error(`❌ Tool ${name} failed:`, error.message);
+        return { ...log, arguments: args, error: 'Tool failed: ' + error.message, duration_ms: Date.now() - startedAt };
+    }
+}
+
+/**
+ * Execute a round of tool calls requested by the model
+ * @param {Array} toolCalls - [{ name, arguments }]
+ * @param {object} context - { userId }
+ */
+async function runToolCalls(toolCalls, context) {
+    const calls = toolCalls.slice(0, TOOL_CONFIG.MAX_CALLS_PER_ROUND);
+    return await Promise.all(calls.map(call => runToolCall(call, context)));
+}
+
+module.exports = {
+    describeTools,
+    runToolCalls,
+    TOOL_CONFIG
+};
@@ -1,5 +1,9 @@
 const supabase = require('../database/supabase');
 const { getLLMResponse } = require('./aiService');
+const { LLM_FEATURES } = require('./providers');
+const { renderPrompt } = require('./prompts');
+const { calculateAcceptanceScore } = require('../utils/acceptanceScore');
+const { getActivePlanId } = require('./planService');
 
 /**
  * Analyze university fit for Discovery page
@@ -22,8 +26,9 @@ async function analyzeUniversityForDiscovery(userId, universityId) {
             console.warn('⚠️ No profile found for user');
         }
 
-        // 2. Check cache
-        const cached = await getCachedAnalysis(userId, universityId);
+        // 2. Check cache (analyses are kept per application plan)
+        const planId = await getActivePlanId(userId);
+        const cached = await getCachedAnalysis(userId, planId, universityId);
 
         // Define what makes a cache "valid" for THIS user
         const isGenericCache = cached?.analysis?.profile_fit?.reasons?.[0]?.includes('Complete your profile');
@@ -62,12 +67,18 @@ async function analyzeUniversityForDiscovery(userId, universityId) {
         // 4. Build optimized prompt (shorter than shortlist)
         // Ensure defaults if profile is null
         const safeProfile = profile || {};
-        const systemPrompt = buildDiscoveryPrompt(safeProfile, university);
+        const admission = calculateAcceptanceScore(safeProfile, university);
+        const prompt = renderPrompt('DISCOVERY_ANALYSIS', { profile: safeProfile, university, admission }, { userId });
 
         // 5. Call AI
         const messages = [{ role: 'user', content: `Analyze ${university.name} for discovery browsing` }];
         // Use GROQ for Discovery (browsing needs speed)
-        const response = await getLLMResponse(messages, systemPrompt, 'GROQ');
+        const response = await getLLMResponse(messages, prompt.system, {
+            provider: 'GROQ',
+            feature: LLM_FEATURES.DISCOVERY_ANALYSIS,
+            userId,
+            prompt
+        });
 
         // 6. Parse response with robust cleanup
         let analysis;
@@ -130,8 +141,10 @@ async function analyzeUniversityForDiscovery(userId, universityId) {
             analysis = { ...getDefaultAnalysis(), ...analysis };
         }
 
+        analysis = withEngineScore(analysis, admission);
+
         // 7. Cache the result
-        await cacheAnalysis(userId, universityId, analysis);
+        await cacheAnalysis(userId, planId, universityId, analysis);
 
         console.log('✅ Discovery analysis complete');
         return analysis;
@@ -142,6 +155,22 @@ async function analyzeUniversityForDiscovery(userId, universityId) {
     }
 }
 
+/**
+ * Replace the model's acceptance chance with the scoring engine's
+ * Keeps every page (and older prompt versions) on the same DREAM / TARGET / SAFE
+ */
+function withEngineScore(analysis, admission) {
+    return {
+        ...analysis,
+        acceptance_score: {
+            ...analysis.acceptance_score,
+            percentage: admission.totalScore,
+            category: admission.category,
+            weight_profile: admission.weightProfile
+        }
+    };
+}
+
 /**
  * Validate analysis structure
  */
@@ -154,66 +183,15 @@ function isValidAnalysis(analysis) {
         analysis.risk_level;
 }
 
-/**
- * Build optimized prompt for Discovery (faster than shortlist)
- */
-function buildDiscoveryPrompt(profile, university) {
-    const preferredCountries = profile.preferred_countries || [];
-    const countryMatches = preferredCountries.includes(university.country);
-
-    return `You are a university matching expert. Provide a QUICK analysis for discovery browsing.
-
-STUDENT PROFILE:
-- GPA: ${profile.gpa || 'N/A'}
-- Major: ${profile.field_of_study || 'N/A'}
-- Budget: $${profile.budget_max || 'N/A'}/year
-- Preferred Countries: ${preferredCountries.join(', ') || 'Any'}
-- Test Scores: GRE ${profile.gre_score || 'N/A'}, IELTS ${profile.ielts_score || 'N/A'}
-
-UNIVERSITY:
-- Name: ${university.name}
-- Country: ${university.country}
-- Tuition: $${university.tuition_estimate || 'N/A'}/year
-- Acceptance Rate: ${university.acceptance_rate || 'N/A'}%
-- Rank: ${university.rank || 'N/A'}
-
-Return ONLY this JSON (no markdown, keep it brief):
-{
-  "profile_fit": {
-    "reasons": ["Brief reason 1", "Brief reason 2"],
-    "score": 0-100
-  },
-  "budget_analysis": {
-    "tuition": ${university.tuition_estimate || 'null'},
-    "user_budget": ${profile.budget_max || 0},
-    "within_budget": ${university.tuition_estimate ? university.tuition_estimate <= profile.budget_max : 'null'},
-    "gap": ${university.tuition_estimate && profile.budget_max ? Math.max(0, university.tuition_estimate - profile.budget_max) : 'null'},
-    "recommendation": "Brief one-liner"
-  },
-  "country_preference": {
-    "matches": ${countryMatches},
-    "message": "${countryMatches ? `${university.country} is in your preferences` : `${university.country} is not in your preferred countries`}"
-  },
-  "acceptance_score": {
-    "percentage": 0-100,
-    "category": "DREAM|TARGET|SAFE",
-    "reasoning": "One sentence max"
-  },
-  "risk_level": "low|medium|high",
-  "cost_level": "low|medium|high"
-}
-
-IMPORTANT: If tuition is null, estimate it based on university type and country. Public US universities: $10k-30k, Private: $40k-70k, European: $0-20k.`;
-}
-
 /**
  * Get cached analysis
  */
-async function getCachedAnalysis(userId, universityId) {
+async function getCachedAnalysis(userId, planId, universityId) {
     const { data, error } = await supabase
         .from('user_university_analyses')
         .select('*')
         .eq('user_id', userId)
+        .eq('plan_id', planId)
         .eq('university_id', universityId)
         .single();
 
@@ -233,16 +211,17 @@ function isStale(analyzedAt) {
 /**
  * Cache analysis result
  */
-async function cacheAnalysis(userId, universityId, analysis) {
+async function cacheAnalysis(userId, planId, universityId, analysis) {
     const { error } = await supabase
         .from('user_university_analyses')
         .upsert({
             user_id: userId,
+            plan_id: planId,
             university_id: universityId,
             analysis: analysis,
             analyzed_at: new Date().toISOString()
         }, {
-            onConflict: 'user_id,university_id'
+            onConflict: 'plan_id,university_id'
         });
 
     if (error) {
@@ -301,6 +280,8 @@ async function batchAnalyzeUniversities(userId, universityIds) {
             return createDefaultAnalyses(universityIds);
         }
 
+        const planId = await getActivePlanId(userId);
+
         // 2. Fetch all universities
         const { data: universities } = await supabase
             .from('universities')
@@ -315,44 +296,13 @@ async function batchAnalyzeUniversities(userId, universityIds) {
         console.log(`📚 Fetched ${universities.length} universities from database`);
 
         // 3. Build university list for prompt
+        const admissions = universities.map(uni => calculateAcceptanceScore(profile, uni));
         const universityList = universities.map((uni, idx) =>
-            `${idx + 1}. ${uni.name} (${uni.country}) - $${uni.tuition_estimate || 'N/A'}/year, ${uni.acceptance_rate || 'N/A'}% acceptance`
+            `${idx + 1}. ${uni.name} (${uni.country}) - $${uni.tuition_estimate || 'N/A'}/year, ${uni.acceptance_rate || 'N/A'}% acceptance, admission score ${admissions[idx].totalScore}/100 = ${admissions[idx].category}`
         ).join('\n');
 
         // 4. Build optimized batch prompt
-        const preferred_countries = profile.preferred_countries || [];
-        const systemPrompt = `You are a university matching expert. Analyze ALL universities for this student.
-
-STUDENT PROFILE:
-- GPA: ${profile.gpa || 'N/A'}
-- Major: ${profile.field_of_study || 'N/A'}
-- Budget: $${profile.budget_max || 'N/A'}/year
-- Preferred Countries: ${preferred_countries.join(', ') || 'Any'}
-- Test Scores: GRE ${profile.gre_score || 'N/A'}, IELTS ${profile.ielts_score || 'N/A'}
-
-UNIVERSITIES TO ANALYZE:
-${universityList}
-
-Return ONLY a JSON array matching this EXACT structure:
-[
-  {
-    "index": 1,
-    "profile_fit": { "reasons": ["reason1", "reason2"], "score": 75 },
-    "budget_analysis": { "within_budget": true, "gap": 0, "recommendation": "Affordable" },
-    "country_preference": { "matches": true, "message": "Matches your preference" },
-    "acceptance_score": { "percentage": 65, "category": "TARGET", "reasoning": "Good fit" },
-    "risk_level": "medium",
-    "cost_level": "low"
-  },
-  ...
-]
-
-IMPORTANT:
-- Return ONLY valid JSON array, no markdown
-- One object per university, ordered by index
-- Use categories: DREAM (10-40%), TARGET (40-70%), SAFE (70%+)
-- risk_level: low|medium|high
-- cost_level: low|medium|high (relative to student budget)`;
+        const batchPrompt = renderPrompt('DISCOVERY_BATCH', { profile, universityList }, { userId });
 
         const prompt = `Analyze all ${universities.length} universities for this student's profile.`;
 
@@ -361,7 +311,7 @@ IMPORTANT:
         // 5. Single AI call for all universities (GROQ for speed)
         const response = await getLLMResponse([
             { role: 'user', content: prompt }
-        ], systemPrompt, 'GROQ');
+        ], batchPrompt.system, { provider: 'GROQ', feature: LLM_FEATURES.DISCOVERY_BATCH, userId, prompt: batchPrompt });
 
         // 6. Parse response
         let analysisArray;
@@ -408,9 +358,9 @@ IMPORTANT:
             if (aiAnalysis) {
                 // Remove index field before storing
                 const { index, ...analysis } = aiAnalysis;
-                analysisMap[uni.id] = analysis;
+                analysisMap[uni.id] = withEngineScore(analysis, admissions[idx]);
             } else {
-                analysisMap[uni.id] = getDefaultAnalysis();
+                analysisMap[uni.id] = withEngineScore(getDefaultAnalysis(), admissions[idx]);
             }
         });
 
@@ -418,7 +368,7 @@ IMPORTANT:
         console.log(`💾 Caching ${Object.keys(analysisMap).length} analyses...`);
         await Promise.all(
             Object.entries(analysisMap).map(([uniId, analysis]) =>
-                cacheAnalysis(userId, uniId, analysis).catch(err =>
+                cacheAnalysis(userId, planId, uniId, analysis).catch(err =>
                     console.error(`Failed to cache analysis for ${uniId}:`, err.message)
                 )
             )
@@ -450,17 +400,21 @@ function createDefaultAnalyses(universityIds) {
 
 /**
  * Invalidate cache when user updates profile
+ * options.planId clears one plan only (its goals changed); otherwise all of the user's plans
  */
-async function invalidateUserCache(userId) {
-    const { error } = await supabase
+async function invalidateUserCache(userId, { planId = null } = {}) {
+    let query = supabase
         .from('user_university_analyses')
         .delete()
         .eq('user_id', userId);
+    if (planId) query = query.eq('plan_id', planId);
+
+    const { error } = await query;
 
     if (error) {
         console.error('Failed to invalidate cache:', error);
     } else {
-        console.log(`🗑️ Invalidated cache for user ${userId}`);
+        console.log(`🗑️ Invalidated cache for user ${userId}${planId ? ` (plan ${planId})` : ''}`);
     }
 }
 
@@ -0,0 +1,337 @@
+const supabase = require('../database/supabase');
+const { logActivity } = require('./activityTracker');
+const { httpError } = require('../utils/httpError');
+const { syncTasksWithProfile } = require('./taskGenerator');
+const { getActivePlanId, applyPlanGoals } = require('./planService');
+const { calculateAcceptanceScore } = require('../utils/acceptanceScore');
+
+/**
+ * University locking and AI lock proposals
+ * A RECOMMEND_LOCK action becomes a lock proposal carrying the AI's reason.
+ * The student confirms it into a university_locks row (reason prefilled) or dismisses it;
+ * proposals left alone expire after LOCK_PROPOSAL_TTL_DAYS.
+ */
+
+const LOCK_PROPOSAL_TTL_DAYS = parseInt(process.env.LOCK_PROPOSAL_TTL_DAYS, 10) || 7;
+
+const isUuid = (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+/**
+ * Same checks as POST /api/lock: complete profile and not already locked in the plan
+ * Throws with status 403/409 when a lock is not allowed
+ * @param {string} [planId] - application plan, the active one by default
+ */
+async function checkLockPreconditions(userId, universityId, planId = null) {
+    // Check if profile is complete
+    const { data: profile } = await supabase
+        .from('profiles')
+        .select('profile_complete')
+        .eq('user_id', userId)
+        .single();
+
+    if (!profile || !profile.profile_complete) {
+        throw httpError('Please complete your profile before locking universities', 403);
+    }
+
+    // Check if already locked
+    const { data: existingLock } = await supabase
+        .from('university_locks')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('plan_id', planId || await getActivePlanId(userId))
+        .eq('university_id', universityId)
+        .is('unlocked_at', null)
+        .maybeSingle();
+
+    if (existingLock) {
+        throw httpError('University already locked', 409);
+    }
+}
+
+/**
+ * Acceptance score at lock time, under the goals of the plan the lock belongs to
+ * Stored on the lock so a later outcome is compared with the prediction made at decision time
+ * @returns {object} university_locks snapshot columns, empty when the score can't be computed
+ */
+async function scoreSnapshot(userId, universityId, planId) {
+    try {
+        const [{ data: profile }, { data: plan }, { data: university }] = await Promise.all([
+            supabase.from('profiles').select('*').eq('user_id', userId).maybeSingle(),
+            supabase.from('application_plans').select('*').eq('id', planId).eq('user_id', userId).maybeSingle(),
+            supabase.from('universities').select('*').eq('id', universityId).maybeSingle()
+        ]);
+
+        const scored = applyPlanGoals(profile, plan);
+        if (!scored || !university) return {};
+
+        const prediction = calculateAcceptanceScore(scored, university);
+        return {
+            predicted_score: prediction.totalScore,
+            predicted_category: prediction.category,
+            weight_profile: prediction.weightProfile,
+            score_breakdown: prediction.breakdown,
+            target_degree: scored.target_degree ?? null,
+            predicted_at: new Date().toISOString()
+        };
+    } catch (err) {
+        // The lock itself shouldn't fail because scoring did
+        console.error('Score snapshot for lock failed:', err);
+        return {};
+    }
+}
+
+/**
+ * Create a lock and log it (audit + activity)
+ * @param {string} [planId] - application plan, the active one by default
+ */
+async function createLock(userId, universityId, reason, planId = null) {
+    const lockPlanId = planId || await getActivePlanId(userId);
+
+    const { data, error } = await supabase
+        .from('university_locks')
+        .insert({
+            user_id: userId,
+            plan_id: lockPlanId,
+            university_id: universityId,
+            lock_reason_text: reason || 'User locked for application',
+            ...await scoreSnapshot(userId, universityId, lockPlanId)
+        })
+        .select(`
+        *,
+        university:universities(*)
+      `)
+        .single();
+
+    if (error) throw error;
+
+    // Log action to audit logs
+    await supabase.from('audit_logs').insert({
+        user_id: userId,
+        action_type: 'LOCK_UNIVERSITY',
+        payload: { university_id: universityId, reason }
+    });
+
+    // Log activity for AI awareness
+    await logActivity(userId, 'LOCK_UNIVERSITY', universityId, {
+        university_name: data.university?.name,
+        country: data.university?.country,
+        reason: reason || 'User locked for application'
+    });
+
+    return data;
+}
+
+/**
+ * Set (or clear with null) the application deadline of a locked university
+ * Re-syncs profile tasks so test scores expiring before the deadline get a task
+ */
+async function setApplicationDeadline(userId, lockId, deadline) {
+    if (deadline !== null && (typeof deadline !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(deadline) || isNaN(new Date(deadline)))) {
+        throw httpError('application_deadline must be a date (YYYY-MM-DD) or null', 400);
+    }
+
+    const { data, error } = await supabase
+        .from('university_locks')
+        .update({ application_deadline: deadline })
+        .eq('id', lockId)
+        .eq('user_id', userId)
+        .is('unlocked_at', null)
+        .select('*, university:universities(*)')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw httpError('Lock not found', 404);
+
+    const { data: profile } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+    await syncTasksWithProfile(userId, profile);
+
+    return data;
+}
+
+/**
+ * Resolve the university a RECOMMEND_LOCK points at
+ * The model may send our id or a university name; names are matched against the
+ * student's shortlist first, then the universities table
+ */
+async function resolveUniversity(userId, identifier) {
+    if (isUuid(identifier)) {
+        const { data } = await supabase
+            .from('universities')
+            .select('id, name, country')
+            .eq('id', identifier)
+            .maybeSingle();
+        return data;
+    }
+
+    const { data: shortlist } = await supabase
+        .from('user_shortlists')
+        .select('university:universities(id, name, country)')
+        .eq('user_id', userId)
+        .eq('plan_id', await getActivePlanId(userId));
+
+    const name = identifier.trim().toLowerCase();
+    const shortlisted = (shortlist || [])
+        .map(item => item.university)
+        .find(uni => uni && uni.name.toLowerCase() === name);
+    if (shortlisted) return shortlisted;
+
+    const { data: matches } = await supabase
+        .from('universities')
+        .select('id, name, country')
+        .ilike('name', identifier.trim())
+        .limit(1);
+
+    return matches?.[0] || null;
+}
+
+/**
+ * Mark a user's ignored proposals as expired
+ */
+async function expireLockProposals(userId) {
+    const { error } = await supabase
+        .from('lock_proposals')
+        .update({ status: 'EXPIRED' })
+        .eq('user_id', userId)
+        .eq('status', 'PENDING')
+        .lt('expires_at', new Date().toISOString());
+
+    if (error) console.error('Failed to expire lock proposals:', error);
+}
+
+/**
+ * Create a lock proposal from a RECOMMEND_LOCK action
+ * A pending proposal for the same university is replaced by the new one
+ */
+async function createLockProposal(userId, { university_id, reason }) {
+    const university = await resolveUniversity(userId, university_id);
+    if (!university) {
+        throw httpError(`University not found: ${university_id}`, 404);
+    }
+
+    const planId = await getActivePlanId(userId);
+    await checkLockPreconditions(userId, university.id, planId);
+
+    await supabase
+        .from('lock_proposals')
+        .update({ status: 'DISMISSED', decided_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('plan_id', planId)
+        .eq('university_id', university.id)
+        .eq('status', 'PENDING');
+
+    const expiresAt = new Date(Date.now() + LOCK_PROPOSAL_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+        .from('lock_proposals')
+        .insert({
+            user_id: userId,
+            plan_id: planId,
+            university_id: university.id,
+            reason: reason || null,
+            source: 'AI',
+            expires_at: expiresAt.toISOString()
+        })
+        .select(`
+        *,
+        university:universities(id, name, country)
+      `)
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Pending (unexpired) lock proposals for a user's active plan
+ */
+async function listLockProposals(userId) {
+    await expireLockProposals(userId);
+
+    const { data, error } = await supabase
+        .from('lock_proposals')
+        .select(`
+        *,
+        university:universities(*)
+      `)
+        .eq('user_id', userId)
+        .eq('plan_id', await getActivePlanId(userId))
+        .eq('status', 'PENDING')
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function getPendingProposal(userId, proposalId) {
+    const { data: proposal } = await supabase
+        .from('lock_proposals')
+        .select('*')
+        .eq('id', proposalId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (!proposal) throw httpError('Lock proposal not found', 404);
+
+    if (proposal.status === 'PENDING' && new Date(proposal.expires_at) < new Date()) {
+        await expireLockProposals(userId);
+        throw httpError('This lock proposal has expired', 410);
+    }
+    if (proposal.status !== 'PENDING') {
+        throw httpError(`Lock proposal is already ${proposal.status.toLowerCase()}`, 409);
+    }
+
+    return proposal;
+}
+
+/**
+ * Confirm a proposal into a university_locks row
+ * The AI's reason is used as lock_reason_text unless the student edits it
+ */
+async function confirmLockProposal(userId, proposalId, reasonOverride) {
+    const proposal = await getPendingProposal(userId, proposalId);
+
+    // Preconditions may have changed since the proposal was made
+    await checkLockPreconditions(userId, proposal.university_id, proposal.plan_id);
+
+    const lock = await createLock(userId, proposal.university_id, reasonOverride || proposal.reason, proposal.plan_id);
+
+    await supabase
+        .from('lock_proposals')
+        .update({ status: 'CONFIRMED', lock_id: lock.id, decided_at: new Date().toISOString() })
+        .eq('id', proposal.id);
+
+    return lock;
+}
+
+/**
+ * Dismiss a pending proposal
+ */
+async function dismissLockProposal(userId, proposalId) {
+    const proposal = await getPendingProposal(userId, proposalId);
+
+    const { data, error } = await supabase
+        .from('lock_proposals')
+        .update({ status: 'DISMISSED', decided_at: new Date().toISOString() })
+        .eq('id', proposal.id)
+        .eq('status', 'PENDING')
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+module.exports = {
+    checkLockPreconditions,
+    createLock,
+    setApplicationDeadline,
+    createLockProposal,
+    listLockProposals,
+    confirmLockProposal,
+    dismissLockProposal,
+    LOCK_PROPOSAL_TTL_DAYS
+};
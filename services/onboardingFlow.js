@@ -0,0 +1,399 @@
+const { LLM_FEATURES } = require('./providers');
+const { renderPrompt } = require('./prompts');
+const { ONBOARDING_FIELDS, validateOnboardingParse } = require('./aiResponseSchemas');
+const { validateProfileUpdate } = require('./profileService');
+const { parseGradeText } = require('../utils/gradeConversion');
+const { TEST_FIELDS } = require('../utils/testScores');
+
+/**
+ * Deterministic onboarding flow
+ * The checklist is a state machine over the profile fields:
+ *
+ *   ACADEMIC -> GOALS -> BUDGET -> FUNDING -> TESTS -> SOP -> COMPLETE
+ *
+ * The current state is always the first step with an open question, so the next
+ * question, its suggested_options and completion never depend on the model.
+ * The LLM is only used to parse free-text answers into field values.
+ *
+ * Answers the student skipped ("no tests yet", "skip GPA") or confirmed without
+ * changing the default (SOP "Not started") are tracked in confirmed_fields.
+ * Answers and confirmed_fields are saved to the draft profile after every turn
+ * (see profileDraftService.js); the draft is promoted to profiles on completion.
+ */
+
+const SKIP_WORDS = ['skip', 'none', 'no', 'n/a', 'na', 'none yet', 'not yet', "don't have", 'dont have', 'later'];
+
+const COUNTRY_OPTIONS = ['United States', 'United Kingdom', 'Canada', 'Germany', 'Australia', 'Ireland', 'Netherlands'];
+
+const intakeYears = () => {
+    const year = new Date().getFullYear();
+    return [year, year + 1, year + 2];
+};
+
+/**
+ * Questions in order. A question is answered when its field has a value, or when it is
+ * listed in confirmed_fields (skippable questions and SOP).
+ * - fields: the question is answered when ANY of these is set (TESTS accepts any score)
+ * - skippable: "none"/"skip" closes the question without a value
+ */
+const ONBOARDING_STEPS = [
+    {
+        id: 'ACADEMIC',
+        label: 'Academic',
+        questions: [
+            {
+                field: 'education_level',
+                text: 'What is your current education level?',
+                suggested_options: { type: 'single', values: ['HS', 'Bachelors', 'Masters', 'MBA', 'PhD'] }
+            },
+            { field: 'degree_major', text: 'What is your major?' },
+            {
+                field: 'gpa',
+                text: 'What is your GPA or final grade? Any scale works (e.g. 3.6/4, 8.2/10, 78%, 2:1, German 1.7). You can skip this.',
+                suggested_options: { type: 'single', values: ['Skip'] },
+                skippable: true
+            }
+        ]
+    },
+    {
+        id: 'GOALS',
+        label: 'Goals',
+        questions: [
+            {
+                field: 'target_degree',
+                text: 'What degree are you planning to pursue?',
+                suggested_options: { type: 'single', values: ['Bachelors', 'Masters', 'MBA', 'PhD'] }
+            },
+            { field: 'field_of_study', text: 'What field do you want to study?' },
+            {
+                field: 'preferred_countries',
+                text: 'Which countries are you targeting?',
+                suggested_options: { type: 'multi', values: COUNTRY_OPTIONS }
+            },
+            {
+                field: 'intake_year',
+                text: 'Which year do you want to start your studies?',
+                suggested_options: () => ({ type: 'single', values: intakeYears() })
+            }
+        ]
+    },
+    {
+        id: 'BUDGET',
+        label: 'Budget',
+        questions: [
+            {
+                field: 'budget_max',
+                text: 'What is your maximum yearly budget for tuition (in USD)?',
+                suggested_options: { type: 'single', values: [15000, 30000, 50000, 75000] }
+            }
+        ]
+    },
+    {
+        id: 'FUNDING',
+        label: 'Funding',
+        questions: [
+            {
+                field: 'funding_plan',
+                text: 'How will you fund your studies?',
+                suggested_options: { type: 'single', values: ['Self-Funded', 'Scholarship', 'Loan', 'Mixed'] }
+            }
+        ]
+    },
+    {
+        id: 'TESTS',
+        label: 'Tests',
+        questions: [
+            {
+                field: 'tests',
+                fields: TEST_FIELDS,
+                text: 'Which tests have you taken? Share your scores and when you took them (e.g. "IELTS 7.5 in March 2025, GRE 320"; PTE, Duolingo, Cambridge, SAT and ACT work too), or say "None".',
+                suggested_options: { type: 'single', values: ['None yet'] },
+                skippable: true
+            }
+        ]
+    },
+    {
+        id: 'SOP',
+        label: 'SOP',
+        questions: [
+            {
+                field: 'sop_status',
+                text: 'Have you started your Statement of Purpose (SOP)?',
+                suggested_options: { type: 'single', values: ['NOT_STARTED', 'DRAFT', 'READY'] },
+                // NOT_STARTED is the schema default, so it only counts once the student picks it
+                requiresConfirmation: true
+            }
+        ]
+    }
+];
+
+const COMPLETION_TEXT = "You have completed your profile! Please click the 'Complete Profile' button on the left, or let me know if you want to edit anything.";
+const PROMOTED_TEXT = 'You have completed your profile and it has been saved! Let me know if you want to edit anything.';
+
+const hasValue = (value) =>
+    value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+function isAnswered(question, formData, confirmedFields) {
+    if (confirmedFields.includes(question.field)) return true;
+    if (question.requiresConfirmation) {
+        return hasValue(formData[question.field]) && formData[question.field] !== 'NOT_STARTED';
+    }
+    return (question.fields || [question.field]).some(field => hasValue(formData[field]));
+}
+
+/**
+ * Work out where the student is in the checklist
+ * @returns {{ state, step, question, completed_steps, complete }}
+ */
+function getOnboardingState(formData = {}, confirmedFields = []) {
+    const completedSteps = [];
+
+    for (const step of ONBOARDING_STEPS) {
+        const open = step.questions.find(question => !isAnswered(question, formData, confirmedFields));
+        if (open) {
+            return { state: step.id, step, question: open, completed_steps: completedSteps, complete: false };
+        }
+        completedSteps.push(step.id);
+    }
+
+    return { state: 'COMPLETE', step: null, question: null, completed_steps: completedSteps, complete: true };
+}
+
+function optionsFor(question) {
+    if (!question.suggested_options) return null;
+    return typeof question.suggested_options === 'function' ? question.suggested_options() : question.suggested_options;
+}
+
+/**
+ * Parse answers that don't need a model: an exact option, a bare number or "skip"
+ * @returns {{ updates, skipped }|null} null when the LLM has to parse the answer
+ */
+function parseDirectAnswer(question, answer) {
+    const text = answer.trim();
+    const lower = text.toLowerCase().replace(/[.!]+$/, '');
+
+    if (question.skippable && SKIP_WORDS.includes(lower)) {
+        return { updates: {}, skipped: [question.field] };
+    }
+
+    const options = optionsFor(question);
+    if (options && !question.skippable) {
+        const picked = text.split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+        const values = picked.map(part => options.values.find(value =>
+            String(value).toLowerCase() === part || String(value).toLowerCase().replace(/_/g, ' ') === part
+        ));
+        if (values.length > 0 && values.every(value => value !== undefined)) {
+            return { updates: { [question.field]: options.type === 'multi' ? values : values[0] }, skipped: [] };
+        }
+    }
+
+    if (question.field === 'gpa') {
+        const grade = parseGradeText(text);
+        return grade ? { updates: grade, skipped: [] } : null;
+    }
+
+    if (!question.fields && /^\$?\d+(\.\d+)?k?$/i.test(text.replace(/,/g, ''))) {
+        const raw = text.replace(/[$,]/g, '');
+        const number = /k$/i.test(raw) ? parseFloat(raw) * 1000 : parseFloat(raw);
+        if (['budget_max', 'budget_min', 'intake_year', 'grad_year'].includes(question.field)) {
+            return { updates: { [question.field]: number }, skipped: [] };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Field list with types for a parser prompt (from the profile schema)
+ * @param {string[]} [fields] - profile fields to list, the onboarding ones by default
+ */
+function describeFields(fields = ONBOARDING_FIELDS) {
+    const { profileSchema } = require('./profileService');
+    const described = profileSchema.describe().keys;
+
+    return fields.map(field => {
+        const rule = described[field] || {};
+        const allowed = (rule.allow || []).filter(value => value !== null && value !== '');
+        const type = rule.type === 'array' ? 'array of strings' : rule.type;
+        return `- ${field}: ${type}${allowed.length > 0 ? ` (${allowed.join(' | ')})` : ''}`;
+    }).join('\n');
+}
+
+/**
+ * Ask the model to turn a free-text answer into field values
+ * Invalid or failed model output counts as "not understood"
+ */
+async function parseAnswerWithLLM({ question, answer, formData, userId }) {
+    const { getLLMResponse } = require('./aiService');
+
+    const prompt = renderPrompt('ONBOARDING', {
+        question: question.text,
+        fields: question.fields || [question.field],
+        skipField: question.field,
+        fieldGuide: describeFields(),
+        currentFormData: formData
+    }, { userId });
+
+    const response = await getLLMResponse([
+        { role: 'user', content: answer }
+    ], prompt.system, {
+        provider: 'GEMINI',
+        model: 'gemini-2.5-flash-lite',
+        feature: LLM_FEATURES.ONBOARDING,
+        userId,
+        prompt
+    });
+
+    if (response.error) {
+        return { updates: {}, skipped: [], failed: true, _prompt: response._prompt };
+    }
+
+    const { valid, value, errors } = validateOnboardingParse(response);
+    if (!valid) {
+        console.warn('⚠️ Invalid onboarding parse output:', errors);
+        return { updates: {}, skipped: [], _prompt: response._prompt };
+    }
+    return { ...value, _prompt: response._prompt };
+}
+
+/**
+ * Known profile fields with a value (drops UI-only keys and empty inputs)
+ */
+function pickProfileFields(formData) {
+    return Object.fromEntries(Object.entries(formData).filter(([field, value]) =>
+        ONBOARDING_FIELDS.includes(field) && hasValue(value)
+    ));
+}
+
+async function loadDraft(userId) {
+    if (!userId) return { data: {}, confirmed_fields: [], promoted_at: null };
+
+    const { getDraft } = require('./profileDraftService');
+    try {
+        return await getDraft(userId);
+    } catch (error) {
+        console.error('Failed to load onboarding draft:', error);
+        return { data: {}, confirmed_fields: [], promoted_at: null };
+    }
+}
+
+/**
+ * Save answers to the draft profile and optionally promote it to profiles
+ * Failures are logged, the conversation carries on with the client's formData
+ * @returns {Promise<boolean>} whether the profile was promoted
+ */
+async function saveProgress(userId, formData, confirmedFields, promote) {
+    if (!userId) return false;
+
+    const { saveDraftFields, promoteDraft } = require('./profileDraftService');
+    try {
+        const { fieldErrors } = await saveDraftFields(userId, pickProfileFields(formData), { confirmedFields });
+        if (fieldErrors) console.warn('⚠️ Onboarding draft fields not saved:', fieldErrors);
+
+        if (!promote) return false;
+        await promoteDraft(userId);
+        return true;
+    } catch (error) {
+        console.error('Failed to save onboarding progress:', error.message, error.details || '');
+        return false;
+    }
+}
+
+/**
+ * Run one onboarding turn
+ * @param {object} params - { userQuery, userId, currentFormData }
+ *   currentFormData (optional) overrides the saved draft, and may carry confirmed_fields
+ * @returns {Promise<object>} response in the ONBOARDING shape plus an `onboarding` summary
+ */
+async function runOnboardingTurn({ userQuery, userId, currentFormData = {} }) {
+    const { confirmed_fields: confirmedInput = [], ...clientFormData } = currentFormData;
+
+    // Saved draft first, so a reload (or another device) picks up where the student left off
+    const draft = await loadDraft(userId);
+    const formData = { ...draft.data, ...pickProfileFields(clientFormData) };
+    let confirmedFields = [...new Set([
+        ...draft.confirmed_fields,
+        ...(Array.isArray(confirmedInput) ? confirmedInput : [])
+    ])];
+
+    const before = getOnboardingState(formData, confirmedFields);
+    const answer = (userQuery || '').trim();
+
+    let updates = {};
+    let note = null;
+    let promptMeta;
+
+    if (answer && !before.complete) {
+        const parsed = parseDirectAnswer(before.question, answer)
+            || await parseAnswerWithLLM({
+                question: before.question,
+                answer,
+                formData,
+                userId
+            });
+        promptMeta = parsed._prompt;
+
+        // Same rules as PATCH /api/profile; invalid values are dropped and re-asked
+        const { value, fieldErrors } = validateProfileUpdate(parsed.updates || {});
+        if (fieldErrors) {
+            Object.keys(fieldErrors).forEach(field => delete value[field]);
+            note = `I couldn't use that: ${Object.values(fieldErrors)[0]}.`;
+        }
+        updates = value;
+
+        confirmedFields = [...new Set([
+            ...confirmedFields,
+            // The model may name the question's fields ("ielts_score") instead of the question ("tests")
+            ...(before.question.skippable && (parsed.skipped || []).some(field =>
+                field === before.question.field || (before.question.fields || []).includes(field)
+            ) ? [before.question.field] : []),
+            // Picking any SOP status (including NOT_STARTED) answers the SOP question
+            ...(before.question.requiresConfirmation && before.question.field in updates ? [before.question.field] : [])
+        ])];
+
+        if (!note && Object.keys(updates).length === 0 && !confirmedFields.includes(before.question.field)) {
+            note = parsed.failed
+                ? "I'm having trouble understanding answers right now."
+                : "Sorry, I didn't quite get that.";
+        }
+    }
+
+    const mergedFormData = { ...formData, ...updates };
+    const after = getOnboardingState(mergedFormData, confirmedFields);
+
+    // Promote when the checklist completes (or a complete draft was never promoted)
+    const promote = after.complete && (!before.complete || !draft.promoted_at);
+    const promoted = await saveProgress(userId, mergedFormData, confirmedFields, promote);
+
+    const text = after.complete
+        ? (promoted || draft.promoted_at ? PROMOTED_TEXT : COMPLETION_TEXT)
+        : [note, after.question.text].filter(Boolean).join(' ');
+
+    console.log(`🧭 Onboarding: ${before.state} -> ${after.state}${Object.keys(updates).length ? ` (${Object.keys(updates).join(', ')})` : ''}`);
+
+    return {
+        text,
+        suggested_options: after.complete ? null : optionsFor(after.question),
+        actions: Object.keys(updates).length > 0
+            ? [{ type: 'UPDATE_ONBOARDING_STATE', payload: updates }]
+            : [],
+        onboarding: {
+            state: after.state,
+            current_field: after.complete ? null : after.question.field,
+            completed_steps: after.completed_steps,
+            steps: ONBOARDING_STEPS.map(step => ({ id: step.id, label: step.label })),
+            confirmed_fields: confirmedFields,
+            complete: after.complete,
+            profile_saved: promoted,
+            form_data: mergedFormData
+        },
+        ...(promptMeta && { _prompt: promptMeta })
+    };
+}
+
+module.exports = {
+    ONBOARDING_STEPS,
+    getOnboardingState,
+    describeFields,
+    runOnboardingTurn
+};
@@ -0,0 +1,307 @@
+const Joi = require('joi');
+const supabase = require('../database/supabase');
+const { logActivity } = require('./activityTracker');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Application plans
+ * A plan holds the goals a student may want to compare (target degree, field, intake,
+ * countries, budget); shortlists, locks, lock proposals, tasks and discovery analyses
+ * belong to a plan. The active plan's goals are mirrored on the profile row, so scoring,
+ * prompts and the AI context keep reading the profile:
+ * - switching plans copies the plan's goals onto the profile (recorded as PLAN_SWITCH)
+ * - a profile write that changes goals updates the active plan as well
+ * Students without a plan get a "Main plan" from their profile the first time one is needed.
+ */
+
+const PLAN_FIELDS = ['target_degree', 'field_of_study', 'intake_year', 'preferred_countries', 'budget_min', 'budget_max', 'funding_plan'];
+
+const DEFAULT_PLAN_NAME = 'Main plan';
+
+const PLAN_SCOPED_TABLES = ['user_shortlists', 'university_locks', 'lock_proposals', 'tasks', 'user_university_analyses'];
+
+// Goal fields use the profile's rules
+function planFieldSchemas() {
+    const { profileUpdateSchema } = require('./profileService');
+    return Object.fromEntries(PLAN_FIELDS.map(field => [field, profileUpdateSchema.extract(field)]));
+}
+
+const pickPlanFields = (source) => Object.fromEntries(
+    PLAN_FIELDS.filter(field => source?.[field] !== undefined).map(field => [field, source[field]])
+);
+
+/**
+ * A profile as it looks under another plan's goals (e.g. scoring a lock of an inactive plan)
+ */
+function applyPlanGoals(profile, plan) {
+    if (!profile || !plan) return profile;
+    return { ...profile, ...Object.fromEntries(PLAN_FIELDS.map(field => [field, plan[field] ?? null])) };
+}
+
+function validatePlan(body, { requireName }) {
+    const schema = Joi.object({
+        name: requireName ? Joi.string().trim().min(1).max(100).required() : Joi.string().trim().min(1).max(100),
+        ...planFieldSchemas()
+    });
+
+    const { error, value } = schema.validate(body || {}, { abortEarly: false, noDefaults: true });
+    if (error) {
+        const details = {};
+        error.details.forEach(detail => {
+            const field = detail.path[0] || 'plan';
+            if (!details[field]) details[field] = detail.message;
+        });
+        throw httpError('Invalid plan', 400, details);
+    }
+    return value;
+}
+
+async function getProfile(userId) {
+    const { data } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+    return data;
+}
+
+async function getUserPlan(userId, planId) {
+    const { data, error } = await supabase
+        .from('application_plans')
+        .select('*')
+        .eq('id', planId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw httpError('Plan not found', 404);
+    return data;
+}
+
+/**
+ * Move the student's rows without a plan (written before plans existed) into a plan,
+ * otherwise plan-scoped queries never see them
+ */
+async function adoptUnplannedRows(userId, planId) {
+    for (const table of PLAN_SCOPED_TABLES) {
+        const { error } = await supabase
+            .from(table)
+            .update({ plan_id: planId })
+            .eq('user_id', userId)
+            .is('plan_id', null);
+        if (error) console.error(`Failed to attach ${table} rows to plan:`, error);
+    }
+}
+
+async function listPlans(userId) {
+    await getActivePlan(userId);
+
+    const { data, error } = await supabase
+        .from('application_plans')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * The student's active plan, created from the profile when there is none yet
+ */
+async function getActivePlan(userId) {
+    const { data: active, error } = await supabase
+        .from('application_plans')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (active) return active;
+
+    // Plans exist but none is active (e.g. a failed switch): reactivate the oldest
+    const { data: existing } = await supabase
+        .from('application_plans')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true })
+        .limit(1);
+
+    if (existing && existing.length > 0) {
+        const { data, error: updateError } = await supabase
+            .from('application_plans')
+            .update({ is_active: true, updated_at: new Date().toISOString() })
+            .eq('id', existing[0].id)
+            .select()
+            .single();
+        if (updateError) throw updateError;
+        await adoptUnplannedRows(userId, data.id);
+        return data;
+    }
+
+    const profile = await getProfile(userId);
+    const { data, error: insertError } = await supabase
+        .from('application_plans')
+        .insert({ user_id: userId, name: DEFAULT_PLAN_NAME, ...pickPlanFields(profile), is_active: true })
+        .select()
+        .single();
+
+    if (insertError) {
+        // Created by a concurrent request in the meantime
+        if (insertError.code === '23505') return getActivePlan(userId);
+        throw insertError;
+    }
+    await adoptUnplannedRows(userId, data.id);
+    console.log(`🗂️ Created ${DEFAULT_PLAN_NAME} for user ${userId}`);
+    return data;
+}
+
+async function getActivePlanId(userId) {
+    return (await getActivePlan(userId)).id;
+}
+
+/**
+ * Create a plan; goals not given are copied from the active plan
+ * @param {object} body - { name, ...goal fields, activate }
+ */
+async function createPlan(userId, body) {
+    const { activate, ...fields } = body || {};
+    const input = validatePlan(fields, { requireName: true });
+    const current = await getActivePlan(userId);
+
+    const { data, error } = await supabase
+        .from('application_plans')
+        .insert({ ...pickPlanFields(current), ...input, user_id: userId, is_active: false })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') throw httpError(`A plan named "${input.name}" already exists`, 409);
+        throw error;
+    }
+
+    await logActivity(userId, 'PLAN_CREATE', data.id, { plan_name: data.name, target_degree: data.target_degree });
+
+    return activate ? activatePlan(userId, data.id) : data;
+}
+
+/**
+ * Rename a plan or change its goals (mirrored onto the profile when it is the active plan)
+ */
+async function updatePlan(userId, planId, body) {
+    const input = validatePlan(body, { requireName: false });
+    const plan = await getUserPlan(userId, planId);
+
+    const { data, error } = await supabase
+        .from('application_plans')
+        .update({ ...input, updated_at: new Date().toISOString() })
+        .eq('id', plan.id)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') throw httpError(`A plan named "${input.name}" already exists`, 409);
+        throw error;
+    }
+
+    const goals = pickPlanFields(input);
+    if (plan.is_active && Object.keys(goals).length > 0) {
+        const { applyProfileUpdates, triggerRealtimeUpdates } = require('./profileService');
+        const { profile } = await applyProfileUpdates(userId, goals, { reason: 'PLAN_UPDATE' });
+        triggerRealtimeUpdates(userId, profile, { planId: plan.id });
+    } else if (Object.keys(goals).length > 0) {
+        // Analyses of an inactive plan are redone when it is next used
+        const { invalidateUserCache } = require('./discoveryAnalysisService');
+        await invalidateUserCache(userId, { planId: plan.id });
+    }
+
+    return data;
+}
+
+/**
+ * Make a plan the active one and copy its goals onto the profile
+ * Discovery analyses are kept per plan, so switching does not clear them
+ */
+async function activatePlan(userId, planId) {
+    const plan = await getUserPlan(userId, planId);
+    if (plan.is_active) return plan;
+
+    const { error: clearError } = await supabase
+        .from('application_plans')
+        .update({ is_active: false, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('is_active', true);
+    if (clearError) throw clearError;
+
+    const { data, error } = await supabase
+        .from('application_plans')
+        .update({ is_active: true, updated_at: new Date().toISOString() })
+        .eq('id', plan.id)
+        .select()
+        .single();
+    if (error) throw error;
+
+    const goals = Object.fromEntries(PLAN_FIELDS.map(field => [field, plan[field] ?? null]));
+    const { applyProfileUpdates } = require('./profileService');
+    const { profile } = await applyProfileUpdates(userId, goals, { reason: 'PLAN_SWITCH' });
+
+    const { syncTasksWithProfile } = require('./taskGenerator');
+    syncTasksWithProfile(userId, profile).catch(err =>
+        console.error('Task sync after plan switch failed:', err)
+    );
+
+    await logActivity(userId, 'PLAN_SWITCH', plan.id, { plan_name: plan.name, target_degree: plan.target_degree });
+    console.log(`🔀 User ${userId} switched to plan "${plan.name}"`);
+    return data;
+}
+
+/**
+ * Delete an inactive plan with its shortlist, locks, tasks and analyses
+ */
+async function deletePlan(userId, planId) {
+    const plan = await getUserPlan(userId, planId);
+    if (plan.is_active) {
+        throw httpError('Switch to another plan before deleting the active one', 409);
+    }
+
+    const { error } = await supabase
+        .from('application_plans')
+        .delete()
+        .eq('id', plan.id);
+
+    if (error) throw error;
+    await logActivity(userId, 'PLAN_DELETE', plan.id, { plan_name: plan.name });
+}
+
+/**
+ * Keep the active plan in step with a profile write that changed goal fields
+ * Called by applyProfileUpdates; plan switches skip it (the goals came from the plan)
+ */
+async function syncActivePlanFromProfile(userId, profile, updates) {
+    const goals = pickPlanFields(Object.fromEntries(
+        PLAN_FIELDS.filter(field => updates[field] !== undefined).map(field => [field, profile[field] ?? null])
+    ));
+    if (Object.keys(goals).length === 0) return;
+
+    const plan = await getActivePlan(userId);
+    const { error } = await supabase
+        .from('application_plans')
+        .update({ ...goals, updated_at: new Date().toISOString() })
+        .eq('id', plan.id);
+
+    if (error) throw error;
+}
+
+module.exports = {
+    PLAN_FIELDS,
+    applyPlanGoals,
+    listPlans,
+    getActivePlan,
+    getActivePlanId,
+    createPlan,
+    updatePlan,
+    activatePlan,
+    deletePlan,
+    syncActivePlanFromProfile
+};
@@ -0,0 +1,144 @@
+const supabase = require('../database/supabase');
+const { httpError } = require('../utils/httpError');
+const {
+    profileSchema,
+    validateProfile,
+    validateProfileUpdate,
+    applyProfileUpdates,
+    triggerRealtimeUpdates
+} = require('./profileService');
+
+/**
+ * Draft profile store
+ * Onboarding answers are saved field by field as they come in, so progress survives
+ * reloads and other devices. Each field is validated on its own (invalid ones are
+ * reported and not stored); the draft is promoted to the profiles row once the full
+ * profileSchema passes.
+ */
+
+const REQUIRED_FIELDS = Object.entries(profileSchema.describe().keys)
+    .filter(([, rule]) => rule.flags?.presence === 'required')
+    .map(([field]) => field);
+
+const EMPTY_DRAFT = { data: {}, confirmed_fields: [], promoted_at: null, updated_at: null };
+
+/**
+ * Draft summary returned to the client
+ */
+function describeDraft(draft) {
+    const data = draft.data || {};
+    const missing = REQUIRED_FIELDS.filter(field =>
+        data[field] === undefined || data[field] === null || data[field] === '' ||
+        (Array.isArray(data[field]) && data[field].length === 0)
+    );
+
+    return {
+        data,
+        confirmed_fields: draft.confirmed_fields || [],
+        missing_fields: missing,
+        ready: missing.length === 0 && !profileSchema.validate(data).error,
+        promoted_at: draft.promoted_at,
+        updated_at: draft.updated_at
+    };
+}
+
+async function loadDraftRow(userId) {
+    const { data, error } = await supabase
+        .from('profile_drafts')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data || EMPTY_DRAFT;
+}
+
+/**
+ * Get a user's draft (empty if onboarding has not saved anything yet)
+ */
+async function getDraft(userId) {
+    return describeDraft(await loadDraftRow(userId));
+}
+
+/**
+ * Save some fields into the draft
+ * null removes a field. Invalid fields are left out and reported in fieldErrors.
+ * @param {object} options - { confirmedFields } onboarding questions answered without a value
+ * @returns {Promise<{ draft: object, fieldErrors: object|null }>}
+ */
+async function saveDraftFields(userId, fields = {}, { confirmedFields } = {}) {
+    const existing = await loadDraftRow(userId);
+
+    const cleared = Object.keys(fields).filter(field => fields[field] === null);
+    const toValidate = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+
+    // Validate each field on its own so one bad answer doesn't block the rest
+    const { value, fieldErrors } = validateProfileUpdate(toValidate, existing.data);
+    if (fieldErrors) {
+        Object.keys(fieldErrors).forEach(field => delete value[field]);
+    }
+
+    const data = { ...existing.data, ...value };
+    cleared.forEach(field => delete data[field]);
+
+    const { data: saved, error } = await supabase
+        .from('profile_drafts')
+        .upsert({
+            user_id: userId,
+            data,
+            confirmed_fields: [...new Set([...(existing.confirmed_fields || []), ...(confirmedFields || [])])],
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'user_id' })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    return { draft: describeDraft(saved), fieldErrors };
+}
+
+/**
+ * Copy a complete draft into the profiles row
+ * Throws 400 with per-field details if the draft does not pass profileSchema yet
+ * @returns {Promise<object>} the saved profile
+ */
+async function promoteDraft(userId) {
+    const draft = await loadDraftRow(userId);
+
+    const { value, fieldErrors } = validateProfile(draft.data || {});
+    if (fieldErrors) {
+        throw httpError('Draft profile is not complete yet', 400, fieldErrors);
+    }
+
+    const { profile } = await applyProfileUpdates(userId, value, { reason: 'DRAFT_PROMOTE' });
+
+    await supabase
+        .from('profile_drafts')
+        .update({ promoted_at: new Date().toISOString() })
+        .eq('user_id', userId);
+
+    console.log(`✅ Promoted draft profile for user ${userId}`);
+
+    triggerRealtimeUpdates(userId, profile);
+
+    return profile;
+}
+
+/**
+ * Throw away a draft (e.g. to restart onboarding)
+ */
+async function discardDraft(userId) {
+    const { error } = await supabase
+        .from('profile_drafts')
+        .delete()
+        .eq('user_id', userId);
+
+    if (error) throw error;
+}
+
+module.exports = {
+    getDraft,
+    saveDraftFields,
+    promoteDraft,
+    discardDraft
+};
@@ -0,0 +1,174 @@
+const supabase = require('../database/supabase');
+const { httpError } = require('../utils/httpError');
+const { profileSchema } = require('./profileService');
+
+/**
+ * Profile change history
+ * Every profile write goes through applyProfileUpdates, which records a change set here:
+ * who changed it (HUMAN / AI), why, the changed fields with old and new values, and a
+ * snapshot of all profile fields after the change. Snapshots make diffs and reverts
+ * independent of the change sets in between.
+ */
+
+const PROFILE_FIELDS = Object.keys(profileSchema.describe().keys);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function snapshotOf(profile) {
+    return Object.fromEntries(PROFILE_FIELDS.map(field => [field, profile?.[field] ?? null]));
+}
+
+/**
+ * Field-by-field differences between two snapshots
+ * @returns {object} { field: { old, new } } for fields that differ
+ */
+function diffSnapshots(before, after) {
+    const changes = {};
+    PROFILE_FIELDS.forEach(field => {
+        if (!sameValue(before?.[field], after?.[field])) {
+            changes[field] = { old: before?.[field] ?? null, new: after?.[field] ?? null };
+        }
+    });
+    return changes;
+}
+
+async function getLatestVersionNumber(userId) {
+    const { data } = await supabase
+        .from('profile_versions')
+        .select('version')
+        .eq('user_id', userId)
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    return data ? data.version : 0;
+}
+
+/**
+ * Store a change set for a profile write (nothing is stored if no profile field changed)
+ * @param {object} change - { previous, profile, changedBy: 'HUMAN' | 'AI', reason, revertedToVersion }
+ * @returns {Promise<object|null>} the stored version
+ */
+async function recordProfileChange(userId, { previous, profile, changedBy = 'HUMAN', reason = null, revertedToVersion = null }) {
+    const snapshot = snapshotOf(profile);
+    const changes = diffSnapshots(snapshotOf(previous), snapshot);
+    if (Object.keys(changes).length === 0) return null;
+
+    // Two writes racing for the same version number: the loser retries once
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const version = (await getLatestVersionNumber(userId)) + 1;
+
+        const { data, error } = await supabase
+            .from('profile_versions')
+            .insert({
+                user_id: userId,
+                version,
+                changed_by: changedBy,
+                reason,
+                fields: Object.keys(changes),
+                changes,
+                snapshot,
+                reverted_to_version: revertedToVersion
+            })
+            .select()
+            .single();
+
+        if (!error) return data;
+        if (error.code !== '23505') throw error; // 23505 = unique violation
+    }
+
+    throw new Error('Could not record profile change: version conflict');
+}
+
+/**
+ * Change sets for a user, newest first (snapshots left out)
+ */
+async function listProfileHistory(userId, { limit = 50 } = {}) {
+    const { data, error } = await supabase
+        .from('profile_versions')
+        .select('id, version, changed_by, reason, fields, changes, reverted_to_version, created_at')
+        .eq('user_id', userId)
+        .order('version', { ascending: false })
+        .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function getProfileVersion(userId, version) {
+    const { data, error } = await supabase
+        .from('profile_versions')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('version', version)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw httpError(`Profile version ${version} not found`, 404);
+    return data;
+}
+
+/**
+ * Differences between two versions (`to` defaults to the current profile)
+ */
+async function diffProfileVersions(userId, fromVersion, toVersion = null) {
+    const from = await getProfileVersion(userId, fromVersion);
+
+    let toSnapshot;
+    if (toVersion) {
+        toSnapshot = (await getProfileVersion(userId, toVersion)).snapshot;
+    } else {
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+        toSnapshot = snapshotOf(profile);
+    }
+
+    return {
+        from: fromVersion,
+        to: toVersion || 'current',
+        changes: diffSnapshots(from.snapshot, toSnapshot)
+    };
+}
+
+/**
+ * Put the profile back to how it was after `version`
+ * Recorded as a new HUMAN change set, with the usual cache invalidation and task sync
+ */
+async function revertProfileToVersion(userId, version) {
+    const { applyProfileUpdates, triggerRealtimeUpdates } = require('./profileService');
+    const target = await getProfileVersion(userId, version);
+
+    const { data: current } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    const changes = diffSnapshots(snapshotOf(current), target.snapshot);
+    if (Object.keys(changes).length === 0) {
+        return { profile: current, version: null, changes };
+    }
+
+    const updates = Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.new]));
+
+    const { profile, version: recorded } = await applyProfileUpdates(userId, updates, {
+        reason: 'REVERT',
+        revertedToVersion: version
+    });
+    triggerRealtimeUpdates(userId, profile);
+
+    console.log(`↩️ Reverted profile of user ${userId} to version ${version}`);
+    return { profile, version: recorded, changes };
+}
+
+module.exports = {
+    recordProfileChange,
+    listProfileHistory,
+    getProfileVersion,
+    diffProfileVersions,
+    revertProfileToVersion,
+    PROFILE_FIELDS
+};
@@ -0,0 +1,502 @@
+const path = require('path');
+const supabase = require('../database/supabase');
+const { logActivity } = require('./activityTracker');
+const { httpError } = require('../utils/httpError');
+const { renderPrompt } = require('./prompts');
+const { LLM_FEATURES } = require('./providers');
+const { PROFILE_IMPORT_FIELDS, validateProfileImport } = require('./aiResponseSchemas');
+const { validateProfileUpdate, applyProfileUpdates, triggerRealtimeUpdates } = require('./profileService');
+const { getDraft, saveDraftFields } = require('./profileDraftService');
+const { TESTS, TEST_FIELDS, dateFieldFor } = require('../utils/testScores');
+const { parseGradeText } = require('../utils/gradeConversion');
+
+/**
+ * Profile import from an uploaded CV or transcript
+ * 1. Text is extracted here (pdf-parse / mammoth); the file itself is never stored
+ * 2. Labelled test scores and grades are read with rules, everything else
+ *    (degree, major, graduation year, work experience) is proposed by the model
+ * 3. Each proposal carries a confidence and the snippet it came from; model snippets
+ *    that cannot be found in the text are flagged and their confidence capped
+ * 4. Nothing is saved to the profile until the student confirms the proposals they want
+ *    (students still onboarding get them in their draft instead)
+ */
+
+const IMPORT_CONFIG = {
+    MAX_FILE_BYTES: 10 * 1024 * 1024,
+    MAX_TEXT_CHARS: 20000, // Sent to the model; longer documents are cut
+    MIN_TEXT_CHARS: 30, // Less than this is a scan or an empty file
+    SNIPPET_CHARS: 200,
+    UNVERIFIED_CONFIDENCE: 0.4, // Cap for model proposals whose snippet is not in the text
+    MIN_CONFIDENCE: 0.2
+};
+
+const DOCUMENT_TYPES = ['CV', 'TRANSCRIPT'];
+
+const FILE_KINDS = {
+    '.pdf': { kind: 'PDF', mimetypes: ['application/pdf'] },
+    '.docx': { kind: 'DOCX', mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] }
+};
+
+// Test names as they appear on CVs (case-sensitive, so "act" or "sat" in prose don't match)
+const TEST_LABELS = {
+    ielts_score: /\bIELTS\b/,
+    toefl_score: /\bTOEFL\b/,
+    pte_score: /\bPTE\b/,
+    duolingo_score: /\b(?:Duolingo|DUOLINGO|DET)\b/,
+    gre_score: /\bGRE\b/,
+    gmat_score: /\bGMAT\b/,
+    sat_score: /\bSAT\b/,
+    act_score: /\bACT\b/
+};
+
+const GRADE_LABEL = /\b(?:CGPA|GPA|Grade Point Average|Percentage|Aggregate)\b/i;
+const UK_CLASS = /\b(First Class Honours|First Class|Upper Second|Lower Second|2:1|2:2|Third Class)\b/i;
+const OVERALL_GRADE = /\b(?:cumulative|overall|final|aggregate)\b/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_PATTERNS = [
+    { regex: /\b(\d{4})-(\d{2})(?:-(\d{2}))?\b/, read: m => [m[1], m[2], m[3] || '01'] },
+    {
+        regex: /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?,?\s+(\d{4})\b/i,
+        read: m => [m[2], String(MONTHS.indexOf(m[1].toLowerCase()) + 1).padStart(2, '0'), '01']
+    },
+    { regex: /\b(\d{1,2})\/(\d{4})\b/, read: m => [m[2], m[1].padStart(2, '0'), '01'] }
+];
+
+// Order proposals are listed in (each test date right after its score)
+const FIELD_ORDER = [
+    'education_level', 'degree_major', 'grad_year', 'gpa',
+    ...TEST_FIELDS.flatMap(field => [field, dateFieldFor(field)]), 'cambridge_exam',
+    'work_experience'
+];
+
+const clean = (value) => String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Which supported format a file is (by extension and mimetype), or null
+ */
+function fileKind(file) {
+    const entry = FILE_KINDS[path.extname(file.originalname || '').toLowerCase()];
+    if (!entry) return null;
+    // Browsers send DOCX as octet-stream now and then; the extension decides then
+    if (file.mimetype && file.mimetype !== 'application/octet-stream' && !entry.mimetypes.includes(file.mimetype)) {
+        return null;
+    }
+    return entry.kind;
+}
+
+/**
+ * Plain text of an uploaded PDF or DOCX (multer memory-storage file)
+ * Throws 400 for other formats and 422 when no text can be read (e.g. a scanned PDF)
+ */
+async function extractDocumentText(file) {
+    const kind = fileKind(file);
+    if (!kind) throw httpError('Only PDF and DOCX files can be imported', 400);
+
+    let raw;
+    try {
+        if (kind === 'PDF') {
+            const { PDFParse } = require('pdf-parse');
+            const parser = new PDFParse({ data: file.buffer });
+            try {
+                raw = (await parser.getText()).text;
+            } finally {
+                await parser.destroy();
+            }
+        } else {
+            const mammoth = require('mammoth');
+            raw = (await mammoth.extractRawText({ buffer: file.buffer })).value;
+        }
+    } catch (error) {
+        console.error(`Failed to read ${kind} upload:`, error.message);
+        throw httpError(`Could not read this ${kind} file`, 422);
+    }
+
+    const text = String(raw || '')
+        .split(/\r?\n/)
+        .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+        .filter(line => line && !/^-- \d+ of \d+ --$/.test(line)) // pdf-parse page markers
+        .join('\n');
+
+    if (text.replace(/\s/g, '').length < IMPORT_CONFIG.MIN_TEXT_CHARS) {
+        throw httpError('No text found in this document. Scanned documents are not supported; upload a PDF with selectable text or a DOCX', 422);
+    }
+    return text;
+}
+
+/**
+ * First date on a line as YYYY-MM-DD (month-only dates use the 1st)
+ * @returns {{ date: string, match: string }|null}
+ */
+function findDate(line) {
+    for (const { regex, read } of DATE_PATTERNS) {
+        const match = line.match(regex);
+        if (!match) continue;
+        const [year, month, day] = read(match);
+        const date = `${year}-${month}-${day}`;
+        if (!isNaN(new Date(date)) && Number(month) >= 1 && Number(month) <= 12) {
+            return { date, match: match[0] };
+        }
+    }
+    return null;
+}
+
+const onScale = (value, test) =>
+    value >= test.min && value <= test.max && Number.isInteger(value / test.step);
+
+const snippet = (line) => line.slice(0, IMPORT_CONFIG.SNIPPET_CHARS);
+
+/**
+ * Labelled test scores, with the test date when it is on the same line
+ * The score is the first number after the label on the test's scale ("GRE Q 168 V 157 Total 325" -> 325)
+ */
+function findTestScores(lines) {
+    const proposals = [];
+
+    Object.entries(TEST_LABELS).forEach(([field, label]) => {
+        for (const line of lines) {
+            const match = line.match(label);
+            if (!match) continue;
+
+            const after = line.slice(match.index + match[0].length);
+            const found = findDate(after);
+            const numbers = (found ? after.replace(found.match, ' ') : after).slice(0, 80).match(/\d+(?:\.\d+)?/g) || [];
+            const score = numbers.map(Number).find(value => onScale(value, TESTS[field]));
+            if (score === undefined) continue;
+
+            const source = snippet(line.slice(match.index));
+            proposals.push({ field, value: score, confidence: 0.9, source, method: 'RULE' });
+            if (found) {
+                proposals.push({ field: dateFieldFor(field), value: found.date, confidence: 0.8, source, method: 'RULE' });
+            }
+            break;
+        }
+    });
+
+    return proposals;
+}
+
+/**
+ * Overall grade: a labelled GPA / CGPA / percentage or a UK classification
+ * Lines saying cumulative / overall / final win over semester grades
+ */
+function findGrade(lines) {
+    const candidates = [];
+
+    lines.forEach(line => {
+        const label = line.match(GRADE_LABEL);
+        if (label) {
+            const after = line.slice(label.index + label[0].length, label.index + label[0].length + 60);
+            const number = after.match(/(\d+(?:\.\d+)?)\s*(%|\/\s*(?:4\.0|4|10|100)\b)?/);
+            if (number && !/^(19|20)\d\d$/.test(number[1])) {
+                const percent = /percentage|aggregate/i.test(label[0]) && !number[2] ? '%' : '';
+                const grade = parseGradeText(`${number[1]}${number[2] || percent}`);
+                if (grade) candidates.push({ grade, line });
+            }
+            return;
+        }
+
+        const ukClass = line.match(UK_CLASS);
+        if (ukClass) {
+            const grade = parseGradeText(ukClass[1]);
+            if (grade) candidates.push({ grade, line });
+        }
+    });
+
+    if (candidates.length === 0) return [];
+
+    const overall = candidates.find(candidate => OVERALL_GRADE.test(candidate.line));
+    const chosen = overall || candidates[0];
+    return [{
+        field: 'gpa',
+        value: chosen.grade,
+        confidence: overall || candidates.length === 1 ? 0.9 : 0.7,
+        source: snippet(chosen.line),
+        method: 'RULE'
+    }];
+}
+
+/**
+ * Proposals read with rules (no model call)
+ */
+function findRuleProposals(text) {
+    const lines = text.split('\n');
+    return [...findTestScores(lines), ...findGrade(lines)];
+}
+
+/**
+ * Proposals from the model; a failed or invalid response gives none
+ */
+async function proposeWithAI(text, documentType, userId) {
+    const { getLLMResponse } = require('./aiService');
+    const { describeFields } = require('./onboardingFlow');
+
+    const prompt = renderPrompt('PROFILE_IMPORT', {
+        documentType,
+        fieldGuide: describeFields(PROFILE_IMPORT_FIELDS.filter(field => field !== 'gpa' && field !== 'work_experience')),
+        documentText: text.slice(0, IMPORT_CONFIG.MAX_TEXT_CHARS)
+    }, { userId });
+
+    const response = await getLLMResponse([
+        { role: 'user', content: prompt.user }
+    ], prompt.system, {
+        provider: 'GEMINI',
+        model: 'gemini-2.5-flash',
+        feature: LLM_FEATURES.PROFILE_IMPORT,
+        userId,
+        prompt
+    });
+
+    if (response.error) return { proposals: [], failed: true };
+
+    const { valid, value, errors } = validateProfileImport(response);
+    if (errors.length > 0) console.warn('⚠️ Profile import proposals dropped:', errors);
+    if (!valid) return { proposals: [], failed: true };
+
+    return { proposals: value.proposals.map(proposal => ({ ...proposal, method: 'AI' })), failed: false };
+}
+
+/**
+ * Profile update for one proposal value
+ */
+function toUpdates(field, value) {
+    if (field === 'gpa') {
+        // An edited grade may come back as text ("8.2/10", "2:1")
+        const grade = value && typeof value === 'object' ? value : parseGradeText(value) || { gpa_original: value };
+        // Without a scale the grade is read on the scale the profile already uses
+        return grade.gpa_scale
+            ? { gpa_original: grade.gpa_original ?? null, gpa_scale: grade.gpa_scale }
+            : { gpa_original: grade.gpa_original ?? null };
+    }
+    if (field === 'work_experience') return { work_experience: [value] };
+    return { [field]: value };
+}
+
+/**
+ * A proposal value checked against the profile rules (same as PATCH /api/profile)
+ * @returns {{ value: *, error: string|null }} value in profile form (grades with their 4.0 equivalent)
+ */
+function checkProposalValue(field, value) {
+    const { value: checked, fieldErrors } = validateProfileUpdate(toUpdates(field, value));
+    if (fieldErrors) return { value, error: Object.values(fieldErrors)[0] };
+
+    if (field === 'gpa') {
+        return { value: { gpa_original: checked.gpa_original, gpa_scale: checked.gpa_scale, gpa: checked.gpa }, error: null };
+    }
+    if (field === 'work_experience') return { value: checked.work_experience[0], error: null };
+    return { value: checked[field], error: null };
+}
+
+/**
+ * Final proposal list: valid values only, rules before the model for the same field,
+ * model snippets checked against the text, one proposal per field except work experience
+ */
+function buildProposals(text, ruleProposals, aiProposals) {
+    const haystack = clean(text);
+    const ruleFields = new Set(ruleProposals.map(proposal => proposal.field));
+
+    const checked = [
+        ...ruleProposals.map(proposal => ({ ...proposal, source_verified: true })),
+        ...aiProposals
+            .filter(proposal => !ruleFields.has(proposal.field))
+            .map(proposal => {
+                const verified = !!proposal.source && haystack.includes(clean(proposal.source));
+                return {
+                    ...proposal,
+                    source: snippet(proposal.source || ''),
+                    confidence: verified ? proposal.confidence : Math.min(proposal.confidence, IMPORT_CONFIG.UNVERIFIED_CONFIDENCE),
+                    source_verified: verified
+                };
+            })
+    ].map(proposal => {
+        const { value, error } = checkProposalValue(proposal.field, proposal.value);
+        if (error) {
+            console.warn(`⚠️ Dropped import proposal for ${proposal.field}: ${error}`);
+            return null;
+        }
+        return { ...proposal, value, confidence: Math.round(proposal.confidence * 100) / 100 };
+    }).filter(proposal => proposal && proposal.confidence >= IMPORT_CONFIG.MIN_CONFIDENCE);
+
+    const best = new Map();
+    checked.forEach(proposal => {
+        const key = proposal.field === 'work_experience'
+            ? `work_experience:${clean(proposal.value.title)}:${clean(proposal.value.organization)}`
+            : proposal.field;
+        if (!best.has(key) || best.get(key).confidence < proposal.confidence) best.set(key, proposal);
+    });
+
+    return [...best.values()]
+        .sort((a, b) => FIELD_ORDER.indexOf(a.field) - FIELD_ORDER.indexOf(b.field))
+        .map((proposal, index) => ({
+            id: `p${index + 1}`,
+            field: proposal.field,
+            value: proposal.value,
+            confidence: proposal.confidence,
+            source: proposal.source,
+            source_verified: proposal.source_verified,
+            method: proposal.method
+        }));
+}
+
+/**
+ * Read an uploaded document and store the proposals for the student to review
+ * @param {object} file - multer memory-storage file ({ originalname, mimetype, buffer })
+ * @param {string} documentType - CV or TRANSCRIPT
+ * @returns {Promise<object>} the profile_imports row, with partial: true if the model could not be used
+ */
+async function importDocument(userId, file, documentType = 'CV') {
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+        throw httpError(`document_type must be one of: ${DOCUMENT_TYPES.join(', ')}`, 400);
+    }
+
+    const text = await extractDocumentText(file);
+    const ruleProposals = findRuleProposals(text);
+    const ai = await proposeWithAI(text, documentType, userId);
+    const proposals = buildProposals(text, ruleProposals, ai.proposals);
+
+    const { data, error } = await supabase
+        .from('profile_imports')
+        .insert({
+            user_id: userId,
+            document_type: documentType,
+            file_name: (file.originalname || '').slice(0, 255) || null,
+            proposals,
+            status: 'PENDING'
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    console.log(`📄 Read ${documentType} for user ${userId}: ${proposals.length} proposals${ai.failed ? ' (rules only)' : ''}`);
+    return { ...data, partial: ai.failed };
+}
+
+async function getImport(userId, importId) {
+    const { data, error } = await supabase
+        .from('profile_imports')
+        .select('*')
+        .eq('id', importId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw httpError('Import not found', 404);
+    return data;
+}
+
+async function getPendingImport(userId, importId) {
+    const record = await getImport(userId, importId);
+    if (record.status !== 'PENDING') {
+        throw httpError(`Import is already ${record.status.toLowerCase()}`, 409);
+    }
+    return record;
+}
+
+const sameJob = (a, b) =>
+    clean(a.title) === clean(b.title) && clean(a.organization) === clean(b.organization);
+
+/**
+ * Save the proposals the student picked
+ * Work experience entries are added to the existing ones (the same job is not added twice);
+ * other fields replace the current value. Without a profile yet, values go to the onboarding draft.
+ * @param {object} selection - { proposal_ids: ['p1', ...], overrides: { p1: edited value } }
+ * @returns {Promise<{ profile?: object, draft?: object, applied_fields: string[] }>}
+ */
+async function confirmImport(userId, importId, { proposal_ids: proposalIds, overrides = {} } = {}) {
+    if (!Array.isArray(proposalIds) || proposalIds.length === 0) {
+        throw httpError('proposal_ids must list the proposals to import', 400);
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw httpError('overrides must be an object of proposal id -> value', 400);
+    }
+
+    const record = await getPendingImport(userId, importId);
+
+    const selected = [...new Set(proposalIds)].map(id => {
+        const proposal = (record.proposals || []).find(item => item.id === id);
+        if (!proposal) throw httpError(`Unknown proposal: ${id}`, 400);
+        return { ...proposal, value: overrides[id] !== undefined ? overrides[id] : proposal.value };
+    });
+
+    const fields = selected.map(proposal => proposal.field).filter(field => field !== 'work_experience');
+    const repeated = fields.find((field, index) => fields.indexOf(field) !== index);
+    if (repeated) throw httpError(`Pick one value for ${repeated}`, 400);
+
+    const { data: profile } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    let existing = profile;
+    if (!profile) {
+        existing = (await getDraft(userId)).data;
+    }
+
+    const updates = {};
+    const jobs = [...(existing?.work_experience || [])];
+    selected.forEach(proposal => {
+        if (proposal.field === 'work_experience') {
+            if (!jobs.some(job => sameJob(job, proposal.value))) jobs.push(proposal.value);
+            updates.work_experience = jobs;
+        } else {
+            Object.assign(updates, toUpdates(proposal.field, proposal.value));
+        }
+    });
+
+    const { value, fieldErrors } = validateProfileUpdate(updates, existing);
+    if (fieldErrors) throw httpError('Some imported values are not valid', 400, fieldErrors);
+
+    const appliedFields = [...new Set(selected.map(proposal => proposal.field))];
+    let result;
+    if (profile) {
+        const { profile: saved } = await applyProfileUpdates(userId, value, { reason: 'PROFILE_IMPORT' });
+        triggerRealtimeUpdates(userId, saved);
+        result = { profile: saved, applied_fields: appliedFields };
+    } else {
+        const { draft } = await saveDraftFields(userId, value);
+        result = { draft, applied_fields: appliedFields };
+    }
+
+    await supabase
+        .from('profile_imports')
+        .update({ status: 'APPLIED', applied_fields: appliedFields, decided_at: new Date().toISOString() })
+        .eq('id', record.id);
+
+    await logActivity(userId, 'PROFILE_IMPORT', record.id, {
+        document_type: record.document_type,
+        fields: appliedFields
+    });
+
+    return result;
+}
+
+/**
+ * Throw away an import's proposals
+ */
+async function discardImport(userId, importId) {
+    const record = await getPendingImport(userId, importId);
+
+    const { data, error } = await supabase
+        .from('profile_imports')
+        .update({ status: 'DISCARDED', decided_at: new Date().toISOString() })
+        .eq('id', record.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+module.exports = {
+    IMPORT_CONFIG,
+    DOCUMENT_TYPES,
+    fileKind,
+    extractDocumentText,
+    findRuleProposals,
+    importDocument,
+    getImport,
+    confirmImport,
+    discardImport
+};
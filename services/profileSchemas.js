@@ -0,0 +1,113 @@
+const Joi = require('joi');
+const { GRADE_SCALE_NAMES } = require('../utils/gradeConversion');
+const { CAMBRIDGE_EXAMS, TEST_DATE_FIELDS } = require('../utils/testScores');
+const {
+    EMPLOYMENT_TYPES,
+    PUBLICATION_TYPES,
+    PUBLICATION_STATUSES,
+    AWARD_LEVELS
+} = require('../utils/applicantExperience');
+
+/**
+ * Joi schemas for the student profile
+ * Kept apart from profileService.js (which pulls in the AI services) so the AI
+ * response schemas can check profile values without a require cycle.
+ */
+
+const isoDate = () => Joi.date().iso().raw().allow(null);
+const text = (max) => Joi.string().trim().max(max).allow('', null);
+
+// Experience sections (see utils/applicantExperience.js); entries without end_date are ongoing
+const experienceSection = (entry) => Joi.array().items(entry).max(30).allow(null);
+
+const experienceSchemas = {
+    work_experience: experienceSection(Joi.object({
+        title: Joi.string().trim().max(150).required(),
+        organization: Joi.string().trim().max(150).required(),
+        employment_type: Joi.string().valid(...EMPLOYMENT_TYPES).default('FULL_TIME'),
+        start_date: isoDate().required(),
+        end_date: isoDate(),
+        description: text(1000)
+    })),
+    research: experienceSection(Joi.object({
+        title: Joi.string().trim().max(200).required(),
+        organization: text(150),
+        supervisor: text(150),
+        start_date: isoDate().required(),
+        end_date: isoDate(),
+        description: text(1000)
+    })),
+    publications: experienceSection(Joi.object({
+        title: Joi.string().trim().max(300).required(),
+        venue: text(200),
+        year: Joi.number().integer().min(1950).max(2035).allow(null),
+        type: Joi.string().valid(...PUBLICATION_TYPES).required(),
+        status: Joi.string().valid(...PUBLICATION_STATUSES).default('PUBLISHED'),
+        first_author: Joi.boolean().default(false),
+        url: Joi.string().uri().allow('', null)
+    })),
+    projects: experienceSection(Joi.object({
+        title: Joi.string().trim().max(200).required(),
+        description: text(1000),
+        url: Joi.string().uri().allow('', null),
+        start_date: isoDate(),
+        end_date: isoDate()
+    })),
+    awards: experienceSection(Joi.object({
+        title: Joi.string().trim().max(200).required(),
+        issuer: text(150),
+        year: Joi.number().integer().min(1950).max(2035).allow(null),
+        level: Joi.string().valid(...AWARD_LEVELS).allow(null)
+    })),
+    extracurriculars: experienceSection(Joi.object({
+        activity: Joi.string().trim().max(200).required(),
+        role: text(150),
+        organization: text(150),
+        leadership: Joi.boolean().default(false),
+        start_date: isoDate(),
+        end_date: isoDate(),
+        description: text(1000)
+    }))
+};
+
+// Validation schema
+const profileSchema = Joi.object({
+    education_level: Joi.string().valid('HS', 'Bachelors', 'Masters', 'MBA', 'PhD').required(),
+    degree_major: Joi.string().allow('', null),
+    grad_year: Joi.number().integer().min(1950).max(2030).allow(null),
+    gpa: Joi.number().min(0).max(4.0).allow(null), // 4.0 scale; derived from gpa_original when given
+    gpa_original: Joi.alternatives().try(Joi.number(), Joi.string().trim().max(30)).allow(null),
+    gpa_scale: Joi.string().valid(...GRADE_SCALE_NAMES).allow(null),
+    target_degree: Joi.string().valid('Bachelors', 'Masters', 'MBA', 'PhD').required(),
+    field_of_study: Joi.string().required(),
+    intake_year: Joi.number().integer().min(2024).max(2030).required(),
+    preferred_countries: Joi.array().items(Joi.string()).required(),
+    budget_min: Joi.number().integer().min(0).allow(null),
+    budget_max: Joi.number().integer().min(0).allow(null),
+    funding_plan: Joi.string().valid('Self-Funded', 'Scholarship', 'Loan', 'Mixed').allow(null),
+    ielts_score: Joi.number().min(0).max(9).allow(null),
+    toefl_score: Joi.number().integer().min(0).max(120).allow(null),
+    gre_score: Joi.number().integer().min(260).max(340).allow(null),
+    gmat_score: Joi.number().integer().min(200).max(800).allow(null),
+    pte_score: Joi.number().integer().min(10).max(90).allow(null),
+    duolingo_score: Joi.number().integer().min(10).max(160).allow(null),
+    cambridge_score: Joi.number().integer().min(80).max(230).allow(null), // Cambridge English Scale
+    cambridge_exam: Joi.string().valid(...Object.keys(CAMBRIDGE_EXAMS)).allow(null),
+    sat_score: Joi.number().integer().min(400).max(1600).allow(null),
+    act_score: Joi.number().integer().min(1).max(36).allow(null),
+    // When each test was taken (see utils/testScores.js)
+    ...Object.fromEntries(TEST_DATE_FIELDS.map(field => [field, isoDate()])),
+    sop_status: Joi.string().valid('NOT_STARTED', 'DRAFT', 'READY').default('NOT_STARTED'),
+    ...experienceSchemas
+});
+
+// Same rules for partial updates: nothing required, no defaults filled in
+const profileUpdateSchema = profileSchema.fork(
+    ['education_level', 'target_degree', 'field_of_study', 'intake_year', 'preferred_countries'],
+    schema => schema.optional()
+);
+
+module.exports = {
+    profileSchema,
+    profileUpdateSchema
+};
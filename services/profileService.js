@@ -0,0 +1,224 @@
+const supabase = require('../database/supabase');
+const { httpError } = require('../utils/httpError');
+const { invalidateUserCache } = require('./discoveryAnalysisService');
+const { analyzeUniversityForUser } = require('./shortlistAnalysisService');
+const { syncTasksWithProfile } = require('./taskGenerator');
+const { normalizeGrade } = require('../utils/gradeConversion');
+const { profileSchema, profileUpdateSchema } = require('./profileSchemas');
+
+/**
+ * Fill gpa (4.0 scale) from gpa_original + gpa_scale
+ * A bare gpa is taken as a 4.0-scale grade, as before grade scales existed
+ * @param {object} existing - stored values; its gpa_scale is used when the update gives none
+ * @returns {{ value: object, fieldErrors: object|null }}
+ */
+function applyGradeScale(value, existing) {
+    if (value.gpa_original !== undefined) {
+        if (value.gpa_original === null) {
+            return { value: { ...value, gpa: null }, fieldErrors: null };
+        }
+
+        // A grade sent without a scale keeps the scale already stored
+        const scale = value.gpa_scale || existing?.gpa_scale || 'GPA_4';
+        const { gpa, original, error } = normalizeGrade(value.gpa_original, scale);
+        if (error) {
+            return { value, fieldErrors: { gpa_original: error } };
+        }
+        return { value: { ...value, gpa, gpa_original: String(original), gpa_scale: scale }, fieldErrors: null };
+    }
+
+    if (value.gpa_scale !== undefined) {
+        return { value, fieldErrors: { gpa_original: 'gpa_original is required when gpa_scale is given' } };
+    }
+
+    // A gpa set directly replaces the stored original grade (it would win in getComparableGpa)
+    if (value.gpa !== undefined && value.gpa !== null) {
+        return { value: { ...value, gpa_original: String(value.gpa), gpa_scale: 'GPA_4' }, fieldErrors: null };
+    }
+    if (value.gpa === null) {
+        return { value: { ...value, gpa_original: null, gpa_scale: null }, fieldErrors: null };
+    }
+
+    return { value, fieldErrors: null };
+}
+
+function collectFieldErrors(error) {
+    const fieldErrors = {};
+    error.details.forEach(detail => {
+        const field = detail.path[0] || 'profile';
+        if (!fieldErrors[field]) fieldErrors[field] = detail.message;
+    });
+    return fieldErrors;
+}
+
+/**
+ * Validate a full profile (POST /api/profile, draft promotion)
+ * @returns {{ value: object, fieldErrors: object|null }} fieldErrors maps field -> message
+ */
+function validateProfile(profile) {
+    const { error, value } = profileSchema.validate(profile, { abortEarly: false });
+    if (error) return { value, fieldErrors: collectFieldErrors(error) };
+    return applyGradeScale(value);
+}
+
+/**
+ * Validate a partial profile update
+ * @param {object} existing - the stored profile (or draft data) the update applies to, if any
+ * @returns {{ value: object, fieldErrors: object|null }} fieldErrors maps field -> message
+ */
+function validateProfileUpdate(updates, existing = null) {
+    const { error, value } = profileUpdateSchema.validate(updates, { abortEarly: false, noDefaults: true });
+    if (error) return { value, fieldErrors: collectFieldErrors(error) };
+    return applyGradeScale(value, existing);
+}
+
+/**
+ * Whether a validated profile has everything needed for recommendations and locking
+ */
+function isProfileComplete(value) {
+    return !!(
+        value.education_level &&
+        value.target_degree &&
+        value.field_of_study &&
+        value.intake_year &&
+        value.preferred_countries?.length > 0 &&
+        (value.budget_min || value.budget_max)
+    );
+}
+
+/**
+ * Write a partial profile update (creates the profile row if onboarding has not saved one yet)
+ * Every write is recorded as a change set in the profile history (see profileHistory.js)
+ * and recomputes profile_complete from the merged profile
+ * @param {object} options - { updatedByAI, reason, revertedToVersion }
+ * @returns {Promise<{ profile: object, previous: object, version: number|null }>}
+ *   previous holds the old values of the updated fields, version the recorded history version
+ */
+async function applyProfileUpdates(userId, updates, { updatedByAI = false, reason = 'PROFILE_UPDATE', revertedToVersion = null } = {}) {
+    const { data: existing } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    const previous = {};
+    Object.keys(updates).forEach(field => {
+        previous[field] = existing ? existing[field] ?? null : null;
+    });
+
+    const { data, error } = await supabase
+        .from('profiles')
+        .upsert({
+            ...updates,
+            user_id: userId,
+            profile_complete: isProfileComplete({ ...existing, ...updates }),
+            last_updated_by_ai: updatedByAI,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'user_id' })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    // History is best effort: a failed record must not fail the profile write
+    let version = null;
+    try {
+        const { recordProfileChange } = require('./profileHistory');
+        const recorded = await recordProfileChange(userId, {
+            previous: existing,
+            profile: data,
+            changedBy: updatedByAI ? 'AI' : 'HUMAN',
+            reason,
+            revertedToVersion
+        });
+        version = recorded ? recorded.version : null;
+    } catch (historyError) {
+        console.error('Failed to record profile change:', historyError);
+    }
+
+    // Goal fields belong to the active application plan as well (a switch already has them)
+    if (reason !== 'PLAN_SWITCH') {
+        try {
+            const { syncActivePlanFromProfile } = require('./planService');
+            await syncActivePlanFromProfile(userId, data, updates);
+        } catch (planError) {
+            console.error('Failed to update active plan:', planError);
+        }
+    }
+
+    return { profile: data, previous, version };
+}
+
+/**
+ * PATCH /api/profile: update an existing profile (it is created with POST or draft promotion)
+ * Throws 404 without a profile and 400 with field errors for invalid values
+ * @returns {Promise<object>} the saved profile
+ */
+async function updateProfile(userId, updates) {
+    const { data: existing, error } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!existing) throw httpError('Profile not found', 404);
+
+    const { value, fieldErrors } = validateProfileUpdate(updates, existing);
+    if (fieldErrors) throw httpError('Invalid profile values', 400, fieldErrors);
+
+    const { profile } = await applyProfileUpdates(userId, value, { reason: 'PROFILE_UPDATE' });
+    triggerRealtimeUpdates(userId, profile);
+    return profile;
+}
+
+// Helper to trigger background updates
+// options.planId limits cache invalidation to one plan (a change to that plan's goals only)
+async function triggerRealtimeUpdates(userId, profileData, { planId = null } = {}) {
+    const { getActivePlanId } = require('./planService');
+    const activePlanId = planId || await getActivePlanId(userId).catch(err => {
+        console.error('Background plan lookup failed:', err);
+        return null;
+    });
+
+    // 1. Invalidate Discovery Cache (so new recs are generated)
+    invalidateUserCache(userId, { planId }).catch(err =>
+        console.error('Background cache invalidation failed:', err)
+    );
+
+    // 2. Sync Tasks (generate missing tasks)
+    syncTasksWithProfile(userId, profileData).catch(err =>
+        console.error('Background task sync failed:', err)
+    );
+
+    // 3. Re-analyze Shortlist (update chances)
+    // Fetch shortlist items of the active plan
+    if (!activePlanId) return;
+    supabase.from('user_shortlists')
+        .select('university_id')
+        .eq('user_id', userId)
+        .eq('plan_id', activePlanId)
+        .then(({ data: shortlist }) => {
+            if (shortlist && shortlist.length > 0) {
+                console.log(`🔄 Triggering re-analysis for ${shortlist.length} shortlisted universities...`);
+                // Process sequentially to avoid overwhelming AI
+                shortlist.reduce(async (previousPromise, item) => {
+                    await previousPromise;
+                    return analyzeUniversityForUser(userId, item.university_id);
+                }, Promise.resolve())
+                    .then(() => console.log('✅ Background shortlist re-analysis complete'))
+                    .catch(err => console.error('Background shortlist analysis failed:', err));
+            }
+        });
+}
+
+module.exports = {
+    profileSchema,
+    profileUpdateSchema,
+    validateProfile,
+    validateProfileUpdate,
+    isProfileComplete,
+    applyProfileUpdates,
+    updateProfile,
+    triggerRealtimeUpdates
+};
@@ -0,0 +1,26 @@
+/**
+ * Conversation summary prompt
+ * Folds older chat turns into the rolling summary kept on chat_conversations (see conversationMemory.js)
+ */
+
+module.exports = [
+    {
+        id: 'CONVERSATION_SUMMARY',
+        version: 'v1',
+        description: 'Merge older counselling turns into the rolling conversation summary',
+        variables: ['existingSummary', 'transcript'],
+        system: ({ existingSummary, transcript }) => `You maintain the memory of a study abroad counselling conversation.
+Merge the EXISTING SUMMARY with the NEW MESSAGES into one concise summary (max 250 words).
+Keep concrete facts the student may refer back to: universities discussed (in the order mentioned), numbers, decisions, open questions.
+
+EXISTING SUMMARY:
+${existingSummary || 'None'}
+
+NEW MESSAGES:
+${transcript}
+
+Return ONLY this JSON:
+{ "summary": "..." }`,
+        user: () => 'Update the conversation summary'
+    }
+];
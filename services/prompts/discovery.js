@@ -0,0 +1,200 @@
+/**
+ * Discovery page fit analysis prompts (single university and batch)
+ */
+
+const { formatGrade } = require('../../utils/gradeConversion');
+const { formatTestScores } = require('../../utils/testScores');
+const { formatExperience } = require('../../utils/applicantExperience');
+
+module.exports = [
+    {
+        id: 'DISCOVERY_ANALYSIS',
+        version: 'v1',
+        description: 'Quick fit analysis of one university for discovery browsing',
+        variables: ['profile', 'university'],
+        system: ({ profile, university }) => {
+            const preferredCountries = profile.preferred_countries || [];
+            const countryMatches = preferredCountries.includes(university.country);
+
+            return `You are a university matching expert. Provide a QUICK analysis for discovery browsing.
+
+STUDENT PROFILE:
+- GPA: ${formatGrade(profile)}
+- Major: ${profile.field_of_study || 'N/A'}
+- Budget: $${profile.budget_max || 'N/A'}/year
+- Preferred Countries: ${preferredCountries.join(', ') || 'Any'}
+- Test Scores: ${formatTestScores(profile)}
+
+UNIVERSITY:
+- Name: ${university.name}
+- Country: ${university.country}
+- Tuition: $${university.tuition_estimate || 'N/A'}/year
+- Acceptance Rate: ${university.acceptance_rate || 'N/A'}%
+- Rank: ${university.rank || 'N/A'}
+
+Return ONLY this JSON (no markdown, keep it brief):
+{
+  "profile_fit": {
+    "reasons": ["Brief reason 1", "Brief reason 2"],
+    "score": 0-100
+  },
+  "budget_analysis": {
+    "tuition": ${university.tuition_estimate || 'null'},
+    "user_budget": ${profile.budget_max || 0},
+    "within_budget": ${university.tuition_estimate ? university.tuition_estimate <= profile.budget_max : 'null'},
+    "gap": ${university.tuition_estimate && profile.budget_max ? Math.max(0, university.tuition_estimate - profile.budget_max) : 'null'},
+    "recommendation": "Brief one-liner"
+  },
+  "country_preference": {
+    "matches": ${countryMatches},
+    "message": "${countryMatches ? `${university.country} is in your preferences` : `${university.country} is not in your preferred countries`}"
+  },
+  "acceptance_score": {
+    "percentage": 0-100,
+    "category": "DREAM|TARGET|SAFE",
+    "reasoning": "One sentence max"
+  },
+  "risk_level": "low|medium|high",
+  "cost_level": "low|medium|high"
+}
+
+IMPORTANT: If tuition is null, estimate it based on university type and country. Public US universities: $10k-30k, Private: $40k-70k, European: $0-20k.`;
+        }
+    },
+    {
+        id: 'DISCOVERY_ANALYSIS',
+        version: 'v2',
+        description: 'Quick fit analysis that explains the scoring engine result instead of guessing a chance',
+        variables: ['profile', 'university', 'admission'],
+        system: ({ profile, university, admission }) => {
+            const preferredCountries = profile.preferred_countries || [];
+            const countryMatches = preferredCountries.includes(university.country);
+
+            return `You are a university matching expert. Provide a QUICK analysis for discovery browsing.
+
+STUDENT PROFILE:
+- GPA: ${formatGrade(profile)}
+- Major: ${profile.field_of_study || 'N/A'}
+- Budget: $${profile.budget_max || 'N/A'}/year
+- Preferred Countries: ${preferredCountries.join(', ') || 'Any'}
+- Test Scores: ${formatTestScores(profile)}
+- Experience: ${formatExperience(profile)}
+
+UNIVERSITY:
+- Name: ${university.name}
+- Country: ${university.country}
+- Tuition: $${university.tuition_estimate || 'N/A'}/year
+- Acceptance Rate: ${university.acceptance_rate || 'N/A'}%
+- Rank: ${university.rank || 'N/A'}
+
+ADMISSION SCORE (from our scoring engine - do not re-estimate it):
+- Score: ${admission.totalScore}/100 = ${admission.category}
+${Object.entries(admission.breakdown).map(([component, part]) => `- ${component}: ${part.score}/${part.maxScore} (${part.note})`).join('\n')}
+
+Return ONLY this JSON (no markdown, keep it brief):
+{
+  "profile_fit": {
+    "reasons": ["Brief reason 1", "Brief reason 2"],
+    "score": 0-100
+  },
+  "budget_analysis": {
+    "tuition": ${university.tuition_estimate || 'null'},
+    "user_budget": ${profile.budget_max || 0},
+    "within_budget": ${university.tuition_estimate ? university.tuition_estimate <= profile.budget_max : 'null'},
+    "gap": ${university.tuition_estimate && profile.budget_max ? Math.max(0, university.tuition_estimate - profile.budget_max) : 'null'},
+    "recommendation": "Brief one-liner"
+  },
+  "country_preference": {
+    "matches": ${countryMatches},
+    "message": "${countryMatches ? `${university.country} is in your preferences` : `${university.country} is not in your preferred countries`}"
+  },
+  "acceptance_score": {
+    "percentage": ${admission.totalScore},
+    "category": "${admission.category}",
+    "reasoning": "One sentence explaining the admission score above"
+  },
+  "risk_level": "low|medium|high",
+  "cost_level": "low|medium|high"
+}
+
+IMPORTANT: If tuition is null, estimate it based on university type and country. Public US universities: $10k-30k, Private: $40k-70k, European: $0-20k.`;
+        }
+    },
+    {
+        id: 'DISCOVERY_BATCH',
+        version: 'v1',
+        description: 'Fit analysis of many universities in a single call',
+        variables: ['profile', 'universityList'],
+        system: ({ profile, universityList }) => `You are a university matching expert. Analyze ALL universities for this student.
+
+STUDENT PROFILE:
+- GPA: ${formatGrade(profile)}
+- Major: ${profile.field_of_study || 'N/A'}
+- Budget: $${profile.budget_max || 'N/A'}/year
+- Preferred Countries: ${(profile.preferred_countries || []).join(', ') || 'Any'}
+- Test Scores: ${formatTestScores(profile)}
+
+UNIVERSITIES TO ANALYZE:
+${universityList}
+
+Return ONLY a JSON array matching this EXACT structure:
+[
+  {
+    "index": 1,
+    "profile_fit": { "reasons": ["reason1", "reason2"], "score": 75 },
+    "budget_analysis": { "within_budget": true, "gap": 0, "recommendation": "Affordable" },
+    "country_preference": { "matches": true, "message": "Matches your preference" },
+    "acceptance_score": { "percentage": 65, "category": "TARGET", "reasoning": "Good fit" },
+    "risk_level": "medium",
+    "cost_level": "low"
+  },
+  ...
+]
+
+IMPORTANT:
+- Return ONLY valid JSON array, no markdown
+- One object per university, ordered by index
+- Use categories: DREAM (10-40%), TARGET (40-70%), SAFE (70%+)
+- risk_level: low|medium|high
+- cost_level: low|medium|high (relative to student budget)`
+    },
+    {
+        id: 'DISCOVERY_BATCH',
+        version: 'v2',
+        description: 'Batch fit analysis that keeps the scoring engine score and category given per university',
+        variables: ['profile', 'universityList'],
+        system: ({ profile, universityList }) => `You are a university matching expert. Analyze ALL universities for this student.
+
+STUDENT PROFILE:
+- GPA: ${formatGrade(profile)}
+- Major: ${profile.field_of_study || 'N/A'}
+- Budget: $${profile.budget_max || 'N/A'}/year
+- Preferred Countries: ${(profile.preferred_countries || []).join(', ') || 'Any'}
+- Test Scores: ${formatTestScores(profile)}
+- Experience: ${formatExperience(profile)}
+
+UNIVERSITIES TO ANALYZE (each with its admission score from our scoring engine):
+${universityList}
+
+Return ONLY a JSON array matching this EXACT structure:
+[
+  {
+    "index": 1,
+    "profile_fit": { "reasons": ["reason1", "reason2"], "score": 75 },
+    "budget_analysis": { "within_budget": true, "gap": 0, "recommendation": "Affordable" },
+    "country_preference": { "matches": true, "message": "Matches your preference" },
+    "acceptance_score": { "percentage": 65, "category": "TARGET", "reasoning": "Good fit" },
+    "risk_level": "medium",
+    "cost_level": "low"
+  },
+  ...
+]
+
+IMPORTANT:
+- Return ONLY valid JSON array, no markdown
+- One object per university, ordered by index
+- acceptance_score.percentage and category MUST be the admission score and category given for that university; only write the reasoning
+- risk_level: low|medium|high
+- cost_level: low|medium|high (relative to student budget)`
+    }
+];
@@ -0,0 +1,83 @@
+/**
+ * University data enrichment prompts
+ * UNIVERSITY_ENRICHMENT and BATCH_ENRICHMENT carry the instructions in the user message
+ */
+
+module.exports = [
+    {
+        id: 'ENRICHMENT',
+        version: 'v1',
+        description: 'Cached university enrichment (aiService.enrichUniversity)',
+        variables: ['name', 'country'],
+        system: ({ name, country }) => `You are a university data expert. Provide detailed information for "${name}" in "${country}" as a strictly formatted JSON object.
+    
+    Return ONLY this JSON structure (no markdown, no extra text):
+    {
+        "name": "Official Name",
+        "country": "${country}",
+        "city": "City Name (e.g. London, Boston)",
+        "domain": "university-website.edu (or .com/etc)",
+        "tuition_estimate": 0 (integer USD per year estimate for international students),
+        "acceptance_rate": 0.0 (percentage estimate, e.g. 25.5),
+        "rank": 0 (integer global rank estimate, e.g. 50),
+        "description": "Short description (max 200 chars)",
+        "popular_majors": ["Major 1", "Major 2"]
+    }
+    
+    If exact data is unknown, provide a reasonable estimate based on similar institutions in that region.`
+    },
+    {
+        id: 'UNIVERSITY_ENRICHMENT',
+        version: 'v1',
+        description: 'Full university record for findOrCreateUniversity',
+        variables: ['universityName', 'country'],
+        system: () => 'You are a university database expert. Return only valid JSON with plain numbers (no ~ prefix).',
+        user: ({ universityName, country }) => `Provide detailed information about ${universityName} in ${country} for study abroad planning.
+
+Return a JSON object with this exact structure:
+{
+  "name": "Full official university name",
+  "country": "${country}",
+  "city": "Main campus city",
+  "domain": "university website domain (e.g., stanford.edu)",
+  "tuition_estimate": estimated annual tuition in USD (integer),
+  "acceptance_rate": acceptance rate as percentage (e.g., 15.5 for 15.5%),
+  "ranking": approximate world ranking (integer, if available),
+  "programs": ["Computer Science", "Engineering", ...] (top 5 programs),
+  "language_of_instruction": "Primary language",
+  "international_students": percentage of international students,
+  "description": "Brief 2-sentence description"
+}
+
+IMPORTANT: Use plain numbers only. Do NOT use ~ or any special characters before numbers.
+If you don't know exact data, provide reasonable estimates as plain numbers.
+Return ONLY valid JSON with no markdown formatting and no explanation.`
+    },
+    {
+        id: 'BATCH_ENRICHMENT',
+        version: 'v1',
+        description: 'Tuition and acceptance rate estimates for a list of universities',
+        variables: ['universityList'],
+        system: () => 'You are a university database expert. Return only valid JSON array.',
+        user: ({ universityList }) => `Provide tuition and acceptance rate estimates for the following universities. Return ONLY a JSON array with this exact structure:
+
+[
+  {
+    "index": 1,
+    "tuition_estimate": estimated annual tuition in USD (number only, no strings),
+    "acceptance_rate": acceptance rate as percentage (number only, e.g., 15.5 for 15.5%),
+    "ranking": approximate world ranking (number, null if unknown)
+  },
+  ...
+]
+
+Universities to enrich:
+${universityList}
+
+IMPORTANT:
+- Return ONLY valid JSON array, no markdown, no explanation
+- Use numbers only, not strings like "~2000"
+- If you don't know exact data, provide reasonable estimates
+- Index matches the university number in the list above`
+    }
+];
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+/**
+ * Prompt Template Registry
+ * Every LLM prompt is registered here with an id, a version and the variables it needs.
+ *
+ * A prompt definition:
+ * - id: prompt id (matches the LLM_FEATURES value it is used for)
+ * - version: 'v1', 'v2', ...
+ * - variables: names that must be passed to renderPrompt
+ * - system(vars): system prompt text
+ * - user(vars): user message text (optional, for prompts that carry instructions in the user turn)
+ * - tools: true if the prompt offers server-side tool calls (see counsellorTools.js)
+ *
+ * Version selection (first match wins):
+ * 1. An explicit version passed to renderPrompt
+ * 2. PROMPT_AB_TESTS, e.g. "COUNSELLOR=v1:v2" splits users evenly between v1 and v2
+ * 3. PROMPT_VERSIONS, e.g. "COUNSELLOR=v2,ONBOARDING=v1" pins a version
+ * 4. The latest registered version
+ */
+
+const PROMPT_MODULES = [
+    require('./onboarding'),
+    require('./counsellor'),
+    require('./search'),
+    require('./discovery'),
+    require('./enrichment'),
+    require('./profileImport'),
+    require('./conversationSummary')
+];
+
+const registry = new Map(); // id -> Map(version -> definition)
+
+function registerPrompt(definition) {
+    const { id, version, system } = definition;
+    if (!id || !version || typeof system !== 'function') {
+        throw new Error(`Invalid prompt definition: ${id || 'unknown'}@${version || '?'}`);
+    }
+
+    if (!registry.has(id)) registry.set(id, new Map());
+    const versions = registry.get(id);
+    if (versions.has(version)) {
+        throw new Error(`Prompt ${id}@${version} is already registered`);
+    }
+    versions.set(version, { variables: [], ...definition });
+}
+
+PROMPT_MODULES.flat().forEach(registerPrompt);
+
+const versionNumber = (version) => parseInt(String(version).replace(/\D/g, ''), 10) || 0;
+
+function getLatestVersion(id) {
+    return [...registry.get(id).keys()].sort((a, b) => versionNumber(b) - versionNumber(a))[0];
+}
+
+/**
+ * Parse "ID=value,ID=value" env config into { ID: value }
+ */
+function parseEnvConfig(envVar) {
+    return (process.env[envVar] || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .reduce((config, entry) => {
+            const [id, value] = entry.split('=').map(part => part.trim());
+            if (id && value) config[id.toUpperCase()] = value;
+            return config;
+        }, {});
+}
+
+/**
+ * Variants under A/B test for a prompt (only registered versions count)
+ */
+function getABVariants(id) {
+    const variants = (parseEnvConfig('PROMPT_AB_TESTS')[id] || '')
+        .split(':')
+        .map(version => version.trim())
+        .filter(version => registry.get(id).has(version));
+
+    return variants.length > 1 ? variants : null;
+}
+
+/**
+ * Deterministic bucket so a user always sees the same variant
+ * Calls without a user (system jobs) are assigned at random
+ */
+function pickVariant(id, variants, userId) {
+    if (!userId) {
+        return variants[Math.floor(Math.random() * variants.length)];
+    }
+    const hash = crypto.createHash('md5').update(`${id}:${userId}`).digest('hex');
+    return variants[parseInt(hash.substring(0, 8), 16) % variants.length];
+}
+
+/**
+ * Decide which version of a prompt to use
+ * @returns {{ version: string, abTest: boolean }}
+ */
+function selectVersion(id, { userId = null, version = null } = {}) {
+    const versions = registry.get(id);
+
+    if (version) {
+        if (!versions.has(version)) {
+            throw new Error(`Unknown prompt version ${id}@${version}`);
+        }
+        return { version, abTest: false };
+    }
+
+    const variants = getABVariants(id);
+    if (variants) {
+        return { version: pickVariant(id, variants, userId), abTest: true };
+    }
+
+    const pinned = parseEnvConfig('PROMPT_VERSIONS')[id];
+    if (pinned) {
+        if (versions.has(pinned)) return { version: pinned, abTest: false };
+        console.warn(`⚠️ PROMPT_VERSIONS pins unknown version ${id}@${pinned}, using latest`);
+    }
+
+    return { version: getLatestVersion(id), abTest: false };
+}
+
+/**
+ * Render a prompt
+ * @param {string} id - Prompt id
+ * @param {object} variables - Values for the prompt's declared variables
+ * @param {object} options - { userId, version }
+ * @returns {{ id: string, version: string, abTest: boolean, tools: boolean, system: string, user: string|null }}
+ */
+function renderPrompt(id, variables = {}, options = {}) {
+    if (!registry.has(id)) {
+        throw new Error(`Unknown prompt: ${id}`);
+    }
+
+    const { version, abTest } = selectVersion(id, options);
+    const definition = registry.get(id).get(version);
+
+    const missing = definition.variables.filter(name => variables[name] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Prompt ${id}@${version} is missing variables: ${missing.join(', ')}`);
+    }
+
+    return {
+        id,
+        version,
+        abTest,
+        tools: Boolean(definition.tools),
+        system: definition.system(variables),
+        user: definition.user ? definition.user(variables) : null
+    };
+}
+
+/**
+ * Registered prompts with their versions and the active selection (for the internal endpoint)
+ */
+function listPrompts() {
+    const pinned = parseEnvConfig('PROMPT_VERSIONS');
+
+    return [...registry.entries()].map(([id, versions]) => ({
+        id,
+        latest_version: getLatestVersion(id),
+        pinned_version: pinned[id] || null,
+        ab_test: getABVariants(id),
+        versions: [...versions.values()].map(({ version, description, variables, tools }) => ({
+            version,
+            description: description || null,
+            variables,
+            tools: Boolean(tools)
+        }))
+    }));
+}
+
+module.exports = {
+    renderPrompt,
+    registerPrompt,
+    listPrompts
+};
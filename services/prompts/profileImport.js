@@ -0,0 +1,45 @@
+/**
+ * Profile import prompt
+ * Reads the text of an uploaded CV or transcript (extracted on our side, see profileImport.js)
+ * and proposes profile field values, each with the line it came from.
+ * The student confirms proposals before anything is saved.
+ */
+
+const { EMPLOYMENT_TYPES } = require('../../utils/applicantExperience');
+
+module.exports = [
+    {
+        id: 'PROFILE_IMPORT',
+        version: 'v1',
+        description: 'Propose profile field values from CV or transcript text',
+        variables: ['documentType', 'fieldGuide', 'documentText'],
+        system: ({ documentType, fieldGuide }) => `You read the text of a student's ${documentType === 'TRANSCRIPT' ? 'academic transcript' : 'CV / resume'} and propose values for their study-abroad profile.
+You do NOT chat. You only return JSON.
+
+## FIELDS YOU MAY PROPOSE (name: type / allowed values):
+${fieldGuide}
+- work_experience: one proposal per job, value { "title", "organization", "employment_type" (${EMPLOYMENT_TYPES.join(' | ')}), "start_date" (YYYY-MM-DD), "end_date" (YYYY-MM-DD, null if current), "description" }
+
+## RULES:
+1. Only propose values the document states. Never guess or infer missing numbers.
+2. "source" must be copied word for word from the document (the line or phrase the value came from, at most 200 characters).
+3. "confidence" is 0 to 1: 0.9+ when the value is labelled explicitly ("IELTS Overall 7.5"), lower when you had to interpret it.
+4. education_level is the highest degree the student has completed or is completing (HS | Bachelors | Masters | MBA | PhD),
+   degree_major its subject, grad_year the year it was or will be finished.
+5. Grades go in one "gpa" proposal with value { "gpa_original", "gpa_scale" }, never converted:
+   "CGPA 8.2/10" -> { "gpa_original": 8.2, "gpa_scale": "CGPA_10" }, "First Class Honours" -> { "gpa_original": "FIRST", "gpa_scale": "UK_CLASS" }.
+   Use the overall / cumulative grade, not a single semester or course.
+6. Dates with only a month and year use the first of the month: "May 2025" -> "2025-05-01".
+7. Test dates (<test>_date) only when the document gives one for that test.
+
+## RESPONSE FORMAT (JSON only):
+{
+  "proposals": [
+    { "field": "degree_major", "value": "Computer Science", "confidence": 0.9, "source": "B.Tech in Computer Science, IIT Delhi (2019 - 2023)" }
+  ]
+}
+`,
+        user: ({ documentText }) => `## DOCUMENT TEXT:
+${documentText}`
+    }
+];
@@ -0,0 +1,191 @@
+const { getKeys } = require('./keys');
+const { parseJsonObject } = require('./parseResponse');
+const health = require('./keyHealth');
+
+const GEMINI_API_KEYS = getKeys('GEMINI_API_KEYS');
+
+/**
+ * Flatten chat messages into a transcript for the single-prompt Gemini call
+ * A lone user message keeps the original "User: ..." shape
+ */
+function formatTranscript(messages) {
+    if (messages.every(m => m.role !== 'assistant')) {
+        return `User: ${messages.map(m => m.content).join('\n')}`;
+    }
+    return messages
+        .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
+        .join('\n\n');
+}
+
+/**
+ * Parse model text into the response shape shared by all callers
+ */
+function toResponse(text, modelName, usageMetadata) {
+    const meta = {
+        _aiSource: 'GEMINI',
+        _model: modelName,
+        _usage: usageMetadata ? {
+            inputTokens: usageMetadata.promptTokenCount || 0,
+            outputTokens: usageMetadata.candidatesTokenCount || 0
+        } : undefined
+    };
+
+    // Parse JSON response if it looks like JSON
+    const json = parseJsonObject(text);
+    if (json) {
+        return { ...json, ...meta };
+    }
+    console.warn('Failed to parse JSON, returning text only');
+    return { text: text, actions: [], ...meta };
+}
+
+function getModel(apiKey, modelName) {
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    const genAI = new GoogleGenerativeAI(apiKey);
+    return genAI.getGenerativeModel({
+        model: modelName,
+        generationConfig: { responseMimeType: 'application/json' }
+    });
+}
+
+/**
+ * Call Gemini 2.5 Flash (Primary - Stable SDK)
+ * Using @google/generative-ai
+ */
+async function callGemini(messages, systemPrompt, preferredModel = 'gemini-2.5-flash') {
+    if (!GEMINI_API_KEYS || GEMINI_API_KEYS.length === 0) {
+        throw new Error('GEMINI_API_KEYS not configured');
+    }
+
+    const fallbackModel = preferredModel === 'gemini-2.5-flash' ? 'gemini-2.5-flash-lite' : 'gemini-2.5-flash';
+    const modelsToTry = [preferredModel, fallbackModel];
+
+    let lastError = null;
+
+    // We'll try user's preferred model first with all keys, then fallback model with all keys
+    for (const modelName of modelsToTry) {
+        if (!health.canAttempt('GEMINI', modelName)) {
+            console.warn(`⚡ Gemini (${modelName}) circuit open, skipping`);
+            lastError = new Error(`Circuit open for Gemini ${modelName}`);
+            continue;
+        }
+
+        console.log(`🤖 Trying Gemini Model: ${modelName}`);
+
+        // Healthy keys only, shuffled for load balancing
+        const availableKeys = health.getAvailableKeys('GEMINI', GEMINI_API_KEYS);
+        if (availableKeys.length === 0) {
+            lastError = new Error('No healthy GEMINI_API_KEYS available');
+            continue;
+        }
+
+        for (const apiKey of availableKeys) {
+            try {
+                const model = getModel(apiKey, modelName);
+
+                // Combine system prompt and conversation turns
+                const fullPrompt = `${systemPrompt}\n\n${formatTranscript(messages)}`;
+
+                const result = await model.generateContent(fullPrompt);
+                const response = await result.response;
+                const text = response.text();
+
+                // Check for empty response
+                if (!text) throw new Error('Empty response from Gemini');
+
+                // Success! Return the response
+                health.recordKeySuccess('GEMINI', apiKey);
+                health.recordCircuitSuccess('GEMINI', modelName);
+                return toResponse(text, modelName, response.usageMetadata);
+
+            } catch (error) {
+                console.warn(`⚠️ Gemini (${modelName}) Key ${apiKey.substring(0, 8)}... failed: ${error.message}`);
+                health.recordKeyFailure('GEMINI', apiKey, error);
+                lastError = error;
+                // Continue to next key
+            }
+        }
+
+        // Every available key failed for this model
+        health.recordCircuitFailure('GEMINI', modelName);
+    }
+
+    // If we get here, all keys AND all models failed
+    console.error('❌ All Gemini keys and models failed');
+    throw lastError;
+}
+
+/**
+ * Stream Gemini output chunk by chunk
+ * Keys/models are only rotated until the first chunk arrives; after that errors propagate
+ */
+async function streamGemini(messages, systemPrompt, preferredModel = 'gemini-2.5-flash', { onChunk, signal } = {}) {
+    if (!GEMINI_API_KEYS || GEMINI_API_KEYS.length === 0) {
+        throw new Error('GEMINI_API_KEYS not configured');
+    }
+
+    const fallbackModel = preferredModel === 'gemini-2.5-flash' ? 'gemini-2.5-flash-lite' : 'gemini-2.5-flash';
+    const fullPrompt = `${systemPrompt}\n\n${formatTranscript(messages)}`;
+
+    let lastError = null;
+
+    for (const modelName of [preferredModel, fallbackModel]) {
+        if (!health.canAttempt('GEMINI', modelName)) {
+            console.warn(`⚡ Gemini (${modelName}) circuit open, skipping`);
+            lastError = new Error(`Circuit open for Gemini ${modelName}`);
+            continue;
+        }
+
+        const availableKeys = health.getAvailableKeys('GEMINI', GEMINI_API_KEYS);
+        if (availableKeys.length === 0) {
+            lastError = new Error('No healthy GEMINI_API_KEYS available');
+            continue;
+        }
+
+        for (const apiKey of availableKeys) {
+            let text = '';
+            try {
+                console.log(`🤖 Streaming Gemini Model: ${modelName}`);
+                const model = getModel(apiKey, modelName);
+                const result = await model.generateContentStream(fullPrompt, { signal });
+
+                for await (const chunk of result.stream) {
+                    const chunkText = chunk.text();
+                    if (!chunkText) continue;
+                    text += chunkText;
+                    onChunk(chunkText);
+                }
+
+                if (!text) throw new Error('Empty response from Gemini');
+
+                const finalResponse = await result.response;
+                health.recordKeySuccess('GEMINI', apiKey);
+                health.recordCircuitSuccess('GEMINI', modelName);
+                return toResponse(text, modelName, finalResponse.usageMetadata);
+            } catch (error) {
+                // Client disconnects say nothing about key health
+                if (signal?.aborted) throw error;
+
+                health.recordKeyFailure('GEMINI', apiKey, error);
+                if (text) throw error;
+                console.warn(`⚠️ Gemini stream (${modelName}) Key ${apiKey.substring(0, 8)}... failed: ${error.message}`);
+                lastError = error;
+            }
+        }
+
+        health.recordCircuitFailure('GEMINI', modelName);
+    }
+
+    console.error('❌ All Gemini keys and models failed (stream)');
+    throw lastError;
+}
+
+module.exports = {
+    name: 'GEMINI',
+    isConfigured: () => GEMINI_API_KEYS.length > 0,
+    getHealth: () => health.getHealthReport('GEMINI', GEMINI_API_KEYS),
+    generate: ({ messages, systemPrompt, model }) => callGemini(messages, systemPrompt, model),
+    stream: ({ messages, systemPrompt, model, onChunk, signal }) =>
+        streamGemini(messages, systemPrompt, model, { onChunk, signal }),
+    callGemini
+};
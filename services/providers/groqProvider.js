@@ -0,0 +1,200 @@
+const axios = require('axios');
+const { getKeys } = require('./keys');
+const { parseJsonObject } = require('./parseResponse');
+const health = require('./keyHealth');
+
+const GROQ_API_KEYS = getKeys('GROQ_API_KEYS');
+const GROQ_MODEL = 'llama-3.3-70b-versatile';
+
+/**
+ * Parse model text into the response shape shared by all callers
+ */
+function toResponse(text, usage) {
+    const meta = {
+        _aiSource: 'LLAMA',
+        _model: GROQ_MODEL,
+        _usage: usage ? {
+            inputTokens: usage.prompt_tokens || 0,
+            outputTokens: usage.completion_tokens || 0
+        } : undefined
+    };
+
+    // Parse JSON response with robust cleanup (same as Gemini)
+    const json = parseJsonObject(text);
+    if (json) {
+        // Ensure text property exists
+        if (!json.text && json.actions) {
+            json.text = "I've updated your profile.";
+        } else if (!json.text && !json.tool_calls) {
+            json.text = "I heard you.";
+        }
+        return { ...json, ...meta };
+    }
+    console.warn('Groq JSON parse failed, returning text only');
+
+    return { text: text, actions: [], ...meta };
+}
+
+/**
+ * Call Groq Llama 3.3 (Fallback)
+ */
+async function callGroq(messages, systemPrompt) {
+    if (!GROQ_API_KEYS || GROQ_API_KEYS.length === 0) {
+        throw new Error('GROQ_API_KEYS not configured');
+    }
+
+    if (!health.canAttempt('GROQ', GROQ_MODEL)) {
+        throw new Error(`Circuit open for Groq ${GROQ_MODEL}`);
+    }
+
+    console.log('🚀 Calling Groq Llama 3.3...');
+
+    let lastError = null;
+    // Healthy keys only, shuffled for load balancing
+    const availableKeys = health.getAvailableKeys('GROQ', GROQ_API_KEYS);
+    if (availableKeys.length === 0) {
+        throw new Error('No healthy GROQ_API_KEYS available');
+    }
+
+    for (const apiKey of availableKeys) {
+        try {
+            const response = await axios.post(
+                'https://api.groq.com/openai/v1/chat/completions',
+                {
+                    model: GROQ_MODEL,
+                    messages: [
+                        { role: 'system', content: systemPrompt },
+                        ...messages
+                    ],
+                    temperature: 0.7,
+                    max_tokens: 2000
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${apiKey}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+
+            const text = response.data.choices[0].message.content;
+
+            health.recordKeySuccess('GROQ', apiKey);
+            health.recordCircuitSuccess('GROQ', GROQ_MODEL);
+            return toResponse(text, response.data.usage);
+
+        } catch (error) {
+            console.warn(`⚠️ Groq Key ${apiKey.substring(0, 8)}... failed: ${error.message}`);
+            health.recordKeyFailure('GROQ', apiKey, error);
+            lastError = error;
+            // Continue to next key
+        }
+    }
+
+    // If we get here, all keys failed
+    console.error('❌ All Groq keys failed');
+    health.recordCircuitFailure('GROQ', GROQ_MODEL);
+    throw lastError;
+}
+
+/**
+ * Stream Groq output using the OpenAI-compatible SSE API
+ * Keys are only rotated until the first chunk arrives; after that errors propagate
+ */
+async function streamGroq(messages, systemPrompt, { onChunk, signal } = {}) {
+    if (!GROQ_API_KEYS || GROQ_API_KEYS.length === 0) {
+        throw new Error('GROQ_API_KEYS not configured');
+    }
+
+    if (!health.canAttempt('GROQ', GROQ_MODEL)) {
+        throw new Error(`Circuit open for Groq ${GROQ_MODEL}`);
+    }
+
+    console.log('🚀 Streaming Groq Llama 3.3...');
+
+    let lastError = null;
+    const availableKeys = health.getAvailableKeys('GROQ', GROQ_API_KEYS);
+    if (availableKeys.length === 0) {
+        throw new Error('No healthy GROQ_API_KEYS available');
+    }
+
+    for (const apiKey of availableKeys) {
+        let text = '';
+        try {
+            const response = await axios.post(
+                'https://api.groq.com/openai/v1/chat/completions',
+                {
+                    model: GROQ_MODEL,
+                    messages: [
+                        { role: 'system', content: systemPrompt },
+                        ...messages
+                    ],
+                    temperature: 0.7,
+                    max_tokens: 2000,
+                    stream: true
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    responseType: 'stream',
+                    signal
+                }
+            );
+
+            // SSE frames arrive as "data: {...}" lines, possibly split across chunks
+            let pending = '';
+            let usage;
+            for await (const raw of response.data) {
+                pending += raw.toString('utf8');
+                const lines = pending.split('\n');
+                pending = lines.pop();
+
+                for (const line of lines) {
+                    const trimmed = line.trim();
+                    if (!trimmed.startsWith('data:')) continue;
+
+                    const payload = trimmed.slice(5).trim();
+                    if (payload === '[DONE]') continue;
+
+                    const frame = JSON.parse(payload);
+                    const delta = frame.choices?.[0]?.delta?.content;
+                    if (delta) {
+                        text += delta;
+                        onChunk(delta);
+                    }
+
+                    // Groq reports token usage on the final frame
+                    usage = frame.x_groq?.usage || frame.usage || usage;
+                }
+            }
+
+            health.recordKeySuccess('GROQ', apiKey);
+            health.recordCircuitSuccess('GROQ', GROQ_MODEL);
+            return toResponse(text, usage);
+        } catch (error) {
+            // Client disconnects say nothing about key health
+            if (signal?.aborted) throw error;
+
+            health.recordKeyFailure('GROQ', apiKey, error);
+            if (text) throw error;
+            console.warn(`⚠️ Groq stream Key ${apiKey.substring(0, 8)}... failed: ${error.message}`);
+            lastError = error;
+        }
+    }
+
+    console.error('❌ All Groq keys failed (stream)');
+    health.recordCircuitFailure('GROQ', GROQ_MODEL);
+    throw lastError;
+}
+
+module.exports = {
+    name: 'GROQ',
+    isConfigured: () => GROQ_API_KEYS.length > 0,
+    getHealth: () => health.getHealthReport('GROQ', GROQ_API_KEYS),
+    generate: ({ messages, systemPrompt }) => callGroq(messages, systemPrompt),
+    stream: ({ messages, systemPrompt, onChunk, signal }) =>
+        streamGroq(messages, systemPrompt, { onChunk, signal }),
+    callGroq
+};
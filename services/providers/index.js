@@ -0,0 +1,97 @@
+const geminiProvider = require('./geminiProvider');
+const groqProvider = require('./groqProvider');
+const mockProvider = require('./mockProvider');
+
+/**
+ * LLM Provider Registry
+ *
+ * Every provider implements:
+ * - name: string
+ * - isConfigured(): boolean
+ * - generate({ messages, systemPrompt, model, feature }): Promise<object>
+ * - stream({ ...same, onChunk, signal }): Promise<object> (optional, raw text chunks go to onChunk)
+ * - getHealth(): { keys, circuits } (optional, see keyHealth.js)
+ *
+ * Set LLM_PROVIDER to force a provider for the whole environment
+ * (e.g. LLM_PROVIDER=MOCK for offline development and tests).
+ */
+
+/**
+ * Features that call the LLM
+ * Passed as options.feature so providers (and the mock fixtures) know the caller
+ */
+const LLM_FEATURES = {
+    COUNSELLOR: 'COUNSELLOR',
+    ONBOARDING: 'ONBOARDING',
+    SEARCH: 'SEARCH',
+    ENRICHMENT: 'ENRICHMENT',
+    UNIVERSITY_ENRICHMENT: 'UNIVERSITY_ENRICHMENT',
+    BATCH_ENRICHMENT: 'BATCH_ENRICHMENT',
+    GUIDANCE: 'GUIDANCE',
+    DISCOVERY_ANALYSIS: 'DISCOVERY_ANALYSIS',
+    DISCOVERY_BATCH: 'DISCOVERY_BATCH',
+    SHORTLIST_ANALYSIS: 'SHORTLIST_ANALYSIS',
+    CONVERSATION_SUMMARY: 'CONVERSATION_SUMMARY',
+    PROFILE_IMPORT: 'PROFILE_IMPORT'
+};
+
+const providers = {
+    GEMINI: geminiProvider,
+    GROQ: groqProvider,
+    MOCK: mockProvider
+};
+
+/**
+ * Register an additional provider (or replace an existing one)
+ */
+function registerProvider(name, provider) {
+    providers[name.toUpperCase()] = provider;
+}
+
+function getProvider(name) {
+    const provider = providers[(name || '').toUpperCase()];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    return provider;
+}
+
+/**
+ * Resolve the ordered list of providers to try for a request
+ * The environment override wins over the caller's preference; MOCK never falls back
+ */
+function getProviderChain(requested = 'GROQ') {
+    const forced = (process.env.LLM_PROVIDER || '').toUpperCase();
+    const primary = forced || requested.toUpperCase();
+
+    if (primary === 'MOCK') return ['MOCK'];
+
+    // Gemini and Groq back each other up
+    const fallback = primary === 'GEMINI' ? 'GROQ' : 'GEMINI';
+    return [primary, fallback];
+}
+
+/**
+ * Health snapshot of every registered provider (for the internal status endpoint)
+ */
+function getProvidersHealth() {
+    const report = {};
+    Object.entries(providers).forEach(([name, provider]) => {
+        report[name] = {
+            configured: provider.isConfigured(),
+            ...(provider.getHealth ? provider.getHealth() : {})
+        };
+    });
+    return {
+        forced_provider: (process.env.LLM_PROVIDER || '').toUpperCase() || null,
+        providers: report
+    };
+}
+
+module.exports = {
+    LLM_FEATURES,
+    getProvidersHealth,
+    registerProvider,
+    getProvider,
+    getProviderChain
+};
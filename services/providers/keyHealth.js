@@ -0,0 +1,199 @@
+/**
+ * API key health tracking and circuit breakers for LLM providers
+ * State is in-memory (per server process) and resets on restart.
+ *
+ * Keys:
+ * - 429 (rate limited): cooled down for Retry-After or RATE_LIMIT_COOLDOWN_MS
+ * - 401/403 (revoked/invalid): disabled until reset
+ * - Repeated other failures: short cooldown
+ *
+ * Circuits (per provider + model):
+ * - CLOSED -> OPEN after CIRCUIT_FAILURE_THRESHOLD consecutive failed attempts
+ * - OPEN -> HALF_OPEN after CIRCUIT_OPEN_MS, allowing one trial request
+ * - HALF_OPEN -> CLOSED on success, back to OPEN on failure
+ */
+
+const HEALTH_CONFIG = {
+    RATE_LIMIT_COOLDOWN_MS: 60 * 1000,        // 1 minute
+    FAILURE_COOLDOWN_MS: 30 * 1000,           // 30 seconds
+    CONSECUTIVE_FAILURES_FOR_COOLDOWN: 3,
+    CIRCUIT_FAILURE_THRESHOLD: 5,
+    CIRCUIT_OPEN_MS: 60 * 1000                // 1 minute
+};
+
+const keyStates = new Map(); // "PROVIDER:key" -> state
+const circuits = new Map(); // "PROVIDER:model" -> state
+
+const maskKey = (apiKey) => `${apiKey.substring(0, 8)}...`;
+
+function getKeyState(provider, apiKey) {
+    const id = `${provider}:${apiKey}`;
+    if (!keyStates.has(id)) {
+        keyStates.set(id, {
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            cooldownUntil: null,
+            disabled: false,
+            lastError: null,
+            lastUsedAt: null
+        });
+    }
+    return keyStates.get(id);
+}
+
+/**
+ * HTTP status of a provider error (axios or Google SDK)
+ */
+function getErrorStatus(error) {
+    return error?.response?.status || error?.status || null;
+}
+
+function getRetryAfterMs(error) {
+    const retryAfter = parseInt(error?.response?.headers?.['retry-after'], 10);
+    return Number.isNaN(retryAfter) ? HEALTH_CONFIG.RATE_LIMIT_COOLDOWN_MS : retryAfter * 1000;
+}
+
+/**
+ * Keys that may be used right now, shuffled for load balancing
+ */
+function getAvailableKeys(provider, keys) {
+    const now = Date.now();
+    return keys
+        .filter(apiKey => {
+            const state = getKeyState(provider, apiKey);
+            return !state.disabled && (!state.cooldownUntil || state.cooldownUntil <= now);
+        })
+        .sort(() => 0.5 - Math.random());
+}
+
+function recordKeySuccess(provider, apiKey) {
+    const state = getKeyState(provider, apiKey);
+    state.successes += 1;
+    state.consecutiveFailures = 0;
+    state.cooldownUntil = null;
+    state.lastUsedAt = new Date().toISOString();
+}
+
+function recordKeyFailure(provider, apiKey, error) {
+    const state = getKeyState(provider, apiKey);
+    const status = getErrorStatus(error);
+
+    state.failures += 1;
+    state.consecutiveFailures += 1;
+    state.lastError = `${status || 'ERROR'}: ${error.message}`;
+    state.lastUsedAt = new Date().toISOString();
+
+    if (status === 401 || status === 403) {
+        state.disabled = true;
+        console.error(`🚫 ${provider} key ${maskKey(apiKey)} disabled after auth error (${status})`);
+    } else if (status === 429) {
+        state.cooldownUntil = Date.now() + getRetryAfterMs(error);
+        console.warn(`🧊 ${provider} key ${maskKey(apiKey)} rate limited, cooling down`);
+    } else if (state.consecutiveFailures >= HEALTH_CONFIG.CONSECUTIVE_FAILURES_FOR_COOLDOWN) {
+        state.cooldownUntil = Date.now() + HEALTH_CONFIG.FAILURE_COOLDOWN_MS;
+        console.warn(`🧊 ${provider} key ${maskKey(apiKey)} failing repeatedly, cooling down`);
+    }
+}
+
+function getCircuit(provider, model) {
+    const id = `${provider}:${model}`;
+    if (!circuits.has(id)) {
+        circuits.set(id, { state: 'CLOSED', consecutiveFailures: 0, openedUntil: null });
+    }
+    return circuits.get(id);
+}
+
+/**
+ * Whether a request to this provider/model may be attempted
+ */
+function canAttempt(provider, model) {
+    const circuit = getCircuit(provider, model);
+
+    if (circuit.state === 'OPEN') {
+        if (circuit.openedUntil > Date.now()) return false;
+        circuit.state = 'HALF_OPEN';
+        console.log(`🔌 ${provider} (${model}) circuit half-open, sending trial request`);
+    }
+    return true;
+}
+
+function recordCircuitSuccess(provider, model) {
+    const circuit = getCircuit(provider, model);
+    if (circuit.state !== 'CLOSED') {
+        console.log(`🔌 ${provider} (${model}) circuit closed`);
+    }
+    circuit.state = 'CLOSED';
+    circuit.consecutiveFailures = 0;
+    circuit.openedUntil = null;
+}
+
+function recordCircuitFailure(provider, model) {
+    const circuit = getCircuit(provider, model);
+    circuit.consecutiveFailures += 1;
+
+    if (circuit.state === 'HALF_OPEN' || circuit.consecutiveFailures >= HEALTH_CONFIG.CIRCUIT_FAILURE_THRESHOLD) {
+        circuit.state = 'OPEN';
+        circuit.openedUntil = Date.now() + HEALTH_CONFIG.CIRCUIT_OPEN_MS;
+        console.error(`🔌 ${provider} (${model}) circuit OPEN for ${HEALTH_CONFIG.CIRCUIT_OPEN_MS / 1000}s`);
+    }
+}
+
+/**
+ * Health snapshot for a provider's keys and circuits (keys are masked)
+ */
+function getHealthReport(provider, keys) {
+    const now = Date.now();
+
+    const keyReport = keys.map(apiKey => {
+        const state = getKeyState(provider, apiKey);
+        const total = state.successes + state.failures;
+        let status = 'HEALTHY';
+        if (state.disabled) status = 'DISABLED';
+        else if (state.cooldownUntil && state.cooldownUntil > now) status = 'COOLDOWN';
+
+        return {
+            key: maskKey(apiKey),
+            status,
+            successes: state.successes,
+            failures: state.failures,
+            success_rate: total > 0 ? Math.round((state.successes / total) * 100) / 100 : null,
+            cooldown_until: status === 'COOLDOWN' ? new Date(state.cooldownUntil).toISOString() : null,
+            last_error: state.lastError,
+            last_used_at: state.lastUsedAt
+        };
+    });
+
+    const circuitReport = {};
+    circuits.forEach((circuit, id) => {
+        const [circuitProvider, model] = id.split(':');
+        if (circuitProvider !== provider) return;
+        circuitReport[model] = {
+            state: circuit.state,
+            consecutive_failures: circuit.consecutiveFailures,
+            open_until: circuit.state === 'OPEN' ? new Date(circuit.openedUntil).toISOString() : null
+        };
+    });
+
+    return { keys: keyReport, circuits: circuitReport };
+}
+
+/**
+ * Clear all key and circuit state (e.g. after rotating keys)
+ */
+function resetHealth() {
+    keyStates.clear();
+    circuits.clear();
+}
+
+module.exports = {
+    getAvailableKeys,
+    recordKeySuccess,
+    recordKeyFailure,
+    canAttempt,
+    recordCircuitSuccess,
+    recordCircuitFailure,
+    getHealthReport,
+    resetHealth,
+    HEALTH_CONFIG
+};
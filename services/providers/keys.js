@@ -0,0 +1,6 @@
+// Initialize API keys (Support multiple keys for rotation)
+const getKeys = (envVar) => {
+    return (process.env[envVar] || '').split(',').map(k => k.trim()).filter(k => k.length > 0);
+};
+
+module.exports = { getKeys };
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { parseJsonObject } = require('./parseResponse');
+
+const MOCK_CHUNK_SIZE = 16;
+
+/**
+ * Deterministic offline provider
+ * Lets the team exercise every AI feature without live API keys.
+ *
+ * Responses are resolved in this order:
+ * 1. A fixture file `<LLM_FIXTURES_DIR>/<feature>.json` (lowercase feature name)
+ * 2. A built-in canned response for the feature
+ *
+ * Output is passed through the same parsing as the real providers, so
+ * callers see exactly the shapes they would get from Gemini or Groq.
+ */
+
+/**
+ * Count numbered list items ("1. Foo") in the prompt
+ * Batch prompts enumerate universities this way and expect one result per item
+ */
+function countListItems(systemPrompt, messages) {
+    const fullPrompt = `${systemPrompt}\n${messages.map(m => m.content).join('\n')}`;
+    return (fullPrompt.match(/^\d+\.\s/gm) || []).length;
+}
+
+const BUILT_IN_RESPONSES = {
+    COUNSELLOR: () => ({
+        text: 'This is an offline mock response from your AI counsellor. Keep building a balanced shortlist of DREAM, TARGET and SAFE schools.',
+        tone: 'ENCOURAGING',
+        reasoning: {
+            activityAssessment: 'Mock assessment of recent activity',
+            profileAssessment: 'Mock profile assessment',
+            stageGuidance: 'Mock stage guidance',
+            riskAssessment: 'Mock risk assessment'
+        },
+        recommendations: [],
+        actions: [],
+        nextSteps: ['Complete your profile', 'Research 2 more TARGET schools']
+    }),
+    // Onboarding answer parser: the mock understands nothing, so free text is re-asked
+    ONBOARDING: () => ({
+        updates: {},
+        skipped: []
+    }),
+    SEARCH: () => ({
+        text: 'Offline mock search using your profile preferences.',
+        filters: { countries: [], sort_by: 'match' },
+        actions: []
+    }),
+    ENRICHMENT: () => ({
+        name: 'Mock University',
+        country: 'Unknown',
+        city: 'Mock City',
+        domain: 'mock-university.edu',
+        tuition_estimate: 20000,
+        acceptance_rate: 50,
+        rank: 500,
+        description: 'Offline mock enrichment data',
+        popular_majors: ['Computer Science', 'Business']
+    }),
+    UNIVERSITY_ENRICHMENT: () => ({
+        name: 'Mock University',
+        country: 'Unknown',
+        city: 'Mock City',
+        domain: 'mock-university.edu',
+        tuition_estimate: 20000,
+        acceptance_rate: 50,
+        ranking: 500,
+        programs: ['Computer Science', 'Business'],
+        language_of_instruction: 'English',
+        international_students: 20,
+        description: 'Offline mock enrichment data.'
+    }),
+    GUIDANCE: () => ({
+        required_documents: ['Official Transcripts', 'Resume/CV', 'Statement of Purpose (SOP)', 'Letters of Recommendation'],
+        timeline: [
+            { phase: 'Preparation', date_range: 'Aug - Sep', description: 'Prepare standardized tests' },
+            { phase: 'Application', date_range: 'Oct - Dec', description: 'Submit main application' },
+            { phase: 'Decision', date_range: 'Mar - Apr', description: 'Receive admission decision' }
+        ],
+        application_tips: ['Offline mock tip: verify requirements on the official website.']
+    }),
+    DISCOVERY_ANALYSIS: () => ({
+        profile_fit: { reasons: ['Offline mock analysis'], score: 60 },
+        budget_analysis: { tuition: null, user_budget: 0, within_budget: true, gap: 0, recommendation: 'Mock budget check' },
+        country_preference: { matches: true, message: 'Mock country preference' },
+        acceptance_score: { percentage: 55, category: 'TARGET', reasoning: 'Mock acceptance estimate' },
+        risk_level: 'medium',
+        cost_level: 'medium'
+    }),
+    DISCOVERY_BATCH: (count) => Array.from({ length: count }, (_, idx) => ({
+        index: idx + 1,
+        profile_fit: { reasons: ['Offline mock analysis'], score: 60 },
+        budget_analysis: { within_budget: true, gap: 0, recommendation: 'Mock budget check' },
+        country_preference: { matches: true, message: 'Mock country preference' },
+        acceptance_score: { percentage: 55, category: 'TARGET', reasoning: 'Mock acceptance estimate' },
+        risk_level: 'medium',
+        cost_level: 'medium'
+    })),
+    SHORTLIST_ANALYSIS: () => ({
+        profile_fit: { reasons: ['Offline mock analysis'], score: 60 },
+        key_risks: { reasons: ['Offline mock risk'], severity: 'medium' },
+        acceptance_score: { percentage: 55, category: 'TARGET', reasoning: 'Mock acceptance estimate' },
+        cost_analysis: { level: 'Medium', within_budget: true, reasoning: 'Mock budget check' }
+    }),
+    CONVERSATION_SUMMARY: () => ({
+        summary: 'Offline mock summary of the earlier conversation.'
+    }),
+    // Profile import: only the rule-based proposals (test scores, grades) come through offline
+    PROFILE_IMPORT: () => ({
+        proposals: []
+    }),
+    BATCH_ENRICHMENT: (count) => Array.from({ length: count }, (_, idx) => ({
+        index: idx + 1,
+        tuition_estimate: 15000,
+        acceptance_rate: 50,
+        ranking: null
+    }))
+};
+
+/**
+ * Load fixture output for a feature, if a fixtures directory is configured
+ */
+function loadFixture(feature) {
+    const fixturesDir = process.env.LLM_FIXTURES_DIR;
+    if (!fixturesDir || !feature) return null;
+
+    const fixturePath = path.resolve(fixturesDir, `${feature.toLowerCase()}.json`);
+    if (!fs.existsSync(fixturePath)) return null;
+
+    return fs.readFileSync(fixturePath, 'utf8');
+}
+
+/**
+ * Produce the raw model text for a request
+ */
+function buildMockText({ messages, systemPrompt, feature }) {
+    const fixture = loadFixture(feature);
+    if (fixture) return fixture;
+
+    const builder = BUILT_IN_RESPONSES[feature];
+    if (!builder) {
+        return JSON.stringify({ text: 'Offline mock response.', actions: [] });
+    }
+    return JSON.stringify(builder(countListItems(systemPrompt, messages)));
+}
+
+function toResponse(text) {
+    // Arrays are returned as text, mirroring how the real providers surface them
+    const json = text.trim().startsWith('[') ? null : parseJsonObject(text);
+    if (json) {
+        return { ...json, _aiSource: 'MOCK', _model: 'mock' };
+    }
+    return { text, actions: [], _aiSource: 'MOCK', _model: 'mock' };
+}
+
+async function generate({ messages, systemPrompt, feature }) {
+    console.log(`🧪 Mock LLM provider (feature: ${feature || 'UNSPECIFIED'})`);
+    return toResponse(buildMockText({ messages, systemPrompt, feature }));
+}
+
+/**
+ * Emit the mock output in small chunks, yielding to the event loop between them
+ */
+async function stream({ messages, systemPrompt, feature, onChunk, signal }) {
+    console.log(`🧪 Mock LLM provider stream (feature: ${feature || 'UNSPECIFIED'})`);
+    const text = buildMockText({ messages, systemPrompt, feature });
+
+    for (let i = 0; i < text.length; i += MOCK_CHUNK_SIZE) {
+        if (signal?.aborted) {
+            throw new Error('Mock stream aborted');
+        }
+        onChunk(text.slice(i, i + MOCK_CHUNK_SIZE));
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return toResponse(text);
+}
+
+module.exports = {
+    name: 'MOCK',
+    isConfigured: () => true,
+    generate,
+    stream
+};
@@ -0,0 +1,76 @@
+/**
+ * Extract a JSON object from raw model text
+ * Models sometimes wrap JSON in markdown code blocks or add prose around it
+ * Returns null if no parseable object is found
+ */
+function parseJsonObject(text) {
+    try {
+        // Remove markdown code blocks if present
+        const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+
+        // Fallback to JSON object matching
+        const objectMatch = cleanedText.match(/\{[\s\S]*\}/);
+        if (objectMatch) {
+            return JSON.parse(objectMatch[0]);
+        }
+    } catch (parseError) {
+        // Caller decides how to handle unparseable text
+    }
+    return null;
+}
+
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+/**
+ * Stream the "text" field out of a JSON response while it is still being generated
+ * Returns a function to feed raw model chunks into; decoded text is passed to onText
+ * as soon as it arrives. Everything outside the "text" string is ignored.
+ */
+function createTextFieldStreamer(onText) {
+    let buffer = '';
+    let position = -1; // Index of the next unread character of the text value
+    let finished = false;
+
+    return (chunk) => {
+        if (finished) return;
+        buffer += chunk;
+
+        if (position === -1) {
+            const match = buffer.match(/"text"\s*:\s*"/);
+            if (!match) return;
+            position = match.index + match[0].length;
+        }
+
+        let decoded = '';
+        while (position < buffer.length) {
+            const char = buffer[position];
+
+            if (char === '"') {
+                finished = true;
+                break;
+            }
+
+            if (char === '\\') {
+                const next = buffer[position + 1];
+                if (next === undefined) break; // Wait for the rest of the escape
+
+                if (next === 'u') {
+                    if (position + 6 > buffer.length) break;
+                    decoded += String.fromCharCode(parseInt(buffer.substr(position + 2, 4), 16));
+                    position += 6;
+                } else {
+                    decoded += JSON_ESCAPES[next] || next;
+                    position += 2;
+                }
+                continue;
+            }
+
+            decoded += char;
+            position++;
+        }
+
+        if (decoded) onText(decoded);
+    };
+}
+
+module.exports = { parseJsonObject, createTextFieldStreamer };
@@ -1,5 +1,11 @@
 const supabase = require('../database/supabase');
 const { getLLMResponse } = require('./aiService');
+const { LLM_FEATURES } = require('./providers');
+const { formatGrade } = require('../utils/gradeConversion');
+const { formatTestScores } = require('../utils/testScores');
+const { formatExperience } = require('../utils/applicantExperience');
+const { getActivePlanId } = require('./planService');
+const { calculateAcceptanceScore } = require('../utils/acceptanceScore');
 
 /**
  * Analyze university fit for a user using AI
@@ -28,16 +34,17 @@ async function analyzeUniversityForUser(userId, universityId) {
 
     console.log(`✅ Data fetched - Profile: ${profile.field_of_study || 'N/A'}, University: ${university.name}`);
 
-    // 3. Construct Prompt
+    // 3. Construct Prompt (the acceptance score comes from the scoring engine, the model explains it)
+    const admission = calculateAcceptanceScore(profile, university);
     const systemPrompt = `You are an expert university admissions counselor. Analyze the fit between this student and university.
 
 STUDENT PROFILE:
-- GPA: ${profile.gpa || 'N/A'}
+- GPA: ${formatGrade(profile)}
 - Field of Study: ${profile.field_of_study || 'N/A'}
 - Degree: ${profile.degree_level || 'N/A'}
 - Budget: $${profile.budget_max || 'N/A'}
-- Test Scores: GRE ${profile.gre_score || 'N/A'}, IELTS ${profile.ielts_score || 'N/A'}, TOEFL ${profile.toefl_score || 'N/A'}
-- Experience: ${profile.work_experience_years || 0} years
+- Test Scores: ${formatTestScores(profile)}
+- Experience: ${formatExperience(profile)}
 
 UNIVERSITY PROFILE:
 - Name: ${university.name}
@@ -47,6 +54,10 @@ UNIVERSITY PROFILE:
 - Acceptance Rate: ${university.acceptance_rate || 'N/A'}%
 ${university.detailed_info ? `\nDETAILED UNIVERSITY DATA:\n${JSON.stringify(university.detailed_info, null, 2)}` : ''}
 
+ADMISSION SCORE (from our scoring engine - do not re-estimate it):
+- Score: ${admission.totalScore}/100 = ${admission.category}
+${Object.entries(admission.breakdown).map(([component, part]) => `- ${component}: ${part.score}/${part.maxScore} (${part.note})`).join('\n')}
+
 Provide a personalized analysis in JSON format.
 CRITICAL: Keep reasoning "medium length" - concise and direct (max 2-3 sentences per point). Avoid overly long paragraphs.
 
@@ -67,9 +78,9 @@ CRITICAL: Keep reasoning "medium length" - concise and direct (max 2-3 sentences
     "severity": "low|medium|high"
   },
   "acceptance_score": {
-    "percentage": 0-100,
-    "category": "DREAM|TARGET|SAFE",
-    "reasoning": "Concise explanation of chance calculation"
+    "percentage": ${admission.totalScore},
+    "category": "${admission.category}",
+    "reasoning": "Concise explanation of the admission score above"
   },
   "cost_analysis": {
     "level": "Low|Medium|High",
@@ -83,7 +94,11 @@ Be realistic and honest. If data is missing (e.g. N/A), make reasonable estimate
     console.log(`🤖 Calling AI for analysis of ${university.name}...`);
     const messages = [{ role: 'user', content: `Analyze fit for ${university.name}` }];
     // Use GEMINI for detailed shortlist analysis
-    const response = await getLLMResponse(messages, systemPrompt, 'GEMINI');
+    const response = await getLLMResponse(messages, systemPrompt, {
+      provider: 'GEMINI',
+      feature: LLM_FEATURES.SHORTLIST_ANALYSIS,
+      userId
+    });
 
     // 5. Parse Response
     let analysis;
@@ -99,6 +114,13 @@ Be realistic and honest. If data is missing (e.g. N/A), make reasonable estimate
       analysis = response;
     }
 
+    analysis.acceptance_score = {
+      ...analysis.acceptance_score,
+      percentage: admission.totalScore,
+      category: admission.category,
+      weight_profile: admission.weightProfile
+    };
+
     // 6. Update Database
     console.log(`💾 Saving AI analysis to database...`);
     const { error: updateError } = await supabase
@@ -108,6 +130,7 @@ Be realistic and honest. If data is missing (e.g. N/A), make reasonable estimate
         analyzed_at: new Date().toISOString()
       })
       .eq('user_id', userId)
+      .eq('plan_id', await getActivePlanId(userId)) // the analysis used the active plan's goals
       .eq('university_id', universityId);
 
     if (updateError) {
@@ -1,13 +1,22 @@
 const supabase = require('../database/supabase');
 const { logActivity } = require('./activityTracker');
+const { getEnglishProficiency, checkTestValidity } = require('../utils/testScores');
+const { getActivePlanId } = require('./planService');
+
+const US_NAMES = ['united states', 'usa', 'us', 'united states of america'];
+
+const targetsUnitedStates = (profile) =>
+    (profile.preferred_countries || []).some(country => US_NAMES.includes(String(country).trim().toLowerCase()));
 
 /**
  * Sync tasks based on profile status
- * Checks for missing critical items and ensures tasks exist for them
+ * Checks for missing critical items and ensures tasks exist for them in the active plan
+ * (the profile carries the active plan's goals)
  */
 async function syncTasksWithProfile(userId, profile) {
     if (!profile) return;
 
+    const planId = await getActivePlanId(userId);
     const tasksToSync = [];
 
     // 1. SOP Task
@@ -19,17 +28,23 @@ async function syncTasksWithProfile(userId, profile) {
         });
     }
 
-    // 2. English Proficiency Task
-    if (!profile.ielts_score && !profile.toefl_score) {
+    // 2. English Proficiency Task (any accepted English test counts)
+    if (!getEnglishProficiency(profile)) {
         tasksToSync.push({
             title: 'Take English Proficiency Test',
-            description: 'You need an IELTS or TOEFL score for most international universities. Book a test date.',
+            description: 'You need an English test score (IELTS, TOEFL, PTE Academic, Duolingo or Cambridge C1/C2) for most international universities. Check which ones your target universities accept and book a test date.',
             category: 'TEST'
         });
     }
 
-    // 3. GRE/GMAT Task (if applicable)
-    if ((profile.target_degree === 'Masters' || profile.target_degree === 'PhD') && !profile.gre_score) {
+    // 3. GRE/GMAT/SAT/ACT Task (if applicable)
+    if (profile.target_degree === 'Bachelors' && !profile.sat_score && !profile.act_score && targetsUnitedStates(profile)) {
+        tasksToSync.push({
+            title: 'Take SAT or ACT',
+            description: 'Many US colleges require or recommend an SAT or ACT score. Check the testing policy of your target colleges.',
+            category: 'TEST'
+        });
+    } else if ((profile.target_degree === 'Masters' || profile.target_degree === 'PhD') && !profile.gre_score) {
         tasksToSync.push({
             title: 'Take GRE Exam',
             description: 'Many graduate programs require or recommend a GRE score. Check your target universities.',
@@ -52,42 +67,103 @@ async function syncTasksWithProfile(userId, profile) {
         });
     }
 
+    // 5. Test scores that expire before a deadline or the intake
+    tasksToSync.push(...testValidityTasks(checkTestValidity(profile, { locks: await getActiveLocks(userId, planId) })));
+
     // Process tasks
     for (const taskDef of tasksToSync) {
-        await ensureTaskExists(userId, taskDef);
+        await ensureTaskExists(userId, planId, taskDef);
     }
 }
 
+async function getActiveLocks(userId, planId) {
+    const { data, error } = await supabase
+        .from('university_locks')
+        .select('id, university_id, application_deadline, university:universities(id, name)')
+        .eq('user_id', userId)
+        .eq('plan_id', planId)
+        .is('unlocked_at', null);
+
+    if (error) {
+        console.error('Failed to load locks for test validity:', error.message);
+        return [];
+    }
+    return data || [];
+}
+
+// A week before the score expires, or today if that has passed
+function sendBy(expiresOn) {
+    const date = new Date(expiresOn);
+    date.setDate(date.getDate() - 7);
+    return (date > new Date() ? date : new Date()).toISOString();
+}
+
+/**
+ * Retake / send-scores tasks for test validity issues (missing test dates only show as warnings)
+ */
+function testValidityTasks(issues) {
+    return issues.map(issue => {
+        switch (issue.status) {
+            case 'EXPIRED':
+                return {
+                    title: `Retake ${issue.label}`,
+                    description: `Your ${issue.label} score (${issue.score}) expired on ${issue.expires_on}. Book a new test date early enough for results to arrive before your first application deadline.`,
+                    category: 'TEST'
+                };
+            case 'EXPIRES_BEFORE_DEADLINE':
+                return {
+                    title: `Send ${issue.label} scores to ${issue.university.name}`,
+                    description: `Your ${issue.label} score expires on ${issue.expires_on}, before the ${issue.university.name} deadline (${issue.deadline}). Send official scores while they are still valid, or plan a retake.`,
+                    category: 'TEST',
+                    due_date: sendBy(issue.expires_on),
+                    related_university_id: issue.university.id
+                };
+            case 'EXPIRES_BEFORE_INTAKE':
+                return {
+                    title: `Send ${issue.label} scores before ${issue.expires_on}`,
+                    description: `Your ${issue.label} score expires on ${issue.expires_on}, before your intake. Send official scores to every university before then, and retake the test if one needs it valid at enrolment.`,
+                    category: 'TEST',
+                    due_date: sendBy(issue.expires_on)
+                };
+            default:
+                return null;
+        }
+    }).filter(Boolean);
+}
+
 /**
- * Ensure a specific task exists for the user (by title)
+ * Ensure a specific task exists in the user's plan (by title)
  * If not, create it.
  */
-async function ensureTaskExists(userId, taskDef) {
+async function ensureTaskExists(userId, planId, taskDef) {
     try {
         // Check if task exists (active or completed)
         const { data: existing } = await supabase
             .from('tasks')
             .select('id')
             .eq('user_id', userId)
+            .eq('plan_id', planId)
             .ilike('title', taskDef.title)
             .maybeSingle();
 
         if (!existing) {
             console.log(`✨ Creating suggested task for user ${userId}: ${taskDef.title}`);
 
-            // Create task due in 2 weeks by default
-            const dueDate = new Date();
-            dueDate.setDate(dueDate.getDate() + 14);
+            // Create task due in 2 weeks unless the definition has a due date
+            const dueDate = new Date(taskDef.due_date || Date.now());
+            if (!taskDef.due_date) dueDate.setDate(dueDate.getDate() + 14);
 
             const { data: newTask, error } = await supabase
                 .from('tasks')
                 .insert({
                     user_id: userId,
+                    plan_id: planId,
                     title: taskDef.title,
                     description: taskDef.description,
                     status: 'TODO',
                     created_by: 'AI_TRIGGER',
-                    due_date: dueDate.toISOString() // Basic default
+                    due_date: dueDate.toISOString(),
+                    related_university_id: taskDef.related_university_id || null
                 })
                 .select()
                 .single();
@@ -1,36 +1,26 @@
 const { getLLMResponse } = require('./aiService');
+const { LLM_FEATURES } = require('./providers');
+const { renderPrompt } = require('./prompts');
 const supabase = require('../database/supabase');
+const { httpError } = require('../utils/httpError');
 
 /**
  * Use AI to enrich university data when not available from API
  * This helps with countries like Germany, France, etc. where API data is limited
+ * @param {string|null} userId - User the enrichment is billed to (for usage metering)
  */
-async function enrichUniversityWithAI(universityName, country) {
+async function enrichUniversityWithAI(universityName, country, userId = null) {
     try {
-        const prompt = `Provide detailed information about ${universityName} in ${country} for study abroad planning.
-
-Return a JSON object with this exact structure:
-{
-  "name": "Full official university name",
-  "country": "${country}",
-  "city": "Main campus city",
-  "domain": "university website domain (e.g., stanford.edu)",
-  "tuition_estimate": estimated annual tuition in USD (integer),
-  "acceptance_rate": acceptance rate as percentage (e.g., 15.5 for 15.5%),
-  "ranking": approximate world ranking (integer, if available),
-  "programs": ["Computer Science", "Engineering", ...] (top 5 programs),
-  "language_of_instruction": "Primary language",
-  "international_students": percentage of international students,
-  "description": "Brief 2-sentence description"
-}
-
-IMPORTANT: Use plain numbers only. Do NOT use ~ or any special characters before numbers.
-If you don't know exact data, provide reasonable estimates as plain numbers.
-Return ONLY valid JSON with no markdown formatting and no explanation.`;
+        const prompt = renderPrompt('UNIVERSITY_ENRICHMENT', { universityName, country }, { userId });
 
         const response = await getLLMResponse([
-            { role: 'user', content: prompt }
-        ], 'You are a university database expert. Return only valid JSON with plain numbers (no ~ prefix).');
+            { role: 'user', content: prompt.user }
+        ], prompt.system, {
+            provider: 'GROQ',
+            feature: LLM_FEATURES.UNIVERSITY_ENRICHMENT,
+            userId,
+            prompt
+        });
 
         console.log('🔍 Raw AI response for university enrichment:', JSON.stringify(response).substring(0, 200));
 
@@ -89,54 +79,83 @@ Return ONLY valid JSON with no markdown formatting and no explanation.`;
 
 /**
  * Find or create university with AI enrichment
- * If university doesn't exist in DB, use AI to get details and create it
+ * Names are verified first (see universityVerification): a real match is reused or created
+ * from Hipolabs data, with AI only filling in metrics. Unknown institutions are refused
+ * unless allowUnverified is set, in which case the row is stored with verified = false.
+ * @returns {Promise<object>} the university row, with a `verification` summary attached
  */
-async function findOrCreateUniversity(universityIdentifier, country = null) {
+async function findOrCreateUniversity(universityIdentifier, country = null, userId = null, { allowUnverified = false } = {}) {
     try {
         // Try to find by external_id first
-        let { data: university, error } = await supabase
+        const { data: university } = await supabase
             .from('universities')
             .select('*')
             .eq('external_id', universityIdentifier)
-            .single();
+            .maybeSingle();
 
         if (university) {
             return university;
         }
 
-        // Try to find by name (case-insensitive)
-        ({ data: university, error } = await supabase
-            .from('universities')
-            .select('*')
-            .ilike('name', universityIdentifier)
-            .limit(1)
-            .single());
+        const { verifyUniversity } = require('./universityVerification');
+        const verification = await verifyUniversity(universityIdentifier, country);
+        const summary = {
+            status: verification.status,
+            confidence: verification.confidence,
+            query: universityIdentifier,
+            suggestions: verification.suggestions
+        };
+
+        if (verification.source === 'DATABASE') {
+            return { ...verification.match, verification: summary };
+        }
 
-        if (university) {
-            return university;
+        if (verification.status === 'NOT_FOUND' && !allowUnverified) {
+            throw httpError(
+                `Could not verify "${universityIdentifier}" as a real institution`,
+                422,
+                { verification: summary }
+            );
         }
 
-        // University not found - use AI to enrich and create
-        console.log(`University "${universityIdentifier}" not found. Using AI enrichment...`);
+        // Matched in Hipolabs (or explicitly allowed): use AI only for the metrics
+        const match = verification.match;
+        const name = match ? match.name : universityIdentifier;
+        const resolvedCountry = match ? match.country : country || 'Unknown';
 
-        const enrichedData = await enrichUniversityWithAI(
-            universityIdentifier,
-            country || 'Unknown'
-        );
+        console.log(`University "${universityIdentifier}" not in database. Using AI enrichment for "${name}"...`);
+
+        let enrichedData = {};
+        try {
+            enrichedData = await enrichUniversityWithAI(name, resolvedCountry, userId);
+        } catch (enrichError) {
+            // A verified institution is still worth creating without metrics
+            if (!match) throw enrichError;
+            console.warn(`⚠️ Enrichment failed for verified university ${name}:`, enrichError.message);
+        }
+
+        const verificationNotes = match
+            ? `AI suggestion "${universityIdentifier}" matched to "${match.name}" via Hipolabs (confidence ${verification.confidence})`
+            : `Unverified AI suggestion "${universityIdentifier}"`;
 
         // Create university in database
         const { data: newUniversity, error: insertError } = await supabase
             .from('universities')
             .insert({
-                external_id: `ai_enriched_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                name: enrichedData.name || universityIdentifier,
-                country: enrichedData.country || country || 'Unknown',
-                city: enrichedData.city,
-                domain: enrichedData.domain,
+                external_id: match
+                    ? match.external_id
+                    : `ai_enriched_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                name: match ? match.name : enrichedData.name || universityIdentifier,
+                country: match ? match.country : enrichedData.country || country || 'Unknown',
+                city: match?.city || enrichedData.city,
+                domain: match?.domain || enrichedData.domain,
                 tuition_estimate: enrichedData.tuition_estimate,
                 acceptance_rate: enrichedData.acceptance_rate,
                 rank: enrichedData.ranking,
                 data_source: 'OTHER', // Changed from AI_ENRICHED to comply with DB constraint
+                verified: verification.status === 'VERIFIED',
+                added_by_user_id: userId,
+                verification_notes: verificationNotes,
                 cached_at: new Date().toISOString()
             })
             .select()
@@ -147,8 +166,8 @@ async function findOrCreateUniversity(universityIdentifier, country = null) {
             throw insertError;
         }
 
-        console.log(`✅ Created AI-enriched university: ${newUniversity.name}`);
-        return newUniversity;
+        console.log(`✅ Created AI-enriched university: ${newUniversity.name} (${verification.status})`);
+        return { ...newUniversity, verification: summary };
     } catch (error) {
         console.error('Find or create university error:', error);
         throw error;
@@ -191,31 +210,16 @@ async function batchEnrichUniversitiesWithSingleCall(universities) {
             `${idx + 1}. ${uni.name} (${uni.country})`
         ).join('\n');
 
-        const prompt = `Provide tuition and acceptance rate estimates for the following universities. Return ONLY a JSON array with this exact structure:
-
-[
-  {
-    "index": 1,
-    "tuition_estimate": estimated annual tuition in USD (number only, no strings),
-    "acceptance_rate": acceptance rate as percentage (number only, e.g., 15.5 for 15.5%),
-    "ranking": approximate world ranking (number, null if unknown)
-  },
-  ...
-]
-
-Universities to enrich:
-${universityList}
-
-IMPORTANT:
-- Return ONLY valid JSON array, no markdown, no explanation
-- Use numbers only, not strings like "~2000"
-- If you don't know exact data, provide reasonable estimates
-- Index matches the university number in the list above`;
+        const prompt = renderPrompt('BATCH_ENRICHMENT', { universityList });
 
         // Use getLLMResponse which has Gemini→Groq fallback
         const response = await getLLMResponse([
-            { role: 'user', content: prompt }
-        ], 'You are a university database expert. Return only valid JSON array.');
+            { role: 'user', content: prompt.user }
+        ], prompt.system, {
+            provider: 'GROQ',
+            feature: LLM_FEATURES.BATCH_ENRICHMENT,
+            prompt
+        });
 
         // Parse AI response
         let enrichmentData;
@@ -0,0 +1,144 @@
+const supabase = require('../database/supabase');
+const { searchUniversities, normalizeCountryName } = require('./universityService');
+const { calculateAcceptanceScore } = require('../utils/acceptanceScore');
+const { logActivity } = require('./activityTracker');
+
+/**
+ * Structured university search for SEARCH mode
+ * Filters come from the SEARCH prompt; results are pulled from Hipolabs (via searchUniversities)
+ * and the universities table, filtered, scored and ranked for the student.
+ *
+ * field_of_study / target_degree are kept for display only: we have no programme-level data yet.
+ */
+
+const SEARCH_CONFIG = {
+    MAX_COUNTRIES: 3,
+    CANDIDATES_PER_SOURCE: 50,
+    MAX_RESULTS: 20
+};
+
+/**
+ * Candidates from Hipolabs/cache (per country) and the universities table (with metric filters)
+ */
+async function fetchCandidates(filters, countries) {
+    const name = filters.name || undefined;
+
+    const apiSearches = countries.length > 0
+        ? countries.map(country => searchUniversities({ name, country, enrichUS: false, limit: SEARCH_CONFIG.CANDIDATES_PER_SOURCE }))
+        : name ? [searchUniversities({ name, enrichUS: false, limit: SEARCH_CONFIG.CANDIDATES_PER_SOURCE })] : [];
+
+    const query = supabase.from('universities').select('*');
+    if (name) query.ilike('name', `%${name}%`);
+    if (countries.length > 0) query.in('country', countries);
+    if (filters.max_tuition) query.lte('tuition_estimate', filters.max_tuition);
+    if (filters.min_tuition) query.gte('tuition_estimate', filters.min_tuition);
+    if (filters.min_acceptance_rate) query.gte('acceptance_rate', filters.min_acceptance_rate);
+    if (filters.max_rank) query.lte('rank', filters.max_rank);
+
+    const [apiResults, dbResult] = await Promise.all([
+        Promise.all(apiSearches.map(search => search.catch(error => {
+            console.error('Search source failed:', error.message);
+            return [];
+        }))),
+        query.limit(SEARCH_CONFIG.CANDIDATES_PER_SOURCE)
+    ]);
+
+    if (dbResult.error) console.error('University table search error:', dbResult.error);
+
+    // De-duplicate (same row can come from both sources)
+    const byKey = new Map();
+    [...apiResults.flat(), ...(dbResult.data || [])].forEach(uni => {
+        const key = uni.id || uni.external_id || `${uni.name}_${uni.country}`;
+        if (!byKey.has(key)) byKey.set(key, uni);
+    });
+    return [...byKey.values()];
+}
+
+/**
+ * Unknown metrics pass the filter (most Hipolabs rows have no tuition/rank yet)
+ */
+function matchesFilters(uni, filters) {
+    if (filters.max_tuition && uni.tuition_estimate && uni.tuition_estimate > filters.max_tuition) return false;
+    if (filters.min_tuition && uni.tuition_estimate && uni.tuition_estimate < filters.min_tuition) return false;
+    if (filters.min_acceptance_rate && uni.acceptance_rate && uni.acceptance_rate < filters.min_acceptance_rate) return false;
+    if (filters.max_rank && uni.rank && uni.rank > filters.max_rank) return false;
+    return true;
+}
+
+const SORTERS = {
+    // Acceptance score first, rows with known data break ties
+    match: (a, b) => (b.acceptance_score.score - a.acceptance_score.score) || (b.data_completeness - a.data_completeness),
+    tuition: (a, b) => (a.university.tuition_estimate ?? Infinity) - (b.university.tuition_estimate ?? Infinity),
+    rank: (a, b) => (a.university.rank ?? Infinity) - (b.university.rank ?? Infinity),
+    acceptance_rate: (a, b) => (b.university.acceptance_rate ?? -1) - (a.university.acceptance_rate ?? -1)
+};
+
+/**
+ * Run a SEARCH mode query
+ * @param {object} filters - Validated filters (searchFiltersSchema)
+ * @param {string} userId
+ * @returns {Promise<{ filters: object, results: Array, total: number }>}
+ */
+async function runStructuredSearch(filters, userId) {
+    const { data: profile } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .single();
+
+    const studentProfile = profile || {};
+
+    // Fall back to the student's preferred countries when the query names none
+    const requestedCountries = filters.countries.length > 0 || filters.name
+        ? filters.countries
+        : (studentProfile.preferred_countries || []);
+    const countries = [...new Set(requestedCountries.map(normalizeCountryName))].slice(0, SEARCH_CONFIG.MAX_COUNTRIES);
+
+    const appliedFilters = { ...filters, countries };
+
+    if (countries.length === 0 && !filters.name) {
+        return { filters: appliedFilters, results: [], total: 0 };
+    }
+
+    console.log(`🔎 SEARCH mode: ${JSON.stringify(appliedFilters)}`);
+
+    const candidates = (await fetchCandidates(filters, countries)).filter(uni => matchesFilters(uni, filters));
+
+    // Scores the query mentions ("with IELTS 6.5") and its budget take precedence for scoring
+    const scoringProfile = {
+        ...studentProfile,
+        ...filters.test_scores,
+        ...(filters.max_tuition && { budget_max: filters.max_tuition })
+    };
+
+    const ranked = candidates
+        .map(uni => {
+            const score = calculateAcceptanceScore(scoringProfile, uni);
+            return {
+                university: uni,
+                acceptance_score: {
+                    score: score.totalScore,
+                    category: score.category,
+                    interpretation: score.interpretation
+                },
+                within_budget: uni.tuition_estimate && scoringProfile.budget_max
+                    ? uni.tuition_estimate <= scoringProfile.budget_max
+                    : null,
+                data_completeness: ['tuition_estimate', 'acceptance_rate', 'rank'].filter(key => uni[key] != null).length
+            };
+        })
+        .sort(SORTERS[filters.sort_by] || SORTERS.match)
+        .slice(0, SEARCH_CONFIG.MAX_RESULTS)
+        .map(({ data_completeness, ...result }) => result);
+
+    logActivity(userId, 'SEARCH_UNIVERSITY', null, {
+        filters: appliedFilters,
+        results: ranked.length
+    });
+
+    return { filters: appliedFilters, results: ranked, total: candidates.length };
+}
+
+module.exports = {
+    runStructuredSearch
+};
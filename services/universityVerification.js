@@ -0,0 +1,233 @@
+const supabase = require('../database/supabase');
+const { searchHipolabs, normalizeCountryName } = require('./universityService');
+
+/**
+ * Verify AI-suggested universities before they are shortlisted
+ * The counsellor passes free-text names (sometimes misspelled or invented).
+ * We fuzzy-match them against the universities table and Hipolabs and return
+ * the best real institution with a confidence.
+ *
+ * Status:
+ * - VERIFIED: confident match, safe to use
+ * - UNCERTAIN: plausible match, used but flagged (verified = false on new rows)
+ * - NOT_FOUND: no real institution found, creation is refused
+ */
+
+const VERIFICATION_CONFIG = {
+    VERIFIED_THRESHOLD: 0.85,
+    UNCERTAIN_THRESHOLD: 0.6,
+    MAX_CANDIDATES: 5000, // a full country list from Hipolabs
+    MAX_SUGGESTIONS: 3
+};
+
+// Common abbreviations in university names
+const ABBREVIATIONS = {
+    univ: 'university',
+    uni: 'university',
+    u: 'university',
+    inst: 'institute',
+    tech: 'technology',
+    coll: 'college',
+    st: 'saint',
+    natl: 'national',
+    intl: 'international'
+};
+
+const STOPWORDS = new Set(['the', 'of', 'at', 'in', 'and', 'for', 'de', 'du', 'la', 'le', 'der', 'fur']);
+
+// Too common to narrow a search on their own
+const GENERIC_WORDS = new Set([
+    'university', 'college', 'institute', 'technology', 'school', 'state',
+    'national', 'international', 'academy', 'sciences', 'science', 'saint'
+]);
+
+/**
+ * Lowercase, strip accents/punctuation, expand abbreviations and drop stopwords
+ */
+function normalizeName(name) {
+    return (name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => ABBREVIATIONS[word] || word)
+        .filter(word => !STOPWORDS.has(word))
+        .join(' ');
+}
+
+function bigrams(text) {
+    const compact = text.replace(/\s+/g, ' ');
+    const grams = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+        const gram = compact.slice(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+}
+
+/**
+ * Dice coefficient over character bigrams (0..1), tolerant of typos and word order
+ */
+function diceSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    let overlap = 0;
+    let total = 0;
+
+    gramsA.forEach((count, gram) => {
+        overlap += Math.min(count, gramsB.get(gram) || 0);
+        total += count;
+    });
+    gramsB.forEach(count => { total += count; });
+
+    return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+/**
+ * Score how well a query names a candidate university (0..1)
+ * Handles acronyms ("MIT", "UCLA") and penalises a different country
+ * @param {string|null} country - query country, already normalised with normalizeCountryName
+ */
+function scoreCandidate(query, country, candidate) {
+    const normalizedQuery = normalizeName(query);
+    const normalizedName = normalizeName(candidate.name);
+
+    let score = diceSimilarity(normalizedQuery, normalizedName);
+
+    // Acronym: "mit" -> Massachusetts Institute (of) Technology
+    const compactQuery = query.replace(/[^a-zA-Z]/g, '').toLowerCase();
+    if (compactQuery.length >= 2 && compactQuery.length <= 6 && !/\s/.test(query.trim())) {
+        const acronym = normalizedName.split(' ').map(word => word[0]).join('');
+        if (acronym === compactQuery) score = Math.max(score, 0.9);
+    }
+
+    // All query words present in the candidate (e.g. "Oxford" vs "University of Oxford")
+    const queryWords = normalizedQuery.split(' ').filter(word => !GENERIC_WORDS.has(word));
+    const nameWords = new Set(normalizedName.split(' '));
+    if (queryWords.length > 0 && queryWords.every(word => nameWords.has(word))) {
+        score = Math.max(score, 0.8 + 0.2 * diceSimilarity(normalizedQuery, normalizedName));
+    }
+
+    if (country && candidate.country && country !== normalizeCountryName(candidate.country)) {
+        score *= 0.8;
+    }
+
+    return Math.round(Math.min(score, 1) * 100) / 100;
+}
+
+/**
+ * Distinctive words to search on, longest first
+ */
+function searchTerms(name) {
+    const words = normalizeName(name).split(' ').filter(word => word.length > 2 && !GENERIC_WORDS.has(word));
+    return [...new Set(words)].sort((a, b) => b.length - a.length).slice(0, 2);
+}
+
+async function findDatabaseCandidates(name, terms) {
+    const patterns = [name.trim(), ...terms];
+    const results = await Promise.all(patterns.map(pattern =>
+        supabase
+            .from('universities')
+            .select('*')
+            .ilike('name', `%${pattern}%`)
+            .limit(25)
+            .then(({ data }) => data || [])
+    ));
+
+    const byId = new Map();
+    results.flat().forEach(uni => byId.set(uni.id, uni));
+    return [...byId.values()];
+}
+
+async function findHipolabsCandidates(name, country, terms) {
+    let results = await searchHipolabs(name.trim(), country);
+    // Hipolabs only does substring matching: fall back to the most distinctive word
+    for (const term of terms) {
+        if (results.length > 0) break;
+        results = await searchHipolabs(term, country);
+    }
+    // Typos defeat substring search: score the whole country list instead
+    if (results.length === 0 && country) {
+        results = await searchHipolabs(null, country);
+    }
+
+    return results.slice(0, VERIFICATION_CONFIG.MAX_CANDIDATES).map(uni => ({
+        name: uni.name,
+        country: uni.country,
+        domain: uni.domains?.[0] || null,
+        city: uni['state-province'] || null,
+        external_id: uni.domains?.[0] || `${uni.name}_${uni.country}`
+    }));
+}
+
+/**
+ * Fuzzy-match a university name against the database and Hipolabs
+ * @returns {Promise<{ query, status, confidence, match, source, suggestions }>}
+ *   match is a universities row (source DATABASE) or Hipolabs data (source HIPOLABS)
+ */
+async function verifyUniversity(name, country = null) {
+    const terms = searchTerms(name);
+    const queryCountry = normalizeCountryName(country);
+
+    const [dbCandidates, hipolabsCandidates] = await Promise.all([
+        findDatabaseCandidates(name, terms),
+        findHipolabsCandidates(name, queryCountry, terms)
+    ]);
+
+    const scored = [
+        ...dbCandidates
+            // Rows created from earlier unverified suggestions don't prove anything
+            .filter(uni => !(uni.data_source === 'OTHER' && uni.verified === false))
+            .map(uni => ({ source: 'DATABASE', university: uni })),
+        ...hipolabsCandidates.map(uni => ({ source: 'HIPOLABS', university: uni }))
+    ].map(candidate => ({ ...candidate, confidence: scoreCandidate(name, queryCountry, candidate.university) }));
+
+    // Best first; on ties prefer rows we already have
+    scored.sort((a, b) => b.confidence - a.confidence || (a.source === 'DATABASE' ? -1 : 1));
+
+    const best = scored[0];
+    const confidence = best ? best.confidence : 0;
+
+    let status = 'NOT_FOUND';
+    if (confidence >= VERIFICATION_CONFIG.VERIFIED_THRESHOLD) status = 'VERIFIED';
+    else if (confidence >= VERIFICATION_CONFIG.UNCERTAIN_THRESHOLD) status = 'UNCERTAIN';
+
+    const suggestions = [];
+    const seen = new Set();
+    for (const candidate of scored) {
+        const key = `${normalizeName(candidate.university.name)}|${candidate.university.country}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        suggestions.push({
+            name: candidate.university.name,
+            country: candidate.university.country,
+            confidence: candidate.confidence,
+            source: candidate.source
+        });
+        if (suggestions.length >= VERIFICATION_CONFIG.MAX_SUGGESTIONS) break;
+    }
+
+    console.log(`🔎 Verified "${name}": ${status} (${confidence})${best ? ` -> ${best.university.name}` : ''}`);
+
+    return {
+        query: name,
+        status,
+        confidence,
+        match: status === 'NOT_FOUND' ? null : best.university,
+        source: status === 'NOT_FOUND' ? null : best.source,
+        suggestions
+    };
+}
+
+module.exports = {
+    verifyUniversity,
+    normalizeName,
+    scoreCandidate,
+    VERIFICATION_CONFIG
+};
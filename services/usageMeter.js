@@ -0,0 +1,259 @@
+const supabase = require('../database/supabase');
+const { estimateTokens } = require('../utils/tokens');
+
+/**
+ * Model pricing in USD per 1M tokens
+ * Update when provider pricing changes; unknown models are costed at 0
+ */
+const MODEL_PRICING = {
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+    'mock': { input: 0, output: 0 }
+};
+
+/**
+ * Per-user quotas, configured via environment (0 or unset = unlimited)
+ */
+function getQuotaLimits() {
+    const read = (envVar) => parseInt(process.env[envVar], 10) || 0;
+    return {
+        daily: {
+            tokens: read('LLM_QUOTA_DAILY_TOKENS'),
+            requests: read('LLM_QUOTA_DAILY_REQUESTS')
+        },
+        monthly: {
+            tokens: read('LLM_QUOTA_MONTHLY_TOKENS'),
+            requests: read('LLM_QUOTA_MONTHLY_REQUESTS')
+        }
+    };
+}
+
+function calculateCost(model, inputTokens, outputTokens) {
+    const pricing = MODEL_PRICING[model];
+    if (!pricing) return 0;
+    return (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+}
+
+function startOfDay() {
+    const date = new Date();
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+}
+
+function startOfMonth() {
+    const date = startOfDay();
+    date.setUTCDate(1);
+    return date;
+}
+
+/**
+ * Record a completed LLM call
+ * Falls back to estimated token counts when the provider did not report usage
+ * @param {object} params
+ * @param {string|null} params.userId - User the call was made for (null for system calls)
+ * @param {string} params.feature - LLM_FEATURES value
+ * @param {object} [params.prompt] - Rendered prompt ({ id, version }) the call was made with
+ * @param {object} params.response - Provider response (_aiSource, _model, _usage)
+ * @param {string} params.promptText - Full prompt text (for estimation)
+ */
+async function recordUsage({ userId = null, feature, prompt = null, response, promptText = '' }) {
+    try {
+        const estimated = !response._usage;
+        const inputTokens = estimated ? estimateTokens(promptText) : response._usage.inputTokens;
+        const outputTokens = estimated ? estimateTokens(JSON.stringify(response)) : response._usage.outputTokens;
+        const model = response._model || null;
+
+        const { error } = await supabase
+            .from('llm_usage')
+            .insert({
+                user_id: userId,
+                feature: feature || 'UNSPECIFIED',
+                prompt_id: prompt?.id || null,
+                prompt_version: prompt?.version || null,
+                provider: response._aiSource || 'UNKNOWN',
+                model,
+                input_tokens: inputTokens,
+                output_tokens: outputTokens,
+                cost_usd: calculateCost(model, inputTokens, outputTokens),
+                estimated
+            });
+
+        if (error) {
+            console.error('Usage recording error:', error);
+        }
+    } catch (error) {
+        // Don't fail the AI call if metering fails
+        console.error('Failed to record LLM usage:', error.message);
+    }
+}
+
+const roundCost = (cost) => Math.round(cost * 1000000) / 1000000;
+
+/**
+ * Usage totals per feature since a date (summed in the database, see migration 024)
+ * @param {string|null} userId - one user, or everyone when null
+ */
+async function getFeatureTotals(since, userId = null) {
+    const { data, error } = await supabase.rpc('llm_usage_by_feature', {
+        p_since: since.toISOString(),
+        p_user_id: userId
+    });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Overall and per feature usage from per feature totals
+ */
+function summarizeUsage(featureRows) {
+    const summary = { requests: 0, input_tokens: 0, output_tokens: 0, total_tokens: 0, cost_usd: 0, by_feature: {} };
+
+    featureRows.forEach(row => {
+        const requests = Number(row.requests) || 0;
+        const inputTokens = Number(row.input_tokens) || 0;
+        const outputTokens = Number(row.output_tokens) || 0;
+        const cost = parseFloat(row.cost_usd) || 0;
+
+        summary.requests += requests;
+        summary.input_tokens += inputTokens;
+        summary.output_tokens += outputTokens;
+        summary.total_tokens += inputTokens + outputTokens;
+        summary.cost_usd += cost;
+
+        summary.by_feature[row.feature] = {
+            requests,
+            total_tokens: inputTokens + outputTokens,
+            cost_usd: roundCost(cost)
+        };
+    });
+
+    summary.cost_usd = roundCost(summary.cost_usd);
+    return summary;
+}
+
+/**
+ * Get today's and this month's usage for a user
+ */
+async function getUserUsage(userId) {
+    const [dayRows, monthRows] = await Promise.all([
+        getFeatureTotals(startOfDay(), userId),
+        getFeatureTotals(startOfMonth(), userId)
+    ]);
+
+    return {
+        today: summarizeUsage(dayRows),
+        month: summarizeUsage(monthRows)
+    };
+}
+
+/**
+ * Per prompt version totals, for comparing A/B variants
+ */
+async function getPromptTotals(since) {
+    const { data, error } = await supabase.rpc('llm_usage_by_prompt', { p_since: since.toISOString() });
+    if (error) throw error;
+
+    return Object.fromEntries((data || []).map(row => {
+        const requests = Number(row.requests) || 0;
+        const totalTokens = Number(row.total_tokens) || 0;
+        return [`${row.prompt_id}@${row.prompt_version}`, {
+            requests,
+            total_tokens: totalTokens,
+            avg_tokens: requests > 0 ? Math.round(totalTokens / requests) : 0,
+            cost_usd: roundCost(parseFloat(row.cost_usd) || 0)
+        }];
+    }));
+}
+
+/**
+ * Get usage across all users for the last N days (admin reporting)
+ * Includes the top users by cost and a breakdown per prompt version
+ */
+async function getUsageSummary(days = 30) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    const [featureRows, byPrompt, topUsersRes] = await Promise.all([
+        getFeatureTotals(since),
+        getPromptTotals(since),
+        supabase.rpc('llm_usage_top_users', { p_since: since.toISOString(), p_limit: 20 })
+    ]);
+
+    if (topUsersRes.error) throw topUsersRes.error;
+
+    const topUsers = (topUsersRes.data || []).map(row => ({
+        user_id: row.user_id || 'SYSTEM',
+        requests: Number(row.requests) || 0,
+        total_tokens: Number(row.total_tokens) || 0,
+        cost_usd: roundCost(parseFloat(row.cost_usd) || 0)
+    }));
+
+    return { days, ...summarizeUsage(featureRows), by_prompt: byPrompt, top_users: topUsers };
+}
+
+/**
+ * Today's and this month's request and token counts for a user (one aggregate row)
+ */
+async function getQuotaUsage(userId) {
+    const { data, error } = await supabase
+        .rpc('llm_usage_totals', {
+            p_user_id: userId,
+            p_day_start: startOfDay().toISOString(),
+            p_month_start: startOfMonth().toISOString()
+        })
+        .single();
+
+    if (error) throw error;
+    return {
+        today: { requests: Number(data?.day_requests) || 0, total_tokens: Number(data?.day_tokens) || 0 },
+        month: { requests: Number(data?.month_requests) || 0, total_tokens: Number(data?.month_tokens) || 0 }
+    };
+}
+
+/**
+ * Check whether a user may make another LLM call
+ * @returns {{ allowed: boolean, reason: string|null, usage: object|null, limits: object }}
+ */
+async function checkQuota(userId) {
+    const limits = getQuotaLimits();
+    const hasLimits = [limits.daily, limits.monthly].some(l => l.tokens > 0 || l.requests > 0);
+
+    if (!userId || !hasLimits) {
+        return { allowed: true, reason: null, usage: null, limits };
+    }
+
+    try {
+        const usage = await getQuotaUsage(userId);
+
+        const exceeded = [
+            ['daily', usage.today],
+            ['monthly', usage.month]
+        ].find(([period, totals]) =>
+            (limits[period].tokens > 0 && totals.total_tokens >= limits[period].tokens) ||
+            (limits[period].requests > 0 && totals.requests >= limits[period].requests)
+        );
+
+        return {
+            allowed: !exceeded,
+            reason: exceeded ? `${exceeded[0]} AI usage limit reached` : null,
+            usage,
+            limits
+        };
+    } catch (error) {
+        // Fail open: a metering outage should not take the counsellor down
+        console.error('Quota check failed:', error.message);
+        return { allowed: true, reason: null, usage: null, limits };
+    }
+}
+
+module.exports = {
+    recordUsage,
+    checkQuota,
+    getUserUsage,
+    getUsageSummary,
+    getQuotaLimits,
+    calculateCost,
+    MODEL_PRICING
+};
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    COMPONENTS,
+    calculateAcceptanceScore,
+    calculateProfileStrength,
+    categorizeScore,
+    getWeightProfile,
+    getWeightProfiles,
+    setWeightProfiles
+} = require('../utils/acceptanceScore');
+
+const university = { name: 'Test University', country: 'Canada', ranking: 150, tuition_fee: 30000 };
+const profile = {
+    gpa_original: 3.5,
+    gpa_scale: 'GPA_4',
+    ielts_score: 7.5,
+    gre_score: 320,
+    budget_max: 40000,
+    sop_status: 'DRAFT',
+    target_degree: 'Masters'
+};
+
+test('every default weight profile adds up to 100', () => {
+    getWeightProfiles().forEach(weightProfile => {
+        const total = COMPONENTS.reduce((sum, component) => sum + weightProfile.weights[component], 0);
+        assert.equal(total, 100, weightProfile.name);
+    });
+});
+
+test('the most specific weight profile wins (country + degree > country > degree > DEFAULT)', () => {
+    assert.equal(getWeightProfile({ country: 'Canada', targetDegree: 'Masters' }).name, 'DEFAULT');
+    assert.equal(getWeightProfile({ country: 'Canada', targetDegree: 'MBA' }).name, 'MBA');
+    assert.equal(getWeightProfile({ country: 'germany', targetDegree: 'MBA' }).name, 'GERMANY');
+
+    const defaults = getWeightProfiles();
+    try {
+        setWeightProfiles([
+            ...defaults,
+            {
+                name: 'GERMANY_MBA',
+                country: 'Germany',
+                target_degree: 'MBA',
+                weights: { gpa: 30, testScores: 30, universityRank: 10, budget: 5, sopAndExtras: 10, experience: 15 }
+            }
+        ]);
+        assert.equal(getWeightProfile({ country: 'Germany', targetDegree: 'MBA' }).name, 'GERMANY_MBA');
+    } finally {
+        setWeightProfiles(defaults);
+    }
+});
+
+test('weight profiles that do not add up to 100 are rejected', () => {
+    assert.throws(() => setWeightProfiles([
+        { name: 'DEFAULT', weights: { gpa: 50, testScores: 25 } }
+    ]), /add up to 75/);
+});
+
+test('the score uses the weight profile for the target degree', () => {
+    const masters = calculateAcceptanceScore(profile, university);
+    const mba = calculateAcceptanceScore({ ...profile, target_degree: 'MBA' }, university);
+
+    assert.equal(masters.weightProfile, 'DEFAULT');
+    assert.equal(mba.weightProfile, 'MBA');
+    assert.deepEqual(Object.keys(masters.breakdown).sort(), [...COMPONENTS].sort());
+    // GPA weighs 40 for a Masters and 20 for an MBA
+    assert.equal(masters.breakdown.gpa.maxScore, 40);
+    assert.equal(mba.breakdown.gpa.maxScore, 20);
+    assert.equal(masters.category, categorizeScore(masters.totalScore));
+});
+
+test('a stronger profile never scores lower', () => {
+    const weaker = calculateAcceptanceScore({ ...profile, gpa_original: 2.8 }, university);
+    const stronger = calculateAcceptanceScore({ ...profile, gpa_original: 3.9 }, university);
+    assert.ok(stronger.totalScore > weaker.totalScore);
+});
+
+test('profile strength leaves experience out for bachelor applicants', () => {
+    const applicant = { gpa_original: 3.6, gpa_scale: 'GPA_4', ielts_score: 7.5, sop_status: 'READY' };
+
+    const bachelors = calculateProfileStrength({ ...applicant, target_degree: 'Bachelors' });
+    const masters = calculateProfileStrength({ ...applicant, target_degree: 'Masters' });
+    const mba = calculateProfileStrength({ ...applicant, target_degree: 'MBA' });
+
+    const { academics, exams, sop } = bachelors.metrics;
+    assert.equal(bachelors.metrics.experience, 0);
+    assert.equal(bachelors.overall, Math.round((academics + exams + sop) / 3));
+    // Without work experience, the degrees that weigh it score lower
+    assert.ok(masters.overall < bachelors.overall);
+    assert.ok(mba.overall < masters.overall);
+});
+
+test('work experience raises an MBA applicant\'s profile strength', () => {
+    const applicant = { gpa_original: 3.6, gpa_scale: 'GPA_4', ielts_score: 7.5, sop_status: 'READY', target_degree: 'MBA' };
+
+    const without = calculateProfileStrength(applicant);
+    const withWork = calculateProfileStrength({
+        ...applicant,
+        work_experience: [{ title: 'Analyst', organization: 'Acme', start_date: '2019-01-01', end_date: '2023-01-01' }]
+    });
+
+    assert.equal(without.metrics.experience, 0);
+    assert.ok(withWork.metrics.experience > 50);
+    assert.ok(withWork.overall > without.overall);
+});
@@ -0,0 +1,132 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createProposals,
+    acceptProposal,
+    acceptAction,
+    rejectProposal,
+    undoProposal
+} = require('../services/actionInbox');
+
+const userId = 'user-1';
+const createTask = { type: 'CREATE_TASK', payload: { title: 'Book IELTS', description: 'Before March', due_date: '2026-03-01' } };
+
+async function proposeTask() {
+    const [action] = await createProposals({ userId, conversationId: 'conversation-1', messageId: 'message-1', actions: [createTask] });
+    return action.proposal_id;
+}
+
+const proposalRow = (id) => tables.ai_action_proposals.find(row => row.id === id);
+
+beforeEach(() => {
+    resetTables();
+    tables.application_plans = [{ id: 'plan-1', user_id: userId, name: 'Main plan', is_active: true }];
+});
+
+test('executable actions become pending proposals, client-side actions do not', async () => {
+    const actions = await createProposals({
+        userId,
+        conversationId: 'conversation-1',
+        messageId: 'message-1',
+        mode: 'COUNSELLOR',
+        actions: [
+            createTask,
+            { type: 'NAVIGATE', payload: { page: 'shortlist' } },
+            { type: 'UPDATE_ONBOARDING_STATE', payload: { gpa: 3.5 } }
+        ]
+    });
+
+    assert.ok(actions[0].proposal_id);
+    assert.equal(actions[1].proposal_id, undefined);
+    assert.ok(actions[2].proposal_id);
+    assert.deepEqual(tables.ai_action_proposals.map(row => [row.action_type, row.status]), [
+        ['CREATE_TASK', 'PENDING'],
+        ['UPDATE_ONBOARDING_STATE', 'PENDING']
+    ]);
+});
+
+test('onboarding updates are not proposed in onboarding, which already saved them', async () => {
+    const actions = await createProposals({
+        userId,
+        conversationId: 'conversation-1',
+        messageId: 'message-1',
+        mode: 'ONBOARDING',
+        actions: [createTask, { type: 'UPDATE_ONBOARDING_STATE', payload: { gpa: 3.5 } }]
+    });
+
+    assert.ok(actions[0].proposal_id);
+    assert.equal(actions[1].proposal_id, undefined);
+    assert.deepEqual(tables.ai_action_proposals.map(row => row.action_type), ['CREATE_TASK']);
+});
+
+test('accepting a proposal runs it once and opens the undo window', async () => {
+    const id = await proposeTask();
+
+    const accepted = await acceptProposal(userId, id);
+    assert.equal(accepted.status, 'ACCEPTED');
+    assert.ok(new Date(accepted.undo_expires_at) > new Date());
+    assert.deepEqual(tables.tasks.map(task => [task.title, task.created_by, task.plan_id]), [['Book IELTS', 'AI', 'plan-1']]);
+
+    await assert.rejects(acceptProposal(userId, id), { status: 409, message: 'Action is already accepted' });
+    assert.equal(tables.tasks.length, 1);
+});
+
+test('undo reverts an accepted proposal', async () => {
+    const id = await proposeTask();
+    await acceptProposal(userId, id);
+
+    const undone = await undoProposal(userId, id);
+    assert.equal(undone.status, 'UNDONE');
+    assert.deepEqual(tables.tasks, []);
+
+    await assert.rejects(undoProposal(userId, id), { status: 409 });
+});
+
+test('undo is refused once the window has passed', async () => {
+    const id = await proposeTask();
+    await acceptProposal(userId, id);
+    proposalRow(id).undo_expires_at = new Date(Date.now() - 1000).toISOString();
+
+    await assert.rejects(undoProposal(userId, id), { status: 410 });
+    assert.equal(tables.tasks.length, 1);
+});
+
+test('a failed action goes back to pending with the error', async () => {
+    tables.universities = [{ id: 'uni-tum', external_id: 'tum.de', name: 'Technical University of Munich', country: 'Germany' }];
+    tables.user_shortlists = [{ id: 'shortlist-1', user_id: userId, plan_id: 'plan-1', university_id: 'uni-tum', category: 'TARGET' }];
+
+    const [action] = await createProposals({
+        userId,
+        conversationId: 'conversation-1',
+        messageId: 'message-1',
+        actions: [{ type: 'SUGGEST_SHORTLIST', payload: { univ_external_id: 'tum.de', country: 'Germany', category: 'TARGET' } }]
+    });
+
+    await assert.rejects(acceptProposal(userId, action.proposal_id), { status: 409 });
+    assert.equal(proposalRow(action.proposal_id).status, 'PENDING');
+    assert.equal(proposalRow(action.proposal_id).last_error, 'University already in shortlist');
+});
+
+test('a rejected proposal is never executed', async () => {
+    const id = await proposeTask();
+
+    const rejected = await rejectProposal(userId, id);
+    assert.equal(rejected.status, 'REJECTED');
+    await assert.rejects(acceptProposal(userId, id), { status: 409, message: 'Action is already rejected' });
+    assert.equal(tables.tasks, undefined);
+});
+
+test('a direct action is stored as an accepted proposal', async () => {
+    const proposal = await acceptAction(userId, createTask);
+
+    assert.equal(proposal.status, 'ACCEPTED');
+    assert.equal(tables.ai_action_proposals.length, 1);
+    assert.equal(tables.tasks.length, 1);
+});
+
+test('a direct action that fails leaves nothing in the inbox', async () => {
+    await assert.rejects(acceptAction(userId, { type: 'UNKNOWN_ACTION', payload: {} }), { status: 400 });
+    assert.deepEqual(tables.ai_action_proposals, []);
+});
@@ -0,0 +1,167 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { recordOutcome, listOutcomes, deleteOutcome } = require('../services/admissionOutcomes');
+const {
+    summarizeGroup,
+    refitGroup,
+    runCalibration,
+    loadCalibratedWeightProfiles
+} = require('../services/admissionCalibration');
+const { createLock } = require('../services/lockService');
+const { COMPONENTS, getWeightProfile, getWeightProfiles, setWeightProfiles } = require('../utils/acceptanceScore');
+
+const userId = 'user-1';
+const university = { id: 'uni-1', name: 'University of Toronto', country: 'Canada', rank: 25 };
+
+beforeEach((t) => {
+    resetTables();
+    t.mock.method(console, 'log', () => {});
+    tables.profiles = [{ user_id: userId, target_degree: 'Masters', gpa: 3.6, gpa_original: '3.6', gpa_scale: 'GPA_4', ielts_score: 7.5 }];
+    // The stub ignores joins, so the lock carries its university
+    tables.university_locks = [{ id: 'lock-1', user_id: userId, university_id: university.id, university }];
+});
+
+// A decided outcome whose GPA fraction alone decides admission
+function outcome(index, { country = 'Canada', targetDegree = 'Masters' } = {}) {
+    const gpaFraction = (index % 10) / 10;
+    const breakdown = Object.fromEntries(COMPONENTS.map(component => [component, { score: 5, maxScore: 10 }]));
+    breakdown.gpa = { score: gpaFraction * 40, maxScore: 40 };
+
+    return {
+        outcome: gpaFraction >= 0.5 ? 'ADMITTED' : 'REJECTED',
+        predicted_score: 50,
+        predicted_category: 'TARGET',
+        score_breakdown: breakdown,
+        country,
+        target_degree: targetDegree
+    };
+}
+
+test('an outcome is stored with the prediction for the current profile', async () => {
+    const saved = await recordOutcome(userId, 'lock-1', { outcome: 'ADMITTED', scholarship_amount: 5000 });
+
+    assert.equal(saved.outcome, 'ADMITTED');
+    assert.equal(saved.university_id, 'uni-1');
+    assert.equal(saved.country, 'Canada');
+    assert.equal(saved.target_degree, 'Masters');
+    assert.equal(typeof saved.predicted_score, 'number');
+    assert.ok(['DREAM', 'TARGET', 'SAFE'].includes(saved.predicted_category));
+    assert.ok(saved.score_breakdown.gpa);
+
+    const activity = tables.user_activities.find(row => row.activity_type === 'ADMISSION_OUTCOME');
+    assert.equal(activity.metadata.outcome, 'ADMITTED');
+});
+
+test('the outcome is compared with the score snapshotted when the university was locked', async () => {
+    tables.universities = [university];
+    tables.application_plans = [{ id: 'plan-1', user_id: userId, name: 'Main plan', is_active: true, target_degree: 'Masters' }];
+
+    const lock = await createLock(userId, university.id, 'Dream school');
+    const snapshot = tables.university_locks.find(row => row.id === lock.id);
+    assert.equal(typeof snapshot.predicted_score, 'number');
+    assert.ok(snapshot.predicted_at);
+
+    // The profile improves before the decision arrives
+    tables.profiles[0].ielts_score = 9;
+    snapshot.university = university;
+    const saved = await recordOutcome(userId, lock.id, { outcome: 'REJECTED' });
+
+    assert.equal(saved.predicted_score, snapshot.predicted_score);
+    assert.equal(saved.predicted_at, snapshot.predicted_at);
+    assert.deepEqual(saved.score_breakdown, snapshot.score_breakdown);
+});
+
+test('recording again corrects the outcome instead of adding one', async () => {
+    await recordOutcome(userId, 'lock-1', { outcome: 'WAITLISTED' });
+    await recordOutcome(userId, 'lock-1', { outcome: 'ADMITTED' });
+
+    const outcomes = await listOutcomes(userId);
+    assert.equal(outcomes.length, 1);
+    assert.equal(outcomes[0].outcome, 'ADMITTED');
+
+    await deleteOutcome(userId, 'lock-1');
+    assert.deepEqual(await listOutcomes(userId), []);
+});
+
+test('locks of the same university in two plans keep their own outcomes', async () => {
+    tables.university_locks.push({ id: 'lock-2', user_id: userId, university_id: university.id, university });
+
+    await recordOutcome(userId, 'lock-1', { outcome: 'REJECTED' });
+    await recordOutcome(userId, 'lock-2', { outcome: 'ADMITTED' });
+    assert.deepEqual(tables.admission_outcomes.map(row => [row.lock_id, row.outcome]), [['lock-1', 'REJECTED'], ['lock-2', 'ADMITTED']]);
+
+    await deleteOutcome(userId, 'lock-1');
+    assert.deepEqual(tables.admission_outcomes.map(row => row.lock_id), ['lock-2']);
+});
+
+test('invalid outcomes and other users\' locks are refused', async () => {
+    await assert.rejects(recordOutcome(userId, 'lock-1', { outcome: 'MAYBE' }), { status: 400 });
+    await assert.rejects(recordOutcome('user-2', 'lock-1', { outcome: 'ADMITTED' }), { status: 404, message: 'Lock not found' });
+});
+
+test('the calibration report measures how well scores ranked the outcomes', () => {
+    const report = summarizeGroup([
+        { outcome: 'ADMITTED', predicted_score: 80, predicted_category: 'SAFE' },
+        { outcome: 'ADMITTED', predicted_score: 45, predicted_category: 'TARGET' },
+        { outcome: 'REJECTED', predicted_score: 40, predicted_category: 'TARGET' },
+        { outcome: 'REJECTED', predicted_score: 20, predicted_category: 'DREAM' },
+        { outcome: 'WAITLISTED', predicted_score: 50, predicted_category: 'TARGET' }
+    ]);
+
+    assert.equal(report.n, 5);
+    assert.equal(report.waitlisted, 1);
+    assert.equal(report.admit_rate, 0.5);
+    assert.equal(report.auc, 1);
+    assert.deepEqual(report.by_category.TARGET, { n: 2, admit_rate: 0.5 });
+    assert.equal(report.categories_monotonic, true);
+});
+
+test('a group with too few outcomes is not refitted', () => {
+    const refit = refitGroup([outcome(1), outcome(7)], { minSamples: 30 });
+    assert.match(refit.skipped, /2 decided outcomes, need 30/);
+});
+
+test('the refit moves weight to the component that predicts admission', () => {
+    const rows = Array.from({ length: 40 }, (_, index) => outcome(index));
+
+    const refit = refitGroup(rows, { minSamples: 30 });
+
+    const total = COMPONENTS.reduce((sum, component) => sum + refit.weights[component], 0);
+    assert.equal(total, 100);
+    assert.ok(refit.weights.gpa > 50);
+    assert.ok(refit.auc_after > refit.auc_before);
+});
+
+test('the report reads every outcome, not only the first page', async () => {
+    tables.admission_outcomes = Array.from({ length: 2500 }, (_, index) => ({ id: `outcome-${index}`, ...outcome(index) }));
+
+    const report = await runCalibration({ minSamples: 5000 });
+
+    assert.equal(report.overall.n, 2500);
+});
+
+test('applied weights are stored and loaded into the scoring engine', async () => {
+    tables.admission_outcomes = [
+        ...Array.from({ length: 40 }, (_, index) => outcome(index)),
+        outcome(3, { country: null })
+    ];
+
+    const report = await runCalibration({ minSamples: 30, apply: true });
+
+    assert.equal(report.overall.n, 41);
+    const canada = report.groups.find(group => group.country === 'Canada');
+    assert.equal(canada.applied, true);
+    // Outcomes without a country are reported but never applied
+    assert.equal(report.groups.find(group => group.country === 'Unknown').applied, false);
+    assert.equal(tables.admission_weight_profiles[0].name, 'CALIBRATED_CANADA_MASTERS');
+
+    const defaults = getWeightProfiles();
+    try {
+        assert.equal(await loadCalibratedWeightProfiles(), 1);
+        assert.equal(getWeightProfile({ country: 'Canada', targetDegree: 'Masters' }).name, 'CALIBRATED_CANADA_MASTERS');
+    } finally {
+        setWeightProfiles(defaults);
+    }
+});
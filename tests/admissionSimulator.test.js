@@ -0,0 +1,109 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { simulateWhatIf, findImprovements } = require('../services/admissionSimulator');
+const { calculateAcceptanceScore } = require('../utils/acceptanceScore');
+
+const userId = 'user-1';
+
+const profile = {
+    user_id: userId,
+    target_degree: 'Masters',
+    gpa: 3.0,
+    gpa_original: '3',
+    gpa_scale: 'GPA_4',
+    gre_score: 300,
+    ielts_score: 6.5,
+    budget_max: 30000,
+    sop_status: 'NOT_STARTED'
+};
+const selective = { id: 'uni-1', name: 'Selective University', country: 'Canada', rank: 20, avg_gpa: 3.9, tuition_estimate: 45000 };
+const openAdmission = { id: 'uni-2', name: 'Open University', country: 'Canada', rank: 400, tuition_estimate: 15000 };
+
+beforeEach((t) => {
+    resetTables();
+    t.mock.method(console, 'log', () => {});
+    tables.profiles = [{ ...profile }];
+    tables.application_plans = [{ id: 'plan-1', user_id: userId, name: 'Main plan', is_active: true }];
+    // The stub ignores joins, so rows carry the joined university themselves
+    tables.user_shortlists = [
+        { user_id: userId, plan_id: 'plan-1', category: 'DREAM', university: selective },
+        { user_id: userId, plan_id: 'plan-1', category: 'SAFE', university: openAdmission }
+    ];
+    tables.university_locks = [{ id: 'lock-1', user_id: userId, plan_id: 'plan-1', unlocked_at: null, university: selective }];
+});
+
+test('overrides re-score shortlisted and locked universities without saving anything', async () => {
+    const result = await simulateWhatIf(userId, { gre_score: 330 });
+
+    assert.deepEqual(result.overrides, { gre_score: 330 });
+    assert.equal(result.summary.universities, 2);
+
+    const selectiveResult = result.universities.find(item => item.university.id === 'uni-1');
+    assert.equal(selectiveResult.shortlisted, true);
+    assert.equal(selectiveResult.locked, true);
+    assert.ok(selectiveResult.delta > 0);
+    assert.ok(selectiveResult.component_deltas.testScores > 0);
+    assert.equal(selectiveResult.component_deltas.gpa, 0);
+
+    assert.equal(tables.profiles[0].gre_score, 300);
+});
+
+test('no overrides means no change', async () => {
+    const result = await simulateWhatIf(userId);
+
+    assert.ok(result.universities.every(item => item.delta === 0 && !item.category_changed));
+    assert.deepEqual(result.summary.categories_before, result.summary.categories_after);
+});
+
+test('DREAM schools come with improvements that reach TARGET', async () => {
+    const result = await simulateWhatIf(userId);
+    const selectiveResult = result.universities.find(item => item.university.id === 'uni-1');
+
+    assert.equal(selectiveResult.after.category, 'DREAM');
+    assert.ok(selectiveResult.improvements_to_target.length > 0);
+    selectiveResult.improvements_to_target.forEach(improvement => {
+        assert.notEqual(improvement.new_category, 'DREAM');
+    });
+
+    // Cheapest improvement first
+    const efforts = selectiveResult.improvements_to_target.map(improvement => improvement.effort);
+    assert.deepEqual(efforts, [...efforts].sort((a, b) => a - b));
+
+    const openResult = result.universities.find(item => item.university.id === 'uni-2');
+    assert.deepEqual(openResult.improvements_to_target, []);
+});
+
+test('a single lever change is enough to reach TARGET', () => {
+    const [improvement] = findImprovements(profile, selective);
+    const [change] = improvement.changes;
+
+    const updates = change.field === 'gpa_original'
+        ? { gpa_original: change.to, gpa: Number(change.to) }
+        : { [change.field]: change.to };
+    assert.notEqual(calculateAcceptanceScore({ ...profile, ...updates }, selective).category, 'DREAM');
+});
+
+test('a grade override keeps the scale of the stored grade', async () => {
+    tables.profiles[0] = { ...profile, gpa: 3.0, gpa_original: '7', gpa_scale: 'CGPA_10' };
+
+    const result = await simulateWhatIf(userId, { gpa_original: 9 });
+
+    assert.equal(result.overrides.gpa_scale, 'CGPA_10');
+    assert.ok(result.universities.every(item => item.component_deltas.gpa > 0));
+});
+
+test('invalid overrides are refused with field errors', async () => {
+    await assert.rejects(simulateWhatIf(userId, { ielts_score: 12 }), (error) => {
+        assert.equal(error.status, 400);
+        assert.ok(error.details.ielts_score);
+        return true;
+    });
+});
+
+test('a user without a profile cannot simulate', async () => {
+    tables.profiles = [];
+
+    await assert.rejects(simulateWhatIf(userId, { gre_score: 320 }), { status: 404 });
+});
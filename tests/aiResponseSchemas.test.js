@@ -0,0 +1,111 @@
+require('./helpers/supabaseStub');
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getProvider, registerProvider } = require('../services/providers');
+const { validateAIResponse, validateAction } = require('../services/aiResponseSchemas');
+const { generateAIResponse } = require('../services/aiService');
+
+let fixturesDir;
+
+before(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-fixtures-'));
+    process.env.LLM_FIXTURES_DIR = fixturesDir;
+});
+after(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+    delete process.env.LLM_FIXTURES_DIR;
+});
+
+test('a valid counsellor response gets default lists filled in', () => {
+    const result = validateAIResponse('COUNSELLOR', { text: 'Keep going.', tone: 'ENCOURAGING' });
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.value.actions, []);
+    assert.deepEqual(result.value.recommendations, []);
+});
+
+test('action payloads are checked against the schema for their type', () => {
+    assert.equal(validateAction({ type: 'CREATE_TASK', payload: { title: 'Write SOP' } }).valid, true);
+
+    const missing = validateAction({ type: 'SUGGEST_SHORTLIST', payload: { country: 'Germany' } });
+    assert.equal(missing.valid, false);
+    assert.deepEqual(missing.errors, ['payload.univ_external_id: "payload.univ_external_id" is required']);
+
+    assert.equal(validateAction({ type: 'DELETE_ACCOUNT', payload: {} }).valid, false);
+});
+
+test('profile updates follow the profile rules and report unknown fields', () => {
+    const valid = validateAction({ type: 'UPDATE_ONBOARDING_STATE', payload: { ielts_score: 7.5, preferred_countries: ['Canada'] } });
+    assert.equal(valid.valid, true);
+    // No profile defaults (sop_status) are filled in
+    assert.deepEqual(valid.value.payload, { ielts_score: 7.5, preferred_countries: ['Canada'] });
+
+    const invalid = validateAction({ type: 'UPDATE_ONBOARDING_STATE', payload: { ielts_score: 12, email: 'a@b.com' } });
+    assert.equal(invalid.valid, false);
+    assert.deepEqual(invalid.errors, [
+        'payload.ielts_score: "payload.ielts_score" must be less than or equal to 9',
+        'payload.email: "payload.email" is not allowed'
+    ]);
+});
+
+test('onboarding suggestions must say whether they are single or multi choice', () => {
+    const result = validateAIResponse('ONBOARDING', {
+        text: 'Which countries?',
+        suggested_options: { type: 'dropdown', values: ['Germany'] }
+    });
+
+    assert.equal(result.valid, false);
+    assert.match(result.errors[0], /^suggested_options\.type:/);
+});
+
+test('invalid output is sent back to the model once and the repaired answer is used', async () => {
+    const original = getProvider('MOCK');
+    const calls = [];
+    registerProvider('MOCK', {
+        name: 'MOCK',
+        isConfigured: () => true,
+        generate: async ({ messages }) => {
+            calls.push(messages);
+            return calls.length === 1
+                ? { text: 'Apply early.', tone: 'SHOUTY' }
+                : { text: 'Apply early.', tone: 'NUDGING' };
+        }
+    });
+
+    try {
+        const response = await generateAIResponse({ userQuery: 'Hi', userId: 'user-1' });
+
+        assert.equal(calls.length, 2);
+        assert.match(calls[1].at(-1).content, /tone/);
+        assert.equal(response.tone, 'NUDGING');
+        assert.equal(response._validation, undefined);
+    } finally {
+        registerProvider('MOCK', original);
+    }
+});
+
+test('output that stays invalid falls back to its text and valid actions only', async () => {
+    fs.writeFileSync(path.join(fixturesDir, 'counsellor.json'), JSON.stringify({
+        text: 'Apply to TU Munich.',
+        tone: 'SHOUTY',
+        actions: [
+            { type: 'CREATE_TASK', payload: { title: 'Write SOP' } },
+            { type: 'CREATE_TASK', payload: {} }
+        ]
+    }));
+
+    try {
+        const response = await generateAIResponse({ userQuery: 'Hi', userId: 'user-1' });
+
+        assert.equal(response.text, 'Apply to TU Munich.');
+        assert.deepEqual(response.actions, [{ type: 'CREATE_TASK', payload: { title: 'Write SOP' } }]);
+        assert.equal(response._validation.valid, false);
+        assert.equal(response._validation.errors.length, 2);
+    } finally {
+        fs.rmSync(path.join(fixturesDir, 'counsellor.json'));
+    }
+});
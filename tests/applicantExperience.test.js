@@ -0,0 +1,61 @@
+require('./helpers/supabaseStub');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeExperience, scoreExperience, formatExperience } = require('../utils/applicantExperience');
+const { validateProfileUpdate } = require('../services/profileService');
+
+const sections = {
+    work_experience: [
+        { title: 'Engineer', organization: 'Acme', employment_type: 'FULL_TIME', start_date: '2020-01-01', end_date: '2022-01-01' },
+        { title: 'Intern', organization: 'Initech', employment_type: 'INTERNSHIP', start_date: '2019-06-01', end_date: '2019-12-01' }
+    ],
+    research: [{ title: 'Graph neural networks', start_date: '2022-01-01', end_date: '2023-01-01' }],
+    publications: [
+        { title: 'Paper A', type: 'CONFERENCE', status: 'PUBLISHED', first_author: true },
+        { title: 'Paper B', type: 'PREPRINT', status: 'PUBLISHED', first_author: false }
+    ],
+    awards: [{ title: 'Olympiad medal', level: 'NATIONAL' }],
+    extracurriculars: [{ activity: 'Robotics club', leadership: true }]
+};
+
+test('sections are summarised into counts and durations', () => {
+    const summary = summarizeExperience(sections);
+
+    assert.equal(summary.work_years, 2);
+    assert.equal(summary.internship_months, 6);
+    assert.equal(summary.research_months, 12);
+    assert.equal(summary.publications, 2);
+    assert.equal(summary.peer_reviewed, 1);
+    assert.equal(summary.publication_points, 2);
+    assert.equal(summary.top_award_level, 'NATIONAL');
+    assert.equal(summary.leadership_roles, 1);
+});
+
+test('experience is weighted for the target degree', () => {
+    const researchOnly = { research: sections.research, publications: sections.publications };
+    const workOnly = { work_experience: sections.work_experience };
+
+    // Research counts for a PhD, not for an MBA; work years the other way round
+    assert.ok(scoreExperience({ ...researchOnly, target_degree: 'PhD' }).fraction > scoreExperience({ ...researchOnly, target_degree: 'MBA' }).fraction);
+    assert.ok(scoreExperience({ ...workOnly, target_degree: 'MBA' }).fraction > scoreExperience({ ...workOnly, target_degree: 'PhD' }).fraction);
+    assert.equal(scoreExperience({ ...workOnly, target_degree: 'Bachelors' }).fraction, 0);
+    assert.equal(scoreExperience({}).fraction, 0);
+});
+
+test('experience is described in one line', () => {
+    assert.equal(
+        formatExperience(sections),
+        '2 yrs work, 6 mo internships, 12 mo research, 2 publications (1 first-author), 1 award (top: national), 1 activity (1 leadership)'
+    );
+    assert.equal(formatExperience({}), 'None listed');
+});
+
+test('experience entries are validated like other profile fields', () => {
+    const { value, fieldErrors } = validateProfileUpdate({ publications: [{ title: 'Paper', type: 'JOURNAL' }] });
+    assert.equal(fieldErrors, null);
+    assert.deepEqual(value.publications, [{ title: 'Paper', type: 'JOURNAL' }]);
+
+    const invalid = validateProfileUpdate({ work_experience: [{ title: 'Engineer' }] });
+    assert.ok(invalid.fieldErrors.work_experience);
+});
@@ -0,0 +1,119 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    listPlans,
+    getActivePlan,
+    createPlan,
+    updatePlan,
+    activatePlan,
+    deletePlan
+} = require('../services/planService');
+const { applyProfileUpdates } = require('../services/profileService');
+
+const userId = 'user-1';
+
+beforeEach((t) => {
+    resetTables();
+    t.mock.method(console, 'log', () => {});
+    tables.profiles = [{
+        user_id: userId,
+        education_level: 'Bachelors',
+        target_degree: 'Masters',
+        field_of_study: 'Computer Science',
+        intake_year: 2027,
+        preferred_countries: ['Germany'],
+        budget_max: 20000
+    }];
+});
+
+test('the first plan is created from the profile goals', async () => {
+    const plan = await getActivePlan(userId);
+
+    assert.equal(plan.name, 'Main plan');
+    assert.equal(plan.is_active, true);
+    assert.equal(plan.target_degree, 'Masters');
+    assert.deepEqual(plan.preferred_countries, ['Germany']);
+
+    // Asking again returns the same plan
+    assert.equal((await getActivePlan(userId)).id, plan.id);
+    assert.equal(tables.application_plans.length, 1);
+});
+
+test('rows saved before plans existed join the first plan', async () => {
+    tables.profiles = [];
+    tables.user_shortlists = [{ id: 'shortlist-1', user_id: userId, university_id: 'uni-1', plan_id: null }];
+    tables.tasks = [
+        { id: 'task-1', user_id: userId, title: 'Draft SOP', plan_id: null },
+        { id: 'task-2', user_id: 'user-2', title: 'Someone else', plan_id: null }
+    ];
+
+    // No profile to copy goals from: the plan starts without goals
+    const plan = await getActivePlan(userId);
+
+    assert.equal(plan.target_degree, undefined);
+    assert.equal(tables.user_shortlists[0].plan_id, plan.id);
+    assert.deepEqual(tables.tasks.map(task => task.plan_id), [plan.id, null]);
+});
+
+test('a new plan copies the goals it does not set and stays inactive', async () => {
+    const plan = await createPlan(userId, { name: 'MBA in the US', target_degree: 'MBA', preferred_countries: ['United States'] });
+
+    assert.equal(plan.is_active, false);
+    assert.equal(plan.target_degree, 'MBA');
+    assert.equal(plan.field_of_study, 'Computer Science');
+    assert.deepEqual((await listPlans(userId)).map(row => row.name), ['Main plan', 'MBA in the US']);
+
+    await assert.rejects(createPlan(userId, { target_degree: 'PhD' }), { status: 400 });
+    await assert.rejects(createPlan(userId, { name: 'Too soon', intake_year: 2010 }), (error) => {
+        assert.equal(error.status, 400);
+        assert.ok(error.details.intake_year);
+        return true;
+    });
+});
+
+test('switching plans copies the plan goals onto the profile', async () => {
+    const main = await getActivePlan(userId);
+    const mba = await createPlan(userId, { name: 'MBA in the US', target_degree: 'MBA', preferred_countries: ['United States'] });
+
+    await activatePlan(userId, mba.id);
+
+    assert.equal(tables.profiles[0].target_degree, 'MBA');
+    assert.deepEqual(tables.profiles[0].preferred_countries, ['United States']);
+    assert.equal(tables.application_plans.find(row => row.id === main.id).is_active, false);
+    assert.equal(tables.application_plans.find(row => row.id === mba.id).is_active, true);
+    assert.equal(tables.profile_versions.at(-1).reason, 'PLAN_SWITCH');
+    // The plan that was left keeps its own goals
+    assert.equal(tables.application_plans.find(row => row.id === main.id).target_degree, 'Masters');
+});
+
+test('goal changes on the profile and on the active plan stay in step', async () => {
+    const plan = await getActivePlan(userId);
+
+    await applyProfileUpdates(userId, { budget_max: 35000 });
+    assert.equal(tables.application_plans[0].budget_max, 35000);
+
+    await updatePlan(userId, plan.id, { field_of_study: 'Data Science' });
+    assert.equal(tables.profiles[0].field_of_study, 'Data Science');
+});
+
+test('editing an inactive plan leaves the profile alone', async () => {
+    await getActivePlan(userId);
+    const other = await createPlan(userId, { name: 'PhD plan', target_degree: 'PhD' });
+
+    await updatePlan(userId, other.id, { intake_year: 2028 });
+
+    assert.equal(tables.profiles[0].intake_year, 2027);
+    await assert.rejects(updatePlan(userId, 'plan-missing', { name: 'Nope' }), { status: 404, message: 'Plan not found' });
+});
+
+test('only an inactive plan can be deleted', async () => {
+    const main = await getActivePlan(userId);
+    const other = await createPlan(userId, { name: 'PhD plan', target_degree: 'PhD' });
+
+    await assert.rejects(deletePlan(userId, main.id), { status: 409 });
+
+    await deletePlan(userId, other.id);
+    assert.deepEqual(tables.application_plans.map(row => row.id), [main.id]);
+});
@@ -0,0 +1,139 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getProvider, registerProvider } = require('../services/providers');
+const {
+    loadConversationMemory,
+    summarizeConversationIfNeeded,
+    MEMORY_CONFIG
+} = require('../services/conversationMemory');
+const { estimateTokens } = require('../utils/tokens');
+
+const conversationId = 'conversation-1';
+
+// A message of about `tokens` tokens, sent `minute` minutes into the conversation
+const message = (minute, tokens, role = minute % 2 ? 'assistant' : 'user') => ({
+    id: `message-${minute}`,
+    conversation_id: conversationId,
+    role,
+    content: `${minute} `.padEnd(tokens * 4, 'x'),
+    created_at: new Date(Date.UTC(2026, 0, 1, 10, minute)).toISOString()
+});
+
+beforeEach((t) => {
+    resetTables();
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    tables.chat_conversations = [{ id: conversationId, user_id: 'user-1', summary: null, summarized_until: null }];
+});
+
+test('tokens are estimated at about four characters each', () => {
+    assert.equal(estimateTokens('abcdefgh'), 2);
+    assert.equal(estimateTokens('abcdefghi'), 3);
+    assert.equal(estimateTokens(null), 0);
+});
+
+test('memory holds the newest turns that fit in the history budget, oldest first', async () => {
+    const size = Math.floor(MEMORY_CONFIG.HISTORY_TOKEN_BUDGET / 2.5);
+    tables.chat_messages = [message(1, size), message(2, size), message(3, size), message(4, size)];
+
+    const memory = await loadConversationMemory(conversationId, 'user-1');
+
+    assert.equal(memory.summary, null);
+    assert.deepEqual(memory.messages.map(m => m.content.split(' ')[0]), ['3', '4']);
+    assert.deepEqual(memory.messages.map(m => m.role), ['assistant', 'user']);
+});
+
+test('turns folded into the summary are not sent again', async () => {
+    tables.chat_messages = [message(1, 10), message(2, 10), message(3, 10)];
+    Object.assign(tables.chat_conversations[0], {
+        summary: 'Student likes TU Munich.',
+        summarized_until: tables.chat_messages[1].created_at
+    });
+
+    const memory = await loadConversationMemory(conversationId, 'user-1');
+
+    assert.equal(memory.summary, 'Student likes TU Munich.');
+    assert.deepEqual(memory.messages.map(m => m.content.split(' ')[0]), ['3']);
+});
+
+test('an empty answer left by an aborted stream is not sent to the model', async () => {
+    tables.chat_messages = [message(1, 10, 'user'), { ...message(2, 10, 'assistant'), content: '' }, message(3, 10, 'user')];
+
+    const memory = await loadConversationMemory(conversationId, 'user-1');
+
+    assert.deepEqual(memory.messages.map(m => m.content.split(' ')[0]), ['1', '3']);
+});
+
+test('another user\'s conversation is not found', async () => {
+    await assert.rejects(loadConversationMemory(conversationId, 'user-2'), { status: 404 });
+});
+
+test('the summary trigger never exceeds the history budget', () => {
+    assert.ok(MEMORY_CONFIG.SUMMARY_TRIGGER_TOKENS <= MEMORY_CONFIG.HISTORY_TOKEN_BUDGET);
+    assert.ok(MEMORY_CONFIG.KEEP_RECENT_TOKENS <= MEMORY_CONFIG.HISTORY_TOKEN_BUDGET / 2);
+});
+
+test('a short conversation is not summarised', async () => {
+    tables.chat_messages = [message(1, 100), message(2, 100)];
+
+    await summarizeConversationIfNeeded(conversationId);
+
+    assert.equal(tables.chat_conversations[0].summary, null);
+});
+
+test('older turns are summarised once they pass the trigger, recent turns stay verbatim', async () => {
+    const size = Math.ceil(MEMORY_CONFIG.SUMMARY_TRIGGER_TOKENS / 4);
+    tables.chat_messages = [1, 2, 3, 4, 5].map(minute => message(minute, size));
+
+    await summarizeConversationIfNeeded(conversationId);
+
+    const conversation = tables.chat_conversations[0];
+    assert.equal(conversation.summary, 'Offline mock summary of the earlier conversation.');
+
+    // Everything up to the kept turns is covered by the summary
+    const kept = tables.chat_messages.filter(m => m.created_at > conversation.summarized_until);
+    const keptTokens = kept.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    assert.ok(kept.length > 0);
+    assert.ok(keptTokens <= MEMORY_CONFIG.KEEP_RECENT_TOKENS);
+});
+
+test('the summary is written from the registered prompt', async () => {
+    const size = Math.ceil(MEMORY_CONFIG.SUMMARY_TRIGGER_TOKENS / 4);
+    tables.chat_messages = [1, 2, 3, 4, 5].map(minute => message(minute, size));
+
+    await summarizeConversationIfNeeded(conversationId);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [usage] = tables.llm_usage;
+    assert.equal(usage.feature, 'CONVERSATION_SUMMARY');
+    assert.equal(usage.prompt_id, 'CONVERSATION_SUMMARY');
+    assert.equal(usage.prompt_version, 'v1');
+});
+
+test('a summary finished after a parallel one does not overwrite it', async () => {
+    const size = Math.ceil(MEMORY_CONFIG.SUMMARY_TRIGGER_TOKENS / 4);
+    tables.chat_messages = [1, 2, 3, 4, 5].map(minute => message(minute, size));
+    const parallel = { summary: 'Newer summary.', summarized_until: tables.chat_messages[3].created_at };
+
+    const original = getProvider('MOCK');
+    registerProvider('MOCK', {
+        name: 'MOCK',
+        isConfigured: () => true,
+        generate: async () => {
+            // Another request saves its summary while this one waits for the model
+            Object.assign(tables.chat_conversations[0], parallel);
+            return { summary: 'Stale summary.' };
+        }
+    });
+
+    try {
+        await summarizeConversationIfNeeded(conversationId);
+    } finally {
+        registerProvider('MOCK', original);
+    }
+
+    assert.equal(tables.chat_conversations[0].summary, parallel.summary);
+    assert.equal(tables.chat_conversations[0].summarized_until, parallel.summarized_until);
+});
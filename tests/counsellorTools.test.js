@@ -0,0 +1,102 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getProvider, registerProvider } = require('../services/providers');
+const { describeTools, runToolCalls, TOOL_CONFIG } = require('../services/counsellorTools');
+const { generateAIResponse } = require('../services/aiService');
+
+const UNIVERSITY_ID = '7f1c1c36-2f1f-4a4e-9a55-3d2f0f7c1a01';
+
+beforeEach(() => {
+    resetTables();
+    tables.application_plans = [
+        { id: 'plan-1', user_id: 'user-1', name: 'Main plan', is_active: true },
+        { id: 'plan-2', user_id: 'user-2', name: 'Main plan', is_active: true }
+    ];
+    tables.tasks = [
+        { id: 'task-1', user_id: 'user-1', plan_id: 'plan-1', title: 'Book IELTS', status: 'TODO', due_date: '2026-11-01', related_university_id: UNIVERSITY_ID },
+        { id: 'task-2', user_id: 'user-1', plan_id: 'plan-1', title: 'Draft SOP', status: 'DONE', due_date: '2026-10-01', related_university_id: null },
+        { id: 'task-3', user_id: 'user-2', plan_id: 'plan-2', title: 'Someone else', status: 'TODO', due_date: '2026-10-05', related_university_id: null }
+    ];
+});
+
+// Replace the mock with scripted answers, one per LLM call
+async function withScriptedModel(answers, fn) {
+    const original = getProvider('MOCK');
+    const calls = [];
+    registerProvider('MOCK', {
+        name: 'MOCK',
+        isConfigured: () => true,
+        generate: async ({ messages }) => {
+            calls.push(messages);
+            return answers[Math.min(calls.length - 1, answers.length - 1)];
+        }
+    });
+    try {
+        return await fn(calls);
+    } finally {
+        registerProvider('MOCK', original);
+    }
+}
+
+test('tools are described with their arguments for the prompt', () => {
+    const description = describeTools();
+
+    assert.match(description, /- listTasks\(status\?: string, university_id\?: string\)/);
+    assert.match(description, /- calculateAcceptanceScore\(university_id: string\)/);
+});
+
+test('tools only read the calling user\'s data', async () => {
+    const [result] = await runToolCalls([{ name: 'listTasks', arguments: { status: 'TODO' } }], { userId: 'user-1' });
+
+    assert.deepEqual(result.result.tasks.map(task => task.title), ['Book IELTS']);
+    assert.equal(typeof result.duration_ms, 'number');
+});
+
+test('unknown tools and invalid arguments come back as errors for the model', async () => {
+    const results = await runToolCalls([
+        { name: 'dropTables', arguments: {} },
+        { name: 'calculateAcceptanceScore', arguments: { university_id: 'not-a-uuid' } },
+        { name: 'searchUniversities', arguments: {} }
+    ], { userId: 'user-1' });
+
+    assert.equal(results[0].error, 'Unknown tool: dropTables');
+    assert.match(results[1].error, /must be a valid GUID/);
+    assert.match(results[2].error, /must contain at least one of \[name, country\]/);
+});
+
+test('only MAX_CALLS_PER_ROUND calls run per round', async () => {
+    const calls = Array.from({ length: TOOL_CONFIG.MAX_CALLS_PER_ROUND + 2 }, () => ({ name: 'listTasks', arguments: {} }));
+
+    const results = await runToolCalls(calls, { userId: 'user-1' });
+    assert.equal(results.length, TOOL_CONFIG.MAX_CALLS_PER_ROUND);
+});
+
+test('tool results are sent back to the model and the calls are logged with the answer', () => withScriptedModel([
+    { tool_calls: [{ name: 'listTasks', arguments: { university_id: UNIVERSITY_ID } }] },
+    { text: 'Book your IELTS before November.', tone: 'NUDGING' }
+], async (calls) => {
+    const response = await generateAIResponse({ userQuery: 'What is left for my university?', userId: 'user-1' });
+
+    assert.equal(calls.length, 2);
+    const toolMessage = calls[1].at(-1).content;
+    assert.match(toolMessage, /^TOOL RESULTS:/);
+    assert.match(toolMessage, /Book IELTS/);
+    assert.doesNotMatch(toolMessage, /Draft SOP/);
+
+    assert.equal(response.text, 'Book your IELTS before November.');
+    assert.deepEqual(response._toolCalls.map(({ name, round }) => ({ name, round })), [{ name: 'listTasks', round: 1 }]);
+}));
+
+test('the tool loop stops after MAX_ROUNDS and asks for a final answer', () => withScriptedModel([
+    { tool_calls: [{ name: 'listTasks', arguments: {} }] }
+], async (calls) => {
+    const response = await generateAIResponse({ userQuery: 'Loop forever', userId: 'user-1' });
+
+    // First answer, one call per tool round, then one schema repair of the last tool_calls answer
+    assert.equal(calls.length, 1 + TOOL_CONFIG.MAX_ROUNDS + 1);
+    assert.match(calls[TOOL_CONFIG.MAX_ROUNDS].at(-1).content, /Tool limit reached/);
+    assert.equal(response._toolCalls.length, TOOL_CONFIG.MAX_ROUNDS);
+    assert.equal(response._validation.valid, false);
+}));
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeGrade, getComparableGpa, formatGrade, parseGradeText } = require('../utils/gradeConversion');
+
+test('normalizeGrade converts each scale to the 4.0 scale', () => {
+    assert.equal(normalizeGrade(3.6, 'GPA_4').gpa, 3.6);
+    assert.equal(normalizeGrade(8, 'CGPA_10').gpa, 3.5);
+    assert.equal(normalizeGrade(8.5, 'CGPA_10').gpa, 3.7);
+    assert.equal(normalizeGrade(75, 'PERCENTAGE').gpa, 3.5);
+    assert.equal(normalizeGrade(1.0, 'GERMAN').gpa, 4);
+    assert.equal(normalizeGrade(4.0, 'GERMAN').gpa, 1);
+});
+
+test('normalizeGrade reads UK classes and stores the canonical name', () => {
+    assert.deepEqual(normalizeGrade('2:1', 'UK_CLASS'), { gpa: 3.3, original: 'UPPER_SECOND', error: null });
+    assert.equal(normalizeGrade('First', 'UK_CLASS').original, 'FIRST');
+    assert.match(normalizeGrade('Distinction', 'UK_CLASS').error, /not a UK degree classification/);
+});
+
+test('normalizeGrade rejects values outside the scale and unknown scales', () => {
+    assert.match(normalizeGrade(11, 'CGPA_10').error, /between 0 and 10/);
+    assert.match(normalizeGrade('abc', 'PERCENTAGE').error, /must be a number/);
+    assert.match(normalizeGrade(3, 'GPA_5').error, /gpa_scale must be one of/);
+});
+
+test('getComparableGpa prefers the original grade over the stored gpa', () => {
+    assert.equal(getComparableGpa({ gpa: 2.0, gpa_original: 8, gpa_scale: 'CGPA_10' }), 3.5);
+    assert.equal(getComparableGpa({ gpa: 3.2 }), 3.2);
+    assert.equal(getComparableGpa(null), null);
+});
+
+test('formatGrade shows the original grade with its 4.0 equivalent', () => {
+    assert.equal(formatGrade({ gpa_original: 8, gpa_scale: 'CGPA_10' }), '8/10 CGPA (≈3.5/4.0)');
+    assert.equal(formatGrade({ gpa: 3.4, gpa_original: 3.4, gpa_scale: 'GPA_4' }), '3.4/4.0 GPA');
+    assert.equal(formatGrade({}), 'N/A');
+});
+
+test('parseGradeText reads grades typed as free text', () => {
+    assert.deepEqual(parseGradeText('3.6'), { gpa_original: 3.6, gpa_scale: 'GPA_4' });
+    assert.deepEqual(parseGradeText('8.2/10'), { gpa_original: 8.2, gpa_scale: 'CGPA_10' });
+    assert.deepEqual(parseGradeText('78%'), { gpa_original: 78, gpa_scale: 'PERCENTAGE' });
+    assert.deepEqual(parseGradeText('2:1'), { gpa_original: 'UPPER_SECOND', gpa_scale: 'UK_CLASS' });
+    // "2.1" is a GPA, not a 2:1
+    assert.deepEqual(parseGradeText('2.1'), { gpa_original: 2.1, gpa_scale: 'GPA_4' });
+    assert.equal(parseGradeText('about average'), null);
+});
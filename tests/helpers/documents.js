@@ -0,0 +1,34 @@
+/**
+ * Minimal one-page PDF with a line of text per entry (Helvetica, selectable text)
+ * Lets the import tests run real uploads without fixture files
+ * @param {string[]} lines
+ * @returns {Buffer}
+ */
+function buildPdf(lines) {
+    const escape = (line) => line.replace(/[\\()]/g, match => `\\${match}`);
+    const content = `BT /F1 11 Tf 14 TL 72 740 Td ${lines.map(line => `(${escape(line)}) Tj T*`).join(' ')} ET`;
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf);
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf);
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf);
+}
+
+module.exports = { buildPdf };
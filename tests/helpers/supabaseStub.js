@@ -0,0 +1,211 @@
+const path = require('path');
+
+/**
+ * In-memory stand-in for database/supabase.js
+ * Requiring this file registers the stub in the require cache, so services loaded afterwards
+ * read and write plain arrays instead of a database. It also selects the offline MOCK LLM
+ * provider. Require it first in every test file.
+ *
+ * Supports the query builder calls the services use (filters, order, range, single/maybeSingle,
+ * insert/upsert/update/delete). Like PostgREST, a select returns at most MAX_ROWS rows.
+ * Joins in select() are ignored; rpc() runs the database functions in RPCS and returns no
+ * rows for any other.
+ */
+
+process.env.LLM_PROVIDER = 'MOCK';
+
+// Column defaults from the migrations that services rely on
+const DEFAULTS = {
+    ai_action_proposals: () => ({ status: 'PENDING' }),
+    lock_proposals: () => ({ status: 'PENDING', source: 'AI' }),
+    profile_imports: () => ({ status: 'PENDING' })
+};
+
+// PostgREST's db-max-rows on Supabase
+const MAX_ROWS = 1000;
+
+const tables = {};
+let nextId = 0;
+
+const rowsOf = (table) => tables[table] || (tables[table] = []);
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+function newRow(table, values) {
+    nextId += 1;
+    return {
+        id: `${table}-${nextId}`,
+        created_at: new Date(Date.now() + nextId).toISOString(),
+        ...(DEFAULTS[table] ? DEFAULTS[table]() : {}),
+        ...values
+    };
+}
+
+function query(table) {
+    const state = { op: 'select', values: null, options: {}, filters: [], order: null, limit: null, range: null, single: null };
+
+    const set = (changes) => {
+        Object.assign(state, changes);
+        return builder;
+    };
+    const filter = (test) => {
+        state.filters.push(test);
+        return builder;
+    };
+
+    function run() {
+        const rows = rowsOf(table);
+        let result;
+
+        if (state.op === 'insert') {
+            result = [].concat(state.values).map(values => newRow(table, values));
+            rows.push(...result);
+        } else if (state.op === 'upsert') {
+            const keys = (state.options.onConflict || 'id').split(',');
+            result = [].concat(state.values).map(values => {
+                const existing = rows.find(row => keys.every(key => row[key] === values[key]));
+                if (existing) return Object.assign(existing, values);
+                const row = newRow(table, values);
+                rows.push(row);
+                return row;
+            });
+        } else {
+            result = rows.filter(row => state.filters.every(test => test(row)));
+            if (state.op === 'update') result.forEach(row => Object.assign(row, state.values));
+            if (state.op === 'delete') tables[table] = rows.filter(row => !result.includes(row));
+        }
+
+        if (state.order) {
+            const { column, ascending } = state.order;
+            result = [...result].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+        }
+        if (state.range) result = result.slice(state.range.from, state.range.to + 1);
+        if (state.limit !== null) result = result.slice(0, state.limit);
+        if (state.op === 'select') result = result.slice(0, MAX_ROWS);
+
+        result = copy(result);
+        if (state.single === 'single' && result.length !== 1) {
+            return { data: null, error: { code: 'PGRST116', message: `Expected 1 row, got ${result.length}` } };
+        }
+        if (state.single) return { data: result[0] || null, error: null };
+        return { data: result, error: null };
+    }
+
+    const builder = {
+        select: () => builder,
+        insert: (values) => set({ op: 'insert', values }),
+        upsert: (values, options = {}) => set({ op: 'upsert', values, options }),
+        update: (values) => set({ op: 'update', values }),
+        delete: () => set({ op: 'delete' }),
+
+        eq: (column, value) => filter(row => row[column] === value),
+        neq: (column, value) => filter(row => row[column] !== value),
+        in: (column, values) => filter(row => values.includes(row[column])),
+        is: (column, value) => filter(row => (row[column] ?? null) === value),
+        gt: (column, value) => filter(row => row[column] > value),
+        gte: (column, value) => filter(row => row[column] >= value),
+        lt: (column, value) => filter(row => row[column] < value),
+        lte: (column, value) => filter(row => row[column] <= value),
+        ilike: (column, pattern) => {
+            const regex = new RegExp(`^${pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}$`, 'i');
+            return filter(row => regex.test(row[column] || ''));
+        },
+        not: () => builder,
+        or: () => builder,
+
+        order: (column, { ascending = true } = {}) => set({ order: { column, ascending } }),
+        limit: (count) => set({ limit: count }),
+        range: (from, to) => set({ range: { from, to } }),
+        single: () => set({ single: 'single' }),
+        maybeSingle: () => set({ single: 'maybeSingle' }),
+
+        then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+    return builder;
+}
+
+// Database functions from the migrations, computed over the in-memory rows
+const sum = (rows, value) => rows.reduce((total, row) => total + (Number(value(row)) || 0), 0);
+const tokensOf = (row) => (row.input_tokens || 0) + (row.output_tokens || 0);
+
+function groupBy(rows, key) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const value = key(row);
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(row);
+    });
+    return [...groups.values()];
+}
+
+const RPCS = {
+    llm_usage_totals: ({ p_user_id, p_day_start, p_month_start }) => {
+        const month = rowsOf('llm_usage').filter(row => row.user_id === p_user_id && row.created_at >= p_month_start);
+        const day = month.filter(row => row.created_at >= p_day_start);
+        return [{
+            day_requests: day.length,
+            day_tokens: sum(day, tokensOf),
+            month_requests: month.length,
+            month_tokens: sum(month, tokensOf)
+        }];
+    },
+    llm_usage_by_feature: ({ p_since, p_user_id = null }) => groupBy(
+        rowsOf('llm_usage').filter(row => row.created_at >= p_since && (p_user_id === null || row.user_id === p_user_id)),
+        row => row.feature
+    ).map(rows => ({
+        feature: rows[0].feature,
+        requests: rows.length,
+        input_tokens: sum(rows, row => row.input_tokens),
+        output_tokens: sum(rows, row => row.output_tokens),
+        cost_usd: sum(rows, row => row.cost_usd)
+    })),
+    llm_usage_by_prompt: ({ p_since }) => groupBy(
+        rowsOf('llm_usage').filter(row => row.created_at >= p_since && row.prompt_id),
+        row => `${row.prompt_id}@${row.prompt_version}`
+    ).map(rows => ({
+        prompt_id: rows[0].prompt_id,
+        prompt_version: rows[0].prompt_version,
+        requests: rows.length,
+        total_tokens: sum(rows, tokensOf),
+        cost_usd: sum(rows, row => row.cost_usd)
+    })),
+    llm_usage_top_users: ({ p_since, p_limit = 20 }) => groupBy(
+        rowsOf('llm_usage').filter(row => row.created_at >= p_since),
+        row => row.user_id ?? null
+    ).map(rows => ({
+        user_id: rows[0].user_id ?? null,
+        requests: rows.length,
+        total_tokens: sum(rows, tokensOf),
+        cost_usd: sum(rows, row => row.cost_usd)
+    })).sort((a, b) => b.cost_usd - a.cost_usd).slice(0, p_limit)
+};
+
+function rpc(name, params = {}) {
+    const run = () => ({ data: RPCS[name] ? RPCS[name](params) : [], error: null });
+    return {
+        single: async () => {
+            const { data } = run();
+            return { data: data[0] || null, error: null };
+        },
+        then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+}
+
+const stub = {
+    from: query,
+    rpc
+};
+
+require.cache[path.resolve(__dirname, '../../database/supabase.js')] = {
+    id: 'supabase-stub',
+    loaded: true,
+    exports: stub
+};
+
+/**
+ * Empty every table (call between tests)
+ */
+function resetTables() {
+    Object.keys(tables).forEach(table => delete tables[table]);
+}
+
+module.exports = { tables, resetTables };
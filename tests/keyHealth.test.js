@@ -0,0 +1,89 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const health = require('../services/providers/keyHealth');
+
+const KEYS = ['key-aaaaaaaa-1', 'key-bbbbbbbb-2'];
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+beforeEach(() => health.resetHealth());
+
+test('a rate-limited key cools down for its Retry-After period', () => {
+    health.recordKeyFailure('GROQ', KEYS[0], httpError(429, { 'retry-after': '120' }));
+
+    assert.deepEqual(health.getAvailableKeys('GROQ', KEYS), [KEYS[1]]);
+
+    const [report] = health.getHealthReport('GROQ', KEYS).keys;
+    assert.equal(report.key, 'key-aaaa...');
+    assert.equal(report.status, 'COOLDOWN');
+    assert.ok(new Date(report.cooldown_until) - Date.now() > 110 * 1000);
+});
+
+test('a revoked key stays disabled until health is reset', () => {
+    health.recordKeyFailure('GEMINI', KEYS[1], httpError(403));
+
+    assert.deepEqual(health.getAvailableKeys('GEMINI', KEYS), [KEYS[0]]);
+    assert.equal(health.getHealthReport('GEMINI', KEYS).keys[1].status, 'DISABLED');
+
+    health.resetHealth();
+    assert.equal(health.getAvailableKeys('GEMINI', KEYS).length, 2);
+});
+
+test('other errors only cool a key down once they repeat', () => {
+    const { CONSECUTIVE_FAILURES_FOR_COOLDOWN } = health.HEALTH_CONFIG;
+
+    for (let i = 1; i < CONSECUTIVE_FAILURES_FOR_COOLDOWN; i++) {
+        health.recordKeyFailure('GROQ', KEYS[0], new Error('socket hang up'));
+    }
+    assert.equal(health.getAvailableKeys('GROQ', KEYS).length, 2);
+
+    health.recordKeyFailure('GROQ', KEYS[0], new Error('socket hang up'));
+    assert.deepEqual(health.getAvailableKeys('GROQ', KEYS), [KEYS[1]]);
+});
+
+test('key state is tracked per provider', () => {
+    health.recordKeyFailure('GROQ', KEYS[0], httpError(401));
+
+    assert.equal(health.getAvailableKeys('GEMINI', KEYS).length, 2);
+});
+
+test('a circuit opens after repeated failures, half-opens for one trial and closes on success', () => {
+    const { CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_OPEN_MS } = health.HEALTH_CONFIG;
+
+    for (let i = 0; i < CIRCUIT_FAILURE_THRESHOLD; i++) {
+        assert.equal(health.canAttempt('GEMINI', 'gemini-2.5-flash'), true);
+        health.recordCircuitFailure('GEMINI', 'gemini-2.5-flash');
+    }
+    assert.equal(health.canAttempt('GEMINI', 'gemini-2.5-flash'), false);
+    assert.equal(health.canAttempt('GEMINI', 'gemini-2.5-flash-lite'), true);
+
+    // Let the open period run out
+    health.HEALTH_CONFIG.CIRCUIT_OPEN_MS = -1;
+    try {
+        health.recordCircuitFailure('GEMINI', 'gemini-2.5-flash');
+        assert.equal(health.canAttempt('GEMINI', 'gemini-2.5-flash'), true);
+        assert.equal(health.getHealthReport('GEMINI', []).circuits['gemini-2.5-flash'].state, 'HALF_OPEN');
+    } finally {
+        health.HEALTH_CONFIG.CIRCUIT_OPEN_MS = CIRCUIT_OPEN_MS;
+    }
+
+    health.recordCircuitSuccess('GEMINI', 'gemini-2.5-flash');
+    const circuit = health.getHealthReport('GEMINI', []).circuits['gemini-2.5-flash'];
+    assert.deepEqual(circuit, { state: 'CLOSED', consecutive_failures: 0, open_until: null });
+});
+
+test('a failed trial request reopens the circuit straight away', () => {
+    const { CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_OPEN_MS } = health.HEALTH_CONFIG;
+
+    health.HEALTH_CONFIG.CIRCUIT_OPEN_MS = -1;
+    try {
+        for (let i = 0; i < CIRCUIT_FAILURE_THRESHOLD; i++) {
+            health.recordCircuitFailure('GROQ', 'llama-3.3-70b-versatile');
+        }
+        assert.equal(health.canAttempt('GROQ', 'llama-3.3-70b-versatile'), true);
+    } finally {
+        health.HEALTH_CONFIG.CIRCUIT_OPEN_MS = CIRCUIT_OPEN_MS;
+    }
+
+    health.recordCircuitFailure('GROQ', 'llama-3.3-70b-versatile');
+    assert.equal(health.canAttempt('GROQ', 'llama-3.3-70b-versatile'), false);
+});
@@ -0,0 +1,94 @@
+require('./helpers/supabaseStub');
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LLM_FEATURES, getProvider, getProviderChain, registerProvider } = require('../services/providers');
+const { getLLMResponse } = require('../services/aiService');
+
+let fixturesDir;
+
+before(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-fixtures-'));
+    process.env.LLM_FIXTURES_DIR = fixturesDir;
+});
+after(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+    delete process.env.LLM_FIXTURES_DIR;
+});
+
+// Run with another LLM_PROVIDER for the duration of fn
+async function withProviderEnv(value, fn) {
+    const previous = process.env.LLM_PROVIDER;
+    if (value === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = value;
+    try {
+        return await fn();
+    } finally {
+        process.env.LLM_PROVIDER = previous;
+    }
+}
+
+test('LLM_PROVIDER=MOCK wins over the requested provider and never falls back', () => {
+    assert.deepEqual(getProviderChain('GEMINI'), ['MOCK']);
+    assert.deepEqual(getProviderChain('GROQ'), ['MOCK']);
+});
+
+test('Gemini and Groq back each other up', () => withProviderEnv(undefined, () => {
+    assert.deepEqual(getProviderChain('GEMINI'), ['GEMINI', 'GROQ']);
+    assert.deepEqual(getProviderChain('groq'), ['GROQ', 'GEMINI']);
+    assert.deepEqual(getProviderChain(), ['GROQ', 'GEMINI']);
+}));
+
+test('unknown providers are refused', () => {
+    assert.throws(() => getProvider('OPENAI'), /Unknown LLM provider: OPENAI/);
+});
+
+test('the mock answers each feature with its built-in response', async () => {
+    const counsellor = await getLLMResponse([{ role: 'user', content: 'Hi' }], 'system', {
+        provider: 'GEMINI',
+        feature: LLM_FEATURES.COUNSELLOR
+    });
+    assert.equal(counsellor._aiSource, 'MOCK');
+    assert.match(counsellor.text, /offline mock response/);
+    assert.deepEqual(counsellor.actions, []);
+
+    // Batch prompts get one result per numbered item
+    const batch = await getLLMResponse([{ role: 'user', content: '1. MIT\n2. ETH Zurich\n3. NUS' }], 'system', {
+        feature: LLM_FEATURES.BATCH_ENRICHMENT
+    });
+    assert.equal(JSON.parse(batch.text).length, 3);
+});
+
+test('a fixture file replaces the built-in response and is parsed like model output', async () => {
+    fs.writeFileSync(
+        path.join(fixturesDir, 'guidance.json'),
+        'Here you go:\n```json\n{ "required_documents": ["Transcript"], "timeline": [] }\n```'
+    );
+
+    const response = await getLLMResponse([{ role: 'user', content: 'Guide me' }], 'system', {
+        feature: LLM_FEATURES.GUIDANCE
+    });
+    assert.deepEqual(response.required_documents, ['Transcript']);
+    assert.equal(response._aiSource, 'MOCK');
+});
+
+test('a failing provider falls back to the next one', () => withProviderEnv(undefined, async () => {
+    const originals = { GEMINI: getProvider('GEMINI'), GROQ: getProvider('GROQ') };
+    registerProvider('GEMINI', { name: 'GEMINI', isConfigured: () => true, generate: async () => { throw new Error('quota exceeded'); } });
+    registerProvider('GROQ', { name: 'GROQ', isConfigured: () => true, generate: async () => ({ text: 'from groq' }) });
+
+    try {
+        const response = await getLLMResponse([{ role: 'user', content: 'Hi' }], 'system', { provider: 'GEMINI' });
+        assert.equal(response.text, 'from groq');
+
+        registerProvider('GROQ', { name: 'GROQ', isConfigured: () => true, generate: async () => { throw new Error('down'); } });
+        const failed = await getLLMResponse([{ role: 'user', content: 'Hi' }], 'system', { provider: 'GEMINI' });
+        assert.equal(failed.error, true);
+    } finally {
+        registerProvider('GEMINI', originals.GEMINI);
+        registerProvider('GROQ', originals.GROQ);
+    }
+}));
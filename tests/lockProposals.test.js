@@ -0,0 +1,110 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createLockProposal,
+    listLockProposals,
+    confirmLockProposal,
+    dismissLockProposal
+} = require('../services/lockService');
+const { createProposals, acceptProposal, undoProposal } = require('../services/actionInbox');
+
+const userId = 'user-1';
+const TUM_ID = '3b241101-e2bb-4255-8caf-4136c566a962';
+
+beforeEach(() => {
+    resetTables();
+    tables.profiles = [{ user_id: userId, profile_complete: true }];
+    tables.application_plans = [{ id: 'plan-1', user_id: userId, name: 'Main plan', is_active: true }];
+    tables.universities = [{ id: TUM_ID, name: 'Technical University of Munich', country: 'Germany' }];
+});
+
+const lockProposalRow = (id) => tables.lock_proposals.find(row => row.id === id);
+
+test('a recommendation by name becomes a pending lock proposal with the AI reason', async () => {
+    const proposal = await createLockProposal(userId, { university_id: 'technical university of munich', reason: 'Strong CS fit' });
+
+    assert.equal(proposal.university_id, TUM_ID);
+    assert.equal(proposal.status, 'PENDING');
+    assert.equal(proposal.reason, 'Strong CS fit');
+    assert.ok(new Date(proposal.expires_at) > new Date());
+    assert.deepEqual(tables.university_locks, []);
+});
+
+test('a new recommendation for the same university replaces the pending one', async () => {
+    const first = await createLockProposal(userId, { university_id: TUM_ID, reason: 'First' });
+    const second = await createLockProposal(userId, { university_id: TUM_ID, reason: 'Second' });
+
+    assert.equal(lockProposalRow(first.id).status, 'DISMISSED');
+    assert.deepEqual((await listLockProposals(userId)).map(row => row.id), [second.id]);
+});
+
+test('proposals follow the lock rules: complete profile, not already locked, known university', async () => {
+    await assert.rejects(createLockProposal(userId, { university_id: 'Unknown University' }), {
+        status: 404,
+        message: 'University not found: Unknown University'
+    });
+
+    tables.university_locks = [{ id: 'lock-1', user_id: userId, plan_id: 'plan-1', university_id: TUM_ID, unlocked_at: null }];
+    await assert.rejects(createLockProposal(userId, { university_id: TUM_ID }), { status: 409 });
+
+    tables.profiles[0].profile_complete = false;
+    await assert.rejects(createLockProposal(userId, { university_id: TUM_ID }), { status: 403 });
+});
+
+test('confirming locks the university with the AI reason unless the student edits it', async () => {
+    const proposal = await createLockProposal(userId, { university_id: TUM_ID, reason: 'Strong CS fit' });
+
+    const lock = await confirmLockProposal(userId, proposal.id);
+
+    assert.equal(lock.lock_reason_text, 'Strong CS fit');
+    assert.equal(lockProposalRow(proposal.id).status, 'CONFIRMED');
+    assert.equal(lockProposalRow(proposal.id).lock_id, lock.id);
+    await assert.rejects(confirmLockProposal(userId, proposal.id), { status: 409, message: 'Lock proposal is already confirmed' });
+
+    tables.university_locks[0].unlocked_at = new Date().toISOString();
+    const again = await createLockProposal(userId, { university_id: TUM_ID, reason: 'AI reason' });
+    const edited = await confirmLockProposal(userId, again.id, 'My own reason');
+    assert.equal(edited.lock_reason_text, 'My own reason');
+});
+
+test('ignored proposals expire', async () => {
+    const proposal = await createLockProposal(userId, { university_id: TUM_ID });
+    lockProposalRow(proposal.id).expires_at = new Date(Date.now() - 1000).toISOString();
+
+    await assert.rejects(confirmLockProposal(userId, proposal.id), { status: 410 });
+    assert.equal(lockProposalRow(proposal.id).status, 'EXPIRED');
+    assert.deepEqual(await listLockProposals(userId), []);
+});
+
+test('accepting RECOMMEND_LOCK creates a proposal, undo dismisses it', async () => {
+    const [action] = await createProposals({
+        userId,
+        conversationId: 'conversation-1',
+        messageId: 'message-1',
+        actions: [{ type: 'RECOMMEND_LOCK', payload: { university_id: TUM_ID, reason: 'Strong CS fit' } }]
+    });
+
+    const accepted = await acceptProposal(userId, action.proposal_id);
+    const lockProposalId = accepted.result.lock_proposal.id;
+    assert.equal(lockProposalRow(lockProposalId).status, 'PENDING');
+
+    await undoProposal(userId, action.proposal_id);
+    assert.equal(lockProposalRow(lockProposalId).status, 'DISMISSED');
+    await assert.rejects(dismissLockProposal(userId, lockProposalId), { status: 409 });
+});
+
+test('a RECOMMEND_LOCK for an unknown university leaves the action pending with the error', async () => {
+    const [action] = await createProposals({
+        userId,
+        conversationId: 'conversation-1',
+        messageId: 'message-1',
+        actions: [{ type: 'RECOMMEND_LOCK', payload: { university_id: 'Unknown University', reason: 'Strong fit' } }]
+    });
+
+    await assert.rejects(acceptProposal(userId, action.proposal_id), { status: 404 });
+    const row = tables.ai_action_proposals.find(proposal => proposal.id === action.proposal_id);
+    assert.equal(row.status, 'PENDING');
+    assert.equal(row.last_error, 'University not found: Unknown University');
+});
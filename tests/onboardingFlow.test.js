@@ -0,0 +1,118 @@
+require('./helpers/supabaseStub');
+
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runOnboardingTurn, getOnboardingState } = require('../services/onboardingFlow');
+
+// Answers the mock provider can't parse come from an ONBOARDING fixture
+let fixturesDir;
+const parserReturns = (output) => fs.writeFileSync(path.join(fixturesDir, 'onboarding.json'), JSON.stringify(output));
+
+before(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'onboarding-fixtures-'));
+    process.env.LLM_FIXTURES_DIR = fixturesDir;
+});
+afterEach(() => fs.rmSync(path.join(fixturesDir, 'onboarding.json'), { force: true }));
+after(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+    delete process.env.LLM_FIXTURES_DIR;
+});
+
+// Everything up to the TESTS step answered
+const answeredUntilTests = {
+    education_level: 'Bachelors',
+    degree_major: 'Computer Science',
+    gpa: 3.5,
+    target_degree: 'Masters',
+    field_of_study: 'Data Science',
+    preferred_countries: ['Canada'],
+    intake_year: 2027,
+    budget_max: 40000,
+    funding_plan: 'Loan'
+};
+
+const turn = (userQuery, currentFormData) => runOnboardingTurn({ userQuery, userId: null, currentFormData });
+
+test('the first turn asks the first question of the checklist', async () => {
+    const response = await turn('', {});
+
+    assert.equal(response.onboarding.state, 'ACADEMIC');
+    assert.equal(response.onboarding.current_field, 'education_level');
+    assert.deepEqual(response.suggested_options.values, ['HS', 'Bachelors', 'Masters', 'MBA', 'PhD']);
+    assert.deepEqual(response.actions, []);
+});
+
+test('picking an option answers the question without the model', async () => {
+    const response = await turn('bachelors', {});
+
+    assert.equal(response.onboarding.form_data.education_level, 'Bachelors');
+    assert.equal(response.onboarding.current_field, 'degree_major');
+    assert.deepEqual(response.actions, [{ type: 'UPDATE_ONBOARDING_STATE', payload: { education_level: 'Bachelors' } }]);
+});
+
+test('grades on any scale are read directly', async () => {
+    const response = await turn('8.2/10', { education_level: 'Bachelors', degree_major: 'Physics' });
+
+    // The original grade is kept as entered, gpa is its 4.0-scale equivalent
+    assert.equal(response.onboarding.form_data.gpa_original, '8.2');
+    assert.equal(response.onboarding.form_data.gpa_scale, 'CGPA_10');
+    assert.equal(response.onboarding.form_data.gpa, 3.58);
+    assert.equal(response.onboarding.state, 'GOALS');
+});
+
+test('an answer the model cannot parse re-asks the question', async () => {
+    const response = await turn('hmm, not sure what you mean', { education_level: 'Bachelors' });
+
+    assert.equal(response.onboarding.current_field, 'degree_major');
+    assert.match(response.text, /^Sorry, I didn't quite get that\. What is your major\?/);
+});
+
+test('values the model returns are validated before they are used', async () => {
+    parserReturns({ updates: { ielts_score: 12 }, skipped: [] });
+    const response = await turn('I got a 12 in IELTS', answeredUntilTests);
+
+    assert.equal(response.onboarding.state, 'TESTS');
+    assert.equal(response.onboarding.form_data.ielts_score, undefined);
+    assert.match(response.text, /^I couldn't use that/);
+});
+
+test('any test score answers the TESTS question', async () => {
+    parserReturns({ updates: { ielts_score: 7.5, ielts_date: '2025-03-01' }, skipped: [] });
+    const response = await turn('IELTS 7.5 in March 2025', answeredUntilTests);
+
+    assert.equal(response.onboarding.form_data.ielts_score, 7.5);
+    assert.equal(response.onboarding.state, 'SOP');
+    assert.ok(response.onboarding.completed_steps.includes('TESTS'));
+});
+
+test('"None yet" skips the TESTS question', async () => {
+    const response = await turn('None yet', answeredUntilTests);
+
+    assert.equal(response.onboarding.state, 'SOP');
+    assert.deepEqual(response.onboarding.confirmed_fields, ['tests']);
+});
+
+test('a skip naming a test field skips the TESTS question', async () => {
+    // The model may name a test field ("ielts_score") instead of the question ("tests")
+    parserReturns({ updates: {}, skipped: ['ielts_score'] });
+    const response = await turn("I haven't taken any English test", answeredUntilTests);
+
+    assert.equal(response.onboarding.state, 'SOP');
+    assert.deepEqual(response.onboarding.confirmed_fields, ['tests']);
+});
+
+test('picking NOT_STARTED for the SOP completes the checklist', async () => {
+    const response = await turn('NOT_STARTED', { ...answeredUntilTests, confirmed_fields: ['tests'] });
+
+    assert.equal(response.onboarding.complete, true);
+    assert.equal(response.onboarding.state, 'COMPLETE');
+    assert.equal(response.suggested_options, null);
+});
+
+test('the SOP default alone does not complete the checklist', () => {
+    const state = getOnboardingState({ ...answeredUntilTests, sop_status: 'NOT_STARTED' }, ['tests']);
+    assert.equal(state.state, 'SOP');
+});
@@ -0,0 +1,100 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDraft, saveDraftFields, promoteDraft, discardDraft } = require('../services/profileDraftService');
+const { runOnboardingTurn } = require('../services/onboardingFlow');
+
+const userId = 'user-1';
+
+const completeAnswers = {
+    education_level: 'Bachelors',
+    degree_major: 'Computer Science',
+    gpa: 3.5,
+    target_degree: 'Masters',
+    field_of_study: 'Data Science',
+    preferred_countries: ['Canada'],
+    intake_year: 2027,
+    budget_max: 40000,
+    funding_plan: 'Loan'
+};
+
+beforeEach((t) => {
+    resetTables();
+    t.mock.method(console, 'log', () => {});
+});
+
+test('a user without a draft gets an empty one', async () => {
+    const draft = await getDraft(userId);
+
+    assert.deepEqual(draft.data, {});
+    assert.equal(draft.ready, false);
+    assert.ok(draft.missing_fields.includes('education_level'));
+});
+
+test('fields are saved one by one and invalid ones are reported, not stored', async () => {
+    await saveDraftFields(userId, { education_level: 'Bachelors' });
+    const { draft, fieldErrors } = await saveDraftFields(userId, { gpa: 7, degree_major: 'Physics' }, { confirmedFields: ['tests'] });
+
+    assert.deepEqual(draft.data, { education_level: 'Bachelors', degree_major: 'Physics' });
+    assert.deepEqual(Object.keys(fieldErrors), ['gpa']);
+    assert.deepEqual(draft.confirmed_fields, ['tests']);
+    assert.equal(tables.profile_drafts.length, 1);
+});
+
+test('null removes a field from the draft', async () => {
+    await saveDraftFields(userId, { education_level: 'Bachelors', degree_major: 'Physics' });
+    const { draft } = await saveDraftFields(userId, { degree_major: null });
+
+    assert.deepEqual(draft.data, { education_level: 'Bachelors' });
+});
+
+test('an incomplete draft is not promoted', async () => {
+    await saveDraftFields(userId, { education_level: 'Bachelors' });
+
+    await assert.rejects(promoteDraft(userId), (error) => {
+        assert.equal(error.status, 400);
+        assert.ok(error.details.target_degree);
+        return true;
+    });
+    assert.equal(tables.profiles, undefined);
+});
+
+test('a complete draft is promoted to the profile', async () => {
+    const { draft } = await saveDraftFields(userId, completeAnswers);
+    assert.equal(draft.ready, true);
+
+    const profile = await promoteDraft(userId);
+
+    assert.equal(profile.user_id, userId);
+    assert.equal(profile.profile_complete, true);
+    assert.equal(profile.sop_status, 'NOT_STARTED');
+    assert.ok(tables.profile_drafts[0].promoted_at);
+});
+
+test('onboarding resumes from the saved draft', async () => {
+    await runOnboardingTurn({ userQuery: 'bachelors', userId, currentFormData: {} });
+    assert.deepEqual(tables.profile_drafts[0].data, { education_level: 'Bachelors' });
+
+    // A new session without any client form data picks up at the next question
+    const response = await runOnboardingTurn({ userQuery: '', userId, currentFormData: {} });
+    assert.equal(response.onboarding.current_field, 'degree_major');
+});
+
+test('finishing onboarding promotes the draft', async () => {
+    await saveDraftFields(userId, completeAnswers, { confirmedFields: ['tests'] });
+
+    const response = await runOnboardingTurn({ userQuery: 'DRAFT', userId, currentFormData: {} });
+
+    assert.equal(response.onboarding.complete, true);
+    assert.equal(response.onboarding.profile_saved, true);
+    assert.match(response.text, /has been saved/);
+    assert.equal(tables.profiles[0].sop_status, 'DRAFT');
+});
+
+test('a discarded draft starts onboarding over', async () => {
+    await saveDraftFields(userId, { education_level: 'Bachelors' });
+    await discardDraft(userId);
+
+    assert.deepEqual((await getDraft(userId)).data, {});
+});
@@ -0,0 +1,98 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyProfileUpdates } = require('../services/profileService');
+const {
+    listProfileHistory,
+    diffProfileVersions,
+    revertProfileToVersion
+} = require('../services/profileHistory');
+
+const userId = 'user-1';
+
+beforeEach((t) => {
+    resetTables();
+    t.mock.method(console, 'log', () => {});
+});
+
+// Three change sets: v1 creates the profile, v2 is an AI edit, v3 a student edit
+async function buildHistory() {
+    await applyProfileUpdates(userId, {
+        education_level: 'Bachelors',
+        target_degree: 'Masters',
+        field_of_study: 'Computer Science',
+        intake_year: 2027,
+        preferred_countries: ['Germany'],
+        budget_max: 30000,
+        gpa: 3.2
+    });
+    await applyProfileUpdates(userId, { gpa: 3.6, ielts_score: 7 }, { updatedByAI: true, reason: 'AI_ACTION' });
+    await applyProfileUpdates(userId, { preferred_countries: ['Germany', 'Canada'] });
+}
+
+test('every profile write is recorded with who changed what', async () => {
+    await buildHistory();
+
+    const history = await listProfileHistory(userId);
+
+    assert.deepEqual(history.map(entry => entry.version), [3, 2, 1]);
+    assert.equal(history[1].changed_by, 'AI');
+    assert.equal(history[1].reason, 'AI_ACTION');
+    assert.deepEqual(history[1].fields, ['gpa', 'ielts_score']);
+    assert.deepEqual(history[1].changes.gpa, { old: 3.2, new: 3.6 });
+    assert.equal(history[0].changed_by, 'HUMAN');
+});
+
+test('a write that changes nothing is not recorded', async () => {
+    await buildHistory();
+
+    const { version } = await applyProfileUpdates(userId, { gpa: 3.6 });
+
+    assert.equal(version, null);
+    assert.equal(tables.profile_versions.length, 3);
+});
+
+test('versions are diffed against each other or the current profile', async () => {
+    await buildHistory();
+
+    const between = await diffProfileVersions(userId, 1, 2);
+    assert.deepEqual(Object.keys(between.changes), ['gpa', 'ielts_score']);
+
+    const current = await diffProfileVersions(userId, 2);
+    assert.equal(current.to, 'current');
+    assert.deepEqual(current.changes, {
+        preferred_countries: { old: ['Germany'], new: ['Germany', 'Canada'] }
+    });
+});
+
+test('an unknown version is a 404', async () => {
+    await buildHistory();
+
+    await assert.rejects(diffProfileVersions(userId, 9), { status: 404, message: 'Profile version 9 not found' });
+});
+
+test('reverting restores a version and is recorded as a new change set', async () => {
+    await buildHistory();
+
+    const { profile, version, changes } = await revertProfileToVersion(userId, 1);
+
+    assert.equal(profile.gpa, 3.2);
+    assert.equal(profile.ielts_score, null);
+    assert.deepEqual(profile.preferred_countries, ['Germany']);
+    assert.deepEqual(Object.keys(changes).sort(), ['gpa', 'ielts_score', 'preferred_countries']);
+
+    assert.equal(version, 4);
+    const [latest] = await listProfileHistory(userId);
+    assert.equal(latest.reason, 'REVERT');
+    assert.equal(latest.reverted_to_version, 1);
+});
+
+test('reverting to the current state changes nothing', async () => {
+    await buildHistory();
+
+    const { version, changes } = await revertProfileToVersion(userId, 3);
+
+    assert.equal(version, null);
+    assert.deepEqual(changes, {});
+});
@@ -0,0 +1,152 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildPdf } = require('./helpers/documents');
+const {
+    fileKind,
+    extractDocumentText,
+    findRuleProposals,
+    importDocument,
+    confirmImport
+} = require('../services/profileImport');
+
+const userId = 'user-1';
+
+const cvLines = [
+    'Priya Sharma - Curriculum Vitae',
+    'B.Tech in Computer Science, IIT Delhi (2019 - 2023)',
+    'Semester 7 GPA 9.1/10',
+    'Cumulative CGPA 8.4/10',
+    'IELTS Academic Overall 7.5 (March 2025)',
+    'GRE Q 168 V 157 Total 325',
+    'Volunteered to act as lead organiser for the coding club'
+];
+
+const pdfFile = (lines) => ({ originalname: 'cv.pdf', mimetype: 'application/pdf', buffer: buildPdf(lines) });
+
+// What the model proposes comes from a PROFILE_IMPORT fixture
+let fixturesDir;
+const modelProposes = (proposals) =>
+    fs.writeFileSync(path.join(fixturesDir, 'profile_import.json'), JSON.stringify({ proposals }));
+
+before(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-fixtures-'));
+    process.env.LLM_FIXTURES_DIR = fixturesDir;
+});
+after(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+    delete process.env.LLM_FIXTURES_DIR;
+});
+beforeEach(() => {
+    resetTables();
+    fs.rmSync(path.join(fixturesDir, 'profile_import.json'), { force: true });
+});
+
+test('only PDF and DOCX uploads are accepted', () => {
+    assert.equal(fileKind({ originalname: 'cv.pdf', mimetype: 'application/pdf' }), 'PDF');
+    assert.equal(fileKind({ originalname: 'CV.DOCX', mimetype: 'application/octet-stream' }), 'DOCX');
+    assert.equal(fileKind({ originalname: 'cv.doc', mimetype: 'application/msword' }), null);
+    assert.equal(fileKind({ originalname: 'cv.pdf', mimetype: 'image/png' }), null);
+});
+
+test('text is read from a PDF line by line', async () => {
+    assert.equal(await extractDocumentText(pdfFile(cvLines)), cvLines.join('\n'));
+});
+
+test('unsupported, unreadable and empty documents are refused', async () => {
+    await assert.rejects(extractDocumentText({ originalname: 'cv.txt', mimetype: 'text/plain', buffer: Buffer.from('IELTS 7.5') }), { status: 400 });
+    await assert.rejects(extractDocumentText({ originalname: 'cv.pdf', mimetype: 'application/pdf', buffer: Buffer.from('not a pdf') }), { status: 422 });
+    await assert.rejects(extractDocumentText(pdfFile(['Page 1'])), { status: 422, message: /No text found/ });
+});
+
+test('rules read labelled test scores, their dates and the overall grade', () => {
+    const proposals = findRuleProposals(cvLines.join('\n'));
+    const byField = Object.fromEntries(proposals.map(proposal => [proposal.field, proposal]));
+
+    assert.equal(byField.ielts_score.value, 7.5);
+    assert.equal(byField.ielts_date.value, '2025-03-01');
+    // The first number on the GRE scale, not the section scores
+    assert.equal(byField.gre_score.value, 325);
+    // The cumulative grade wins over a semester grade
+    assert.deepEqual(byField.gpa.value, { gpa_original: 8.4, gpa_scale: 'CGPA_10' });
+    assert.equal(byField.gpa.source, 'Cumulative CGPA 8.4/10');
+    // "act" in prose is not the ACT
+    assert.equal(byField.act_score, undefined);
+    assert.ok(proposals.every(proposal => proposal.method === 'RULE'));
+});
+
+test('an import combines rule and model proposals and checks the model snippets', async () => {
+    modelProposes([
+        { field: 'degree_major', value: 'Computer Science', confidence: 0.9, source: 'B.Tech in Computer Science, IIT Delhi (2019 - 2023)' },
+        { field: 'education_level', value: 'Bachelors', confidence: 0.9, source: 'Bachelor of Technology' },
+        { field: 'grad_year', value: 1850, confidence: 0.9, source: 'IIT Delhi (2019 - 2023)' },
+        { field: 'ielts_score', value: 8, confidence: 0.9, source: 'IELTS Academic Overall 7.5 (March 2025)' }
+    ]);
+
+    const record = await importDocument(userId, pdfFile(cvLines), 'CV');
+    const byField = Object.fromEntries(record.proposals.map(proposal => [proposal.field, proposal]));
+
+    assert.equal(record.status, 'PENDING');
+    assert.equal(record.partial, false);
+    assert.deepEqual(record.proposals.map(proposal => proposal.field), [
+        'education_level', 'degree_major', 'gpa', 'ielts_score', 'ielts_date', 'gre_score'
+    ]);
+    assert.deepEqual(record.proposals.map(proposal => proposal.id), ['p1', 'p2', 'p3', 'p4', 'p5', 'p6']);
+
+    assert.equal(byField.degree_major.source_verified, true);
+    assert.equal(byField.degree_major.confidence, 0.9);
+    // Snippet not in the document: kept with capped confidence
+    assert.equal(byField.education_level.source_verified, false);
+    assert.equal(byField.education_level.confidence, 0.4);
+    // The rule reading of a test score wins over the model's
+    assert.equal(byField.ielts_score.value, 7.5);
+    assert.equal(byField.ielts_score.method, 'RULE');
+    // Grades are shown with their 4.0 equivalent
+    assert.equal(byField.gpa.value.gpa, 3.66);
+    // Invalid values are dropped
+    assert.equal(byField.grad_year, undefined);
+});
+
+test('confirming saves only the picked proposals, with edits, to the draft', async () => {
+    const record = await importDocument(userId, pdfFile(cvLines), 'CV');
+    const idOf = (field) => record.proposals.find(proposal => proposal.field === field).id;
+
+    const result = await confirmImport(userId, record.id, {
+        proposal_ids: [idOf('ielts_score'), idOf('gpa')],
+        overrides: { [idOf('ielts_score')]: 8 }
+    });
+
+    assert.deepEqual(result.applied_fields, ['ielts_score', 'gpa']);
+    assert.equal(result.draft.data.ielts_score, 8);
+    assert.equal(result.draft.data.gpa_scale, 'CGPA_10');
+    assert.equal(result.draft.data.gre_score, undefined);
+    assert.equal(tables.profile_imports[0].status, 'APPLIED');
+
+    await assert.rejects(confirmImport(userId, record.id, { proposal_ids: [idOf('gre_score')] }), { status: 409 });
+});
+
+test('an edited grade without a scale keeps the scale of the profile', async () => {
+    tables.profiles = [{ user_id: userId, gpa: 3.3, gpa_original: '82', gpa_scale: 'PERCENTAGE' }];
+    const record = await importDocument(userId, pdfFile(cvLines), 'CV');
+    const gpaId = record.proposals.find(proposal => proposal.field === 'gpa').id;
+
+    const result = await confirmImport(userId, record.id, {
+        proposal_ids: [gpaId],
+        overrides: { [gpaId]: { gpa_original: 85 } }
+    });
+
+    assert.equal(result.profile.gpa_scale, 'PERCENTAGE');
+    assert.equal(result.profile.gpa_original, '85');
+});
+
+test('confirming refuses an empty or unknown selection', async () => {
+    const record = await importDocument(userId, pdfFile(cvLines), 'CV');
+
+    await assert.rejects(confirmImport(userId, record.id, { proposal_ids: [] }), { status: 400 });
+    await assert.rejects(confirmImport(userId, record.id, { proposal_ids: ['p99'] }), { status: 400, message: 'Unknown proposal: p99' });
+    assert.equal(tables.profile_imports[0].status, 'PENDING');
+});
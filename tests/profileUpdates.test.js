@@ -0,0 +1,125 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { executeAction, undoAction } = require('../services/actionExecutor');
+const { createProposals, decideProposals, acceptAction } = require('../services/actionInbox');
+const { validateProfileUpdate, updateProfile } = require('../services/profileService');
+
+const userId = 'user-1';
+
+beforeEach(() => {
+    resetTables();
+    tables.profiles = [{
+        id: 'profile-1',
+        user_id: userId,
+        education_level: 'Bachelors',
+        target_degree: 'Masters',
+        field_of_study: 'Computer Science',
+        preferred_countries: ['Germany'],
+        gpa: 3.2,
+        ielts_score: null
+    }];
+});
+
+test('an onboarding update is validated and written to the profile', async () => {
+    const { result, undoData } = await executeAction(userId, {
+        type: 'UPDATE_ONBOARDING_STATE',
+        payload: { gpa: 3.6, ielts_score: 7.5 }
+    });
+
+    // A bare gpa is recorded as a 4.0-scale original grade
+    const fields = ['gpa', 'ielts_score', 'gpa_original', 'gpa_scale'];
+    assert.deepEqual(result.updated_fields, fields);
+    assert.equal(tables.profiles[0].gpa, 3.6);
+    assert.equal(tables.profiles[0].gpa_scale, 'GPA_4');
+    assert.equal(tables.profiles[0].ielts_score, 7.5);
+    assert.equal(tables.profiles[0].last_updated_by_ai, true);
+    assert.deepEqual(undoData.previous, { gpa: 3.2, ielts_score: null, gpa_original: null, gpa_scale: null });
+
+    const activity = tables.user_activities.find(row => row.activity_type === 'PROFILE_UPDATE');
+    assert.deepEqual(activity.metadata, { fields, updated_by: 'AI' });
+});
+
+test('undo puts the previous values back', async () => {
+    const { undoData } = await executeAction(userId, { type: 'UPDATE_ONBOARDING_STATE', payload: { gpa: 3.9 } });
+
+    await undoAction(userId, 'UPDATE_ONBOARDING_STATE', undoData);
+
+    assert.equal(tables.profiles[0].gpa, 3.2);
+    assert.equal(tables.profiles[0].last_updated_by_ai, false);
+});
+
+test('values the profile form would refuse are refused with field errors', async () => {
+    await assert.rejects(
+        executeAction(userId, { type: 'UPDATE_ONBOARDING_STATE', payload: { gpa: 5, target_degree: 'Diploma' } }),
+        (error) => {
+            assert.equal(error.status, 400);
+            assert.deepEqual(Object.keys(error.details), ['gpa', 'target_degree']);
+            return true;
+        }
+    );
+    assert.equal(tables.profiles[0].gpa, 3.2);
+});
+
+test('bulk decisions on counsellor proposals report field errors per proposal', async () => {
+    const [action] = await createProposals({
+        userId,
+        conversationId: 'conversation-1',
+        messageId: 'message-1',
+        mode: 'COUNSELLOR',
+        actions: [{ type: 'UPDATE_ONBOARDING_STATE', payload: { ielts_score: 12 } }]
+    });
+
+    const [result] = await decideProposals(userId, [action.proposal_id], 'ACCEPT');
+
+    assert.equal(result.success, false);
+    assert.equal(result.error.status, 400);
+    assert.match(result.error.details.ielts_score, /less than or equal to 9/);
+});
+
+test('a direct onboarding update reports field errors', async () => {
+    await assert.rejects(
+        acceptAction(userId, { type: 'UPDATE_ONBOARDING_STATE', payload: { ielts_score: 12 } }),
+        (error) => {
+            assert.equal(error.status, 400);
+            assert.match(error.details.ielts_score, /less than or equal to 9/);
+            return true;
+        }
+    );
+});
+
+test('a gpa set directly replaces the original grade, clearing it clears both', () => {
+    assert.deepEqual(validateProfileUpdate({ gpa: 3.4 }).value, { gpa: 3.4, gpa_original: '3.4', gpa_scale: 'GPA_4' });
+    assert.deepEqual(validateProfileUpdate({ gpa: null }).value, { gpa: null, gpa_original: null, gpa_scale: null });
+    assert.deepEqual(validateProfileUpdate({ gpa_original: 8, gpa_scale: 'CGPA_10' }).value, { gpa_original: '8', gpa_scale: 'CGPA_10', gpa: 3.5 });
+});
+
+test('a grade sent without a scale is read on the scale already stored', () => {
+    const stored = { gpa: 3.5, gpa_original: '8', gpa_scale: 'CGPA_10' };
+
+    assert.deepEqual(validateProfileUpdate({ gpa_original: 8 }, stored).value, { gpa_original: '8', gpa_scale: 'CGPA_10', gpa: 3.5 });
+    // Nothing stored: the 4.0 scale, on which 8 is out of range
+    assert.ok(validateProfileUpdate({ gpa_original: 8 }).fieldErrors.gpa_original);
+});
+
+test('a profile update needs an existing profile', async () => {
+    tables.profiles = [];
+
+    await assert.rejects(updateProfile(userId, { ielts_score: 7 }), { status: 404, message: 'Profile not found' });
+    assert.deepEqual(tables.profiles, []);
+});
+
+test('every write recomputes whether the profile is complete', async () => {
+    const completed = await updateProfile(userId, { intake_year: 2027, budget_max: 30000 });
+    assert.equal(completed.profile_complete, true);
+
+    const cleared = await updateProfile(userId, { budget_max: null });
+    assert.equal(cleared.profile_complete, false);
+
+    await assert.rejects(updateProfile(userId, { ielts_score: 12 }), (error) => {
+        assert.equal(error.status, 400);
+        assert.ok(error.details.ielts_score);
+        return true;
+    });
+});
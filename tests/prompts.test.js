@@ -0,0 +1,74 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderPrompt, registerPrompt, listPrompts } = require('../services/prompts');
+const { getLLMResponse } = require('../services/aiService');
+const { getUsageSummary } = require('../services/usageMeter');
+
+registerPrompt({ id: 'GREETING', version: 'v1', variables: ['name'], system: ({ name }) => `Hello ${name}` });
+registerPrompt({ id: 'GREETING', version: 'v2', variables: ['name'], system: ({ name }) => `Hi ${name}`, user: () => 'Say hi' });
+
+beforeEach(() => resetTables());
+afterEach(() => {
+    delete process.env.PROMPT_VERSIONS;
+    delete process.env.PROMPT_AB_TESTS;
+});
+
+test('the latest version is rendered by default', () => {
+    const prompt = renderPrompt('GREETING', { name: 'Asha' });
+
+    assert.deepEqual(prompt, { id: 'GREETING', version: 'v2', abTest: false, tools: false, system: 'Hi Asha', user: 'Say hi' });
+});
+
+test('PROMPT_VERSIONS pins a version, ignoring unknown pins', () => {
+    process.env.PROMPT_VERSIONS = 'greeting=v1';
+    assert.equal(renderPrompt('GREETING', { name: 'Asha' }).system, 'Hello Asha');
+
+    process.env.PROMPT_VERSIONS = 'GREETING=v9';
+    assert.equal(renderPrompt('GREETING', { name: 'Asha' }).version, 'v2');
+});
+
+test('A/B tests keep each user on one variant and split users between them', () => {
+    process.env.PROMPT_AB_TESTS = 'GREETING=v1:v2';
+
+    const versions = Array.from({ length: 40 }, (_, i) => renderPrompt('GREETING', { name: 'x' }, { userId: `user-${i}` }));
+    assert.ok(versions.every(prompt => prompt.abTest));
+    assert.deepEqual(new Set(versions.map(prompt => prompt.version)), new Set(['v1', 'v2']));
+
+    const first = renderPrompt('GREETING', { name: 'x' }, { userId: 'user-7' }).version;
+    for (let i = 0; i < 5; i++) {
+        assert.equal(renderPrompt('GREETING', { name: 'x' }, { userId: 'user-7' }).version, first);
+    }
+});
+
+test('missing variables, unknown prompts and duplicate versions are refused', () => {
+    assert.throws(() => renderPrompt('GREETING', {}), /GREETING@v2 is missing variables: name/);
+    assert.throws(() => renderPrompt('NOPE'), /Unknown prompt: NOPE/);
+    assert.throws(() => renderPrompt('GREETING', { name: 'x' }, { version: 'v5' }), /Unknown prompt version GREETING@v5/);
+    assert.throws(() => registerPrompt({ id: 'GREETING', version: 'v1', system: () => '' }), /already registered/);
+});
+
+test('every registered prompt is listed with its versions', () => {
+    process.env.PROMPT_VERSIONS = 'GREETING=v1';
+    const prompts = listPrompts();
+
+    const greeting = prompts.find(prompt => prompt.id === 'GREETING');
+    assert.equal(greeting.latest_version, 'v2');
+    assert.equal(greeting.pinned_version, 'v1');
+    assert.deepEqual(greeting.versions.map(v => v.version), ['v1', 'v2']);
+    assert.ok(['COUNSELLOR', 'ONBOARDING', 'ENRICHMENT'].every(id => prompts.some(prompt => prompt.id === id)));
+});
+
+test('the prompt version is returned with the response and recorded in usage', async () => {
+    const prompt = renderPrompt('GREETING', { name: 'Asha' });
+    const response = await getLLMResponse([{ role: 'user', content: prompt.user }], prompt.system, { userId: 'user-1', prompt });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(response._prompt, { id: 'GREETING', version: 'v2' });
+    assert.equal(tables.llm_usage[0].prompt_id, 'GREETING');
+    assert.equal(tables.llm_usage[0].prompt_version, 'v2');
+
+    const summary = await getUsageSummary(1);
+    assert.equal(summary.by_prompt['GREETING@v2'].requests, 1);
+});
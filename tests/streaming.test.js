@@ -0,0 +1,117 @@
+require('./helpers/supabaseStub');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { LLM_FEATURES, getProvider, registerProvider } = require('../services/providers');
+const { createTextFieldStreamer } = require('../services/providers/parseResponse');
+const { streamLLMResponse, streamAIResponse } = require('../services/aiService');
+
+// The mock logs every stream it starts; keep that out of the test output
+beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+// Feed chunks into a fresh streamer and collect what it emits
+function streamChunks(chunks) {
+    const emitted = [];
+    const feed = createTextFieldStreamer(text => emitted.push(text));
+    chunks.forEach(feed);
+    return emitted;
+}
+
+test('only the "text" field is streamed, however the JSON is chunked', () => {
+    const raw = '{ "tone": "CALM", "text": "Apply early.", "actions": [] }';
+    const emitted = streamChunks(raw.match(/.{1,5}/gs));
+
+    assert.equal(emitted.join(''), 'Apply early.');
+    assert.ok(emitted.length > 1);
+});
+
+test('escapes split across chunks are decoded once complete', () => {
+    const emitted = streamChunks(['{"text": "Line one\\', 'nSay \\"hi\\" \\u00', 'e9t\\u00e9"', ', "actions": []}']);
+
+    assert.equal(emitted.join(''), 'Line one\nSay "hi" été');
+});
+
+test('the mock streams the counsellor answer and resolves with the parsed response', async () => {
+    let streamed = '';
+    const response = await streamLLMResponse([{ role: 'user', content: 'Hi' }], 'system', {
+        feature: LLM_FEATURES.COUNSELLOR
+    }, { onText: text => { streamed += text; } });
+
+    assert.equal(streamed, response.text);
+    assert.match(streamed, /offline mock response/);
+    assert.equal(response._aiSource, 'MOCK');
+});
+
+test('an aborted stream stops and is not retried on another provider', async () => {
+    const controller = new AbortController();
+    let streamed = '';
+
+    await assert.rejects(
+        streamLLMResponse([{ role: 'user', content: 'Hi' }], 'system', {
+            feature: LLM_FEATURES.COUNSELLOR
+        }, {
+            signal: controller.signal,
+            onText: text => {
+                streamed += text;
+                controller.abort();
+            }
+        }),
+        /Mock stream aborted/
+    );
+    assert.ok(streamed.length > 0);
+});
+
+test('providers without streaming support emit their full text once', async () => {
+    const original = getProvider('MOCK');
+    registerProvider('MOCK', { name: 'MOCK', isConfigured: () => true, generate: async () => ({ text: 'All at once' }) });
+
+    try {
+        const emitted = [];
+        const response = await streamLLMResponse([{ role: 'user', content: 'Hi' }], 'system', {}, {
+            onText: text => emitted.push(text)
+        });
+        assert.deepEqual(emitted, ['All at once']);
+        assert.equal(response.text, 'All at once');
+    } finally {
+        registerProvider('MOCK', original);
+    }
+});
+
+test('a repaired answer replaces the streamed text', async (t) => {
+    const original = getProvider('MOCK');
+    const answers = [{ text: 'Apply early!', tone: 'SHOUTY' }, { text: 'Apply early.', tone: 'NUDGING' }];
+    registerProvider('MOCK', { name: 'MOCK', isConfigured: () => true, generate: async () => answers.shift() });
+    // The first answer fails the schema and is repaired
+    t.mock.method(console, 'warn', () => {});
+
+    try {
+        let streamed = '';
+        const replaced = [];
+        const response = await streamAIResponse({
+            userQuery: 'Hi',
+            userId: 'user-1',
+            onText: text => { streamed += text; },
+            onReplace: text => replaced.push(text)
+        });
+
+        assert.equal(streamed, 'Apply early!');
+        assert.deepEqual(replaced, ['Apply early.']);
+        assert.equal(response.text, 'Apply early.');
+    } finally {
+        registerProvider('MOCK', original);
+    }
+});
+
+test('an answer streamed as it is kept is not replaced', async () => {
+    const replaced = [];
+    let streamed = '';
+    const response = await streamAIResponse({
+        userQuery: 'Hi',
+        userId: 'user-1',
+        onText: text => { streamed += text; },
+        onReplace: text => replaced.push(text)
+    });
+
+    assert.equal(streamed, response.text);
+    assert.deepEqual(replaced, []);
+});
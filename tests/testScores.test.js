@@ -0,0 +1,113 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    toIeltsBand,
+    getEnglishProficiency,
+    getBestAdmissionTest,
+    formatTestScores,
+    expiryDate,
+    checkTestValidity
+} = require('../utils/testScores');
+const { calculateAcceptanceScore } = require('../utils/acceptanceScore');
+const { setApplicationDeadline } = require('../services/lockService');
+
+const university = { name: 'Test University', country: 'Canada', rank: 150 };
+const today = new Date('2026-01-15T00:00:00Z');
+const statuses = (issues) => issues.map(issue => `${issue.field}:${issue.status}`);
+
+test('English scores map to the IELTS band scale', () => {
+    assert.equal(toIeltsBand('ielts_score', 7), 7);
+    assert.equal(toIeltsBand('toefl_score', 100), 7.0);
+    assert.equal(toIeltsBand('pte_score', 66), 7.0);
+    assert.equal(toIeltsBand('gre_score', 320), null);
+
+    assert.deepEqual(getEnglishProficiency({ ielts_score: 6.5, toefl_score: 110 }), {
+        band: 8.0, field: 'toefl_score', score: 110, label: 'TOEFL'
+    });
+    assert.equal(getBestAdmissionTest({ gre_score: 320 }).fraction, 0.75);
+});
+
+test('the best English test counts for scoring, whichever test it is', () => {
+    const pte = calculateAcceptanceScore({ pte_score: 66 }, university);
+    const ielts = calculateAcceptanceScore({ ielts_score: 7 }, university);
+
+    assert.equal(pte.breakdown.testScores.score, ielts.breakdown.testScores.score);
+    assert.match(pte.breakdown.testScores.note, /PTE Academic 66/);
+});
+
+test('scores are listed with their IELTS equivalent', () => {
+    assert.equal(
+        formatTestScores({ gre_score: 320, pte_score: 65, cambridge_score: 190, cambridge_exam: 'C1_ADVANCED' }),
+        'PTE Academic 65 (≈IELTS 6.5), Cambridge C1 Advanced 190 (≈IELTS 7), GRE 320'
+    );
+    assert.equal(formatTestScores({}), 'None');
+});
+
+test('tests expire after their validity period', () => {
+    assert.equal(expiryDate('ielts_score', '2024-03-01').toISOString().slice(0, 10), '2026-03-01');
+    assert.equal(expiryDate('gre_score', '2024-03-01').toISOString().slice(0, 10), '2029-03-01');
+    assert.equal(expiryDate('sat_score', '2024-03-01'), null);
+});
+
+test('an expired score is reported, one without a date asks for the date', () => {
+    const issues = checkTestValidity({
+        ielts_score: 7, ielts_date: '2023-06-01',
+        gre_score: 320
+    }, { today });
+
+    assert.deepEqual(statuses(issues), ['ielts_score:EXPIRED', 'gre_score:DATE_MISSING']);
+    assert.equal(issues[0].expires_on, '2025-06-01');
+});
+
+test('a valid test of the same group covers an expired one', () => {
+    const issues = checkTestValidity({
+        ielts_score: 7, ielts_date: '2023-06-01',
+        toefl_score: 100, toefl_date: '2025-09-01'
+    }, { today });
+
+    assert.deepEqual(issues, []);
+});
+
+test('scores expiring before a locked deadline or the intake are flagged', () => {
+    const profile = { ielts_score: 7.5, ielts_date: '2024-05-01', intake_year: 2026 };
+    const locks = [{ university_id: 'u1', application_deadline: '2026-06-30', university: { name: 'Test University' } }];
+
+    const withLock = checkTestValidity(profile, { locks, today });
+    assert.deepEqual(statuses(withLock), ['ielts_score:EXPIRES_BEFORE_DEADLINE']);
+    assert.equal(withLock[0].university.name, 'Test University');
+
+    assert.deepEqual(statuses(checkTestValidity(profile, { today })), ['ielts_score:EXPIRES_BEFORE_INTAKE']);
+});
+
+test('tests without an expiry are never flagged', () => {
+    assert.deepEqual(checkTestValidity({ sat_score: 1450, cambridge_score: 190 }, { today }), []);
+});
+
+test('setting a lock deadline adds a send-scores task for a score that expires first', async (t) => {
+    resetTables();
+    t.mock.method(console, 'log', () => {});
+    const expiresSoon = new Date();
+    expiresSoon.setFullYear(expiresSoon.getFullYear() - 2);
+    expiresSoon.setMonth(expiresSoon.getMonth() + 2);
+    const deadline = new Date();
+    deadline.setMonth(deadline.getMonth() + 6);
+
+    tables.application_plans = [{ id: 'plan-1', user_id: 'user-1', name: 'Main plan', is_active: true }];
+    tables.profiles = [{ user_id: 'user-1', ielts_score: 7, ielts_date: expiresSoon.toISOString().slice(0, 10) }];
+    // The stub ignores joins, so the lock carries its university
+    tables.university_locks = [{
+        id: 'lock-1', user_id: 'user-1', plan_id: 'plan-1', university_id: 'uni-1', unlocked_at: null,
+        university: { id: 'uni-1', name: 'Test University' }
+    }];
+
+    await setApplicationDeadline('user-1', 'lock-1', deadline.toISOString().slice(0, 10));
+
+    const task = tables.tasks.find(row => row.title === 'Send IELTS scores to Test University');
+    assert.ok(task);
+    assert.equal(task.related_university_id, 'uni-1');
+
+    await assert.rejects(setApplicationDeadline('user-1', 'lock-1', 'next week'), { status: 400 });
+    await assert.rejects(setApplicationDeadline('user-2', 'lock-1', null), { status: 404 });
+});
@@ -0,0 +1,92 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { runStructuredSearch } = require('../services/universitySearch');
+const { generateAIResponse } = require('../services/aiService');
+const { searchFiltersSchema } = require('../services/aiResponseSchemas');
+
+let fixturesDir;
+const originalGet = axios.get;
+
+before(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-fixtures-'));
+    process.env.LLM_FIXTURES_DIR = fixturesDir;
+    // Hipolabs finds nothing, so results come from the universities table only
+    axios.get = async () => ({ data: [] });
+});
+after(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+    delete process.env.LLM_FIXTURES_DIR;
+    axios.get = originalGet;
+});
+
+beforeEach(() => {
+    resetTables();
+    tables.profiles = [{ user_id: 'user-1', preferred_countries: ['Netherlands'], budget_max: 20000, ielts_score: 7 }];
+    tables.universities = [
+        { id: 'uni-tum', name: 'Technical University of Munich', country: 'Germany', tuition_estimate: 3000, acceptance_rate: 40, rank: 30 },
+        { id: 'uni-rwth', name: 'RWTH Aachen University', country: 'Germany', tuition_estimate: 2000, acceptance_rate: 50, rank: 100 },
+        { id: 'uni-lmu', name: 'Ludwig Maximilian University of Munich', country: 'Germany', tuition_estimate: 25000, acceptance_rate: 30, rank: 60 },
+        { id: 'uni-tud', name: 'Delft University of Technology', country: 'Netherlands', tuition_estimate: 18000, acceptance_rate: 60, rank: 50 }
+    ];
+});
+
+const filters = (values) => searchFiltersSchema.validate(values).value;
+
+test('metric filters and country aliases narrow the candidates', async () => {
+    const search = await runStructuredSearch(filters({ countries: ['germany'], max_tuition: 5000, sort_by: 'tuition' }), 'user-1');
+
+    assert.deepEqual(search.filters.countries, ['Germany']);
+    assert.equal(search.total, 2);
+    assert.deepEqual(search.results.map(result => result.university.id), ['uni-rwth', 'uni-tum']);
+    assert.equal(search.results[0].within_budget, true);
+    assert.ok(['DREAM', 'TARGET', 'SAFE'].includes(search.results[0].acceptance_score.category));
+});
+
+test('a query without countries uses the student\'s preferred countries', async () => {
+    const search = await runStructuredSearch(filters({}), 'user-1');
+
+    assert.deepEqual(search.filters.countries, ['Netherlands']);
+    assert.deepEqual(search.results.map(result => result.university.id), ['uni-tud']);
+});
+
+test('a name search is not limited to the preferred countries', async () => {
+    const search = await runStructuredSearch(filters({ name: 'munich', sort_by: 'rank' }), 'user-1');
+
+    assert.deepEqual(search.filters.countries, []);
+    assert.deepEqual(search.results.map(result => result.university.id), ['uni-tum', 'uni-lmu']);
+});
+
+test('nothing is searched without a country or a name', async () => {
+    tables.profiles[0].preferred_countries = [];
+
+    const search = await runStructuredSearch(filters({}), 'user-1');
+    assert.deepEqual(search, { filters: { ...filters({}), countries: [] }, results: [], total: 0 });
+});
+
+test('SEARCH mode runs the filters parsed by the model and logs the search', async () => {
+    fs.writeFileSync(path.join(fixturesDir, 'search.json'), JSON.stringify({
+        text: 'Cheap options in Germany.',
+        filters: { countries: ['Germany'], max_tuition: 2500 }
+    }));
+
+    const response = await generateAIResponse({ userQuery: 'cheap unis in germany', userId: 'user-1', mode: 'SEARCH' });
+
+    assert.equal(response.text, 'Cheap options in Germany.');
+    assert.equal(response.total, 1);
+    assert.equal(response.results[0].university.id, 'uni-rwth');
+    assert.equal(tables.user_activities[0].activity_type, 'SEARCH_UNIVERSITY');
+});
+
+test('a SEARCH answer without filters returns no results', async () => {
+    fs.writeFileSync(path.join(fixturesDir, 'search.json'), JSON.stringify({ text: 'Where would you like to study?' }));
+
+    const response = await generateAIResponse({ userQuery: '??', userId: 'user-1', mode: 'SEARCH' });
+
+    assert.deepEqual([response.filters, response.results, response.total], [null, [], 0]);
+});
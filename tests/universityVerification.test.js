@@ -0,0 +1,93 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { verifyUniversity, normalizeName, scoreCandidate } = require('../services/universityVerification');
+const { findOrCreateUniversity } = require('../services/universityEnrichment');
+
+// Hipolabs answers with substring matches on name within the requested country
+const HIPOLABS = [
+    { name: 'Massachusetts Institute of Technology', country: 'United States', domains: ['mit.edu'] },
+    { name: 'University of Oxford', country: 'United Kingdom', domains: ['ox.ac.uk'] },
+    { name: 'Technische Universität München', country: 'Germany', domains: ['tum.de'], 'state-province': 'Bavaria' }
+];
+const originalGet = axios.get;
+
+before(() => {
+    axios.get = async (url, { params }) => ({
+        data: HIPOLABS.filter(uni =>
+            (!params.name || uni.name.toLowerCase().includes(params.name.toLowerCase())) &&
+            (!params.country || uni.country === params.country))
+    });
+});
+after(() => {
+    axios.get = originalGet;
+});
+
+beforeEach(() => resetTables());
+
+test('names are compared without accents, punctuation, stopwords or abbreviations', () => {
+    assert.equal(normalizeName('Technische Universität München'), 'technische universitat munchen');
+    assert.equal(normalizeName('Univ. of St. Andrews'), 'university saint andrews');
+});
+
+test('acronyms, partial names and typos score as likely matches', () => {
+    const mit = { name: 'Massachusetts Institute of Technology', country: 'United States' };
+    const oxford = { name: 'University of Oxford', country: 'United Kingdom' };
+
+    assert.ok(scoreCandidate('MIT', null, mit) >= 0.9);
+    assert.ok(scoreCandidate('Oxford', 'United Kingdom', oxford) >= 0.85);
+    assert.ok(scoreCandidate('Univrsity of Oxfrd', null, oxford) >= 0.6);
+    assert.ok(scoreCandidate('Oxford', 'Germany', oxford) < scoreCandidate('Oxford', 'United Kingdom', oxford));
+});
+
+test('a known name is verified against Hipolabs with suggestions', async () => {
+    const result = await verifyUniversity('Oxford', 'UK');
+
+    assert.equal(result.status, 'VERIFIED');
+    assert.equal(result.source, 'HIPOLABS');
+    assert.equal(result.match.external_id, 'ox.ac.uk');
+    assert.equal(result.suggestions[0].name, 'University of Oxford');
+});
+
+test('an invented university is not found', async () => {
+    const result = await verifyUniversity('Zorblax Academy of Quantum Basketweaving', 'Germany');
+
+    assert.equal(result.status, 'NOT_FOUND');
+    assert.equal(result.match, null);
+});
+
+test('an existing row is reused instead of creating a new one', async () => {
+    tables.universities = [{ id: 'uni-tum', external_id: 'tum.de', name: 'Technical University of Munich', country: 'Germany', data_source: 'HIPOLABS' }];
+
+    const university = await findOrCreateUniversity('Technical University Munich', 'Germany', 'user-1');
+
+    assert.equal(university.id, 'uni-tum');
+    assert.equal(university.verification.status, 'VERIFIED');
+    assert.equal(tables.universities.length, 1);
+});
+
+test('a Hipolabs match is created under its real name, with AI only filling in metrics', async () => {
+    const university = await findOrCreateUniversity('Technische Universitat Munchen', 'Germany', 'user-1');
+
+    assert.equal(university.name, 'Technische Universität München');
+    assert.equal(university.external_id, 'tum.de');
+    assert.equal(university.city, 'Bavaria');
+    assert.equal(university.tuition_estimate, 20000);
+    assert.equal(university.added_by_user_id, 'user-1');
+    assert.match(university.verification_notes, /"Technische Universitat Munchen" matched to "Technische Universität München"/);
+});
+
+test('unverifiable names are refused unless explicitly allowed', async () => {
+    await assert.rejects(findOrCreateUniversity('Zorblax Academy', 'Germany', 'user-1'), (error) => {
+        assert.equal(error.status, 422);
+        assert.equal(error.details.verification.status, 'NOT_FOUND');
+        return true;
+    });
+    assert.deepEqual(tables.universities, []);
+
+    const university = await findOrCreateUniversity('Zorblax Academy', 'Germany', 'user-1', { allowUnverified: true });
+    assert.equal(university.verified, false);
+    assert.equal(university.verification_notes, 'Unverified AI suggestion "Zorblax Academy"');
+});
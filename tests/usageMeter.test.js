@@ -0,0 +1,105 @@
+const { tables, resetTables } = require('./helpers/supabaseStub');
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { recordUsage, checkQuota, getUserUsage, calculateCost } = require('../services/usageMeter');
+const { getLLMResponse } = require('../services/aiService');
+const { LLM_FEATURES } = require('../services/providers');
+
+const usageRow = (feature, inputTokens, outputTokens, costUsd) => ({
+    user_id: 'user-1',
+    feature,
+    input_tokens: inputTokens,
+    output_tokens: outputTokens,
+    cost_usd: costUsd,
+    created_at: new Date().toISOString()
+});
+
+beforeEach(() => resetTables());
+afterEach(() => {
+    delete process.env.LLM_QUOTA_DAILY_REQUESTS;
+    delete process.env.LLM_QUOTA_MONTHLY_TOKENS;
+});
+
+test('cost uses the per-million token price of the model', () => {
+    assert.equal(calculateCost('gemini-2.5-flash', 1000000, 1000000), 2.8);
+    assert.equal(calculateCost('unknown-model', 1000, 1000), 0);
+});
+
+test('reported token counts are recorded as exact', async () => {
+    await recordUsage({
+        userId: 'user-1',
+        feature: LLM_FEATURES.COUNSELLOR,
+        response: { _aiSource: 'GEMINI', _model: 'gemini-2.5-flash', _usage: { inputTokens: 1200, outputTokens: 300 } }
+    });
+
+    const [row] = tables.llm_usage;
+    assert.equal(row.provider, 'GEMINI');
+    assert.equal(row.input_tokens, 1200);
+    assert.equal(row.output_tokens, 300);
+    assert.equal(row.estimated, false);
+});
+
+test('every LLM call is metered, estimating tokens when the provider reports none', async () => {
+    await getLLMResponse([{ role: 'user', content: 'Hi' }], 'system prompt', {
+        feature: LLM_FEATURES.COUNSELLOR,
+        userId: 'user-1'
+    });
+    // Usage is recorded without holding up the response
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [row] = tables.llm_usage;
+    assert.equal(row.user_id, 'user-1');
+    assert.equal(row.feature, 'COUNSELLOR');
+    assert.equal(row.provider, 'MOCK');
+    assert.equal(row.estimated, true);
+    assert.ok(row.input_tokens > 0 && row.output_tokens > 0);
+});
+
+test('usage is totalled per feature', async () => {
+    tables.llm_usage = [
+        usageRow('COUNSELLOR', 100, 50, 0.001),
+        usageRow('COUNSELLOR', 200, 50, 0.002),
+        usageRow('GUIDANCE', 10, 10, 0.0005)
+    ];
+
+    const { today, month } = await getUserUsage('user-1');
+
+    assert.equal(today.requests, 3);
+    assert.equal(month.total_tokens, 420);
+    assert.equal(month.cost_usd, 0.0035);
+    assert.deepEqual(month.by_feature.COUNSELLOR, { requests: 2, total_tokens: 400, cost_usd: 0.003 });
+});
+
+test('quotas are unlimited unless configured', async () => {
+    tables.llm_usage = [usageRow('COUNSELLOR', 100000, 100000, 1)];
+
+    assert.equal((await checkQuota('user-1')).allowed, true);
+});
+
+test('calls past the daily request quota are refused without reaching a provider', async () => {
+    process.env.LLM_QUOTA_DAILY_REQUESTS = '2';
+    tables.llm_usage = [usageRow('COUNSELLOR', 10, 10, 0), usageRow('COUNSELLOR', 10, 10, 0)];
+
+    const quota = await checkQuota('user-1');
+    assert.equal(quota.allowed, false);
+    assert.equal(quota.reason, 'daily AI usage limit reached');
+
+    const response = await getLLMResponse([{ role: 'user', content: 'Hi' }], 'system', {
+        feature: LLM_FEATURES.COUNSELLOR,
+        userId: 'user-1'
+    });
+    assert.equal(response.quotaExceeded, true);
+    assert.equal(tables.llm_usage.length, 2);
+});
+
+test('the monthly token quota counts input and output tokens', async () => {
+    process.env.LLM_QUOTA_MONTHLY_TOKENS = '500';
+    tables.llm_usage = [usageRow('COUNSELLOR', 200, 200, 0)];
+    assert.equal((await checkQuota('user-1')).allowed, true);
+
+    tables.llm_usage.push(usageRow('GUIDANCE', 50, 50, 0));
+    const quota = await checkQuota('user-1');
+    assert.equal(quota.allowed, false);
+    assert.equal(quota.reason, 'monthly AI usage limit reached');
+});
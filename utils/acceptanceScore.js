@@ -1,144 +1,294 @@
+const { getComparableGpa, formatGrade } = require('./gradeConversion');
+const { getEnglishProficiency, getBestAdmissionTest } = require('./testScores');
+const { scoreExperience } = require('./applicantExperience');
+
 /**
- * Calculate acceptance likelihood score for a user-university match
- * Returns a score from 0-100 with breakdown
- * 
- * Weights:
- * - GPA: 40%
- * - Test Scores (GRE/GMAT/IELTS/TOEFL): 25%
- * - University Rank: 15%
- * - Budget Match: 10%
- * - SOP/Extras: 10%
+ * Admission scoring engine
+ * The one place that scores a student against a university and decides DREAM / TARGET / SAFE.
+ * Routes, search, counsellor tools, the AI context and the analysis prompts all use it.
+ *
+ * Each component yields a fraction (0-1) that is multiplied by its weight:
+ * - gpa: 4.0-scale GPA, relative to the university's avg_gpa when known
+ * - testScores: best of the admission tests (GRE/GMAT/SAT/ACT) and English tests (IELTS band)
+ * - universityRank: selectivity from rank (or acceptance_rate), more selective = fewer points
+ * - budget: tuition vs budget_max
+ * - sopAndExtras: SOP status
+ * - experience: work, research, publications, projects, awards and activities, mixed per
+ *   target degree (see utils/applicantExperience.js)
+ *
+ * Weights come from the most specific weight profile matching the university's country
+ * and the student's target_degree (country + degree > country > degree > DEFAULT).
+ * Weights in a profile add up to 100; a component a profile leaves out weighs 0, so profiles
+ * written before a component existed keep working. A profile may also set its own category thresholds.
+ * Extra or replacement profiles can be supplied as JSON in ADMISSION_WEIGHT_PROFILES.
  */
-function calculateAcceptanceScore(profile, university) {
-    let totalScore = 0;
-    const breakdown = {};
 
-    // 1. GPA Score (0-40 points)
-    if (profile.gpa) {
-        const gpaScore = Math.min((profile.gpa / 4.0) * 40, 40);
-        totalScore += gpaScore;
-        breakdown.gpa = {
-            score: gpaScore,
-            maxScore: 40,
-            note: `GPA ${profile.gpa}/4.0`
-        };
-    } else {
-        breakdown.gpa = { score: 0, maxScore: 40, note: 'GPA not provided' };
+const COMPONENTS = ['gpa', 'testScores', 'universityRank', 'budget', 'sopAndExtras', 'experience'];
+
+// Score >= threshold puts a university in that category, below TARGET is DREAM
+const CATEGORY_THRESHOLDS = { TARGET: 30, SAFE: 60 };
+
+const DEFAULT_WEIGHT_PROFILES = [
+    {
+        name: 'DEFAULT',
+        weights: { gpa: 40, testScores: 25, universityRank: 15, budget: 10, sopAndExtras: 5, experience: 5 }
+    },
+    {
+        name: 'BACHELORS',
+        target_degree: 'Bachelors',
+        weights: { gpa: 45, testScores: 20, universityRank: 15, budget: 10, sopAndExtras: 5, experience: 5 }
+    },
+    {
+        // GMAT/GRE, work experience and essays carry more weight than undergraduate grades
+        name: 'MBA',
+        target_degree: 'MBA',
+        weights: { gpa: 20, testScores: 30, universityRank: 15, budget: 10, sopAndExtras: 10, experience: 15 }
+    },
+    {
+        // Research and publications matter about as much as grades
+        name: 'PHD',
+        target_degree: 'PhD',
+        weights: { gpa: 35, testScores: 15, universityRank: 15, budget: 5, sopAndExtras: 10, experience: 20 }
+    },
+    {
+        // Admission is largely grade-based and public tuition is low
+        name: 'GERMANY',
+        country: 'Germany',
+        weights: { gpa: 50, testScores: 20, universityRank: 15, budget: 5, sopAndExtras: 5, experience: 5 }
+    },
+    {
+        name: 'UNITED_KINGDOM',
+        country: 'United Kingdom',
+        weights: { gpa: 40, testScores: 20, universityRank: 15, budget: 10, sopAndExtras: 10, experience: 5 }
+    }
+];
+
+/**
+ * Check a weight profile; returns it with left-out components set to 0
+ */
+function validateWeightProfile(profile) {
+    const weights = Object.fromEntries(COMPONENTS.map(component => [component, profile.weights?.[component] ?? 0]));
+    const invalid = COMPONENTS.filter(component => typeof weights[component] !== 'number' || weights[component] < 0);
+    if (!profile.name || !profile.weights || invalid.length > 0) {
+        throw new Error(`Invalid weight profile ${profile.name || 'unknown'}: invalid weights for ${invalid.join(', ') || 'all components'}`);
     }
 
-    // 2. Test Scores (0-25 points)
-    let testScore = 0;
-    const testNotes = [];
-
-    if (profile.gre_score) {
-        // GRE: 260-340 scale, normalize to 25 points
-        testScore = Math.max(((profile.gre_score - 260) / 80) * 25, 0);
-        testNotes.push(`GRE ${profile.gre_score}`);
-    } else if (profile.gmat_score) {
-        // GMAT: 200-800 scale, normalize to 25 points
-        testScore = Math.max(((profile.gmat_score - 200) / 600) * 25, 0);
-        testNotes.push(`GMAT ${profile.gmat_score}`);
+    const total = COMPONENTS.reduce((sum, component) => sum + weights[component], 0);
+    if (Math.abs(total - 100) > 0.01) {
+        throw new Error(`Invalid weight profile ${profile.name}: weights add up to ${total}, not 100`);
     }
+    return { ...profile, weights };
+}
 
-    if (profile.ielts_score) {
-        // IELTS: 0-9 scale, normalize to 25 points
-        const ieltsScore = (profile.ielts_score / 9) * 25;
-        testScore = Math.max(testScore, ieltsScore);
-        testNotes.push(`IELTS ${profile.ielts_score}`);
-    } else if (profile.toefl_score) {
-        // TOEFL: 0-120 scale, normalize to 25 points
-        const toeflScore = (profile.toefl_score / 120) * 25;
-        testScore = Math.max(testScore, toeflScore);
-        testNotes.push(`TOEFL ${profile.toefl_score}`);
+/**
+ * Built-in profiles plus ADMISSION_WEIGHT_PROFILES (same name replaces a built-in profile)
+ */
+function loadWeightProfiles() {
+    let configured = [];
+    if (process.env.ADMISSION_WEIGHT_PROFILES) {
+        try {
+            configured = JSON.parse(process.env.ADMISSION_WEIGHT_PROFILES);
+        } catch (error) {
+            throw new Error(`ADMISSION_WEIGHT_PROFILES is not valid JSON: ${error.message}`);
+        }
     }
 
-    totalScore += Math.min(testScore, 25);
-    breakdown.testScores = {
-        score: Math.min(testScore, 25),
-        maxScore: 25,
-        note: testNotes.length > 0 ? testNotes.join(', ') : 'No test scores provided'
-    };
+    const byName = new Map();
+    [...DEFAULT_WEIGHT_PROFILES, ...configured].forEach(profile => {
+        byName.set(profile.name, validateWeightProfile(profile));
+    });
+    return [...byName.values()];
+}
 
-    // 3. University Rank Match (0-15 points)
-    // Lower rank = better school = harder to get in
-    // Inverse relationship
-    if (university.rank) {
-        let rankScore = 15;
-        if (university.rank <= 50) rankScore = 5;  // Top 50: hard
-        else if (university.rank <= 100) rankScore = 8;
-        else if (university.rank <= 200) rankScore = 12;
-        else rankScore = 15; // Easier
-
-        totalScore += rankScore;
-        breakdown.universityRank = {
-            score: rankScore,
-            maxScore: 15,
-            note: `Rank #${university.rank}`
-        };
-    } else {
-        breakdown.universityRank = {
-            score: 8,
-            maxScore: 15,
-            note: 'Rank not available (assuming mid-tier)'
-        };
-        totalScore += 8;
+let weightProfiles = loadWeightProfiles();
+
+/**
+ * Replace the active weight profiles (validated, DEFAULT must be present)
+ */
+function setWeightProfiles(profiles) {
+    const validated = profiles.map(validateWeightProfile);
+    if (!validated.some(profile => profile.name === 'DEFAULT')) {
+        throw new Error('Weight profiles must include DEFAULT');
     }
+    weightProfiles = validated;
+}
 
-    // 4. Budget Match (0-10 points)
-    if (university.tuition_estimate && profile.budget_max) {
-        const budgetScore = university.tuition_estimate <= profile.budget_max ? 10 :
-            university.tuition_estimate <= profile.budget_max * 1.2 ? 5 : 0;
-        totalScore += budgetScore;
-        breakdown.budget = {
-            score: budgetScore,
-            maxScore: 10,
-            note: `Tuition $${university.tuition_estimate}/yr vs Budget $${profile.budget_max}/yr`
-        };
-    } else {
-        breakdown.budget = {
-            score: 5,
-            maxScore: 10,
-            note: 'Budget information incomplete'
+function getWeightProfiles() {
+    return weightProfiles;
+}
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Most specific weight profile for a university country and target degree
+ */
+function getWeightProfile({ country, targetDegree } = {}) {
+    let best = null;
+    let bestRank = -1;
+
+    weightProfiles.forEach(profile => {
+        if (profile.country && !sameText(profile.country, country)) return;
+        if (profile.target_degree && !sameText(profile.target_degree, targetDegree)) return;
+
+        const rank = (profile.country ? 2 : 0) + (profile.target_degree ? 1 : 0);
+        if (rank >= bestRank) {
+            best = profile;
+            bestRank = rank;
+        }
+    });
+
+    return best;
+}
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+// Component scorers: fraction of the component's weight (0-1) and a note
+const COMPONENT_SCORERS = {
+    gpa: (profile, university) => {
+        const gpa = getComparableGpa(profile);
+        if (!gpa) return { fraction: 0, note: 'GPA not provided' };
+
+        if (university.avg_gpa) {
+            // Matching the average is worth 75%, 0.3 above it is full marks
+            return {
+                fraction: clamp(0.75 + (gpa - university.avg_gpa) / 1.2),
+                note: `${formatGrade(profile)} vs average ${university.avg_gpa}/4.0`
+            };
+        }
+        return { fraction: clamp(gpa / 4.0), note: formatGrade(profile) };
+    },
+
+    testScores: (profile) => {
+        let fraction = 0;
+        const notes = [];
+
+        // Best of GRE / GMAT / SAT / ACT, as a share of the test's range
+        const admissionTest = getBestAdmissionTest(profile);
+        if (admissionTest) {
+            fraction = admissionTest.fraction;
+            notes.push(`${admissionTest.label} ${admissionTest.score}`);
+        }
+
+        // Best English test on the IELTS band scale
+        const english = getEnglishProficiency(profile);
+        if (english) {
+            fraction = Math.max(fraction, english.band / 9);
+            notes.push(english.field === 'ielts_score'
+                ? `IELTS ${english.score}`
+                : `${english.label} ${english.score} (≈IELTS ${english.band})`);
+        }
+
+        return {
+            fraction: clamp(fraction),
+            note: notes.length > 0 ? notes.join(', ') : 'No test scores provided'
         };
-        totalScore += 5;
-    }
+    },
 
-    // 5. SOP & Extras (0-10 points)
-    let sopScore = 0;
-    if (profile.sop_status === 'READY') sopScore = 10;
-    else if (profile.sop_status === 'DRAFT') sopScore = 5;
-    else sopScore = 0;
+    universityRank: (profile, university) => {
+        // Lower rank = better school = harder to get in
+        if (university.rank) {
+            const fraction = university.rank <= 50 ? 1 / 3
+                : university.rank <= 100 ? 8 / 15
+                    : university.rank <= 200 ? 0.8
+                        : 1;
+            return { fraction, note: `Rank #${university.rank}` };
+        }
+        if (university.acceptance_rate) {
+            const fraction = university.acceptance_rate < 10 ? 1 / 3
+                : university.acceptance_rate < 25 ? 8 / 15
+                    : university.acceptance_rate < 50 ? 0.8
+                        : 1;
+            return { fraction, note: `Acceptance rate ${university.acceptance_rate}%` };
+        }
+        return { fraction: 8 / 15, note: 'Rank not available (assuming mid-tier)' };
+    },
 
-    totalScore += sopScore;
-    breakdown.sopAndExtras = {
-        score: sopScore,
-        maxScore: 10,
+    budget: (profile, university) => {
+        if (!university.tuition_estimate || !profile.budget_max) {
+            return { fraction: 0.5, note: 'Budget information incomplete' };
+        }
+        const fraction = university.tuition_estimate <= profile.budget_max ? 1
+            : university.tuition_estimate <= profile.budget_max * 1.2 ? 0.5
+                : 0;
+        return {
+            fraction,
+            note: `Tuition $${university.tuition_estimate}/yr vs Budget $${profile.budget_max}/yr`
+        };
+    },
+
+    sopAndExtras: (profile) => ({
+        fraction: profile.sop_status === 'READY' ? 1 : profile.sop_status === 'DRAFT' ? 0.5 : 0,
         note: `SOP: ${profile.sop_status || 'NOT_STARTED'}`
-    };
+    }),
+
+    experience: (profile) => scoreExperience(profile)
+};
+
+/**
+ * DREAM / TARGET / SAFE for a score (optionally with a weight profile's own thresholds)
+ */
+function categorizeScore(score, thresholds = CATEGORY_THRESHOLDS) {
+    if (score >= thresholds.SAFE) return 'SAFE';
+    if (score >= thresholds.TARGET) return 'TARGET';
+    return 'DREAM';
+}
+
+/**
+ * Calculate acceptance likelihood score for a user-university match
+ * @returns {object} { totalScore (0-100), maxScore, category, breakdown, interpretation, weightProfile }
+ */
+function calculateAcceptanceScore(profile, university) {
+    const weightProfile = getWeightProfile({ country: university.country, targetDegree: profile.target_degree });
+    const thresholds = weightProfile.thresholds || CATEGORY_THRESHOLDS;
+
+    let totalScore = 0;
+    const breakdown = {};
 
-    // Calculate category
-    let category = 'TARGET';
-    if (totalScore < 30) category = 'DREAM';
-    else if (totalScore >= 30 && totalScore < 60) category = 'TARGET';
-    else category = 'SAFE';
+    COMPONENTS.forEach(component => {
+        const maxScore = weightProfile.weights[component];
+        const { fraction, note } = COMPONENT_SCORERS[component](profile, university);
+        const score = Math.round(fraction * maxScore * 10) / 10;
+
+        totalScore += score;
+        breakdown[component] = { score, maxScore, note };
+    });
 
     return {
         totalScore: Math.round(totalScore),
         maxScore: 100,
-        category,
+        category: categorizeScore(totalScore, thresholds),
         breakdown,
-        interpretation: getInterpretation(totalScore)
+        interpretation: getInterpretation(totalScore, thresholds),
+        weightProfile: weightProfile.name
     };
 }
 
-function getInterpretation(score) {
-    if (score < 30) return 'Low acceptance likelihood (High Reach)';
-    if (score < 45) return 'Below average acceptance likelihood (Reach)';
-    if (score < 60) return 'Moderate acceptance likelihood (Target)';
-    if (score < 75) return 'Good acceptance likelihood (Safe)';
+/**
+ * Category for a university (shorthand for calculateAcceptanceScore(...).category)
+ */
+function categorizeUniversity(university, profile) {
+    return calculateAcceptanceScore(profile || {}, university).category;
+}
+
+function getInterpretation(score, thresholds = CATEGORY_THRESHOLDS) {
+    const targetMidpoint = (thresholds.TARGET + thresholds.SAFE) / 2;
+    if (score < thresholds.TARGET) return 'Low acceptance likelihood (High Reach)';
+    if (score < targetMidpoint) return 'Below average acceptance likelihood (Reach)';
+    if (score < thresholds.SAFE) return 'Moderate acceptance likelihood (Target)';
+    if (score < thresholds.SAFE + 15) return 'Good acceptance likelihood (Safe)';
     return 'High acceptance likelihood (Very Safe)';
 }
 
+// How much each metric counts towards overall profile strength, per target degree.
+// Experience is left out for bachelor's applicants (most apply from high school) and
+// counts fully where admissions weigh it heavily.
+const STRENGTH_WEIGHTS = {
+    Bachelors: { academics: 1, exams: 1, sop: 1, experience: 0 },
+    MBA: { academics: 1, exams: 1, sop: 1, experience: 1 },
+    PhD: { academics: 1, exams: 1, sop: 1, experience: 1 },
+    DEFAULT: { academics: 1, exams: 1, sop: 1, experience: 0.5 }
+};
+
 /**
  * Calculate overall profile strength
  */
@@ -146,27 +296,23 @@ function calculateProfileStrength(profile) {
     const metrics = {
         academics: 0,
         exams: 0,
-        sop: 0
+        sop: 0,
+        experience: 0
     };
 
     // Academics (GPA)
-    if (profile.gpa) {
-        metrics.academics = Math.min((profile.gpa / 4.0) * 100, 100);
+    const gpa = getComparableGpa(profile);
+    if (gpa) {
+        metrics.academics = Math.min((gpa / 4.0) * 100, 100);
     }
 
     // Exams
-    let examScore = 0;
-    if (profile.gre_score) {
-        examScore = Math.max(((profile.gre_score - 260) / 80) * 100, 0);
-    } else if (profile.gmat_score) {
-        examScore = Math.max(((profile.gmat_score - 200) / 600) * 100, 0);
-    }
+    const admissionTest = getBestAdmissionTest(profile);
+    let examScore = admissionTest ? admissionTest.fraction * 100 : 0;
 
-    if (profile.ielts_score || profile.toefl_score) {
-        const englishScore = profile.ielts_score
-            ? (profile.ielts_score / 9) * 100
-            : (profile.toefl_score / 120) * 100;
-        examScore = (examScore + englishScore) / 2;
+    const english = getEnglishProficiency(profile);
+    if (english) {
+        examScore = (examScore + (english.band / 9) * 100) / 2;
     }
 
     metrics.exams = Math.min(examScore, 100);
@@ -176,19 +322,32 @@ function calculateProfileStrength(profile) {
     else if (profile.sop_status === 'DRAFT') metrics.sop = 50;
     else metrics.sop = 0;
 
-    const overall = (metrics.academics + metrics.exams + metrics.sop) / 3;
+    // Experience, weighted for the target degree
+    metrics.experience = scoreExperience(profile).fraction * 100;
+
+    const weights = STRENGTH_WEIGHTS[profile.target_degree] || STRENGTH_WEIGHTS.DEFAULT;
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const overall = Object.keys(weights).reduce((sum, metric) => sum + weights[metric] * metrics[metric], 0) / totalWeight;
 
     return {
         overall: Math.round(overall),
         metrics: {
             academics: Math.round(metrics.academics),
             exams: Math.round(metrics.exams),
-            sop: Math.round(metrics.sop)
+            sop: Math.round(metrics.sop),
+            experience: Math.round(metrics.experience)
         }
     };
 }
 
 module.exports = {
+    COMPONENTS,
+    CATEGORY_THRESHOLDS,
     calculateAcceptanceScore,
+    categorizeScore,
+    categorizeUniversity,
+    getWeightProfile,
+    getWeightProfiles,
+    setWeightProfiles,
     calculateProfileStrength
 };
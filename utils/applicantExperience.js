@@ -0,0 +1,164 @@
+/**
+ * Applicant experience
+ * Structured profile sections beyond grades and tests, each a JSON array on the profile:
+ * - work_experience: { title, organization, employment_type, start_date, end_date, description }
+ * - research: { title, organization, supervisor, start_date, end_date, description }
+ * - publications: { title, venue, year, type, status, first_author, url }
+ * - projects: { title, description, url, start_date, end_date }
+ * - awards: { title, issuer, year, level }
+ * - extracurriculars: { activity, role, organization, leadership, start_date, end_date, description }
+ * An entry without end_date is ongoing.
+ *
+ * For scoring, each section becomes a fraction (0-1) and the sections are mixed with
+ * weights for the student's target degree: work years dominate for an MBA, research and
+ * publications for a PhD, activities and awards for a Bachelors.
+ */
+
+const EXPERIENCE_FIELDS = ['work_experience', 'research', 'publications', 'projects', 'awards', 'extracurriculars'];
+
+const EMPLOYMENT_TYPES = ['FULL_TIME', 'PART_TIME', 'INTERNSHIP'];
+const PUBLICATION_TYPES = ['JOURNAL', 'CONFERENCE', 'WORKSHOP', 'PREPRINT', 'THESIS'];
+const PUBLICATION_STATUSES = ['PUBLISHED', 'ACCEPTED', 'UNDER_REVIEW'];
+const AWARD_LEVELS = ['INTERNATIONAL', 'NATIONAL', 'REGIONAL', 'INSTITUTIONAL'];
+
+const EXPERIENCE_CONFIG = {
+    // Full-time years that count as full marks for work experience
+    TARGET_WORK_YEARS: { MBA: 4, DEFAULT: 2 },
+    TARGET_RESEARCH_MONTHS: 24,
+    TARGET_PUBLICATION_POINTS: 3,
+    TARGET_PROJECTS: 3,
+    TARGET_ACTIVITIES: 3,
+    AWARD_POINTS: { INTERNATIONAL: 1, NATIONAL: 0.75, REGIONAL: 0.5, INSTITUTIONAL: 0.25 },
+
+    // How much each section counts towards the experience component, per target degree
+    SECTION_WEIGHTS: {
+        Bachelors: { work: 0, research: 0, projects: 0.3, awards: 0.3, activities: 0.4 },
+        MBA: { work: 0.6, research: 0, projects: 0.1, awards: 0.1, activities: 0.2 },
+        PhD: { work: 0.1, research: 0.65, projects: 0.1, awards: 0.15, activities: 0 },
+        DEFAULT: { work: 0.35, research: 0.25, projects: 0.2, awards: 0.1, activities: 0.1 }
+    }
+};
+
+const MONTH_MS = 1000 * 60 * 60 * 24 * 30.44;
+
+const entriesOf = (profile, field) => (Array.isArray(profile?.[field]) ? profile[field] : []);
+
+/**
+ * Months between start_date and end_date (today when ongoing), 0 without a valid start
+ */
+function monthsOf(entry, now = new Date()) {
+    const start = new Date(entry.start_date);
+    const end = entry.end_date ? new Date(entry.end_date) : now;
+    if (isNaN(start) || isNaN(end) || end < start) return 0;
+    return Math.round((end - start) / MONTH_MS);
+}
+
+// Peer-reviewed and accepted papers count fully (1.5 as first author), preprints and theses half
+function publicationPoints(publication) {
+    if (publication.status === 'UNDER_REVIEW' || ['PREPRINT', 'THESIS'].includes(publication.type)) return 0.5;
+    return publication.first_author ? 1.5 : 1;
+}
+
+/**
+ * Counts and durations per section
+ */
+function summarizeExperience(profile) {
+    const work = entriesOf(profile, 'work_experience');
+    const monthsByType = (type) => work
+        .filter(entry => (entry.employment_type || 'FULL_TIME') === type)
+        .reduce((sum, entry) => sum + monthsOf(entry), 0);
+
+    const publications = entriesOf(profile, 'publications');
+    const awards = entriesOf(profile, 'awards');
+    const activities = entriesOf(profile, 'extracurriculars');
+
+    return {
+        // Part-time work counts half towards work years
+        work_years: Math.round((monthsByType('FULL_TIME') + monthsByType('PART_TIME') / 2) / 12 * 10) / 10,
+        internship_months: monthsByType('INTERNSHIP'),
+        research_months: entriesOf(profile, 'research').reduce((sum, entry) => sum + monthsOf(entry), 0),
+        publications: publications.length,
+        peer_reviewed: publications.filter(p => publicationPoints(p) >= 1).length,
+        first_author: publications.filter(p => p.first_author).length,
+        publication_points: publications.reduce((sum, p) => sum + publicationPoints(p), 0),
+        projects: entriesOf(profile, 'projects').length,
+        awards: awards.length,
+        award_points: awards.reduce((sum, award) => sum + (EXPERIENCE_CONFIG.AWARD_POINTS[award.level] || 0.25), 0),
+        top_award_level: AWARD_LEVELS.find(level => awards.some(award => award.level === level)) || null,
+        extracurriculars: activities.length,
+        leadership_roles: activities.filter(activity => activity.leadership).length
+    };
+}
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Section fractions (0-1) from a summary
+ */
+function sectionFractions(summary, targetDegree) {
+    const config = EXPERIENCE_CONFIG;
+    const targetYears = config.TARGET_WORK_YEARS[targetDegree] || config.TARGET_WORK_YEARS.DEFAULT;
+
+    return {
+        // Internships count half as much as full-time months
+        work: clamp((summary.work_years + summary.internship_months / 24) / targetYears),
+        research: clamp(
+            summary.research_months / config.TARGET_RESEARCH_MONTHS / 2 +
+            summary.publication_points / config.TARGET_PUBLICATION_POINTS / 2
+        ),
+        projects: clamp(summary.projects / config.TARGET_PROJECTS),
+        awards: clamp(summary.award_points),
+        activities: clamp(
+            summary.extracurriculars / config.TARGET_ACTIVITIES * 0.6 +
+            (summary.leadership_roles > 0 ? 0.4 : 0)
+        )
+    };
+}
+
+/**
+ * Experience as a fraction (0-1) with the section weights for the target degree
+ * @returns {{ fraction: number, note: string }}
+ */
+function scoreExperience(profile) {
+    const summary = summarizeExperience(profile);
+    const weights = EXPERIENCE_CONFIG.SECTION_WEIGHTS[profile?.target_degree] || EXPERIENCE_CONFIG.SECTION_WEIGHTS.DEFAULT;
+    const fractions = sectionFractions(summary, profile?.target_degree);
+
+    const fraction = Object.keys(weights).reduce((sum, section) => sum + weights[section] * fractions[section], 0);
+    return { fraction: clamp(fraction), note: formatExperience(profile, summary) };
+}
+
+/**
+ * "3.5 yrs work, 6 mo internships, 2 publications (1 first-author), 1 national award" or 'None listed'
+ */
+function formatExperience(profile, summary = summarizeExperience(profile)) {
+    const parts = [];
+    if (summary.work_years > 0) parts.push(`${summary.work_years} yrs work`);
+    if (summary.internship_months > 0) parts.push(`${summary.internship_months} mo internships`);
+    if (summary.research_months > 0) parts.push(`${summary.research_months} mo research`);
+    if (summary.publications > 0) {
+        parts.push(`${summary.publications} publication${summary.publications === 1 ? '' : 's'}` +
+            (summary.first_author > 0 ? ` (${summary.first_author} first-author)` : ''));
+    }
+    if (summary.projects > 0) parts.push(`${summary.projects} project${summary.projects === 1 ? '' : 's'}`);
+    if (summary.awards > 0) {
+        parts.push(`${summary.awards} award${summary.awards === 1 ? '' : 's'} (top: ${summary.top_award_level?.toLowerCase() || 'unspecified'})`);
+    }
+    if (summary.extracurriculars > 0) {
+        parts.push(`${summary.extracurriculars} activit${summary.extracurriculars === 1 ? 'y' : 'ies'}` +
+            (summary.leadership_roles > 0 ? ` (${summary.leadership_roles} leadership)` : ''));
+    }
+    return parts.length > 0 ? parts.join(', ') : 'None listed';
+}
+
+module.exports = {
+    EXPERIENCE_FIELDS,
+    EMPLOYMENT_TYPES,
+    PUBLICATION_TYPES,
+    PUBLICATION_STATUSES,
+    AWARD_LEVELS,
+    EXPERIENCE_CONFIG,
+    summarizeExperience,
+    scoreExperience,
+    formatExperience
+};
@@ -0,0 +1,201 @@
+/**
+ * Grade scale conversion
+ * Students enter their grade on their own scale; scoring compares everything on the
+ * US 4.0 GPA scale. profiles.gpa holds the converted 4.0 value, gpa_original and
+ * gpa_scale hold what the student entered.
+ *
+ * Numeric scales are converted by linear interpolation between the points below.
+ * The tables follow common credential-evaluation practice (WES-style) and are
+ * approximations, not official equivalences.
+ *
+ * GPA_4 (US 4.0)           identity
+ *
+ * CGPA_10 (10-point CGPA, e.g. India)
+ *   10.0 -> 4.0   9.0 -> 3.9   8.0 -> 3.5   7.0 -> 3.0
+ *    6.0 -> 2.5   5.0 -> 2.0   4.0 -> 1.0   0.0 -> 0.0
+ *
+ * PERCENTAGE (marks out of 100)
+ *   100 -> 4.0   85 -> 3.9   75 -> 3.5   65 -> 3.0
+ *    55 -> 2.5   45 -> 2.0   35 -> 1.0    0 -> 0.0
+ *
+ * GERMAN (1.0 best - 4.0 pass - 5.0 fail)
+ *   1.0 -> 4.0   4.0 -> 1.0   5.0 -> 0.0
+ *
+ * UK_CLASS (degree classification)
+ *   First 3.8 | Upper Second (2:1) 3.3 | Lower Second (2:2) 2.8 | Third 2.3 | Pass 2.0
+ */
+
+const GRADE_SCALES = {
+    GPA_4: {
+        label: 'GPA (4.0 scale)',
+        min: 0,
+        max: 4,
+        points: [[0, 0], [4, 4]],
+        format: (value) => `${value}/4.0 GPA`
+    },
+    CGPA_10: {
+        label: 'CGPA (10-point scale)',
+        min: 0,
+        max: 10,
+        points: [[0, 0], [4, 1.0], [5, 2.0], [6, 2.5], [7, 3.0], [8, 3.5], [9, 3.9], [10, 4.0]],
+        format: (value) => `${value}/10 CGPA`
+    },
+    PERCENTAGE: {
+        label: 'Percentage',
+        min: 0,
+        max: 100,
+        points: [[0, 0], [35, 1.0], [45, 2.0], [55, 2.5], [65, 3.0], [75, 3.5], [85, 3.9], [100, 4.0]],
+        format: (value) => `${value}%`
+    },
+    GERMAN: {
+        label: 'German grade (1.0 - 5.0)',
+        min: 1,
+        max: 5,
+        points: [[1, 4.0], [4, 1.0], [5, 0]],
+        format: (value) => `${value} (German scale)`
+    },
+    UK_CLASS: {
+        label: 'UK degree classification',
+        classes: {
+            FIRST: 3.8,
+            UPPER_SECOND: 3.3,
+            LOWER_SECOND: 2.8,
+            THIRD: 2.3,
+            PASS: 2.0
+        },
+        format: (value) => ({
+            FIRST: 'First Class Honours',
+            UPPER_SECOND: 'Upper Second (2:1)',
+            LOWER_SECOND: 'Lower Second (2:2)',
+            THIRD: 'Third Class Honours',
+            PASS: 'Pass'
+        })[value] || value
+    }
+};
+
+const GRADE_SCALE_NAMES = Object.keys(GRADE_SCALES);
+
+// Ways students write UK classifications
+const UK_CLASS_ALIASES = {
+    'first': 'FIRST', '1st': 'FIRST', 'first class': 'FIRST', 'first class honours': 'FIRST',
+    '2:1': 'UPPER_SECOND', '2.1': 'UPPER_SECOND', 'upper second': 'UPPER_SECOND', 'upper_second': 'UPPER_SECOND',
+    '2:2': 'LOWER_SECOND', '2.2': 'LOWER_SECOND', 'lower second': 'LOWER_SECOND', 'lower_second': 'LOWER_SECOND',
+    'third': 'THIRD', '3rd': 'THIRD', 'third class': 'THIRD',
+    'pass': 'PASS', 'ordinary': 'PASS'
+};
+
+function interpolate(points, value) {
+    for (let i = 1; i < points.length; i++) {
+        const [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i];
+        if (value >= Math.min(x0, x1) && value <= Math.max(x0, x1)) {
+            return y0 + ((value - x0) / (x1 - x0)) * (y1 - y0);
+        }
+    }
+    return null;
+}
+
+/**
+ * Convert a grade to the 4.0 scale
+ * @param {number|string} value - grade as entered (number, or a UK class such as "2:1")
+ * @param {string} scale - one of GRADE_SCALE_NAMES (default GPA_4)
+ * @returns {{ gpa: number|null, original: number|string|null, error: string|null }}
+ *   original is the cleaned-up value to store (UK classes become FIRST, UPPER_SECOND, ...)
+ */
+function normalizeGrade(value, scale = 'GPA_4') {
+    const definition = GRADE_SCALES[scale];
+    if (!definition) {
+        return { gpa: null, original: null, error: `gpa_scale must be one of ${GRADE_SCALE_NAMES.join(', ')}` };
+    }
+
+    if (definition.classes) {
+        const key = UK_CLASS_ALIASES[String(value).trim().toLowerCase()] || String(value).trim().toUpperCase();
+        if (!definition.classes[key]) {
+            return { gpa: null, original: null, error: `"${value}" is not a UK degree classification (First, 2:1, 2:2, Third, Pass)` };
+        }
+        return { gpa: definition.classes[key], original: key, error: null };
+    }
+
+    const number = Number(value);
+    if (value === '' || value === null || Number.isNaN(number)) {
+        return { gpa: null, original: null, error: `${definition.label} must be a number` };
+    }
+    if (number < definition.min || number > definition.max) {
+        return {
+            gpa: null,
+            original: null,
+            error: `${definition.label} must be between ${definition.min} and ${definition.max}`
+        };
+    }
+
+    const gpa = Math.round(interpolate(definition.points, number) * 100) / 100;
+    return { gpa, original: number, error: null };
+}
+
+/**
+ * The 4.0-scale GPA to score with
+ * Prefers converting the original grade, so rows written before gpa_scale existed still work
+ */
+function getComparableGpa(profile) {
+    if (!profile) return null;
+    if (profile.gpa_original !== undefined && profile.gpa_original !== null && profile.gpa_scale) {
+        const { gpa, error } = normalizeGrade(profile.gpa_original, profile.gpa_scale);
+        if (!error) return gpa;
+    }
+    return profile.gpa ?? null;
+}
+
+/**
+ * Human-readable grade, original first: "8.2/10 CGPA (≈3.4/4.0)"
+ */
+function formatGrade(profile) {
+    const gpa = getComparableGpa(profile);
+    if (gpa === null || gpa === undefined) return 'N/A';
+
+    const scale = profile.gpa_scale || 'GPA_4';
+    if (scale === 'GPA_4' || profile.gpa_original === undefined || profile.gpa_original === null) {
+        return `${gpa}/4.0 GPA`;
+    }
+    return `${GRADE_SCALES[scale].format(profile.gpa_original)} (≈${gpa}/4.0)`;
+}
+
+/**
+ * Read a grade typed as free text: "3.6", "8.2/10", "78%", "2:1", "First"
+ * Bare numbers are read by range: up to 4 -> GPA_4, up to 10 -> CGPA_10, up to 100 -> PERCENTAGE.
+ * German grades are never guessed (1.7 reads as a 4.0 GPA) and need gpa_scale set explicitly.
+ * @returns {{ gpa_original: number|string, gpa_scale: string }|null}
+ */
+function parseGradeText(text) {
+    const cleaned = String(text).trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.!]+$/, '');
+
+    // Numbers first, so "2.1" is a GPA here rather than a 2:1
+    const match = cleaned.match(/^(\d+(?:\.\d+)?)\s*(%|\/\s*(?:4|4\.0|10|100))?$/);
+    if (!match) {
+        return UK_CLASS_ALIASES[cleaned]
+            ? { gpa_original: UK_CLASS_ALIASES[cleaned], gpa_scale: 'UK_CLASS' }
+            : null;
+    }
+
+    const number = parseFloat(match[1]);
+    const suffix = (match[2] || '').replace(/\s/g, '');
+
+    let scale;
+    if (suffix === '%' || suffix === '/100') scale = 'PERCENTAGE';
+    else if (suffix === '/10') scale = 'CGPA_10';
+    else if (suffix) scale = 'GPA_4';
+    else if (number <= 4) scale = 'GPA_4';
+    else if (number <= 10) scale = 'CGPA_10';
+    else if (number <= 100) scale = 'PERCENTAGE';
+    else return null;
+
+    return { gpa_original: number, gpa_scale: scale };
+}
+
+module.exports = {
+    GRADE_SCALES,
+    GRADE_SCALE_NAMES,
+    normalizeGrade,
+    getComparableGpa,
+    formatGrade,
+    parseGradeText
+};
@@ -0,0 +1,15 @@
+/**
+ * Error carrying the HTTP status a route should answer with
+ * Services throw these; routes map error.status (and error.details) to the response
+ * @param {string} message
+ * @param {number} status
+ * @param {object} [details] - e.g. field-level validation errors
+ */
+function httpError(message, status, details) {
+    const error = new Error(message);
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+}
+
+module.exports = { httpError };
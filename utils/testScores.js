@@ -0,0 +1,282 @@
+/**
+ * Standardised tests
+ * Every test the profile can hold, with its score range and the profile column for its
+ * test date (<test>_date). English tests are compared on one scale, the IELTS band, using
+ * the published concordance tables below (minimum score for each band; lower scores
+ * fall to the band below). The tables are approximations for scoring, not official
+ * equivalences for admission requirements.
+ *
+ * TOEFL iBT (ETS concordance)
+ *   4.5: 32   5.0: 35   5.5: 46   6.0: 60   6.5: 79   7.0: 94   7.5: 102   8.0: 110   8.5: 115   9.0: 118
+ *
+ * PTE Academic (Pearson concordance)
+ *   4.5: 23   5.0: 29   5.5: 36   6.0: 46   6.5: 56   7.0: 66   7.5: 76   8.0: 84   8.5: 89
+ *
+ * Duolingo English Test (Duolingo concordance)
+ *   4.5: 65   5.0: 80   5.5: 95   6.0: 105   6.5: 120   7.0: 135   7.5: 145   8.0: 155   8.5: 160
+ *
+ * Cambridge C1 Advanced / C2 Proficiency (Cambridge English Scale)
+ *   5.0: 154   5.5: 162   6.0: 169   6.5: 176   7.0: 185   7.5: 191   8.0: 200   8.5: 209   9.0: 215
+ *
+ * Below the first entry a score counts as band 4.0.
+ *
+ * Validity (validityYears from the test date): IELTS, TOEFL, PTE and Duolingo 2 years,
+ * GRE and GMAT 5 years. Cambridge certificates and SAT/ACT scores do not expire.
+ * Tests in the same group (English, graduate, undergraduate) stand in for each other, so an
+ * expiring TOEFL is not a problem while an IELTS is still valid.
+ */
+
+const TESTS = {
+    ielts_score: { label: 'IELTS', kind: 'ENGLISH', group: 'ENGLISH', validityYears: 2, min: 0, max: 9, step: 0.5 },
+    toefl_score: {
+        label: 'TOEFL',
+        kind: 'ENGLISH',
+        group: 'ENGLISH',
+        validityYears: 2,
+        min: 0,
+        max: 120,
+        step: 1,
+        bands: [[4.5, 32], [5.0, 35], [5.5, 46], [6.0, 60], [6.5, 79], [7.0, 94], [7.5, 102], [8.0, 110], [8.5, 115], [9.0, 118]]
+    },
+    pte_score: {
+        label: 'PTE Academic',
+        kind: 'ENGLISH',
+        group: 'ENGLISH',
+        validityYears: 2,
+        min: 10,
+        max: 90,
+        step: 1,
+        bands: [[4.5, 23], [5.0, 29], [5.5, 36], [6.0, 46], [6.5, 56], [7.0, 66], [7.5, 76], [8.0, 84], [8.5, 89]]
+    },
+    duolingo_score: {
+        label: 'Duolingo',
+        kind: 'ENGLISH',
+        group: 'ENGLISH',
+        validityYears: 2,
+        min: 10,
+        max: 160,
+        step: 5,
+        bands: [[4.5, 65], [5.0, 80], [5.5, 95], [6.0, 105], [6.5, 120], [7.0, 135], [7.5, 145], [8.0, 155], [8.5, 160]]
+    },
+    cambridge_score: {
+        label: 'Cambridge',
+        kind: 'ENGLISH',
+        group: 'ENGLISH',
+        validityYears: null,
+        min: 80,
+        max: 230,
+        step: 1,
+        bands: [[5.0, 154], [5.5, 162], [6.0, 169], [6.5, 176], [7.0, 185], [7.5, 191], [8.0, 200], [8.5, 209], [9.0, 215]]
+    },
+    gre_score: { label: 'GRE', kind: 'ADMISSION', group: 'GRADUATE', validityYears: 5, min: 260, max: 340, step: 1 },
+    gmat_score: { label: 'GMAT', kind: 'ADMISSION', group: 'GRADUATE', validityYears: 5, min: 200, max: 800, step: 10 },
+    sat_score: { label: 'SAT', kind: 'ADMISSION', group: 'UNDERGRADUATE', validityYears: null, min: 400, max: 1600, step: 10 },
+    act_score: { label: 'ACT', kind: 'ADMISSION', group: 'UNDERGRADUATE', validityYears: null, min: 1, max: 36, step: 1 }
+};
+
+const TEST_FIELDS = Object.keys(TESTS);
+const ENGLISH_TEST_FIELDS = TEST_FIELDS.filter(field => TESTS[field].kind === 'ENGLISH');
+const ADMISSION_TEST_FIELDS = TEST_FIELDS.filter(field => TESTS[field].kind === 'ADMISSION');
+
+// ielts_score -> ielts_date
+const dateFieldFor = (field) => field.replace(/_score$/, '_date');
+const TEST_DATE_FIELDS = TEST_FIELDS.map(dateFieldFor);
+
+const CAMBRIDGE_EXAMS = {
+    C1_ADVANCED: 'C1 Advanced',
+    C2_PROFICIENCY: 'C2 Proficiency'
+};
+
+const hasScore = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * IELTS band equivalent of an English test score (null if not an English test)
+ */
+function toIeltsBand(field, score) {
+    const test = TESTS[field];
+    if (!test || test.kind !== 'ENGLISH' || !hasScore(score)) return null;
+    if (!test.bands) return Number(score);
+
+    let band = 4.0;
+    test.bands.forEach(([bandValue, minimum]) => {
+        if (Number(score) >= minimum) band = bandValue;
+    });
+    return band;
+}
+
+function testLabel(field, profile = {}) {
+    if (field === 'cambridge_score' && CAMBRIDGE_EXAMS[profile.cambridge_exam]) {
+        return `Cambridge ${CAMBRIDGE_EXAMS[profile.cambridge_exam]}`;
+    }
+    return TESTS[field].label;
+}
+
+/**
+ * The student's best English result on the IELTS band scale
+ * @returns {{ band: number, field: string, score: number, label: string }|null}
+ */
+function getEnglishProficiency(profile) {
+    let best = null;
+    ENGLISH_TEST_FIELDS.forEach(field => {
+        const band = toIeltsBand(field, profile?.[field]);
+        if (band !== null && (!best || band > best.band)) {
+            best = { band, field, score: Number(profile[field]), label: testLabel(field, profile) };
+        }
+    });
+    return best;
+}
+
+/**
+ * Share of an admission test's range a score reaches (0-1), e.g. GRE 320 -> 0.75
+ */
+function admissionTestFraction(field, score) {
+    const test = TESTS[field];
+    if (!test || test.kind !== 'ADMISSION' || !hasScore(score)) return null;
+    return Math.min(Math.max((Number(score) - test.min) / (test.max - test.min), 0), 1);
+}
+
+/**
+ * The student's strongest admission test (GRE, GMAT, SAT, ACT)
+ * @returns {{ fraction: number, field: string, score: number, label: string }|null}
+ */
+function getBestAdmissionTest(profile) {
+    let best = null;
+    ADMISSION_TEST_FIELDS.forEach(field => {
+        const fraction = admissionTestFraction(field, profile?.[field]);
+        if (fraction !== null && (!best || fraction > best.fraction)) {
+            best = { fraction, field, score: Number(profile[field]), label: TESTS[field].label };
+        }
+    });
+    return best;
+}
+
+/**
+ * "GRE 320, PTE Academic 65 (≈IELTS 7)" or 'None'
+ */
+function formatTestScores(profile) {
+    const parts = TEST_FIELDS.filter(field => hasScore(profile?.[field])).map(field => {
+        const band = TESTS[field].bands ? toIeltsBand(field, profile[field]) : null;
+        return `${testLabel(field, profile)} ${profile[field]}${band !== null ? ` (≈IELTS ${band})` : ''}`;
+    });
+    return parts.length > 0 ? parts.join(', ') : 'None';
+}
+
+// Intakes are taken to start on 1 September of intake_year (the main autumn intake)
+const INTAKE_START_MONTH = 9;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+function intakeStartDate(profile) {
+    if (!profile?.intake_year) return null;
+    return new Date(Date.UTC(profile.intake_year, INTAKE_START_MONTH - 1, 1));
+}
+
+/**
+ * When a score stops being valid (null if the test does not expire or the date is unknown)
+ */
+function expiryDate(field, takenOn) {
+    const years = TESTS[field]?.validityYears;
+    const date = parseDate(takenOn);
+    if (!years || !date) return null;
+
+    const expires = new Date(date);
+    expires.setUTCFullYear(expires.getUTCFullYear() + years);
+    return expires;
+}
+
+/**
+ * Scores that will not be valid when they are needed
+ * Statuses: EXPIRED, EXPIRES_BEFORE_DEADLINE (one per locked university whose
+ * application_deadline is after the expiry), EXPIRES_BEFORE_INTAKE, DATE_MISSING
+ * @param {object} options - { locks: university_locks rows with university, today }
+ * @returns {Array<object>} { field, label, score, status, taken_on, expires_on, deadline, university, message }
+ */
+function checkTestValidity(profile, { locks = [], today = new Date() } = {}) {
+    const taken = TEST_FIELDS.filter(field => hasScore(profile?.[field]));
+    const intake = intakeStartDate(profile);
+
+    // Valid through `date` (tests without an expiry always are, an unknown date never counts)
+    const validOn = (field, date) => {
+        if (!TESTS[field].validityYears) return true;
+        const expires = expiryDate(field, profile[dateFieldFor(field)]);
+        return !!expires && expires > date;
+    };
+    const coveredBySubstitute = (field, date) => taken.some(other =>
+        other !== field && TESTS[other].group === TESTS[field].group && validOn(other, date));
+
+    const issues = [];
+    taken.forEach(field => {
+        if (!TESTS[field].validityYears) return;
+
+        const label = testLabel(field, profile);
+        const base = { field, label, score: Number(profile[field]), taken_on: null, expires_on: null, deadline: null, university: null };
+        const takenOn = parseDate(profile[dateFieldFor(field)]);
+
+        if (!takenOn) {
+            if (!coveredBySubstitute(field, today)) {
+                issues.push({ ...base, status: 'DATE_MISSING', message: `Add the date of your ${label} test to check it is still valid` });
+            }
+            return;
+        }
+
+        const expires = expiryDate(field, takenOn);
+        const dates = { taken_on: toDateString(takenOn), expires_on: toDateString(expires) };
+
+        if (expires <= today) {
+            if (!coveredBySubstitute(field, today)) {
+                issues.push({ ...base, ...dates, status: 'EXPIRED', message: `${label} ${profile[field]} expired on ${dates.expires_on}` });
+            }
+            return;
+        }
+
+        let beforeDeadline = false;
+        locks.forEach(lock => {
+            const deadline = parseDate(lock.application_deadline);
+            if (!deadline || expires >= deadline || coveredBySubstitute(field, deadline)) return;
+
+            beforeDeadline = true;
+            const name = lock.university?.name || 'a locked university';
+            issues.push({
+                ...base,
+                ...dates,
+                status: 'EXPIRES_BEFORE_DEADLINE',
+                deadline: toDateString(deadline),
+                university: { id: lock.university_id, name },
+                message: `${label} expires on ${dates.expires_on}, before the ${name} deadline (${toDateString(deadline)})`
+            });
+        });
+
+        if (!beforeDeadline && intake && expires < intake && !coveredBySubstitute(field, intake)) {
+            issues.push({
+                ...base,
+                ...dates,
+                status: 'EXPIRES_BEFORE_INTAKE',
+                message: `${label} expires on ${dates.expires_on}, before your ${profile.intake_year} intake`
+            });
+        }
+    });
+
+    return issues;
+}
+
+module.exports = {
+    TESTS,
+    TEST_FIELDS,
+    ENGLISH_TEST_FIELDS,
+    ADMISSION_TEST_FIELDS,
+    TEST_DATE_FIELDS,
+    CAMBRIDGE_EXAMS,
+    dateFieldFor,
+    toIeltsBand,
+    getEnglishProficiency,
+    getBestAdmissionTest,
+    formatTestScores,
+    expiryDate,
+    checkTestValidity
+};
@@ -0,0 +1,9 @@
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ * Used for budgets and when a provider does not report usage
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+module.exports = { estimateTokens };